@@ -15,16 +15,19 @@ const app = express();
 app.use(helmet());
 
 // CORS configuration
-app.use(cors({
-  origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
-  credentials: true
-}));
+app.use(
+  cors({
+    origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
+    credentials: true,
+    exposedHeaders: ['ETag'], // read by clients for If-Match on updates
+  })
+);
 
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
 });
 app.use('/api/', limiter);
 
@@ -32,6 +35,10 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Multi-tenancy: run each API request inside the organization it addresses
+const { resolveTenant } = require('./middleware/tenant');
+app.use('/api', resolveTenant);
+
 // Logging middleware
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
@@ -55,9 +62,9 @@ app.get('/', (req, res) => {
       lessons: '/api/lessons',
       enrollments: '/api/enrollments',
       progress: '/api/progress',
-      analytics: '/api/analytics'
+      analytics: '/api/analytics',
     },
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
   });
 });
 
@@ -72,7 +79,7 @@ app.get('/health', (req, res) => {
     status: 'OK',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development'
+    environment: process.env.NODE_ENV || 'development',
   });
 });
 
@@ -80,7 +87,11 @@ app.get('/health', (req, res) => {
 function safeRequire(modulePath, fallback = null) {
   try {
     const fullPath = path.resolve(__dirname, modulePath);
-    if (fs.existsSync(fullPath + '.js') || fs.existsSync(fullPath + '/index.js') || fs.existsSync(fullPath)) {
+    if (
+      fs.existsSync(fullPath + '.js') ||
+      fs.existsSync(fullPath + '/index.js') ||
+      fs.existsSync(fullPath)
+    ) {
       const module = require(modulePath);
       return module;
     } else {
@@ -108,16 +119,16 @@ if (routes && (typeof routes === 'function' || routes.constructor.name === 'rout
   console.warn('⚠️  No routes found, creating basic API endpoint');
   // Fallback basic API routes
   app.get('/api', (req, res) => {
-    res.json({ 
-      message: 'API is running', 
-      timestamp: new Date().toISOString() 
+    res.json({
+      message: 'API is running',
+      timestamp: new Date().toISOString(),
     });
   });
-  
+
   app.get('/api/test', (req, res) => {
-    res.json({ 
+    res.json({
       message: 'Test endpoint working',
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
     });
   });
 }
@@ -132,7 +143,7 @@ if (notFound && typeof notFound === 'function') {
     res.status(404).json({
       error: 'Not Found',
       message: `Route ${req.originalUrl} not found`,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
     });
   });
 }
@@ -148,7 +159,7 @@ if (globalErrorHandler && typeof globalErrorHandler === 'function') {
     res.status(err.status || 500).json({
       error: 'Internal Server Error',
       message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong',
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
     });
   });
 }
@@ -164,4 +175,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
@@ -0,0 +1,74 @@
+/**
+ * Authentication policy configuration
+ */
+
+// Whether unverified accounts are blocked from logging in ('block-login'),
+// limited to read-only use ('restrict') or treated like verified ones ('off')
+const resolveVerificationPolicy = () => {
+  if (process.env.ENABLE_EMAIL_VERIFICATION === 'false') return 'off';
+  const policy = process.env.EMAIL_VERIFICATION_POLICY || 'restrict';
+  if (!['off', 'restrict', 'block-login'].includes(policy)) {
+    throw new Error(`Invalid EMAIL_VERIFICATION_POLICY: ${policy}`);
+  }
+  return policy;
+};
+
+// Parse "group:role" pairs, e.g. "lms-admins:admin,lms-teachers:instructor"
+const parseRoleMapping = (value = '') => value
+  .split(',')
+  .map((pair) => pair.split(':').map((part) => part.trim()))
+  .filter(([group, role]) => group && role)
+  .reduce((mapping, [group, role]) => ({ ...mapping, [group]: role }), {});
+
+module.exports = {
+  emailVerification: {
+    policy: resolveVerificationPolicy(),
+    tokenTtl: 24 * 60 * 60 * 1000, // 24 hours
+    resendInterval: (parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS, 10) || 60) * 1000,
+  },
+  lockout: {
+    // Failed logins before an account is locked, and for how long
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5,
+    lockTime: (parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 120) * 60 * 1000,
+    // Failed logins allowed from one IP per window, across all accounts
+    ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20,
+    ipWindowMs: 15 * 60 * 1000,
+  },
+  twoFactor: {
+    // Roles that must use 2FA unless an admin changes the policy through the API
+    requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+      .split(',')
+      .map((role) => role.trim())
+      .filter(Boolean),
+    // Lifetime of the token handed out between the password and code steps
+    challengeExpiresIn: '5m',
+  },
+  oidc: {
+    enabled: !!process.env.OIDC_ISSUER,
+    issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    redirectUri: process.env.OIDC_REDIRECT_URI || 'http://localhost:3000/api/auth/oidc/callback',
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    // Claim holding the user's groups, and how groups map to LMS roles
+    groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+    roleMapping: parseRoleMapping(process.env.OIDC_ROLE_MAPPING),
+    defaultRole: process.env.OIDC_DEFAULT_ROLE || 'student',
+    // Create accounts on first SSO login (otherwise only existing emails can sign in)
+    autoProvision: process.env.OIDC_AUTO_PROVISION !== 'false',
+    // Treat the provider's email as verified even without email_verified: true. Only for
+    // providers that vouch for every address they issue, since emails link existing accounts.
+    trustEmail: process.env.OIDC_TRUST_EMAIL === 'true',
+    // How long an authorization request may take to come back
+    stateTtl: 10 * 60 * 1000,
+  },
+  impersonation: {
+    // Lifetime of an impersonation token; it cannot be refreshed
+    ttl: (parseInt(process.env.IMPERSONATION_MINUTES, 10) || 30) * 60 * 1000,
+  },
+  sensitiveOps: {
+    // Requests per window for password reset, change password and similar endpoints
+    max: parseInt(process.env.SENSITIVE_OP_MAX_REQUESTS, 10) || 10,
+    windowMs: 15 * 60 * 1000,
+  },
+};
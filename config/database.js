@@ -0,0 +1,31 @@
+/**
+ * Database configuration
+ * DB_DRIVER selects the storage adapter:
+ *   memory - nothing persisted (default; used by tests)
+ *   json   - one JSON file per collection in DB_JSON_DIR
+ *   sqlite - SQLite database file at DB_SQLITE_FILE (':memory:' for a throwaway database)
+ */
+
+const DRIVERS = ['memory', 'json', 'sqlite'];
+
+const driver = (process.env.DB_DRIVER || 'memory').toLowerCase();
+
+if (!DRIVERS.includes(driver)) {
+  throw new Error(`Unknown DB_DRIVER "${driver}". Use one of: ${DRIVERS.join(', ')}`);
+}
+
+module.exports = {
+  driver,
+  json: {
+    directory: process.env.DB_JSON_DIR || './storage/json',
+  },
+  sqlite: {
+    filename: process.env.DB_SQLITE_FILE || './storage/lms.sqlite',
+  },
+  trash: {
+    // Days a deleted user or course can be restored before it is purged (admins can change this)
+    retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+    // How often the server runs the purge job; 0 leaves it to `npm run trash:purge`
+    purgeIntervalHours: parseInt(process.env.TRASH_PURGE_INTERVAL_HOURS || '24', 10),
+  },
+};
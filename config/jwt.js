@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('../utils/logger');
+
+/**
+ * JWT configuration
+ * Uses an RS256 keypair when JWT_PRIVATE_KEY/JWT_PUBLIC_KEY (PEM or file path) are set,
+ * otherwise falls back to HS256 with JWT_SECRET.
+ */
+
+// Read a PEM value that may be given inline or as a path to a file
+const readKey = (value) => {
+  if (!value) return null;
+  if (value.includes('-----BEGIN')) return value.replace(/\\n/g, '\n');
+  return fs.readFileSync(value, 'utf8');
+};
+
+const privateKey = readKey(process.env.JWT_PRIVATE_KEY);
+const publicKey = readKey(process.env.JWT_PUBLIC_KEY);
+const useKeypair = !!(privateKey && publicKey);
+
+let secret = process.env.JWT_SECRET;
+if (!useKeypair && !secret) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET (or JWT_PRIVATE_KEY/JWT_PUBLIC_KEY) must be set in production');
+  }
+  // Random per-process secret so development never runs with a guessable key
+  secret = crypto.randomBytes(64).toString('hex');
+  logger.warn('JWT_SECRET not set, using a random secret (tokens will not survive restarts)');
+}
+
+// Convert durations like "7d" or "15m" to milliseconds
+const parseDuration = (value) => {
+  const match = /^(\d+)\s*([smhd])?$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+  const units = {
+    s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000,
+  };
+  return parseInt(match[1], 10) * units[match[2] || 's'];
+};
+
+module.exports = {
+  algorithm: useKeypair ? 'RS256' : 'HS256',
+  signingKey: useKeypair ? privateKey : secret,
+  verifyKey: useKeypair ? publicKey : secret,
+  issuer: process.env.JWT_ISSUER || 'ods-lms-api',
+  audience: process.env.JWT_AUDIENCE || 'ods-lms-client',
+  expiresIn: process.env.JWT_EXPIRE || '24h',
+  refreshTokenTtl: parseDuration(process.env.JWT_REFRESH_EXPIRE || '7d'),
+};
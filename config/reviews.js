@@ -0,0 +1,9 @@
+/**
+ * Course review configuration
+ */
+
+module.exports = {
+  // Percentage of a course a learner must have completed before reviewing it
+  // (admins can change this)
+  minProgress: parseInt(process.env.REVIEW_MIN_PROGRESS || '20', 10),
+};
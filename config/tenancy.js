@@ -0,0 +1,12 @@
+/**
+ * Multi-tenancy configuration
+ * Requests reach an organization through <slug>.<TENANT_BASE_DOMAIN>, the
+ * X-Organization header (slug or id) or the organization claim of their token.
+ */
+
+module.exports = {
+  // e.g. "lms.example.com" makes northside.lms.example.com the "northside" organization
+  baseDomain:
+    (process.env.TENANT_BASE_DOMAIN || '').trim().toLowerCase().replace(/^\./, '') || null,
+  header: 'X-Organization',
+};
@@ -0,0 +1,235 @@
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+const { API_TOKEN_SCOPES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+// Token lifetime limits, in days
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+
+// Helper function to validate a token request body and build the stored fields
+const buildTokenData = (body) => {
+  const { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS } = body;
+
+  if (!name || typeof name !== 'string' || name.trim().length > 100) {
+    throw new AppError('Token name is required (max 100 characters)', 400);
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new AppError(
+      `At least one scope is required. Available scopes: ${API_TOKEN_SCOPES.join(', ')}`,
+      400,
+    );
+  }
+
+  const invalidScopes = scopes.filter((scope) => !API_TOKEN_SCOPES.includes(scope));
+  if (invalidScopes.length > 0) {
+    throw new AppError(`Unknown scopes: ${invalidScopes.join(', ')}`, 400);
+  }
+
+  const days = Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+    throw new AppError(
+      `expiresInDays must be a whole number between 1 and ${MAX_EXPIRY_DAYS}`,
+      400,
+    );
+  }
+
+  return {
+    name: name.trim(),
+    scopes: [...new Set(scopes)],
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString(),
+  };
+};
+
+// Helper function to load the user whose tokens an admin route works on
+const findTargetUser = async (req) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  return user;
+};
+
+// Helper function to respond with a newly created token
+const sendCreatedToken = (res, apiToken, token) => {
+  res.status(201).json({
+    status: 'success',
+    message: 'API token created. Copy it now, it will not be shown again.',
+    data: {
+      apiToken,
+      token,
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * List the current user's API tokens
+ */
+const getMyTokens = catchAsync(async (req, res, next) => {
+  const apiTokens = await ApiToken.findByUser(req.user.id);
+
+  res.json({
+    status: 'success',
+    results: apiTokens.length,
+    data: {
+      apiTokens,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Create an API token for the current user
+ */
+const createMyToken = catchAsync(async (req, res, next) => {
+  const { apiToken, token } = await ApiToken.create({
+    ...buildTokenData(req.body),
+    userId: req.user.id,
+    createdBy: req.user.id,
+  });
+
+  logger.info(
+    `API token "${apiToken.name}" created by ${req.user.email} with scopes ${apiToken.scopes.join(', ')}`,
+  );
+
+  sendCreatedToken(res, apiToken, token);
+});
+
+/**
+ * Revoke one of the current user's API tokens
+ */
+const revokeMyToken = catchAsync(async (req, res, next) => {
+  const apiToken = await ApiToken.findById(req.params.tokenId);
+
+  if (!apiToken || apiToken.userId !== req.user.id) {
+    return next(new AppError('API token not found', 404));
+  }
+
+  await apiToken.revoke();
+
+  logger.info(`API token "${apiToken.name}" revoked by ${req.user.email}`);
+
+  res.json({
+    status: 'success',
+    message: 'API token revoked',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Create a service account for integrations (admin)
+ * Service accounts have no password and can only authenticate with API tokens.
+ */
+const createServiceAccount = catchAsync(async (req, res, next) => {
+  const { name, email, role = 'instructor' } = req.body;
+
+  if (!name || !email) {
+    return next(new AppError('Name and email are required', 400));
+  }
+
+  if (!User.validateEmail(email)) {
+    return next(new AppError('Please provide a valid email address', 400));
+  }
+
+  if (!(await User.validateRole(role))) {
+    return next(new AppError('Invalid role', 400));
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+  if (await User.findByEmail(normalizedEmail)) {
+    return next(new AppError('User with this email already exists', 409));
+  }
+
+  const user = await User.create({
+    email: normalizedEmail,
+    firstName: name,
+    role,
+    isServiceAccount: true,
+    isEmailVerified: true,
+  });
+
+  logger.info(`Service account ${user.email} created by ${req.user.email}`);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Service account created',
+    data: {
+      user,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * List a user's API tokens (admin)
+ */
+const getUserTokens = catchAsync(async (req, res, next) => {
+  const user = await findTargetUser(req);
+  const apiTokens = await ApiToken.findByUser(user.id);
+
+  res.json({
+    status: 'success',
+    results: apiTokens.length,
+    data: {
+      apiTokens,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Create an API token on behalf of a service account (admin)
+ */
+const createUserToken = catchAsync(async (req, res, next) => {
+  const user = await findTargetUser(req);
+
+  if (!user.isServiceAccount) {
+    return next(new AppError('Tokens can only be created on behalf of service accounts', 400));
+  }
+
+  const { apiToken, token } = await ApiToken.create({
+    ...buildTokenData(req.body),
+    userId: user.id,
+    createdBy: req.user.id,
+  });
+
+  logger.info(`API token "${apiToken.name}" created for ${user.email} by ${req.user.email}`);
+
+  sendCreatedToken(res, apiToken, token);
+});
+
+/**
+ * Revoke any user's API token (admin)
+ */
+const revokeUserToken = catchAsync(async (req, res, next) => {
+  const apiToken = await ApiToken.findById(req.params.tokenId);
+
+  if (!apiToken || apiToken.userId !== req.params.id) {
+    return next(new AppError('API token not found', 404));
+  }
+
+  await apiToken.revoke();
+
+  logger.info(
+    `API token "${apiToken.name}" of user ${apiToken.userId} revoked by ${req.user.email}`,
+  );
+
+  res.json({
+    status: 'success',
+    message: 'API token revoked',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getMyTokens,
+  createMyToken,
+  revokeMyToken,
+  createServiceAccount,
+  getUserTokens,
+  createUserToken,
+  revokeUserToken,
+};
@@ -1,83 +1,251 @@
+const crypto = require('crypto');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { setETag, updateIfMatch } = require('../middleware/concurrency');
 const logger = require('../utils/logger');
 
-// Mock user database (replace with real database)
-const users = [
-  {
-    id: 1,
-    name: 'Demo User',
-    email: 'demo@example.com',
-    password: '$2b$12$hashed_password_here', // bcrypt hash
-    role: 'student',
-    isVerified: true,
-    createdAt: new Date().toISOString()
-  }
-];
-
-// Helper function to generate mock JWT
-const generateToken = (userId) => {
-  return `mock-jwt-token-${userId}-${Date.now()}`;
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const {
+  issueAuthTokens,
+  rotateRefreshToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  getTwoFactorRequiredRoles,
+  isTwoFactorRequired,
+} = require('../services/authService');
+const twoFactorService = require('../services/twoFactorService');
+const oidcService = require('../services/oidcService');
+const emailService = require('../services/emailService');
+const authConfig = require('../config/auth');
+const tenancyConfig = require('../config/tenancy');
+const { getTenant } = require('../database/tenantContext');
+
+// Roles a user may pick when registering themselves
+const SELF_REGISTER_ROLES = ['student', 'instructor'];
+
+// Helper function to shape user data for auth responses
+const formatUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role,
+  organizationId: user.organizationId,
+  isEmailVerified: user.isEmailVerified,
+  createdAt: user.createdAt,
+});
+
+// Helper function to create a fresh verification token and email it
+const sendVerification = async (user) => {
+  const verificationToken = user.createEmailVerificationToken(
+    authConfig.emailVerification.tokenTtl,
+  );
+  await user.update({});
+
+  try {
+    await emailService.sendVerificationEmail(user, verificationToken);
+  } catch (error) {
+    logger.error(`Failed to send verification email to ${user.email}: ${error.message}`);
+  }
 };
 
-// Helper function to find user by email
-const findUserByEmail = (email) => {
-  return users.find(user => user.email === email);
+// Helper function to build the 423 response for a locked account (after the password step)
+const accountLockedError = (user, res) => {
+  const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return new AppError(
+    `Account locked due to too many failed login attempts. Try again after ${new Date(user.lockUntil).toISOString()}.`,
+    423,
+  );
 };
 
-// Helper function to find user by ID
-const findUserById = (id) => {
-  return users.find(user => user.id === parseInt(id));
+// Helper function to tell the owner of a just-locked account
+const sendLockNotice = async (user) => {
+  try {
+    await emailService.sendAccountLockedEmail(user);
+  } catch (error) {
+    logger.error(`Failed to send account locked email to ${user.email}: ${error.message}`);
+  }
+};
+
+// Helper function to count a wrong password, locking the account at the limit
+const recordFailedLogin = async (user, req) => {
+  const { maxAttempts, lockTime } = authConfig.lockout;
+  await user.incLoginAttempts(maxAttempts, lockTime);
+
+  if (user.isLocked) {
+    logger.warn(
+      `Account locked after ${user.loginAttempts} failed logins: ${user.email} (IP ${req.ip})`,
+    );
+    await sendLockNotice(user);
+  }
+};
+
+// Helper function to finish a login: record it and hand out session tokens
+const sendLoginResponse = async (user, req, res, extraData = {}) => {
+  await user.update({ lastLogin: new Date().toISOString() });
+
+  logger.info(`User logged in: ${user.email}`);
+
+  res.json({
+    status: 'success',
+    message: 'Login successful',
+    data: {
+      user: formatUser(user),
+      ...(await issueAuthTokens(user, req)),
+      ...extraData,
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// Helper function to check a TOTP or recovery code, consuming it on success
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = twoFactorService.hashRecoveryCode(recoveryCode);
+    if (!user.twoFactorRecoveryCodes.includes(hash)) return false;
+
+    await user.update({
+      twoFactorRecoveryCodes: user.twoFactorRecoveryCodes.filter((h) => h !== hash),
+    });
+    logger.info(`Recovery code used by ${user.email} (${user.twoFactorRecoveryCodes.length} left)`);
+    return true;
+  }
+
+  const secret = twoFactorService.decryptSecret(user.twoFactorSecret);
+  const step = twoFactorService.verifyTotp(secret, code);
+
+  // A code can only be used once
+  if (
+    step === null
+    || (user.twoFactorLastUsedStep !== null && step <= user.twoFactorLastUsedStep)
+  ) {
+    return false;
+  }
+
+  await user.update({ twoFactorLastUsedStep: step });
+  return true;
+};
+
+// Helper function to check whether admins turned off password login for a user's role
+const isLocalLoginDisabled = async (user) => {
+  const disabledRoles = await Setting.get('auth.localLoginDisabledRoles', []);
+  return disabledRoles.includes(user.role);
+};
+
+// Helper function to validate an array of global role names from a policy update
+const isValidRoleList = async (roles) => {
+  if (!Array.isArray(roles)) return false;
+  const results = await Promise.all(roles.map((role) => User.validateRole(role)));
+  return results.every(Boolean);
 };
 
 /**
  * Register a new user
  */
 const register = catchAsync(async (req, res, next) => {
-  const { name, email, password, role = 'student' } = req.body;
+  const { email, password, role = 'student' } = req.body;
+  let { firstName, lastName } = req.body;
+
+  // Accept a single "name" field for older clients
+  if (!firstName && req.body.name) {
+    [firstName, ...lastName] = req.body.name.trim().split(/\s+/);
+    lastName = lastName.join(' ') || null;
+  }
 
   // Validation
-  if (!name || !email || !password) {
-    return next(new AppError('Name, email and password are required', 400));
+  if (!firstName || !email || !password) {
+    return next(new AppError('First name, email and password are required', 400));
+  }
+
+  if (!User.validateEmail(email)) {
+    return next(new AppError('Please provide a valid email address', 400));
+  }
+
+  if (!User.validatePassword(password)) {
+    return next(
+      new AppError(
+        'Password must be at least 8 characters and contain an uppercase letter, a lowercase letter and a number',
+        400,
+      ),
+    );
+  }
+
+  if (!SELF_REGISTER_ROLES.includes(role)) {
+    return next(new AppError(`Role must be one of: ${SELF_REGISTER_ROLES.join(', ')}`, 400));
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+
+  // Organizations can limit sign-up to their own email domains
+  const organization = getTenant();
+  if (organization && !organization.allowsEmail(normalizedEmail)) {
+    return next(
+      new AppError(
+        `Sign-up is limited to addresses at ${organization.settings.allowedEmailDomains.join(', ')}`,
+        403,
+      ),
+    );
   }
 
   // Check if user already exists
-  if (findUserByEmail(email)) {
+  if (await User.findByEmail(normalizedEmail)) {
     return next(new AppError('User with this email already exists', 409));
   }
 
-  // Create new user (in real app, hash password with bcrypt)
-  const newUser = {
-    id: users.length + 1,
-    name,
-    email,
-    password: `$2b$12$hashed_${password}`, // Mock hash
+  // Create new user (password is hashed by User.create)
+  const newUser = await User.create({
+    email: normalizedEmail,
+    password,
+    firstName,
+    lastName,
     role,
-    isVerified: false,
-    createdAt: new Date().toISOString()
-  };
+  });
 
-  users.push(newUser);
+  logger.info(`New user registered: ${newUser.email}`);
 
-  // Generate token
-  const token = generateToken(newUser.id);
+  const verificationPolicy = authConfig.emailVerification.policy;
+  if (verificationPolicy !== 'off') {
+    await sendVerification(newUser);
+  }
 
-  logger.info(`New user registered: ${email}`);
+  // Accounts that can't log in until verified get no tokens yet
+  if (verificationPolicy === 'block-login') {
+    return res.status(201).json({
+      status: 'success',
+      message:
+        'Registration successful. Please check your email to verify your account before logging in.',
+      data: {
+        user: formatUser(newUser),
+      },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  // Roles under the 2FA policy have to enroll before getting a session
+  if (await isTwoFactorRequired(newUser)) {
+    return res.status(201).json({
+      status: 'success',
+      message: 'Registration successful. Set up two-factor authentication to continue.',
+      data: {
+        user: formatUser(newUser),
+        twoFactorSetupRequired: true,
+        challengeToken: signChallengeToken(newUser, '2fa_setup'),
+        expiresIn: authConfig.twoFactor.challengeExpiresIn,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  }
 
   res.status(201).json({
     status: 'success',
     message: 'Registration successful',
     data: {
-      user: {
-        id: newUser.id,
-        name: newUser.name,
-        email: newUser.email,
-        role: newUser.role,
-        isVerified: newUser.isVerified
-      },
-      token,
-      expiresIn: '24h'
+      user: formatUser(newUser),
+      ...(await issueAuthTokens(newUser, req)),
     },
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
   });
 });
 
@@ -92,40 +260,373 @@ const login = catchAsync(async (req, res, next) => {
     return next(new AppError('Email and password are required', 400));
   }
 
-  // Find user
-  const user = findUserByEmail(email);
-  if (!user) {
+  // Find the account. Without an organization (subdomain or header) the email
+  // can belong to one account per organization, and the password decides: a
+  // wrong password counts against every open account, and matching several
+  // needs the organization named.
+  const accounts = (await User.findAllByEmail(email.trim().toLowerCase())).filter(
+    (account) => account.isActive,
+  );
+  const checks = await Promise.all(accounts.map((account) => account.comparePassword(password)));
+  const open = accounts.filter((account) => !account.isLocked);
+  const matches = open.filter((account) => checks[accounts.indexOf(account)]);
+
+  if (matches.length === 0) {
+    // A lock is only revealed to someone who knows the password; everyone
+    // else gets the same answer as for an unknown email
+    const locked = accounts.find((account, index) => account.isLocked && checks[index]);
+    if (locked) {
+      return next(accountLockedError(locked, res));
+    }
+
+    await Promise.all(open.map((account) => recordFailedLogin(account, req)));
     return next(new AppError('Invalid email or password', 401));
   }
 
-  // In real app, compare password with bcrypt
-  // const isValidPassword = await bcrypt.compare(password, user.password);
-  const isValidPassword = true; // Mock validation
+  if (matches.length > 1) {
+    return next(
+      new AppError(
+        `This email belongs to accounts in several organizations. Log in at your organization's address or name it in the ${tenancyConfig.header} header.`,
+        409,
+      ),
+    );
+  }
 
-  if (!isValidPassword) {
-    return next(new AppError('Invalid email or password', 401));
+  const [user] = matches;
+
+  if (user.loginAttempts > 0 || user.lockUntil) {
+    await user.resetLoginAttempts();
+  }
+
+  if (await isLocalLoginDisabled(user)) {
+    return next(
+      new AppError(
+        'Password login is disabled for your account. Please sign in with single sign-on.',
+        403,
+      ),
+    );
+  }
+
+  if (authConfig.emailVerification.policy === 'block-login' && !user.isEmailVerified) {
+    return next(new AppError('Please verify your email before logging in.', 403));
+  }
+
+  // Second step: enter a code, or enroll first when the role requires 2FA
+  if (user.twoFactorEnabled) {
+    return res.json({
+      status: 'success',
+      message: 'Two-factor authentication required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user, '2fa_login'),
+        expiresIn: authConfig.twoFactor.challengeExpiresIn,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  if (await isTwoFactorRequired(user)) {
+    return res.json({
+      status: 'success',
+      message: 'Two-factor authentication must be set up before you can log in',
+      data: {
+        twoFactorSetupRequired: true,
+        challengeToken: signChallengeToken(user, '2fa_setup'),
+        expiresIn: authConfig.twoFactor.challengeExpiresIn,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  await sendLoginResponse(user, req, res);
+});
+
+/**
+ * Complete a login with a TOTP or recovery code
+ */
+const verifyTwoFactorLogin = catchAsync(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return next(new AppError('Challenge token and a code or recovery code are required', 400));
   }
 
-  // Generate token
-  const token = generateToken(user.id);
+  const user = await verifyChallengeToken(challengeToken, '2fa_login');
 
-  logger.info(`User logged in: ${email}`);
+  if (user.isLocked) {
+    return next(accountLockedError(user, res));
+  }
+
+  if (!user.twoFactorEnabled || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+    // Wrong codes count towards the same lockout as wrong passwords
+    const { maxAttempts, lockTime } = authConfig.lockout;
+    await user.incLoginAttempts(maxAttempts, lockTime);
+
+    if (user.isLocked) {
+      await sendLockNotice(user);
+      return next(accountLockedError(user, res));
+    }
+    return next(new AppError('Invalid authentication code', 401));
+  }
+
+  if (user.loginAttempts > 0) {
+    await user.resetLoginAttempts();
+  }
+
+  await sendLoginResponse(user, req, res);
+});
+
+/**
+ * Start 2FA enrollment: generate a secret for the authenticator app
+ */
+const setupTwoFactor = catchAsync(async (req, res, next) => {
+  const { user } = req;
+
+  if (user.twoFactorEnabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  const secret = twoFactorService.generateSecret();
+  await user.update({ twoFactorPendingSecret: twoFactorService.encryptSecret(secret) });
 
   res.json({
     status: 'success',
-    message: 'Login successful',
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
     data: {
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        isVerified: user.isVerified
-      },
-      token,
-      expiresIn: '24h'
+      secret,
+      otpauthUri: twoFactorService.buildOtpauthUri(secret, user.email),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Finish 2FA enrollment by confirming a code from the new secret
+ */
+const enableTwoFactor = catchAsync(async (req, res, next) => {
+  const { user } = req;
+  const { code } = req.body;
+
+  if (!user.twoFactorPendingSecret) {
+    return next(new AppError('Start two-factor setup first', 400));
+  }
+
+  const secret = twoFactorService.decryptSecret(user.twoFactorPendingSecret);
+  const step = twoFactorService.verifyTotp(secret, code);
+  if (step === null) {
+    return next(new AppError('Invalid authentication code', 400));
+  }
+
+  const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+  await user.update({
+    twoFactorEnabled: true,
+    twoFactorSecret: user.twoFactorPendingSecret,
+    twoFactorPendingSecret: null,
+    twoFactorRecoveryCodes: hashes,
+    twoFactorLastUsedStep: step,
+  });
+
+  logger.info(`Two-factor authentication enabled for: ${user.email}`);
+
+  // Enrolling from the login setup challenge completes that login
+  if (req.twoFactorSetupChallenge) {
+    return sendLoginResponse(user, req, res, { recoveryCodes: codes });
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+    data: {
+      recoveryCodes: codes,
     },
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Turn off 2FA (requires password and a current code)
+ */
+const disableTwoFactor = catchAsync(async (req, res, next) => {
+  const { user } = req;
+  const { password, code, recoveryCode } = req.body;
+
+  if (!user.twoFactorEnabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (await isTwoFactorRequired(user)) {
+    return next(new AppError('Two-factor authentication is required for your role', 403));
+  }
+
+  if (!password || !(await user.comparePassword(password))) {
+    return next(new AppError('Your password is incorrect', 401));
+  }
+
+  if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+    return next(new AppError('Invalid authentication code', 401));
+  }
+
+  await user.update({
+    twoFactorEnabled: false,
+    twoFactorSecret: null,
+    twoFactorRecoveryCodes: [],
+    twoFactorLastUsedStep: null,
+  });
+
+  logger.info(`Two-factor authentication disabled for: ${user.email}`);
+
+  res.json({
+    status: 'success',
+    message: 'Two-factor authentication disabled',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Replace all recovery codes (requires a current code)
+ */
+const regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const { user } = req;
+
+  if (!user.twoFactorEnabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+    return next(new AppError('Invalid authentication code', 401));
+  }
+
+  const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+  await user.update({ twoFactorRecoveryCodes: hashes });
+
+  res.json({
+    status: 'success',
+    message: 'New recovery codes generated. Previous codes no longer work.',
+    data: {
+      recoveryCodes: codes,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get the roles required to use 2FA (admin)
+ */
+const getTwoFactorPolicy = catchAsync(async (req, res, next) => {
+  res.json({
+    status: 'success',
+    data: {
+      requiredRoles: await getTwoFactorRequiredRoles(),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Set the roles required to use 2FA (admin)
+ */
+const updateTwoFactorPolicy = catchAsync(async (req, res, next) => {
+  const { requiredRoles } = req.body;
+
+  if (!(await isValidRoleList(requiredRoles))) {
+    return next(new AppError('requiredRoles must be an array of valid roles', 400));
+  }
+
+  const roles = [...new Set(requiredRoles)];
+  await Setting.set('twoFactor.requiredRoles', roles, req.user.id);
+
+  logger.info(
+    `2FA policy updated by ${req.user.email}: required for ${roles.join(', ') || 'no roles'}`,
+  );
+
+  res.json({
+    status: 'success',
+    message: 'Two-factor policy updated',
+    data: {
+      requiredRoles: roles,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Start single sign-on: redirect to the identity provider
+ */
+const oidcLogin = catchAsync(async (req, res, next) => {
+  const loginHint = typeof req.query.login_hint === 'string' ? req.query.login_hint : undefined;
+  res.redirect(302, await oidcService.createAuthorizationUrl({ loginHint }));
+});
+
+/**
+ * Single sign-on callback: verify the provider's response and log the user in
+ * 2FA is left to the identity provider for SSO logins.
+ */
+const oidcCallback = catchAsync(async (req, res, next) => {
+  const {
+    code, state, error, error_description: errorDescription,
+  } = req.query;
+
+  if (error) {
+    return next(new AppError(`Sign-in was not completed: ${errorDescription || error}`, 401));
+  }
+
+  const claims = await oidcService.handleCallback({ code, state });
+  const user = await oidcService.findOrProvisionUser(claims);
+
+  if (!user.isActive) {
+    return next(new AppError('Your account has been deactivated', 403));
+  }
+
+  await sendLoginResponse(user, req, res);
+});
+
+/**
+ * Get the local (password) login policy (admin)
+ */
+const getLoginPolicy = catchAsync(async (req, res, next) => {
+  res.json({
+    status: 'success',
+    data: {
+      localLoginDisabledRoles: await Setting.get('auth.localLoginDisabledRoles', []),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Set which roles may not log in with a password (admin)
+ */
+const updateLoginPolicy = catchAsync(async (req, res, next) => {
+  const { localLoginDisabledRoles } = req.body;
+
+  if (!(await isValidRoleList(localLoginDisabledRoles))) {
+    return next(new AppError('localLoginDisabledRoles must be an array of valid roles', 400));
+  }
+
+  // Don't let admins lock themselves out
+  if (localLoginDisabledRoles.includes(req.user.role) && !req.user.oidcSubject) {
+    return next(
+      new AppError(
+        'Link your account to single sign-on before disabling password login for your own role',
+        400,
+      ),
+    );
+  }
+
+  const roles = [...new Set(localLoginDisabledRoles)];
+  await Setting.set('auth.localLoginDisabledRoles', roles, req.user.id);
+
+  logger.info(
+    `Login policy updated by ${req.user.email}: password login disabled for ${roles.join(', ') || 'no roles'}`,
+  );
+
+  res.json({
+    status: 'success',
+    message: 'Login policy updated',
+    data: {
+      localLoginDisabledRoles: roles,
+    },
+    timestamp: new Date().toISOString(),
   });
 });
 
@@ -133,12 +634,27 @@ const login = catchAsync(async (req, res, next) => {
  * Logout user
  */
 const logout = catchAsync(async (req, res, next) => {
-  // In real app, invalidate token or add to blacklist
-  
+  const { refreshToken } = req.body;
+
+  // Revoke the session the access token belongs to
+  if (req.authSession) {
+    await req.authSession.revoke('logout');
+  }
+
+  // Also accept the refresh token, for clients holding a token without a session claim
+  if (refreshToken) {
+    const { session } = await Session.findByRefreshToken(refreshToken);
+    if (session && session.userId === req.user.id) {
+      await session.revoke('logout');
+    }
+  }
+
+  logger.info(`User logged out: ${req.user.email}`);
+
   res.json({
     status: 'success',
     message: 'Logout successful',
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
   });
 });
 
@@ -152,23 +668,25 @@ const forgotPassword = catchAsync(async (req, res, next) => {
     return next(new AppError('Email is required', 400));
   }
 
-  const user = findUserByEmail(email);
-  if (!user) {
-    return next(new AppError('No user found with this email', 404));
+  // Same response whether or not the account exists, so emails can't be probed
+  const user = await User.findByEmail(email.trim().toLowerCase());
+  if (user && user.isActive && !(await isLocalLoginDisabled(user))) {
+    const resetToken = user.createPasswordResetToken();
+    await user.update({});
+
+    try {
+      await emailService.sendPasswordResetEmail(user, resetToken);
+      logger.info(`Password reset requested for: ${user.email}`);
+    } catch (error) {
+      await user.update({ passwordResetToken: null, passwordResetExpires: null });
+      logger.error(`Failed to send password reset email to ${user.email}: ${error.message}`);
+    }
   }
 
-  // In real app, generate reset token and send email
-  const resetToken = `reset-token-${Date.now()}`;
-
-  logger.info(`Password reset requested for: ${email}`);
-
   res.json({
     status: 'success',
-    message: 'Password reset link sent to your email',
-    data: {
-      resetToken // Remove this in production
-    },
-    timestamp: new Date().toISOString()
+    message: 'If an account exists for this email, a password reset link has been sent',
+    timestamp: new Date().toISOString(),
   });
 });
 
@@ -176,20 +694,51 @@ const forgotPassword = catchAsync(async (req, res, next) => {
  * Reset password
  */
 const resetPassword = catchAsync(async (req, res, next) => {
-  const { token } = req.params;
-  const { password } = req.body;
+  const token = req.params.token || req.body.token;
+  const password = req.body.password || req.body.newPassword;
 
-  if (!password) {
-    return next(new AppError('New password is required', 400));
+  if (!token || !password) {
+    return next(new AppError('Reset token and new password are required', 400));
   }
 
-  // In real app, verify reset token and update password
-  logger.info(`Password reset completed for token: ${token}`);
+  // Only the hash of the token is stored
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  const user = await User.findOne({ passwordResetToken: hashedToken });
+
+  if (!user || !user.passwordResetExpires || user.passwordResetExpires < Date.now()) {
+    return next(new AppError('Password reset token is invalid or has expired', 400));
+  }
+
+  if (!User.validatePassword(password)) {
+    return next(
+      new AppError(
+        'Password must be at least 8 characters and contain an uppercase letter, a lowercase letter and a number',
+        400,
+      ),
+    );
+  }
+
+  // hashPassword also bumps passwordChangedAt, which invalidates issued access tokens
+  user.password = password;
+  await user.hashPassword();
+  // Proving control of the mailbox also lifts a lockout and verifies the address
+  // (invited accounts, see services/rosterService.js, start out unverified)
+  await user.update({
+    passwordResetToken: null,
+    passwordResetExpires: null,
+    isEmailVerified: true,
+    loginAttempts: 0,
+    lockUntil: null,
+  });
+
+  const revoked = await Session.revokeAllForUser(user.id, 'password_reset');
+
+  logger.info(`Password reset completed for: ${user.email} (${revoked} sessions revoked)`);
 
   res.json({
     status: 'success',
-    message: 'Password reset successful',
-    timestamp: new Date().toISOString()
+    message: 'Password reset successful. Please log in with your new password.',
+    timestamp: new Date().toISOString(),
   });
 });
 
@@ -198,24 +747,39 @@ const resetPassword = catchAsync(async (req, res, next) => {
  */
 const changePassword = catchAsync(async (req, res, next) => {
   const { currentPassword, newPassword } = req.body;
-  const userId = req.user.id;
+  const { user } = req;
 
   if (!currentPassword || !newPassword) {
     return next(new AppError('Current password and new password are required', 400));
   }
 
-  const user = findUserById(userId);
-  if (!user) {
-    return next(new AppError('User not found', 404));
+  if (!(await user.comparePassword(currentPassword))) {
+    return next(new AppError('Your current password is incorrect', 401));
+  }
+
+  if (!User.validatePassword(newPassword)) {
+    return next(
+      new AppError(
+        'Password must be at least 8 characters and contain an uppercase letter, a lowercase letter and a number',
+        400,
+      ),
+    );
   }
 
-  // In real app, verify current password and update
+  user.password = newPassword;
+  await user.hashPassword();
+  await user.update({});
+
+  // Log out every device, then start a fresh session for this one
+  await Session.revokeAllForUser(user.id, 'password_changed');
+
   logger.info(`Password changed for user: ${user.email}`);
 
   res.json({
     status: 'success',
     message: 'Password changed successfully',
-    timestamp: new Date().toISOString()
+    data: await issueAuthTokens(user, req),
+    timestamp: new Date().toISOString(),
   });
 });
 
@@ -225,13 +789,25 @@ const changePassword = catchAsync(async (req, res, next) => {
 const verifyEmail = catchAsync(async (req, res, next) => {
   const { token } = req.params;
 
-  // In real app, verify email token
-  logger.info(`Email verification attempted with token: ${token}`);
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  const user = await User.findOne({ emailVerificationToken: hashedToken });
+
+  if (!user || !user.emailVerificationExpires || user.emailVerificationExpires < Date.now()) {
+    return next(new AppError('Email verification link is invalid or has expired', 400));
+  }
+
+  await user.update({
+    isEmailVerified: true,
+    emailVerificationToken: null,
+    emailVerificationExpires: null,
+  });
+
+  logger.info(`Email verified for: ${user.email}`);
 
   res.json({
     status: 'success',
     message: 'Email verified successfully',
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
   });
 });
 
@@ -239,20 +815,44 @@ const verifyEmail = catchAsync(async (req, res, next) => {
  * Resend email verification
  */
 const resendEmailVerification = catchAsync(async (req, res, next) => {
-  const userId = req.user.id;
-  const user = findUserById(userId);
-
+  // Logged-in users resend for themselves; blocked users can't log in, so also accept an email
+  let { user } = req;
   if (!user) {
-    return next(new AppError('User not found', 404));
+    if (!req.body.email) {
+      return next(new AppError('Email is required', 400));
+    }
+    user = await User.findByEmail(req.body.email.trim().toLowerCase());
   }
 
-  // In real app, send verification email
-  logger.info(`Email verification resent for: ${user.email}`);
+  if (user && user.isActive && !user.isEmailVerified) {
+    const { resendInterval } = authConfig.emailVerification;
+    const nextAllowedAt = (user.emailVerificationSentAt || 0) + resendInterval;
+
+    if (nextAllowedAt > Date.now()) {
+      // Only tell logged-in users about the throttle; anonymous callers get the generic answer
+      if (req.user) {
+        res.set('Retry-After', String(Math.ceil((nextAllowedAt - Date.now()) / 1000)));
+        return next(
+          new AppError(
+            'A verification email was sent recently. Please wait before requesting another.',
+            429,
+          ),
+        );
+      }
+    } else {
+      await sendVerification(user);
+      logger.info(`Email verification resent for: ${user.email}`);
+    }
+  } else if (req.user && req.user.isEmailVerified) {
+    return next(new AppError('Your email is already verified', 400));
+  }
 
   res.json({
     status: 'success',
-    message: 'Verification email sent',
-    timestamp: new Date().toISOString()
+    message: req.user
+      ? 'Verification email sent'
+      : 'If an unverified account exists for this email, a verification link has been sent',
+    timestamp: new Date().toISOString(),
   });
 });
 
@@ -260,17 +860,60 @@ const resendEmailVerification = catchAsync(async (req, res, next) => {
  * Refresh token
  */
 const refreshToken = catchAsync(async (req, res, next) => {
-  const userId = req.user.id;
-  const newToken = generateToken(userId);
+  const { refreshToken: token } = req.body;
+
+  if (!token) {
+    return next(new AppError('Refresh token is required', 400));
+  }
+
+  const { tokens } = await rotateRefreshToken(token, req);
 
   res.json({
     status: 'success',
     message: 'Token refreshed successfully',
+    data: tokens,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * List the current user's active sessions (logged-in devices)
+ */
+const getSessions = catchAsync(async (req, res, next) => {
+  const sessions = await Session.findActiveByUser(req.user.id);
+  const currentId = req.authSession ? req.authSession.id : null;
+
+  res.json({
+    status: 'success',
+    results: sessions.length,
     data: {
-      token: newToken,
-      expiresIn: '24h'
+      sessions: sessions.map((session) => ({
+        ...session.toJSON(),
+        current: session.id === currentId,
+      })),
     },
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Revoke one of the current user's sessions
+ */
+const revokeSession = catchAsync(async (req, res, next) => {
+  const session = await Session.findById(req.params.id);
+
+  if (!session || session.userId !== req.user.id || !session.isActive) {
+    return next(new AppError('Session not found', 404));
+  }
+
+  await session.revoke('revoked_by_user');
+
+  logger.info(`Session ${session.id} revoked by user: ${req.user.email}`);
+
+  res.json({
+    status: 'success',
+    message: 'Session revoked',
+    timestamp: new Date().toISOString(),
   });
 });
 
@@ -278,39 +921,42 @@ const refreshToken = catchAsync(async (req, res, next) => {
  * Get current user
  */
 const getMe = catchAsync(async (req, res, next) => {
-  const user = req.user;
-
+  setETag(res, req.user);
   res.json({
     status: 'success',
     data: {
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        isVerified: user.isVerified,
-        createdAt: user.createdAt
-      }
+      user: formatUser(req.user),
+      // Lets the client show a "viewing as" banner
+      impersonatedBy: req.impersonator
+        ? { id: req.impersonator.id, email: req.impersonator.email }
+        : undefined,
     },
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
   });
 });
 
 /**
  * Update current user
+ * Requires If-Match with the ETag from GET /profile (412 if the profile changed since)
  */
 const updateMe = catchAsync(async (req, res, next) => {
-  const { name, email } = req.body;
-  const userId = req.user.id;
-
-  const user = findUserById(userId);
-  if (!user) {
-    return next(new AppError('User not found', 404));
-  }
-
-  // Update user (in real app, update database)
-  if (name) user.name = name;
-  if (email) user.email = email;
+  const {
+    firstName, lastName, bio, phone, profileImage,
+  } = req.body;
+  const { user } = req;
+
+  // Email and role changes go through dedicated flows
+  const updates = {};
+  if (firstName) updates.firstName = firstName;
+  if (lastName !== undefined) updates.lastName = lastName;
+  if (bio !== undefined) updates.bio = bio;
+  if (phone !== undefined) updates.phone = phone;
+  if (profileImage !== undefined) updates.profileImage = profileImage;
+
+  const updated = await updateIfMatch(req, res, user, updates, (current) => ({
+    user: formatUser(current),
+  }));
+  if (!updated) return;
 
   logger.info(`User profile updated: ${user.email}`);
 
@@ -318,15 +964,9 @@ const updateMe = catchAsync(async (req, res, next) => {
     status: 'success',
     message: 'Profile updated successfully',
     data: {
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        isVerified: user.isVerified
-      }
+      user: formatUser(user),
     },
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
   });
 });
 
@@ -340,15 +980,15 @@ const checkEmail = catchAsync(async (req, res, next) => {
     return next(new AppError('Email is required', 400));
   }
 
-  const exists = !!findUserByEmail(email);
+  const exists = !!(await User.findByEmail(email.trim().toLowerCase()));
 
   res.json({
     status: 'success',
     data: {
       exists,
-      email
+      email,
     },
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
   });
 });
 
@@ -356,13 +996,26 @@ module.exports = {
   register,
   login,
   logout,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  oidcLogin,
+  oidcCallback,
+  getLoginPolicy,
+  updateLoginPolicy,
   forgotPassword,
   resetPassword,
   changePassword,
   verifyEmail,
   resendEmailVerification,
   refreshToken,
+  getSessions,
+  revokeSession,
   getMe,
   updateMe,
-  checkEmail
-};
\ No newline at end of file
+  checkEmail,
+};
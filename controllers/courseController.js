@@ -0,0 +1,555 @@
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { setETag, updateIfMatch } = require('../middleware/concurrency');
+const Course = require('../models/Course');
+const CourseRevision = require('../models/CourseRevision');
+const User = require('../models/User');
+const { hasPermission, hasCoursePermission } = require('../services/permissionService');
+const catalogService = require('../services/catalogService');
+const offeringService = require('../services/offeringService');
+const { isValidTimezone } = require('../utils/dates');
+const logger = require('../utils/logger');
+
+// Fields instructors may change through PUT/PATCH; publishing has its own flow
+const EDITABLE_FIELDS = [
+  'title',
+  'code',
+  'description',
+  'shortDescription',
+  'category',
+  'subcategory',
+  'difficulty',
+  'duration',
+  'language',
+  'price',
+  'currency',
+  'thumbnail',
+  'previewVideo',
+  'tags',
+  'prerequisites',
+  'learningObjectives',
+  'targetAudience',
+  'maxEnrollments',
+  'allowDiscussions',
+  'allowDownloads',
+  'startDate',
+  'endDate',
+  'timezone',
+  'enrollmentOpensAt',
+  'enrollmentClosesAt',
+  'offeringName',
+];
+
+// Fields that set up a new offering; the rest is cloned from the master course
+const OFFERING_FIELDS = [
+  'offeringName',
+  'startDate',
+  'code',
+  'endDate',
+  'timezone',
+  'maxEnrollments',
+  'enrollmentOpensAt',
+  'enrollmentClosesAt',
+];
+
+// Date fields, which may also be null to clear them
+const DATE_FIELDS = ['startDate', 'endDate', 'enrollmentOpensAt', 'enrollmentClosesAt'];
+
+// Course staff (instructors, teaching assistants, admins) see every field
+const isCourseStaff = (user, course) => hasCoursePermission(user, course, 'course.view_unpublished');
+
+// Unpublished courses are only visible to the people who work on them
+const canViewCourse = (user, course) => {
+  if (course.isPublished) return true;
+  return isCourseStaff(user, course);
+};
+
+// Check the fields of a new or updated course; returns the first problem found
+const validateCourseFields = (fields) => {
+  if (fields.title !== undefined && !Course.validateTitle(fields.title)) {
+    return 'Title must be between 3 and 200 characters';
+  }
+  if (fields.description !== undefined && !Course.validateDescription(fields.description)) {
+    return 'Description must be between 10 and 5000 characters';
+  }
+  if (fields.difficulty !== undefined && !Course.validateDifficulty(fields.difficulty)) {
+    return 'Difficulty must be beginner, intermediate or advanced';
+  }
+  if (fields.price !== undefined && !Course.validatePrice(fields.price)) {
+    return 'Price must be a non-negative number';
+  }
+  if (fields.code !== undefined && fields.code !== null && !Course.validateCode(fields.code)) {
+    return 'Code must be 1-32 letters, digits, dots, dashes or underscores';
+  }
+  const badDate = DATE_FIELDS.find((field) => {
+    const value = fields[field];
+    return value !== undefined && value !== null && !Course.validateDate(value);
+  });
+  if (badDate) {
+    return `${badDate} must be an ISO 8601 date`;
+  }
+  if (fields.timezone !== undefined && !isValidTimezone(fields.timezone)) {
+    return 'Timezone must be an IANA time zone such as Europe/Berlin';
+  }
+  return null;
+};
+
+// Copy the editable fields present in a request body
+const pickEditableFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (fields.code) fields.code = Course.normalizeCode(fields.code);
+  return fields;
+};
+
+/**
+ * Search the catalogue of published courses
+ * ?q= is matched against titles, codes, tags and descriptions, with stemming
+ * and typo tolerance. Facet filters (?category=, ?difficulty=, ?language=,
+ * ?price=, ?duration=) take comma-separated values; ?tag= and ?minRating=
+ * narrow further. ?sort=relevance|rating|popular|newest|title|price; pages of
+ * ?limit= results continue from ?cursor=<nextCursor>.
+ */
+const getCourses = catchAsync(async (req, res, next) => {
+  const {
+    total, results, facets, nextCursor,
+  } = await catalogService.searchCatalog(req.query);
+
+  res.json({
+    status: 'success',
+    results: results.length,
+    data: {
+      total,
+      courses: results.map(({ course }) => course.getPublicInfo()),
+      facets,
+      nextCursor,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get featured courses
+ */
+const getFeaturedCourses = catchAsync(async (req, res, next) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+  const courses = await Course.getFeatured(limit);
+
+  res.json({
+    status: 'success',
+    results: courses.length,
+    data: {
+      courses: courses.map((course) => course.getPublicInfo()),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get the most enrolled courses
+ */
+const getPopularCourses = catchAsync(async (req, res, next) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+  const courses = await Course.getPopular(limit);
+
+  res.json({
+    status: 'success',
+    results: courses.length,
+    data: {
+      courses: courses.map((course) => course.getPublicInfo()),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get the courses the current user teaches, drafts and archived ones included
+ */
+const getTeachingCourses = catchAsync(async (req, res, next) => {
+  const courses = await Course.getByInstructor(req.user.id);
+
+  res.json({
+    status: 'success',
+    results: courses.length,
+    data: {
+      courses,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get a course by ID
+ * Course staff get the whole course; everyone else only sees published
+ * courses and their public fields. The ETag header carries the version to
+ * send back in If-Match when updating.
+ */
+const getCourse = catchAsync(async (req, res, next) => {
+  const course = await Course.findById(req.params.id);
+
+  if (!course || !(await canViewCourse(req.user, course))) {
+    return next(new AppError('Course not found', 404));
+  }
+
+  setETag(res, course);
+  res.json({
+    status: 'success',
+    data: {
+      course: (await isCourseStaff(req.user, course)) ? course : course.getPublicInfo(),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Create a course (instructors and admins)
+ * The creator teaches it unless an admin names another instructorId. New
+ * courses are drafts; publish them with POST /api/courses/:id/publish.
+ */
+const createCourse = catchAsync(async (req, res, next) => {
+  const { instructorId } = req.body;
+  const fields = pickEditableFields(req.body);
+
+  if (fields.title === undefined || fields.description === undefined) {
+    return next(new AppError('Please provide a title and description', 400));
+  }
+  const problem = validateCourseFields(req.body);
+  if (problem) {
+    return next(new AppError(problem, 400));
+  }
+
+  let instructor = req.user;
+  if (instructorId && instructorId !== req.user.id) {
+    if (!(await hasPermission(req.user, 'course.edit_any'))) {
+      return next(new AppError('Only admins can create courses for another instructor', 403));
+    }
+    instructor = await User.findById(instructorId);
+    if (!instructor || !(await hasPermission(instructor, 'course.edit'))) {
+      return next(new AppError('The instructor was not found or cannot teach courses', 400));
+    }
+  }
+
+  const course = await Course.create(
+    { ...fields, instructorId: instructor.id },
+    { authorId: req.user.id },
+  );
+
+  logger.info(`Course "${course.title}" created by ${req.user.email}`);
+
+  setETag(res, course);
+  res.status(201).json({
+    status: 'success',
+    message: 'Course created successfully',
+    data: {
+      course,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Update a course (its instructor or admin)
+ * Requires If-Match; responds 412 with the current course if it changed since it was read.
+ */
+const updateCourse = catchAsync(async (req, res, next) => {
+  const course = req.course || (await Course.findById(req.params.id));
+
+  if (!course) {
+    return next(new AppError('Course not found', 404));
+  }
+
+  const problem = validateCourseFields(req.body);
+  if (problem) {
+    return next(new AppError(problem, 400));
+  }
+  const updates = pickEditableFields(req.body);
+
+  if (
+    !(await updateIfMatch(req, res, course, updates, (current) => ({ course: current }), {
+      authorId: req.user.id,
+    }))
+  ) return;
+
+  logger.info(`Course "${course.title}" updated by ${req.user.email}`);
+
+  res.json({
+    status: 'success',
+    message: 'Course updated successfully',
+    data: {
+      course,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Course the staff endpoints work on (set by authorizeCourseInstructorOrAdmin)
+const findCourse = async (req) => {
+  const course = req.course || (await Course.findById(req.params.id));
+  if (!course) {
+    throw new AppError('Course not found', 404);
+  }
+  return course;
+};
+
+// Load one of a course's revisions by its number
+const findRevision = async (courseId, number) => {
+  const revision = await CourseRevision.findByCourseAndRevision(courseId, parseInt(number, 10));
+  if (!revision) {
+    throw new AppError(`Revision ${number} not found`, 404);
+  }
+  return revision;
+};
+
+/**
+ * List a course's revisions, newest first (course staff)
+ */
+const getRevisions = catchAsync(async (req, res, next) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const course = await findCourse(req);
+  const revisions = await CourseRevision.findByCourse(course.id, { limit, offset });
+
+  res.json({
+    status: 'success',
+    results: revisions.length,
+    data: {
+      revisions: revisions.map((revision) => revision.toSummary()),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get one revision with the full snapshot (course staff)
+ */
+const getRevision = catchAsync(async (req, res, next) => {
+  const course = await findCourse(req);
+  const revision = await findRevision(course.id, req.params.revision);
+
+  res.json({
+    status: 'success',
+    data: {
+      revision,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Field-level diff between two revisions (course staff)
+ * ?from=<revision>&to=<revision>; `to` defaults to the latest revision.
+ */
+const getRevisionDiff = catchAsync(async (req, res, next) => {
+  if (!req.query.from) {
+    return next(new AppError('Give the revision to compare from, e.g. ?from=3&to=7', 400));
+  }
+
+  const course = await findCourse(req);
+  const from = await findRevision(course.id, req.query.from);
+  const [to] = req.query.to
+    ? [await findRevision(course.id, req.query.to)]
+    : await CourseRevision.findByCourse(course.id, { limit: 1 });
+
+  res.json({
+    status: 'success',
+    data: {
+      from: from.revision,
+      to: to.revision,
+      changes: CourseRevision.diff(from.snapshot, to.snapshot),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Bring a course's content back to an earlier revision (its instructor or admin)
+ * Publication state and the teaching team are left alone. The revert is itself
+ * recorded as a new revision. Requires If-Match like any other course update.
+ */
+const revertToRevision = catchAsync(async (req, res, next) => {
+  const course = await findCourse(req);
+  const revision = await findRevision(course.id, req.params.revision);
+
+  const updated = await updateIfMatch(
+    req,
+    res,
+    course,
+    revision.getRevertUpdates(),
+    (current) => ({ course: current }),
+    {
+      authorId: req.user.id,
+      action: 'revert',
+      revertedFrom: revision.revision,
+    },
+  );
+  if (!updated) return;
+
+  logger.info(
+    `Course "${course.title}" reverted to revision ${revision.revision} by ${req.user.email}`,
+  );
+
+  res.json({
+    status: 'success',
+    message: `Course reverted to revision ${revision.revision}`,
+    data: {
+      course,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Publication changes and the course statuses each may start from
+const STATUS_CHANGES = {
+  publish: { from: ['draft', 'archived'], done: 'published' },
+  unpublish: { from: ['published'], done: 'unpublished' },
+  archive: { from: ['draft', 'published'], done: 'archived' },
+};
+
+// Handler for one publication change (its instructor or admin)
+const changeStatus = (action) => catchAsync(async (req, res, next) => {
+  const course = await findCourse(req);
+  const { from, done } = STATUS_CHANGES[action];
+
+  if (!from.includes(course.status)) {
+    return next(new AppError(`This course is ${course.status} and cannot be ${done}`, 409));
+  }
+
+  await course[action](req.user.id);
+
+  logger.info(`Course "${course.title}" ${done} by ${req.user.email}`);
+
+  setETag(res, course);
+  res.json({
+    status: 'success',
+    message: `Course ${done}`,
+    data: {
+      course,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Publish a draft or archived course
+ */
+const publishCourse = changeStatus('publish');
+
+/**
+ * Take a published course back to draft
+ */
+const unpublishCourse = changeStatus('unpublish');
+
+/**
+ * Archive a course; it leaves the catalogue but keeps its enrollments
+ */
+const archiveCourse = changeStatus('archive');
+
+/**
+ * Delete a course (its instructor or admin)
+ * The course goes to the trash and can be restored until it is purged.
+ */
+const deleteCourse = catchAsync(async (req, res, next) => {
+  const course = req.course || (await Course.findById(req.params.id));
+
+  if (!course) {
+    return next(new AppError('Course not found', 404));
+  }
+
+  await course.softDelete(req.user.id);
+
+  logger.info(`Course "${course.title}" moved to the trash (by ${req.user.email})`);
+
+  res.json({
+    status: 'success',
+    message: 'Course deleted. An admin can restore it from the trash until it is purged.',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * List a course's offerings, earliest start first
+ * Everyone sees the published ones; the master's staff see drafts too.
+ */
+const getOfferings = catchAsync(async (req, res, next) => {
+  const master = await Course.findById(req.params.id);
+  if (!master || !(await canViewCourse(req.user, master))) {
+    return next(new AppError('Course not found', 404));
+  }
+
+  const isStaff = await isCourseStaff(req.user, master);
+  const offerings = await Course.getOfferings(master.id, { publishedOnly: !isStaff });
+
+  res.json({
+    status: 'success',
+    results: offerings.length,
+    data: {
+      offerings: isStaff ? offerings : offerings.map((offering) => offering.getPublicInfo()),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Clone a course into a new dated offering (its teaching team or admin)
+ * Body: { offeringName, startDate } and optionally { code, endDate, timezone,
+ * maxEnrollments, enrollmentOpensAt, enrollmentClosesAt }. Lessons and
+ * assignments are copied and every date moves with the start date; the
+ * offering starts as a draft.
+ */
+const createOffering = catchAsync(async (req, res, next) => {
+  const master = await findCourse(req);
+  const settings = {};
+  OFFERING_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) settings[field] = req.body[field];
+  });
+
+  if (!settings.offeringName || typeof settings.offeringName !== 'string' || !settings.startDate) {
+    return next(new AppError('Please provide an offeringName and startDate', 400));
+  }
+  const problem = validateCourseFields(settings);
+  if (problem) {
+    return next(new AppError(problem, 400));
+  }
+
+  const { course, lessons, assignments } = await offeringService.createOffering(
+    master,
+    req.user,
+    settings,
+  );
+
+  logger.info(
+    `Offering "${course.offeringName}" of course "${master.title}" created by ${req.user.email}`,
+  );
+
+  setETag(res, course);
+  res.status(201).json({
+    status: 'success',
+    message: 'Offering created',
+    data: {
+      course,
+      copied: { lessons, assignments },
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getCourses,
+  getFeaturedCourses,
+  getPopularCourses,
+  getTeachingCourses,
+  getCourse,
+  createCourse,
+  updateCourse,
+  publishCourse,
+  unpublishCourse,
+  archiveCourse,
+  getRevisions,
+  getRevision,
+  getRevisionDiff,
+  revertToRevision,
+  deleteCourse,
+  getOfferings,
+  createOffering,
+};
@@ -0,0 +1,95 @@
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const User = require('../models/User');
+const enrollmentService = require('../services/enrollmentService');
+const { hasPermission, hasCoursePermission } = require('../services/permissionService');
+const logger = require('../utils/logger');
+
+/**
+ * Enroll in a course
+ * Learners enroll themselves; users with enrollment.manage on the course can
+ * enroll someone else by passing userId, even before the course opens.
+ */
+const enrollInCourse = catchAsync(async (req, res, next) => {
+  const course = await Course.findById(req.params.courseId);
+  const userId = req.body.userId || req.user.id;
+  const enrollsOther = userId !== req.user.id;
+
+  if (!course) {
+    return next(new AppError('Course not found', 404));
+  }
+
+  if (enrollsOther) {
+    if (!(await hasCoursePermission(req.user, course, 'enrollment.manage'))) {
+      return next(
+        new AppError('You do not have permission to enroll other users in this course', 403),
+      );
+    }
+
+    const learner = await User.findById(userId);
+    if (!learner || !learner.isActive) {
+      return next(new AppError('User not found', 404));
+    }
+  } else {
+    if (!course.isPublished) {
+      return next(new AppError('Course not found', 404));
+    }
+
+    if (!(await hasPermission(req.user, 'course.enroll'))) {
+      return next(new AppError('You do not have permission to enroll in courses', 403));
+    }
+  }
+
+  const { enrollment } = await enrollmentService.enroll(userId, course.id, {
+    ignoreSchedule: enrollsOther,
+  });
+
+  logger.info(`User ${userId} enrolled in course "${course.title}" (by ${req.user.email})`);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Enrolled successfully',
+    data: {
+      enrollment,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Unenroll from a course (the learner, or a user with enrollment.manage on the course)
+ * The enrollment is kept as 'dropped' and the seat is freed.
+ */
+const unenroll = catchAsync(async (req, res, next) => {
+  const enrollment = await Enrollment.findById(req.params.id);
+
+  if (!enrollment || enrollment.status === 'dropped') {
+    return next(new AppError('Enrollment not found', 404));
+  }
+
+  if (enrollment.userId !== req.user.id) {
+    const course = await Course.findById(enrollment.courseId, { withDeleted: true });
+    if (!(await hasCoursePermission(req.user, course, 'enrollment.manage'))) {
+      return next(new AppError('Enrollment not found', 404));
+    }
+  }
+
+  const { enrollment: dropped } = await enrollmentService.unenroll(enrollment.id);
+
+  logger.info(`Enrollment ${dropped.id} dropped (by ${req.user.email})`);
+
+  res.json({
+    status: 'success',
+    message: 'Unenrolled successfully',
+    data: {
+      enrollment: dropped,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  enrollInCourse,
+  unenroll,
+};
@@ -0,0 +1,107 @@
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { setETag, updateIfMatch } = require('../middleware/concurrency');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Lesson = require('../models/Lesson');
+const { hasCoursePermission } = require('../services/permissionService');
+const logger = require('../utils/logger');
+
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'type',
+  'content',
+  'videoUrl',
+  'duration',
+  'order',
+  'resources',
+  'isPublished',
+  'isPreview',
+];
+
+// Load a lesson together with its (not deleted) course
+const findLessonWithCourse = async (id) => {
+  const lesson = await Lesson.findById(id);
+  const course = lesson ? await Course.findById(lesson.courseId) : null;
+  return { lesson, course };
+};
+
+// Published preview lessons are open to all; other published lessons need an
+// active enrollment; course staff see everything
+const canViewLesson = async (user, lesson, course) => {
+  if (lesson.isPublished && course.isPublished) {
+    if (lesson.isPreview) return true;
+    if (user) {
+      const enrollment = await Enrollment.findByUserAndCourse(user.id, course.id);
+      if (enrollment && enrollment.isActive) return true;
+    }
+  }
+  return hasCoursePermission(user, course, 'course.view_unpublished');
+};
+
+/**
+ * Get a lesson by ID
+ * The ETag header carries the version to send back in If-Match when updating.
+ */
+const getLesson = catchAsync(async (req, res, next) => {
+  const { lesson, course } = await findLessonWithCourse(req.params.id);
+
+  if (!lesson || !course || !(await canViewLesson(req.user, lesson, course))) {
+    return next(new AppError('Lesson not found', 404));
+  }
+
+  setETag(res, lesson);
+  res.json({
+    status: 'success',
+    data: {
+      lesson,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Update a lesson (course staff with lesson.manage)
+ * Requires If-Match; responds 412 with the current lesson if it changed since it was read.
+ */
+const updateLesson = catchAsync(async (req, res, next) => {
+  const { lesson, course } = await findLessonWithCourse(req.params.id);
+
+  if (!lesson || !course) {
+    return next(new AppError('Lesson not found', 404));
+  }
+
+  if (!(await hasCoursePermission(req.user, course, 'lesson.manage'))) {
+    return next(new AppError('You do not have permission to edit lessons of this course', 403));
+  }
+
+  const updates = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  if (updates.title !== undefined && !Lesson.validateTitle(updates.title)) {
+    return next(new AppError('Title must be between 3 and 200 characters', 400));
+  }
+  if (updates.type !== undefined && !Lesson.validateType(updates.type)) {
+    return next(new AppError('Type must be video, text, quiz or assignment', 400));
+  }
+
+  if (!(await updateIfMatch(req, res, lesson, updates, (current) => ({ lesson: current })))) return;
+
+  logger.info(`Lesson "${lesson.title}" updated by ${req.user.email}`);
+
+  res.json({
+    status: 'success',
+    message: 'Lesson updated successfully',
+    data: {
+      lesson,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getLesson,
+  updateLesson,
+};
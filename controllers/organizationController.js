@@ -0,0 +1,249 @@
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const Organization = require('../models/Organization');
+const AuditLog = require('../models/AuditLog');
+const { getTenant } = require('../database/tenantContext');
+const logger = require('../utils/logger');
+
+// Helper function to validate a settings update; returns an error message or null
+const validateSettings = (settings) => {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'Settings must be an object';
+  }
+
+  const { brandingName, allowedEmailDomains, defaultLanguage } = settings;
+  const unknown = Object.keys(settings).filter(
+    (key) => !['brandingName', 'allowedEmailDomains', 'defaultLanguage'].includes(key),
+  );
+
+  if (unknown.length > 0) {
+    return `Unknown settings: ${unknown.join(', ')}`;
+  }
+  if (
+    brandingName !== undefined
+    && brandingName !== null
+    && (typeof brandingName !== 'string' || brandingName.trim().length > 100)
+  ) {
+    return 'Branding name must be a string of at most 100 characters';
+  }
+  if (
+    allowedEmailDomains !== undefined
+    && !Organization.validateEmailDomains(allowedEmailDomains)
+  ) {
+    return 'Allowed email domains must be a list of lowercase domain names, e.g. ["school.edu"]';
+  }
+  if (defaultLanguage !== undefined && !Organization.validateLanguage(defaultLanguage)) {
+    return 'Default language must be a language code such as "en" or "pt-BR"';
+  }
+  return null;
+};
+
+// Helper function to validate name and slug; returns an error message or null
+const validateIdentity = ({ name, slug }) => {
+  if (
+    name !== undefined
+    && (typeof name !== 'string' || !name.trim() || name.trim().length > 100)
+  ) {
+    return 'Name must be 1-100 characters';
+  }
+  if (slug !== undefined && !Organization.validateSlug(slug)) {
+    return 'Slug must be 1-63 lowercase letters, numbers or hyphens (used as the subdomain)';
+  }
+  return null;
+};
+
+// Helper function to check whether another organization already uses a slug
+const isSlugTaken = async (slug, organization = null) => {
+  const existing = await Organization.findBySlug(slug);
+  return !!existing && (!organization || existing.id !== organization.id);
+};
+
+/**
+ * Get the current organization's public profile (name, branding, language)
+ */
+const getCurrentOrganization = catchAsync(async (req, res, next) => {
+  const organization = getTenant();
+
+  if (!organization) {
+    return next(new AppError('No organization selected', 404));
+  }
+
+  res.json({
+    status: 'success',
+    data: {
+      organization: organization.getPublicProfile(),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Change the current organization's settings (organization admin)
+ */
+const updateCurrentSettings = catchAsync(async (req, res, next) => {
+  const error = validateSettings(req.body);
+  if (error) {
+    return next(new AppError(error, 400));
+  }
+
+  const organization = await Organization.findById(getTenant().id);
+  await organization.update({ settings: req.body });
+
+  await AuditLog.record(req, 'organization.settings', {
+    actorId: req.user.id,
+    statusCode: 200,
+    details: { organizationId: organization.id, settings: req.body },
+  });
+
+  logger.info(`Settings of organization ${organization.slug} changed by ${req.user.email}`);
+
+  res.json({
+    status: 'success',
+    message: 'Organization settings updated',
+    data: {
+      organization,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * List organizations (platform admin)
+ */
+const getOrganizations = catchAsync(async (req, res, next) => {
+  const query = req.query.isActive !== undefined ? { isActive: req.query.isActive === 'true' } : {};
+  const organizations = await Organization.find(query);
+
+  res.json({
+    status: 'success',
+    results: organizations.length,
+    data: {
+      organizations,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get an organization (platform admin)
+ */
+const getOrganization = catchAsync(async (req, res, next) => {
+  const organization = await Organization.findById(req.params.id);
+
+  if (!organization) {
+    return next(new AppError('Organization not found', 404));
+  }
+
+  res.json({
+    status: 'success',
+    data: {
+      organization,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Create an organization (platform admin)
+ */
+const createOrganization = catchAsync(async (req, res, next) => {
+  const { name, slug, settings = {} } = req.body;
+
+  if (name === undefined || slug === undefined) {
+    return next(new AppError('Name and slug are required', 400));
+  }
+
+  const identityError = validateIdentity({ name, slug });
+  if (identityError) {
+    return next(new AppError(identityError, 400));
+  }
+
+  if (await isSlugTaken(slug)) {
+    return next(new AppError('An organization with this slug already exists', 409));
+  }
+
+  const settingsError = validateSettings(settings);
+  if (settingsError) {
+    return next(new AppError(settingsError, 400));
+  }
+
+  const organization = await Organization.create({
+    name: name.trim(),
+    slug,
+    settings,
+    createdBy: req.user.id,
+  });
+
+  logger.info(`Organization ${organization.slug} created by ${req.user.email}`);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Organization created',
+    data: {
+      organization,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Rename, re-slug, (de)activate or reconfigure an organization (platform admin)
+ * Deactivated organizations cannot be reached and their users cannot sign in.
+ */
+const updateOrganization = catchAsync(async (req, res, next) => {
+  const {
+    name, slug, isActive, settings,
+  } = req.body;
+  const organization = await Organization.findById(req.params.id);
+
+  if (!organization) {
+    return next(new AppError('Organization not found', 404));
+  }
+
+  const identityError = validateIdentity({ name, slug });
+  if (identityError) {
+    return next(new AppError(identityError, 400));
+  }
+
+  if (slug !== undefined && (await isSlugTaken(slug, organization))) {
+    return next(new AppError('An organization with this slug already exists', 409));
+  }
+
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return next(new AppError('isActive must be true or false', 400));
+  }
+
+  if (settings !== undefined) {
+    const settingsError = validateSettings(settings);
+    if (settingsError) {
+      return next(new AppError(settingsError, 400));
+    }
+  }
+
+  const updates = {};
+  if (name !== undefined) updates.name = name.trim();
+  if (slug !== undefined) updates.slug = slug;
+  if (isActive !== undefined) updates.isActive = isActive;
+  if (settings !== undefined) updates.settings = settings;
+
+  await organization.update(updates);
+
+  logger.info(`Organization ${organization.slug} updated by ${req.user.email}`);
+
+  res.json({
+    status: 'success',
+    message: 'Organization updated',
+    data: {
+      organization,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getCurrentOrganization,
+  updateCurrentSettings,
+  getOrganizations,
+  getOrganization,
+  createOrganization,
+  updateOrganization,
+};
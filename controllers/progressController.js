@@ -0,0 +1,39 @@
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const progressService = require('../services/progressService');
+const logger = require('../utils/logger');
+
+/**
+ * Mark a lesson completed (learners enrolled in its course)
+ * Responds with the lesson's progress and the enrollment, whose progress is
+ * the share of the course's published lessons completed so far.
+ */
+const completeLesson = catchAsync(async (req, res, next) => {
+  const lesson = await Lesson.findById(req.params.id);
+  const course = lesson ? await Course.findById(lesson.courseId) : null;
+
+  if (!lesson || !course || !lesson.isPublished || !course.isPublished) {
+    return next(new AppError('Lesson not found', 404));
+  }
+
+  const { progress, enrollment } = await progressService.completeLesson(req.user.id, lesson);
+
+  logger.info(
+    `${req.user.email} completed lesson "${lesson.title}" of course "${course.title}" (${enrollment.progress}%)`,
+  );
+
+  res.json({
+    status: 'success',
+    message: 'Lesson completed',
+    data: {
+      progress,
+      enrollment,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  completeLesson,
+};
@@ -0,0 +1,368 @@
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const AuditLog = require('../models/AuditLog');
+const Course = require('../models/Course');
+const Review = require('../models/Review');
+const reviewService = require('../services/reviewService');
+const { hasPermission, hasCoursePermission } = require('../services/permissionService');
+const logger = require('../utils/logger');
+
+// Orders a course's reviews can be listed in
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  helpful: { helpfulCount: -1 },
+  highest: { rating: -1 },
+  lowest: { rating: 1 },
+};
+
+// Load the course a review request is about; unpublished courses only exist for their staff
+const findCourse = async (req) => {
+  const course = await Course.findById(req.params.courseId);
+  if (
+    !course
+    || (!course.isPublished
+      && !(await hasCoursePermission(req.user, course, 'course.view_unpublished')))
+  ) {
+    throw new AppError('Course not found', 404);
+  }
+  return course;
+};
+
+// Load a review; hidden reviews only exist for their author and moderators
+const findReview = async (req) => {
+  const review = await Review.findById(req.params.id);
+  if (
+    !review
+    || (!review.isPublished
+      && review.userId !== req.user.id
+      && !(await hasPermission(req.user, 'review.moderate')))
+  ) {
+    throw new AppError('Review not found', 404);
+  }
+  return review;
+};
+
+// Check the rating and comment of a new or edited review; returns the first problem found
+const validateReviewFields = ({ rating, comment }, { partial = false } = {}) => {
+  if ((rating !== undefined || !partial) && !Review.validateRating(rating)) {
+    return 'Rating must be a whole number of stars from 1 to 5';
+  }
+  if (comment !== undefined && !Review.validateComment(comment)) {
+    return 'Comment must be text of at most 5000 characters';
+  }
+  return null;
+};
+
+/**
+ * List a course's published reviews with the rating summary
+ * ?sort=newest|helpful|highest|lowest; ?limit= and ?offset= page through them.
+ * Signed-in users also get their own review (even if hidden) as myReview.
+ */
+const getCourseReviews = catchAsync(async (req, res, next) => {
+  const course = await findCourse(req);
+  const sort = req.query.sort || 'newest';
+  if (!REVIEW_SORTS[sort]) {
+    return next(new AppError(`Sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}`, 400));
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const [reviews, distribution, myReview] = await Promise.all([
+    Review.find(
+      { courseId: course.id, status: 'published' },
+      { sort: REVIEW_SORTS[sort], limit, offset },
+    ),
+    reviewService.getRatingDistribution(course.id),
+    req.user ? Review.findByUserAndCourse(req.user.id, course.id) : null,
+  ]);
+
+  res.json({
+    status: 'success',
+    results: reviews.length,
+    data: {
+      summary: {
+        rating: course.rating,
+        reviewCount: course.reviewCount,
+        distribution,
+      },
+      reviews,
+      myReview,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Review a course (enrolled learners past the minimum progress, once per course)
+ */
+const createReview = catchAsync(async (req, res, next) => {
+  const course = await findCourse(req);
+  const { rating, comment } = req.body;
+
+  const problem = validateReviewFields({ rating, comment });
+  if (problem) {
+    return next(new AppError(problem, 400));
+  }
+
+  const review = await reviewService.createReview(req.user, course, { rating, comment });
+
+  logger.info(`${req.user.email} reviewed course "${course.title}" (${rating} stars)`);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Review posted',
+    data: {
+      review,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Edit your review's rating or comment
+ */
+const updateReview = catchAsync(async (req, res, next) => {
+  const review = await findReview(req);
+  if (review.userId !== req.user.id) {
+    return next(new AppError('You can only edit your own review', 403));
+  }
+
+  const { rating, comment } = req.body;
+  const problem = validateReviewFields({ rating, comment }, { partial: true });
+  if (problem) {
+    return next(new AppError(problem, 400));
+  }
+
+  const updated = await reviewService.updateReview(review.id, { rating, comment });
+
+  res.json({
+    status: 'success',
+    message: 'Review updated',
+    data: {
+      review: updated,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Delete a review (its author or a moderator)
+ */
+const deleteReview = catchAsync(async (req, res, next) => {
+  const review = await findReview(req);
+  const isModerator = review.userId !== req.user.id;
+  if (isModerator && !(await hasPermission(req.user, 'review.moderate'))) {
+    return next(new AppError('You can only delete your own review', 403));
+  }
+
+  await reviewService.deleteReview(review.id);
+
+  if (isModerator) {
+    await AuditLog.record(req, 'review.delete', {
+      actorId: req.user.id,
+      userId: review.userId,
+      statusCode: 200,
+      details: { reviewId: review.id, courseId: review.courseId, rating: review.rating },
+    });
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Review deleted',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Reply to a review on behalf of the course (its instructors), or change the reply
+ */
+const replyToReview = catchAsync(async (req, res, next) => {
+  const review = await findReview(req);
+  const course = await Course.findById(review.courseId);
+  if (!course || !(await hasCoursePermission(req.user, course, 'course.edit'))) {
+    return next(new AppError("Only the course's instructors can reply to its reviews", 403));
+  }
+
+  const { text } = req.body;
+  if (typeof text !== 'string' || !text.trim() || text.length > 5000) {
+    return next(new AppError('Reply text must be between 1 and 5000 characters', 400));
+  }
+
+  const updated = await reviewService.setReply(review.id, req.user, text);
+
+  res.json({
+    status: 'success',
+    message: 'Reply saved',
+    data: {
+      review: updated,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Remove the reply to a review (the course's instructors)
+ */
+const deleteReply = catchAsync(async (req, res, next) => {
+  const review = await findReview(req);
+  const course = await Course.findById(review.courseId);
+  if (!course || !(await hasCoursePermission(req.user, course, 'course.edit'))) {
+    return next(new AppError("Only the course's instructors can reply to its reviews", 403));
+  }
+
+  const updated = await reviewService.setReply(review.id, req.user, null);
+
+  res.json({
+    status: 'success',
+    message: 'Reply removed',
+    data: {
+      review: updated,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Vote a review helpful (POST) or take the vote back (DELETE)
+ */
+const voteHelpful = catchAsync(async (req, res, next) => {
+  const review = await findReview(req);
+  const updated = await reviewService.voteHelpful(review.id, req.user, req.method === 'POST');
+
+  res.json({
+    status: 'success',
+    data: {
+      helpfulCount: updated.helpfulCount,
+      voted: updated.helpfulVoterIds.includes(req.user.id),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Flag a review for moderation, with a reason
+ */
+const flagReview = catchAsync(async (req, res, next) => {
+  const review = await findReview(req);
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason || reason.length > 500) {
+    return next(new AppError('Please give a reason of at most 500 characters', 400));
+  }
+
+  await reviewService.flagReview(review.id, req.user, reason);
+
+  res.json({
+    status: 'success',
+    message: 'Thanks, a moderator will look at this review',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Reviews with open flags, most flagged first (moderators)
+ */
+const getFlaggedReviews = catchAsync(async (req, res, next) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const reviews = await Review.find(
+    { flagCount: { $gt: 0 } },
+    { sort: { flagCount: -1 }, limit, offset },
+  );
+
+  res.json({
+    status: 'success',
+    results: reviews.length,
+    data: {
+      reviews: reviews.map((review) => review.toModerationJSON()),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Hide, restore or keep a review and close its flags (moderators)
+ * Body: { action: 'hide' | 'restore' | 'dismiss', note }
+ */
+const moderateReview = catchAsync(async (req, res, next) => {
+  const { action, note = null } = req.body;
+  if (!reviewService.MODERATION_ACTIONS[action]) {
+    return next(
+      new AppError(
+        `Action must be one of: ${Object.keys(reviewService.MODERATION_ACTIONS).join(', ')}`,
+        400,
+      ),
+    );
+  }
+
+  const review = await findReview(req);
+  const updated = await reviewService.moderateReview(review.id, req.user, action, note);
+
+  await AuditLog.record(req, `review.${action}`, {
+    actorId: req.user.id,
+    userId: review.userId,
+    statusCode: 200,
+    details: { reviewId: review.id, courseId: review.courseId, note },
+  });
+
+  logger.info(`Review ${review.id} moderated (${action}) by ${req.user.email}`);
+
+  res.json({
+    status: 'success',
+    message: 'Review moderated',
+    data: {
+      review: updated.toModerationJSON(),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get the progress learners need before they can review a course (admin)
+ */
+const getReviewSettings = catchAsync(async (req, res, next) => {
+  res.json({
+    status: 'success',
+    data: {
+      minProgress: await reviewService.getMinProgress(),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Set the progress learners need before they can review a course (admin)
+ */
+const updateReviewSettings = catchAsync(async (req, res, next) => {
+  const { minProgress } = req.body;
+
+  if (!Number.isInteger(minProgress) || minProgress < 0 || minProgress > 100) {
+    return next(new AppError('minProgress must be a whole percentage between 0 and 100', 400));
+  }
+
+  await reviewService.setMinProgress(minProgress, req.user.id);
+
+  logger.info(`Review minimum progress set to ${minProgress}% by ${req.user.email}`);
+
+  res.json({
+    status: 'success',
+    message: 'Review settings updated',
+    data: {
+      minProgress,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getCourseReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  replyToReview,
+  deleteReply,
+  voteHelpful,
+  flagReview,
+  getFlaggedReviews,
+  moderateReview,
+  getReviewSettings,
+  updateReviewSettings,
+};
@@ -0,0 +1,283 @@
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const Role = require('../models/Role');
+const RoleAssignment = require('../models/RoleAssignment');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const { PERMISSIONS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * List the permission catalogue
+ */
+const getPermissions = catchAsync(async (req, res, next) => {
+  res.json({
+    status: 'success',
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+        name,
+        description,
+      })),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * List roles
+ */
+const getRoles = catchAsync(async (req, res, next) => {
+  const query = req.query.scope ? { scope: req.query.scope } : {};
+  const roles = await Role.find(query);
+
+  res.json({
+    status: 'success',
+    results: roles.length,
+    data: {
+      roles,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get a role
+ */
+const getRole = catchAsync(async (req, res, next) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    return next(new AppError('Role not found', 404));
+  }
+
+  res.json({
+    status: 'success',
+    data: {
+      role,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Create a custom role
+ */
+const createRole = catchAsync(async (req, res, next) => {
+  const {
+    name, description, scope = 'global', permissions = [],
+  } = req.body;
+
+  if (!Role.validateName(name)) {
+    return next(
+      new AppError(
+        'Role name must be 3-50 lowercase letters, numbers or underscores, starting with a letter',
+        400,
+      ),
+    );
+  }
+
+  if (!['global', 'course'].includes(scope)) {
+    return next(new AppError("Scope must be 'global' or 'course'", 400));
+  }
+
+  if (!Role.validatePermissions(permissions)) {
+    return next(new AppError('Unknown permissions. See GET /api/roles/permissions', 400));
+  }
+
+  if (await Role.findByName(name)) {
+    return next(new AppError('A role with this name already exists', 409));
+  }
+
+  const role = await Role.create({
+    name,
+    description,
+    scope,
+    permissions: [...new Set(permissions)],
+    createdBy: req.user.id,
+  });
+
+  logger.info(`Role ${role.name} created by ${req.user.email}`);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Role created',
+    data: {
+      role,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Update a role's description or permissions
+ */
+const updateRole = catchAsync(async (req, res, next) => {
+  const { description, permissions } = req.body;
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    return next(new AppError('Role not found', 404));
+  }
+
+  if (role.isSystem && role.name === 'admin') {
+    return next(
+      new AppError('The admin role always has every permission and cannot be edited', 400),
+    );
+  }
+
+  const updates = {};
+  if (description !== undefined) updates.description = description;
+  if (permissions !== undefined) {
+    if (!Role.validatePermissions(permissions)) {
+      return next(new AppError('Unknown permissions. See GET /api/roles/permissions', 400));
+    }
+    updates.permissions = [...new Set(permissions)];
+  }
+
+  await role.update(updates);
+
+  logger.info(`Role ${role.name} updated by ${req.user.email}`);
+
+  res.json({
+    status: 'success',
+    message: 'Role updated',
+    data: {
+      role,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Delete a custom role that is no longer in use
+ */
+const deleteRole = catchAsync(async (req, res, next) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    return next(new AppError('Role not found', 404));
+  }
+
+  if (role.isSystem) {
+    return next(new AppError('Built-in roles cannot be deleted', 400));
+  }
+
+  const [users, assignments] = await Promise.all([
+    User.find({ role: role.name }),
+    RoleAssignment.find({ role: role.name }),
+  ]);
+  if (users.length > 0 || assignments.length > 0) {
+    return next(new AppError('Role is still assigned to users. Reassign them first.', 409));
+  }
+
+  await Role.deleteById(role.id);
+
+  logger.info(`Role ${role.name} deleted by ${req.user.email}`);
+
+  res.json({
+    status: 'success',
+    message: 'Role deleted',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * List course role assignments, filtered by courseId and/or userId
+ */
+const getAssignments = catchAsync(async (req, res, next) => {
+  const query = {};
+  if (req.query.courseId) query.courseId = req.query.courseId;
+  if (req.query.userId) query.userId = req.query.userId;
+
+  const assignments = await RoleAssignment.find(query);
+
+  res.json({
+    status: 'success',
+    results: assignments.length,
+    data: {
+      assignments,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Give a user a course-scoped role in one course
+ */
+const createAssignment = catchAsync(async (req, res, next) => {
+  const { userId, courseId, role: roleName } = req.body;
+
+  if (!userId || !courseId || !roleName) {
+    return next(new AppError('userId, courseId and role are required', 400));
+  }
+
+  const [user, course, role] = await Promise.all([
+    User.findById(userId),
+    Course.findById(courseId),
+    Role.findByName(roleName),
+  ]);
+
+  if (!user) return next(new AppError('User not found', 404));
+  if (!course) return next(new AppError('Course not found', 404));
+  if (!role || role.scope !== 'course') {
+    return next(new AppError('Role must be an existing course-scoped role', 400));
+  }
+
+  if (await RoleAssignment.findOne({ userId, courseId, role: roleName })) {
+    return next(new AppError('User already has this role in the course', 409));
+  }
+
+  const assignment = await RoleAssignment.create({
+    userId,
+    courseId,
+    role: roleName,
+    assignedBy: req.user.id,
+  });
+
+  logger.info(
+    `${user.email} given course role ${roleName} in course ${courseId} by ${req.user.email}`,
+  );
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Role assigned',
+    data: {
+      assignment,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Remove a course role assignment
+ */
+const deleteAssignment = catchAsync(async (req, res, next) => {
+  const assignment = await RoleAssignment.findById(req.params.id);
+
+  if (!assignment) {
+    return next(new AppError('Role assignment not found', 404));
+  }
+
+  await RoleAssignment.deleteById(assignment.id);
+
+  logger.info(
+    `Course role ${assignment.role} of user ${assignment.userId} in course ${assignment.courseId} removed by ${req.user.email}`,
+  );
+
+  res.json({
+    status: 'success',
+    message: 'Role assignment removed',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getPermissions,
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+  getAssignments,
+  createAssignment,
+  deleteAssignment,
+};
@@ -0,0 +1,255 @@
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const AuditLog = require('../models/AuditLog');
+const Course = require('../models/Course');
+const CourseInvitation = require('../models/CourseInvitation');
+const User = require('../models/User');
+const teamService = require('../services/teamService');
+const logger = require('../utils/logger');
+
+// Load the course whose team is changed; only its owner and admins manage the team
+const findManagedCourse = async (req) => {
+  const course = await Course.findById(req.params.id);
+  if (!course) {
+    throw new AppError('Course not found', 404);
+  }
+  if (!(await teamService.canManageTeam(req.user, course))) {
+    throw new AppError("Only the course's owner or an admin can manage its teaching team", 403);
+  }
+  return course;
+};
+
+const validateTeamRole = (role) => (CourseInvitation.validateRole(role)
+  ? null
+  : `Role must be one of: ${CourseInvitation.TEAM_ROLES.join(', ')}`);
+
+/**
+ * List a course's teaching team (team members and admins)
+ * The owner and admins also get the invitations that are still open.
+ */
+const getTeam = catchAsync(async (req, res, next) => {
+  const { course } = req;
+  const canManage = await teamService.canManageTeam(req.user, course);
+  const [members, invitations] = await Promise.all([
+    teamService.getTeam(course),
+    canManage ? CourseInvitation.findOpen({ courseId: course.id }) : null,
+  ]);
+
+  res.json({
+    status: 'success',
+    results: members.length,
+    data: {
+      members,
+      invitations,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Invite someone by email to join the teaching team
+ * Body: { email, role: 'co_instructor' | 'teaching_assistant' }
+ */
+const inviteTeamMember = catchAsync(async (req, res, next) => {
+  const course = await findManagedCourse(req);
+  const { role } = req.body;
+  const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : req.body.email;
+
+  if (!User.validateEmail(email)) {
+    return next(new AppError('Please provide a valid email address', 400));
+  }
+  const problem = validateTeamRole(role);
+  if (problem) {
+    return next(new AppError(problem, 400));
+  }
+
+  const { invitation, emailSent } = await teamService.inviteMember(course, req.user, {
+    email,
+    role,
+  });
+
+  logger.info(
+    `${invitation.email} invited to course "${course.title}" as ${role} by ${req.user.email}`,
+  );
+
+  res.status(201).json({
+    status: 'success',
+    message: emailSent ? 'Invitation sent' : 'Invitation created, but the email could not be sent',
+    data: {
+      invitation,
+      emailSent,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Withdraw an open invitation
+ */
+const revokeInvitation = catchAsync(async (req, res, next) => {
+  const course = await findManagedCourse(req);
+  const invitation = await teamService.revokeInvitation(course.id, req.params.invitationId);
+
+  res.json({
+    status: 'success',
+    message: 'Invitation revoked',
+    data: {
+      invitation,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Move a team member to another team role
+ * Body: { role: 'co_instructor' | 'teaching_assistant' }
+ */
+const updateTeamMember = catchAsync(async (req, res, next) => {
+  const course = await findManagedCourse(req);
+  const problem = validateTeamRole(req.body.role);
+  if (problem) {
+    return next(new AppError(problem, 400));
+  }
+
+  const updated = await teamService.changeMemberRole(
+    course.id,
+    req.params.userId,
+    req.body.role,
+    req.user,
+  );
+
+  logger.info(
+    `User ${req.params.userId} made ${req.body.role} of course "${course.title}" by ${req.user.email}`,
+  );
+
+  res.json({
+    status: 'success',
+    message: 'Team member updated',
+    data: {
+      members: await teamService.getTeam(updated),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Take someone off the teaching team; members can also remove themselves
+ */
+const removeTeamMember = catchAsync(async (req, res, next) => {
+  const leaving = req.params.userId === req.user.id;
+  const course = leaving ? await Course.findById(req.params.id) : await findManagedCourse(req);
+  if (!course) {
+    return next(new AppError('Course not found', 404));
+  }
+
+  const updated = await teamService.removeMember(course.id, req.params.userId, req.user);
+
+  logger.info(
+    leaving
+      ? `${req.user.email} left the teaching team of course "${course.title}"`
+      : `User ${req.params.userId} removed from the teaching team of course "${course.title}" by ${req.user.email}`,
+  );
+
+  res.json({
+    status: 'success',
+    message: leaving ? 'You have left the teaching team' : 'Team member removed',
+    data: {
+      members: await teamService.getTeam(updated),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Hand the course over to one of its co-instructors, who becomes its owner
+ * Body: { userId }
+ */
+const transferOwnership = catchAsync(async (req, res, next) => {
+  const course = await findManagedCourse(req);
+  const { userId } = req.body;
+  if (!userId) {
+    return next(new AppError('userId of the new owner is required', 400));
+  }
+
+  const { course: updated, previousOwnerId } = await teamService.transferOwnership(
+    course.id,
+    userId,
+    req.user,
+  );
+
+  await AuditLog.record(req, 'course.transfer', {
+    actorId: req.user.id,
+    userId,
+    statusCode: 200,
+    details: { courseId: course.id, from: previousOwnerId, to: userId },
+  });
+
+  logger.info(
+    `Course "${course.title}" transferred from ${previousOwnerId} to ${userId} by ${req.user.email}`,
+  );
+
+  res.json({
+    status: 'success',
+    message: 'Course transferred',
+    data: {
+      course: updated,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Invitations to teaching teams waiting for the current user's answer
+ */
+const getMyInvitations = catchAsync(async (req, res, next) => {
+  const invitations = await CourseInvitation.findOpen({ email: req.user.email });
+  const courses = await Promise.all(
+    invitations.map((invitation) => Course.findById(invitation.courseId)),
+  );
+
+  res.json({
+    status: 'success',
+    results: invitations.length,
+    data: {
+      invitations: invitations
+        .map((invitation, index) => ({
+          ...invitation.toJSON(),
+          course: courses[index] && courses[index].getPublicInfo(),
+        }))
+        .filter((invitation) => invitation.course),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Accept or decline an invitation sent to the current user
+const respondToInvitation = (accept) => catchAsync(async (req, res, next) => {
+  const invitation = await teamService.respondToInvitation(req.params.id, req.user, accept);
+
+  logger.info(
+    `${req.user.email} ${invitation.status} the invitation to course ${invitation.courseId}`,
+  );
+
+  res.json({
+    status: 'success',
+    message: accept ? 'You have joined the teaching team' : 'Invitation declined',
+    data: {
+      invitation,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+const acceptInvitation = respondToInvitation(true);
+const declineInvitation = respondToInvitation(false);
+
+module.exports = {
+  getTeam,
+  inviteTeamMember,
+  revokeInvitation,
+  updateTeamMember,
+  removeTeamMember,
+  transferOwnership,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+};
@@ -0,0 +1,123 @@
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const AuditLog = require('../models/AuditLog');
+const trashService = require('../services/trashService');
+const logger = require('../utils/logger');
+
+/**
+ * List deleted users or courses (admin)
+ */
+const getTrash = catchAsync(async (req, res, next) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const { total, retentionDays, items } = await trashService.listTrash(req.params.type, {
+    limit,
+    offset,
+  });
+
+  res.json({
+    status: 'success',
+    results: items.length,
+    data: {
+      total,
+      retentionDays,
+      items,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Restore a deleted user or course (admin)
+ */
+const restoreItem = catchAsync(async (req, res, next) => {
+  const { type, id } = req.params;
+  await trashService.restoreItem(type, id);
+
+  await AuditLog.record(req, 'trash.restore', {
+    actorId: req.user.id,
+    userId: type === 'users' ? id : null,
+    statusCode: 200,
+    details: { type, id },
+  });
+
+  logger.info(`Restored ${type} ${id} from the trash (by ${req.user.email})`);
+
+  res.json({
+    status: 'success',
+    message: 'Restored from the trash',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Permanently delete a trashed user or course now, with its dependent data (admin)
+ */
+const purgeItem = catchAsync(async (req, res, next) => {
+  const { type, id } = req.params;
+  const removed = await trashService.purgeItem(type, id);
+
+  await AuditLog.record(req, 'trash.purge', {
+    actorId: req.user.id,
+    userId: type === 'users' ? id : null,
+    statusCode: 200,
+    details: { type, id, removed },
+  });
+
+  logger.warn(`Purged ${type} ${id} from the trash (by ${req.user.email})`);
+
+  res.json({
+    status: 'success',
+    message: 'Permanently deleted',
+    data: {
+      removed,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get how long items stay in the trash (admin)
+ */
+const getRetention = catchAsync(async (req, res, next) => {
+  res.json({
+    status: 'success',
+    data: {
+      retentionDays: await trashService.getRetentionDays(),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Set how long items stay in the trash before they are purged (admin)
+ */
+const updateRetention = catchAsync(async (req, res, next) => {
+  const { retentionDays } = req.body;
+
+  if (!Number.isInteger(retentionDays) || retentionDays < 1 || retentionDays > 3650) {
+    return next(
+      new AppError('retentionDays must be a whole number of days between 1 and 3650', 400),
+    );
+  }
+
+  await trashService.setRetentionDays(retentionDays, req.user.id);
+
+  logger.info(`Trash retention set to ${retentionDays} days by ${req.user.email}`);
+
+  res.json({
+    status: 'success',
+    message: 'Trash retention updated',
+    data: {
+      retentionDays,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getTrash,
+  restoreItem,
+  purgeItem,
+  getRetention,
+  updateRetention,
+};
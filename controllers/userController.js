@@ -0,0 +1,282 @@
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { issueImpersonationToken } = require('../services/authService');
+const { hasPermission } = require('../services/permissionService');
+const rosterService = require('../services/rosterService');
+const logger = require('../utils/logger');
+
+/**
+ * List accounts currently locked after failed logins (admin)
+ */
+const getLockedUsers = catchAsync(async (req, res, next) => {
+  const users = await User.find({ lockUntil: { $gt: Date.now() } });
+
+  res.json({
+    status: 'success',
+    results: users.length,
+    data: {
+      users: users.map((user) => ({
+        ...user.getPublicProfile(),
+        email: user.email,
+        loginAttempts: user.loginAttempts,
+        lockUntil: new Date(user.lockUntil).toISOString(),
+      })),
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Unlock a locked account (admin)
+ */
+const unlockUser = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  await user.resetLoginAttempts();
+
+  logger.info(`Account unlocked: ${user.email} (by ${req.user.email})`);
+
+  res.json({
+    status: 'success',
+    message: 'Account unlocked',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Change a user's global role (admin)
+ */
+const updateUserRole = catchAsync(async (req, res, next) => {
+  const { role } = req.body;
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (!role || !(await User.validateRole(role))) {
+    return next(new AppError('Role must be an existing global role', 400));
+  }
+
+  if (user.id === req.user.id) {
+    return next(new AppError('You cannot change your own role', 400));
+  }
+
+  // Platform admins live outside organizations, organization admins inside one
+  if (role === 'admin' && user.organizationId) {
+    return next(
+      new AppError(
+        'Members of an organization cannot be platform admins; use the org_admin role',
+        400,
+      ),
+    );
+  }
+  if (role === 'org_admin' && !user.organizationId) {
+    return next(new AppError('Only members of an organization can be organization admins', 400));
+  }
+
+  const previousRole = user.role;
+  await user.update({ role });
+
+  logger.info(
+    `Role of ${user.email} changed from ${previousRole} to ${role} (by ${req.user.email})`,
+  );
+
+  res.json({
+    status: 'success',
+    message: 'Role updated',
+    data: {
+      user: {
+        ...user.getPublicProfile(),
+        email: user.email,
+      },
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Delete a user account (admin)
+ * The account goes to the trash and can be restored until it is purged.
+ */
+const deleteUser = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (user.id === req.user.id) {
+    return next(new AppError('You cannot delete your own account', 400));
+  }
+
+  await user.softDelete(req.user.id);
+
+  await AuditLog.record(req, 'user.delete', {
+    actorId: req.user.id,
+    userId: user.id,
+    statusCode: 200,
+  });
+
+  logger.info(`User ${user.email} moved to the trash (by ${req.user.email})`);
+
+  res.json({
+    status: 'success',
+    message: 'User deleted. It can be restored from the trash until it is purged.',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Start impersonating a user (admin)
+ * Returns a short-lived token for the target account; everything done with it is audited.
+ */
+const startImpersonation = catchAsync(async (req, res, next) => {
+  const { reason } = req.body;
+
+  if (req.impersonator) {
+    return next(new AppError('Stop the current impersonation before starting another', 400));
+  }
+
+  if (!reason || !String(reason).trim()) {
+    return next(new AppError('Please give a reason for impersonating this user', 400));
+  }
+
+  const target = await User.findById(req.params.id);
+
+  if (!target || !target.isActive) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (target.id === req.user.id) {
+    return next(new AppError('You cannot impersonate yourself', 400));
+  }
+
+  if (target.isServiceAccount || (await hasPermission(target, 'user.impersonate'))) {
+    return next(new AppError('This account cannot be impersonated', 403));
+  }
+
+  const impersonation = await issueImpersonationToken(req.user, target, req);
+
+  await AuditLog.record(req, 'impersonation.start', {
+    actorId: req.user.id,
+    userId: target.id,
+    statusCode: 201,
+    details: { reason: String(reason).trim(), sessionId: impersonation.sessionId },
+  });
+
+  logger.warn(`${req.user.email} started impersonating ${target.email}`);
+
+  res.status(201).json({
+    status: 'success',
+    message: `You are now viewing as ${target.email}`,
+    data: {
+      user: {
+        ...target.getPublicProfile(),
+        email: target.email,
+      },
+      ...impersonation,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * End the current impersonation (called with the impersonation token)
+ */
+const stopImpersonation = catchAsync(async (req, res, next) => {
+  if (!req.impersonator) {
+    return next(new AppError('You are not impersonating anyone', 400));
+  }
+
+  await req.authSession.revoke('impersonation_ended');
+
+  await AuditLog.record(req, 'impersonation.stop', {
+    actorId: req.impersonator.id,
+    userId: req.user.id,
+    statusCode: 200,
+    details: { sessionId: req.authSession.id },
+  });
+
+  logger.info(`${req.impersonator.email} stopped impersonating ${req.user.email}`);
+
+  res.json({
+    status: 'success',
+    message: 'Impersonation ended',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Read the audit log, optionally filtered by action, actorId or userId (admin)
+ */
+const getAuditLog = catchAsync(async (req, res, next) => {
+  const query = {};
+  ['action', 'actorId', 'userId'].forEach((field) => {
+    if (req.query[field]) query[field] = req.query[field];
+  });
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const entries = await AuditLog.find(query, { limit });
+
+  res.json({
+    status: 'success',
+    results: entries.length,
+    data: {
+      entries,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Import users and enrollments from a roster CSV (admin)
+ * The CSV comes as the multipart field "file" or as JSON { csv }. With
+ * ?dryRun=true nothing changes and the report shows what would happen.
+ */
+const importRoster = catchAsync(async (req, res, next) => {
+  const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+  const dryRun = String(req.query.dryRun || req.body.dryRun) === 'true';
+
+  if (!csv || typeof csv !== 'string') {
+    return next(new AppError('Upload the roster CSV as "file" or send it as "csv"', 400));
+  }
+
+  const result = await rosterService.importRoster(csv, { dryRun, importer: req.user });
+  const { summary } = result;
+
+  if (!dryRun) {
+    await AuditLog.record(req, 'roster.import', {
+      actorId: req.user.id,
+      statusCode: 200,
+      details: summary,
+    });
+  }
+
+  logger.info(
+    `Roster ${dryRun ? 'dry run' : 'import'} by ${req.user.email}: ${summary.created} created, ${summary.updated} updated, ${summary.failed} failed`,
+  );
+
+  res.json({
+    status: 'success',
+    message: dryRun ? 'Dry run complete; nothing was changed' : 'Roster imported',
+    data: result,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getLockedUsers,
+  unlockUser,
+  updateUserRole,
+  deleteUser,
+  startImpersonation,
+  stopImpersonation,
+  getAuditLog,
+  importRoster,
+};
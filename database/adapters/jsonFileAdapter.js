@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryAdapter = require('./memoryAdapter');
+
+/**
+ * JSON file adapter
+ * One <collection>.json file per collection in a directory. Collections are
+ * loaded on first use and served from memory; writes are batched and flushed
+ * on the next tick (and on close) by writing a temp file and renaming it over
+ * the old one, so a crash never leaves a half-written file.
+ */
+
+class JsonFileAdapter extends MemoryAdapter {
+  constructor({ directory }) {
+    super();
+    this.name = 'json';
+    this.directory = path.resolve(directory);
+    this.dirty = new Set();
+    this.flushScheduled = false;
+  }
+
+  filePath(collection) {
+    return path.join(this.directory, `${collection}.json`);
+  }
+
+  // Load a collection from disk the first time it is used
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      const records = new Map();
+      const file = this.filePath(collection);
+
+      if (fs.existsSync(file)) {
+        JSON.parse(fs.readFileSync(file, 'utf8')).forEach((record) => records.set(record.id, record));
+      }
+
+      this.collections.set(collection, records);
+    }
+    return this.collections.get(collection);
+  }
+
+  changed(collection) {
+    this.dirty.add(collection);
+
+    if (!this.flushScheduled) {
+      this.flushScheduled = true;
+      setImmediate(() => this.flush());
+    }
+  }
+
+  // Write every changed collection to disk
+  // Uncommitted changes are never written; commit and rollback mark their collections changed again
+  flush() {
+    this.flushScheduled = false;
+    if (this.dirty.size === 0 || this.journal) return;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    this.dirty.forEach((collection) => {
+      const file = this.filePath(collection);
+      const tempFile = `${file}.${process.pid}.tmp`;
+      const records = Array.from(this.getCollection(collection).values());
+
+      fs.writeFileSync(tempFile, JSON.stringify(records, null, 2));
+      fs.renameSync(tempFile, file);
+    });
+
+    this.dirty.clear();
+  }
+
+  async connect() {
+    fs.mkdirSync(this.directory, { recursive: true });
+    return this;
+  }
+
+  async close() {
+    this.flush();
+  }
+
+  // Also empty collections that were never loaded in this process
+  async clear() {
+    if (fs.existsSync(this.directory)) {
+      fs.readdirSync(this.directory)
+        .filter((file) => file.endsWith('.json'))
+        .forEach((file) => this.getCollection(path.basename(file, '.json')));
+    }
+    await super.clear();
+  }
+}
+
+module.exports = JsonFileAdapter;
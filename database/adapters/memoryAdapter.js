@@ -0,0 +1,321 @@
+const { applyQuery, matches } = require('../query');
+const { recordKeys, lookupKey } = require('../indexes');
+const { DuplicateKeyError } = require('../errors');
+
+/**
+ * In-memory adapter
+ * Keeps every collection in a Map (insertion ordered). Nothing survives a
+ * restart, which makes it the default for development and tests.
+ * Transactions keep the state each record had before its first change and
+ * put it back on rollback. Indexes (see ../indexes.js) map keys to record
+ * ids and are kept in step with every write.
+ */
+
+// Records are copied in and out so callers can never mutate stored data
+const clone = (record) => JSON.parse(JSON.stringify(record));
+
+class MemoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.collections = new Map();
+    this.journal = null; // collection -> Map(id -> record before the transaction, or null)
+    // collection -> { indexes: [{ definition, entries: Map(key -> Set(id)) }],
+    //   positions: Map(id -> n), next }
+    this.indexes = new Map();
+  }
+
+  // Get (creating if needed) the Map holding a collection
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  // Called after every write; the JSON-file adapter persists here
+  changed() {
+    // Nothing to persist in memory
+  }
+
+  async connect() {
+    return this;
+  }
+
+  async close() {
+    // Nothing to release; the data stays until the process exits
+  }
+
+  // Build a collection's indexes from the records it already holds
+  async ensureIndexes(collection, definitions) {
+    const existing = this.indexes.get(collection);
+    const names = definitions.map((definition) => definition.name).join();
+    if (existing && existing.indexes.map((index) => index.definition.name).join() === names) return;
+
+    const records = this.getCollection(collection);
+    this.indexes.set(collection, {
+      indexes: definitions.map((definition) => ({ definition, entries: new Map() })),
+      positions: new Map(),
+      next: 0,
+    });
+
+    records.forEach((record, id) => {
+      const conflict = this.findDuplicate(collection, record);
+      if (conflict) {
+        this.indexes.delete(collection);
+        throw new Error(
+          `Cannot build unique index ${conflict.definition.name}: ${collection} records ${id} and ${conflict.id} share a key`,
+        );
+      }
+      this.index(collection, id, null, record);
+    });
+  }
+
+  // Move a record's index entries from its previous to its new state (either may be null)
+  index(collection, id, previous, record) {
+    const state = this.indexes.get(collection);
+    if (!state) return;
+
+    state.indexes.forEach(({ definition, entries }) => {
+      if (previous) {
+        recordKeys(definition, previous).forEach((key) => {
+          entries.get(key).delete(id);
+          if (entries.get(key).size === 0) entries.delete(key);
+        });
+      }
+      if (record) {
+        recordKeys(definition, record).forEach((key) => {
+          if (!entries.has(key)) entries.set(key, new Set());
+          entries.get(key).add(id);
+        });
+      }
+    });
+
+    if (!record) {
+      state.positions.delete(id);
+    } else if (!previous) {
+      state.positions.set(id, state.next);
+      state.next += 1;
+    }
+  }
+
+  // Store a record (or remove it, given null), updating the indexes
+  put(collection, id, record) {
+    const records = this.getCollection(collection);
+    this.index(collection, id, records.get(id) || null, record);
+
+    if (record) {
+      records.set(id, record);
+    } else {
+      records.delete(id);
+    }
+  }
+
+  /**
+   * Find the unique index entry another record already holds for this record's key
+   * @param {Map} claimed - Keys taken earlier in the same batch: 'index key' -> id
+   * @returns {Object|null} { definition, id } of the first conflict
+   */
+  findDuplicate(collection, record, claimed = new Map()) {
+    const state = this.indexes.get(collection);
+    if (!state) return null;
+
+    let conflict = null;
+    state.indexes
+      .filter(({ definition }) => definition.unique)
+      .some(({ definition, entries }) => recordKeys(definition, record).some((key) => {
+        const claim = `${definition.name} ${key}`;
+        const holders = [...(entries.get(key) || [])];
+        if (claimed.has(claim)) holders.push(claimed.get(claim));
+
+        const other = holders.find((id) => id !== record.id);
+        if (other) {
+          conflict = { definition, id: other };
+          return true;
+        }
+        claimed.set(claim, record.id);
+        return false;
+      }));
+    return conflict;
+  }
+
+  // Ids that can match a query according to an index; null when the collection must be scanned
+  candidateIds(collection, query) {
+    const state = this.indexes.get(collection);
+    if (!state) return null;
+
+    let key = null;
+    const index = state.indexes.find(({ definition }) => {
+      key = lookupKey(definition, query);
+      return key !== null;
+    });
+    if (index) return index.entries.get(key) || new Set();
+
+    // $or can be answered as the union of its branches if every branch has an index
+    if (Array.isArray(query.$or) && query.$or.length > 0) {
+      const { $or: branches, ...rest } = query;
+      const branchIds = branches.map((branch) => this.candidateIds(collection, {
+        ...rest,
+        ...branch,
+      }));
+      if (branchIds.some((ids) => !ids)) return null;
+      return new Set(branchIds.flatMap((ids) => [...ids]));
+    }
+    return null;
+  }
+
+  // Records that can match a query, in insertion order
+  candidates(collection, query) {
+    const records = this.getCollection(collection);
+    const ids = this.candidateIds(collection, query);
+    if (!ids) return Array.from(records.values());
+
+    const { positions } = this.indexes.get(collection);
+    return [...ids]
+      .sort((a, b) => positions.get(a) - positions.get(b))
+      .map((id) => records.get(id));
+  }
+
+  // Remember a record's state before the running transaction first changes it
+  remember(collection, id) {
+    if (!this.journal) return;
+    if (!this.journal.has(collection)) {
+      this.journal.set(collection, new Map());
+    }
+
+    const before = this.journal.get(collection);
+    if (!before.has(id)) {
+      const records = this.getCollection(collection);
+      before.set(id, records.has(id) ? records.get(id) : null);
+    }
+  }
+
+  async begin() {
+    this.journal = new Map();
+  }
+
+  async commit() {
+    const touched = Array.from(this.journal.keys());
+    this.journal = null;
+    touched.forEach((collection) => this.changed(collection));
+  }
+
+  // Put back every record the transaction changed, inserted or deleted
+  async rollback() {
+    const { journal } = this;
+    this.journal = null;
+
+    journal.forEach((before, collection) => {
+      before.forEach((record, id) => this.put(collection, id, record));
+      this.changed(collection);
+    });
+  }
+
+  async find(collection, query = {}, options = {}) {
+    return applyQuery(this.candidates(collection, query), query, options).map(clone);
+  }
+
+  async findById(collection, id) {
+    const record = this.getCollection(collection).get(id);
+    return record ? clone(record) : null;
+  }
+
+  async count(collection, query = {}) {
+    return this.candidates(collection, query).filter((record) => matches(record, query)).length;
+  }
+
+  // Insert or replace a record by id. Versioned saves bump `version` and, given
+  // an expectedVersion, write nothing (returning null) once it no longer matches.
+  // Fields listed in `keep` keep their stored values when the record already exists.
+  // Throws DuplicateKeyError, writing nothing, if a unique index already has its key.
+  async save(collection, record, { versioned = false, expectedVersion = null, keep = [] } = {}) {
+    const current = this.getCollection(collection).get(record.id) || null;
+    let stored = record;
+
+    if (versioned) {
+      const version = current ? current.version || 0 : 0;
+      if (expectedVersion !== null && version !== expectedVersion) return null;
+      stored = { ...record, version: version + 1 };
+    }
+    if (current && keep.length > 0) {
+      stored = { ...stored };
+      keep.forEach((field) => {
+        stored[field] = current[field];
+      });
+    }
+
+    const conflict = this.findDuplicate(collection, stored);
+    if (conflict) {
+      throw new DuplicateKeyError(collection, conflict.definition.fields);
+    }
+
+    this.remember(collection, record.id);
+    this.put(collection, record.id, clone(stored));
+    this.changed(collection);
+    return clone(stored);
+  }
+
+  // Set some fields of a stored record, leaving the others and its version as they are;
+  // returns the stored record, or null if there is none
+  async patch(collection, id, fields) {
+    const current = this.getCollection(collection).get(id);
+    if (!current) return null;
+
+    const stored = { ...current, ...clone(fields) };
+    const conflict = this.findDuplicate(collection, stored);
+    if (conflict) {
+      throw new DuplicateKeyError(collection, conflict.definition.fields);
+    }
+
+    this.remember(collection, id);
+    this.put(collection, id, clone(stored));
+    this.changed(collection);
+    return clone(stored);
+  }
+
+  // Insert or replace many records at once; nothing is written if any would be a duplicate
+  async saveMany(collection, records) {
+    const claimed = new Map();
+    records.forEach((record) => {
+      const conflict = this.findDuplicate(collection, record, claimed);
+      if (conflict) {
+        throw new DuplicateKeyError(collection, conflict.definition.fields);
+      }
+    });
+
+    records.forEach((record) => {
+      this.remember(collection, record.id);
+      this.put(collection, record.id, clone(record));
+    });
+    this.changed(collection);
+    return records.length;
+  }
+
+  // Delete matching records; returns how many were removed
+  async delete(collection, query = {}) {
+    let deleted = 0;
+
+    this.candidates(collection, query).forEach((record) => {
+      if (matches(record, query)) {
+        this.remember(collection, record.id);
+        this.put(collection, record.id, null);
+        deleted += 1;
+      }
+    });
+
+    if (deleted > 0) {
+      this.changed(collection);
+    }
+    return deleted;
+  }
+
+  // Remove every record from every collection (test helper)
+  async clear() {
+    this.collections.forEach((records, collection) => {
+      records.forEach((record, id) => this.index(collection, id, record, null));
+      records.clear();
+      this.changed(collection);
+    });
+  }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { assertField, isOperatorObject, normalizeValue } = require('../query');
+const { DuplicateKeyError } = require('../errors');
+
+/**
+ * SQLite adapter (better-sqlite3)
+ * Each collection is a table of JSON documents: (id TEXT PRIMARY KEY, data TEXT).
+ * Queries are translated to SQL over json_extract(), with the same semantics
+ * as the in-memory matcher in ../query.js. Declared indexes (../indexes.js)
+ * become expression indexes on the same json_extract() calls, so SQLite's
+ * planner uses them and enforces the unique ones.
+ */
+
+// 'roleAssignments' -> 'role_assignments'
+const tableName = (collection) => {
+  const name = collection.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+  if (!/^[a-z_][a-z0-9_]*$/.test(name)) {
+    throw new Error(`Invalid collection name: ${collection}`);
+  }
+  return name;
+};
+
+// JSON path expression for a (validated) field
+const column = (field) => {
+  assertField(field);
+  return `json_extract(data, '$.${field}')`;
+};
+
+// SQLite has no booleans and stores arrays/objects as JSON text
+const toParam = (value) => {
+  const normalized = normalizeValue(value);
+  if (typeof normalized === 'boolean') return normalized ? 1 : 0;
+  if (normalized !== null && typeof normalized === 'object') return JSON.stringify(normalized);
+  return normalized;
+};
+
+/**
+ * Translate one field's operators to SQL
+ */
+const buildOperators = (field, operators, params) => {
+  const col = column(field);
+
+  return Object.keys(operators)
+    .map((operator) => {
+      const operand = operators[operator];
+
+      switch (operator) {
+        case '$eq':
+          if (normalizeValue(operand) === null) return `${col} IS NULL`;
+          params.push(toParam(operand));
+          return `${col} = ?`;
+        case '$ne':
+          params.push(toParam(operand));
+          return `${col} IS NOT ?`;
+        case '$gt':
+        case '$gte':
+        case '$lt':
+        case '$lte': {
+          const sqlOperator = {
+            $gt: '>', $gte: '>=', $lt: '<', $lte: '<=',
+          }[operator];
+          params.push(toParam(operand));
+          return `${col} ${sqlOperator} ?`;
+        }
+        case '$in':
+          if (operand.length === 0) return '0';
+          params.push(...operand.map(toParam));
+          return `${col} IN (${operand.map(() => '?').join(', ')})`;
+        case '$nin':
+          if (operand.length === 0) return '1';
+          params.push(...operand.map(toParam));
+          return `(${col} IS NULL OR ${col} NOT IN (${operand.map(() => '?').join(', ')}))`;
+        case '$exists':
+          return operand ? `${col} IS NOT NULL` : `${col} IS NULL`;
+        case '$contains':
+          params.push(toParam(operand));
+          return `EXISTS (SELECT 1 FROM json_each(data, '$.${field}') WHERE json_each.value = ?)`;
+        case '$search':
+          params.push(String(operand).toLowerCase());
+          return `EXISTS (SELECT 1 FROM json_each(data, '$.${field}') WHERE json_each.type = 'text' AND instr(lower(json_each.value), ?) > 0)`;
+        default:
+          throw new Error(`Unsupported query operator: ${operator}`);
+      }
+    })
+    .join(' AND ');
+};
+
+/**
+ * Translate a query object to a WHERE clause
+ * @returns {string} SQL condition; values are appended to params
+ */
+const buildWhere = (query = {}, params = []) => {
+  const conditions = Object.keys(query).map((key) => {
+    if (key === '$or' || key === '$and') {
+      const parts = query[key].map((subQuery) => `(${buildWhere(subQuery, params)})`);
+      if (parts.length === 0) return key === '$or' ? '0' : '1';
+      return `(${parts.join(key === '$or' ? ' OR ' : ' AND ')})`;
+    }
+
+    const condition = query[key];
+    if (isOperatorObject(condition)) {
+      return buildOperators(key, condition, params);
+    }
+    return buildOperators(key, { $eq: condition }, params);
+  });
+
+  return conditions.length > 0 ? conditions.join(' AND ') : '1';
+};
+
+/**
+ * Translate { field: 1 | -1 } to ORDER BY (insertion order breaks ties)
+ */
+const buildOrderBy = (sort = {}) => {
+  const parts = Object.keys(sort || {}).map(
+    (field) => `${column(field)} ${sort[field] < 0 ? 'DESC' : 'ASC'}`,
+  );
+  parts.push('rowid ASC');
+  return parts.join(', ');
+};
+
+class SqliteAdapter {
+  constructor({ filename }) {
+    this.name = 'sqlite';
+    this.filename = filename;
+    this.db = null;
+    this.tables = new Set();
+    this.uncommitted = new Set(); // tables created or indexed by the running transaction
+    this.schema = new Map(); // table name -> index definitions
+    this.statements = new Map();
+    this.indexes = new Map(); // index name -> definition, to report unique violations
+  }
+
+  async connect() {
+    if (this.db) return this;
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(this.filename)), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    return this;
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.tables.clear();
+      this.uncommitted.clear();
+      this.statements.clear();
+      this.indexes.clear();
+    }
+  }
+
+  // Transactions take the write lock up front so they cannot fail halfway on SQLITE_BUSY
+  async begin() {
+    this.statement('BEGIN IMMEDIATE').run();
+  }
+
+  async commit() {
+    this.statement('COMMIT').run();
+    this.uncommitted.clear();
+  }
+
+  // A rollback also undoes CREATE TABLE / INDEX, so those tables are created again on next use
+  async rollback() {
+    if (this.db.inTransaction) {
+      this.statement('ROLLBACK').run();
+    }
+    this.uncommitted.forEach((name) => this.tables.delete(name));
+    this.uncommitted.clear();
+  }
+
+  // Prepared statements are cached by SQL text
+  statement(sql) {
+    if (!this.db) {
+      throw new Error('SQLite adapter used before connect()');
+    }
+    if (!this.statements.has(sql)) {
+      this.statements.set(sql, this.db.prepare(sql));
+    }
+    return this.statements.get(sql);
+  }
+
+  // Create a collection's declared indexes (if they do not exist yet)
+  async ensureIndexes(collection, definitions) {
+    const table = this.table(collection);
+
+    definitions.forEach((definition) => this.indexes.set(definition.name, definition));
+    this.schema.set(table, [...(this.schema.get(table) || []), ...definitions]);
+    this.createIndexes(table);
+  }
+
+  createIndexes(table) {
+    (this.schema.get(table) || []).forEach((definition) => {
+      // SQLite cannot index inside JSON arrays; $contains queries scan the table
+      if (definition.multikey) return;
+
+      // A missing value counts as a value in unique indexes, as in the other adapters
+      const columns = definition.fields.map((field) => (definition.unique ? `ifnull(${column(field)}, '')` : column(field)));
+      const params = [];
+      const where = buildWhere(definition.where, params);
+      if (params.length > 0) {
+        throw new Error(`Index ${definition.name}: where may only test fields for null or $exists`);
+      }
+
+      this.db
+        .prepare(
+          `CREATE ${definition.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS "${definition.name}" ON "${table}" (${columns.join(', ')})${where === '1' ? '' : ` WHERE ${where}`}`,
+        )
+        .run();
+    });
+    if (this.db.inTransaction) this.uncommitted.add(table);
+  }
+
+  // Turn a unique index violation into a DuplicateKeyError
+  translateError(collection, error) {
+    if (error.code !== 'SQLITE_CONSTRAINT_UNIQUE') return error;
+
+    const [, name] = error.message.match(/index '([^']+)'/) || [];
+    const definition = this.indexes.get(name);
+    return new DuplicateKeyError(collection, definition ? definition.fields : ['value']);
+  }
+
+  // Create a collection's table on first use
+  table(collection) {
+    const name = tableName(collection);
+    if (!this.tables.has(name)) {
+      this.statement(
+        `CREATE TABLE IF NOT EXISTS "${name}" (id TEXT PRIMARY KEY, data TEXT NOT NULL)`,
+      ).run();
+      this.createIndexes(name);
+      this.tables.add(name);
+    }
+    return name;
+  }
+
+  async find(collection, query = {}, { sort, limit, offset } = {}) {
+    const params = [];
+    let sql = `SELECT data FROM "${this.table(collection)}" WHERE ${buildWhere(query, params)} ORDER BY ${buildOrderBy(sort)}`;
+
+    if ((limit !== undefined && limit !== null) || offset) {
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(
+        limit === undefined || limit === null ? -1 : Math.max(parseInt(limit, 10) || 0, 0),
+        Math.max(parseInt(offset, 10) || 0, 0),
+      );
+    }
+
+    return this.statement(sql)
+      .all(...params)
+      .map((row) => JSON.parse(row.data));
+  }
+
+  async findById(collection, id) {
+    const row = this.statement(`SELECT data FROM "${this.table(collection)}" WHERE id = ?`).get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async count(collection, query = {}) {
+    const params = [];
+    const sql = `SELECT COUNT(*) AS total FROM "${this.table(collection)}" WHERE ${buildWhere(query, params)}`;
+    return this.statement(sql).get(...params).total;
+  }
+
+  // Insert or replace a record by id. Versioned saves bump `version` in SQL and,
+  // given an expectedVersion, update nothing (returning null) once it no longer matches.
+  // Fields listed in `keep` keep their stored (scalar) values when the record already exists.
+  async save(collection, record, { versioned = false, expectedVersion = null, keep = [] } = {}) {
+    const table = this.table(collection);
+    const kept = keep.map((field) => {
+      assertField(field);
+      return `, '$.${field}', json_extract("${table}".data, '$.${field}')`;
+    }).join('');
+
+    try {
+      if (!versioned) {
+        const row = this.statement(
+          `INSERT INTO "${table}" (id, data) VALUES (?, ?)
+          ON CONFLICT(id) DO UPDATE SET data = json_set(excluded.data${kept})
+          RETURNING data`,
+        ).get(record.id, JSON.stringify(record));
+        return JSON.parse(row.data);
+      }
+
+      const currentVersion = `coalesce(json_extract("${table}".data, '$.version'), 0)`;
+      const row = this.statement(
+        `INSERT INTO "${table}" (id, data) VALUES (?, json_set(?, '$.version', 1))
+        ON CONFLICT(id) DO UPDATE SET data = json_set(excluded.data, '$.version', ${currentVersion} + 1${kept})
+        WHERE ? IS NULL OR ${currentVersion} = ?
+        RETURNING data`,
+      ).get(record.id, JSON.stringify(record), expectedVersion, expectedVersion);
+
+      return row ? JSON.parse(row.data) : null;
+    } catch (error) {
+      throw this.translateError(collection, error);
+    }
+  }
+
+  // Set some fields of a stored record, leaving the others and its version as they are;
+  // returns the stored record, or null if there is none
+  async patch(collection, id, fields) {
+    const names = Object.keys(fields).filter((field) => fields[field] !== undefined);
+    if (names.length === 0) return this.findById(collection, id);
+    names.forEach(assertField);
+    const values = names.map(() => '?, json(?)').join(', ');
+
+    try {
+      const row = this.statement(
+        `UPDATE "${this.table(collection)}" SET data = json_set(data, ${values}) WHERE id = ? RETURNING data`,
+      ).get(...names.flatMap((field) => [`$.${field}`, JSON.stringify(fields[field])]), id);
+      return row ? JSON.parse(row.data) : null;
+    } catch (error) {
+      throw this.translateError(collection, error);
+    }
+  }
+
+  // Insert or replace many records in one transaction
+  async saveMany(collection, records) {
+    const insert = this.statement(
+      `INSERT INTO "${this.table(collection)}" (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data`,
+    );
+    try {
+      this.db.transaction(() => {
+        records.forEach((record) => insert.run(record.id, JSON.stringify(record)));
+      })();
+    } catch (error) {
+      throw this.translateError(collection, error);
+    }
+    return records.length;
+  }
+
+  // Delete matching records; returns how many were removed
+  async delete(collection, query = {}) {
+    const params = [];
+    const sql = `DELETE FROM "${this.table(collection)}" WHERE ${buildWhere(query, params)}`;
+    return this.statement(sql).run(...params).changes;
+  }
+
+  // Remove every record from every collection (test helper); migration history is kept
+  async clear() {
+    const tables = this.statement(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'",
+    ).all();
+    tables.forEach(({ name }) => this.db.prepare(`DELETE FROM "${name}"`).run());
+  }
+}
+
+SqliteAdapter.tableName = tableName;
+
+module.exports = SqliteAdapter;
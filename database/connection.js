@@ -0,0 +1,97 @@
+const config = require('../config/database');
+const logger = require('../utils/logger');
+const MemoryAdapter = require('./adapters/memoryAdapter');
+const JsonFileAdapter = require('./adapters/jsonFileAdapter');
+const SqliteAdapter = require('./adapters/sqliteAdapter');
+const { getStatus } = require('./migrate');
+
+/**
+ * Database connection
+ * Holds the storage adapter every repository talks to. Adapters share one
+ * contract: find(collection, query, { sort, limit, offset }), findById,
+ * count, save (insert or replace by id, optionally version-checked and keeping
+ * some stored fields), patch (set some fields, leaving the version), saveMany,
+ * delete(collection, query), clear, begin/commit/rollback for
+ * database/transaction.js and ensureIndexes(collection, definitions) for
+ * database/indexes.js.
+ */
+
+let adapter = null;
+
+/**
+ * Create an adapter for a driver name
+ */
+const createAdapter = (driver = config.driver) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryAdapter();
+    case 'json':
+      return new JsonFileAdapter(config.json);
+    case 'sqlite':
+      return new SqliteAdapter(config.sqlite);
+    default:
+      throw new Error(`Unknown database driver: ${driver}`);
+  }
+};
+
+/**
+ * Get the active adapter, creating the configured one on first use
+ * The memory and JSON adapters need no connect step; SQLite opens lazily here too.
+ */
+const getAdapter = () => {
+  if (!adapter) {
+    adapter = createAdapter();
+    if (adapter.name === 'sqlite') {
+      // better-sqlite3 is synchronous, so the promise resolves immediately
+      adapter.connect();
+    }
+  }
+  return adapter;
+};
+
+/**
+ * Open the configured database
+ */
+const connect = async () => {
+  const activeAdapter = getAdapter();
+  await activeAdapter.connect();
+  logger.info(`Database connected (${activeAdapter.name})`);
+
+  // Tables are created on demand, but indexes only come from migrations
+  if (activeAdapter.name === 'sqlite') {
+    const { pending, modified } = getStatus(activeAdapter.db);
+    if (pending.length > 0 || modified.length > 0) {
+      logger.warn(
+        `Database schema is out of date (${pending.length} pending, ${modified.length} modified migrations). Run "npm run migrate".`,
+      );
+    }
+  }
+
+  return activeAdapter;
+};
+
+/**
+ * Flush and close the active adapter
+ */
+const disconnect = async () => {
+  if (adapter) {
+    await adapter.close();
+    adapter = null;
+  }
+};
+
+/**
+ * Replace the active adapter (tests, scripts)
+ */
+const setAdapter = (newAdapter) => {
+  adapter = newAdapter;
+  return adapter;
+};
+
+module.exports = {
+  createAdapter,
+  getAdapter,
+  connect,
+  disconnect,
+  setAdapter,
+};
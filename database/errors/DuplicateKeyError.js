@@ -0,0 +1,13 @@
+/**
+ * A save would give two records the same values in a unique index
+ */
+class DuplicateKeyError extends Error {
+  constructor(collection, fields) {
+    super(`Another ${collection} record already has this ${fields.join(' and ')}`);
+    this.name = 'DuplicateKeyError';
+    this.collection = collection;
+    this.fields = fields;
+  }
+}
+
+module.exports = DuplicateKeyError;
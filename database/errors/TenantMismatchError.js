@@ -0,0 +1,13 @@
+/**
+ * A save inside one organization targeted a record of another organization
+ */
+class TenantMismatchError extends Error {
+  constructor(collection, id) {
+    super(`${collection} record ${id} belongs to another organization`);
+    this.name = 'TenantMismatchError';
+    this.collection = collection;
+    this.recordId = id;
+  }
+}
+
+module.exports = TenantMismatchError;
@@ -0,0 +1,13 @@
+/**
+ * A conditional save found a newer version than the one it was based on
+ */
+class VersionConflictError extends Error {
+  constructor(collection, id) {
+    super(`${collection} record ${id} was changed by someone else`);
+    this.name = 'VersionConflictError';
+    this.collection = collection;
+    this.recordId = id;
+  }
+}
+
+module.exports = VersionConflictError;
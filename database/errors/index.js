@@ -0,0 +1,14 @@
+/**
+ * Errors raised by the data layer
+ * The global error handler maps these to HTTP responses.
+ */
+
+const VersionConflictError = require('./VersionConflictError');
+const DuplicateKeyError = require('./DuplicateKeyError');
+const TenantMismatchError = require('./TenantMismatchError');
+
+module.exports = {
+  VersionConflictError,
+  DuplicateKeyError,
+  TenantMismatchError,
+};
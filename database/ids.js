@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+/**
+ * Record IDs
+ * New records get a ULID: 26 characters of Crockford base32, a 48-bit
+ * millisecond timestamp followed by 80 random bits. IDs sort by creation
+ * time, and IDs made in the same millisecond by this process increment the
+ * random part, so they still sort and can never repeat. idFrom() builds an
+ * ID of the same shape from a given time and bytes, for reproducible data.
+ *
+ *   01JA2Z8M3QW6R0X5T7V9B1C4DE
+ */
+
+const ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const TIME_LENGTH = 10;
+const RANDOM_LENGTH = 16;
+
+let lastTime = -1;
+let lastRandom = [];
+
+// 48-bit timestamp as 10 base32 digits
+const encodeTime = (time) => {
+  let remaining = time;
+  let encoded = '';
+  for (let i = 0; i < TIME_LENGTH; i += 1) {
+    encoded = ENCODING[remaining % 32] + encoded;
+    remaining = Math.floor(remaining / 32);
+  }
+  return encoded;
+};
+
+// Bytes as base32 digits (each byte keeps its low 5 bits)
+const toDigits = (bytes) => Array.from(bytes.subarray(0, RANDOM_LENGTH), (byte) => byte % 32);
+
+// 80 random bits as 16 base32 digits
+const randomDigits = () => toDigits(crypto.randomBytes(RANDOM_LENGTH));
+
+const format = (time, digits) => encodeTime(time) + digits.map((digit) => ENCODING[digit]).join('');
+
+// Add one to a base32 digit array, as for the next ID within a millisecond
+const increment = (digits) => {
+  const next = [...digits];
+  for (let i = next.length - 1; i >= 0; i -= 1) {
+    if (next[i] < 31) {
+      next[i] += 1;
+      return next;
+    }
+    next[i] = 0;
+  }
+  throw new Error('ULID random part overflowed within one millisecond');
+};
+
+/**
+ * Generate a new ULID
+ * @returns {string} 26-character ID
+ */
+const generateId = () => {
+  const now = Date.now();
+
+  if (now > lastTime) {
+    lastTime = now;
+    lastRandom = randomDigits();
+  } else {
+    // Same millisecond (or the clock went back): stay ahead of the last ID
+    lastRandom = increment(lastRandom);
+  }
+
+  return format(lastTime, lastRandom);
+};
+
+/**
+ * Build an ID from a time and bytes instead of the clock and random bits
+ * The same arguments always give the same ID (e.g. for seeded fixtures).
+ * @param {number} time - Milliseconds since 1970
+ * @param {Buffer} bytes - At least 16 bytes, e.g. a hash
+ * @returns {string} 26-character ID
+ */
+const idFrom = (time, bytes) => format(time, toDigits(bytes));
+
+module.exports = {
+  generateId,
+  idFrom,
+};
@@ -0,0 +1,125 @@
+const {
+  assertField, getField, isOperatorObject, matches, normalizeValue,
+} = require('./query');
+
+/**
+ * Indexes
+ * Repositories declare the indexes of their collection, and every adapter
+ * creates them (adapter.ensureIndexes) on first use:
+ *
+ *   new Repository('users', {
+ *     indexes: [
+ *       { fields: ['email'] },
+ *       { fields: ['organizationId', 'email'], unique: true, where: { email: { $exists: true } } }
+ *     ]
+ *   });
+ *
+ * Equality lookups on all of an index's fields are answered from the index
+ * instead of a scan. A save that would give two records the same values in a
+ * unique index throws DuplicateKeyError. In unique indexes a missing value
+ * counts as a value, so e.g. users without an organization are unique among
+ * themselves; `where` (equality to null and $exists only) limits an index to
+ * the records matching it, and on soft-delete collections unique indexes
+ * leave out records in the trash. { multikey: true } indexes an array field
+ * by its elements, for $contains lookups.
+ */
+
+// 'coInstructors' -> 'co_instructors', 'organizationId' -> 'organization'
+const indexPart = (field) => field
+  .replace(/Id$/, '')
+  .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+  .toLowerCase();
+
+/**
+ * Turn a declared index into the definition adapters receive
+ * @returns {Object} { name, fields, unique, multikey, where }
+ */
+const defineIndex = (
+  collection,
+  {
+    fields, unique = false, multikey = false, where = {},
+  },
+  { softDelete = false } = {},
+) => {
+  fields.forEach(assertField);
+  if (multikey && fields.length !== 1) {
+    throw new Error(`Multikey index on ${collection} must have exactly one field`);
+  }
+
+  const table = collection.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+  return {
+    name: `${unique ? 'uniq' : 'idx'}_${table}_${fields.map(indexPart).join('_')}`,
+    fields,
+    unique,
+    multikey,
+    where: unique && softDelete ? { ...where, deletedAt: null } : where,
+  };
+};
+
+// Values as stored, with missing values as null
+const keyOf = (values) => JSON.stringify(
+  values.map((value) => (value === undefined ? null : value)),
+);
+
+/**
+ * Keys a record has in an index; none when the index's `where` leaves it out
+ */
+const recordKeys = (index, record) => {
+  if (!matches(record, index.where)) return [];
+
+  if (index.multikey) {
+    const value = getField(record, index.fields[0]);
+    return [...new Set([].concat(value).map((element) => keyOf([element])))];
+  }
+  return [keyOf(index.fields.map((field) => getField(record, field)))];
+};
+
+// The single value a query condition pins a field to, or undefined
+const pinnedValue = (condition, multikey) => {
+  let value = condition;
+  if (isOperatorObject(condition)) {
+    const operators = Object.keys(condition);
+    if (
+      operators.length !== 1
+      || !(operators[0] === '$eq' || (multikey && operators[0] === '$contains'))
+    ) {
+      return undefined;
+    }
+    value = condition[operators[0]];
+  } else if (multikey) {
+    return undefined;
+  }
+
+  value = normalizeValue(value);
+  return value !== null && typeof value === 'object' ? undefined : value;
+};
+
+/**
+ * Key to look up to answer a query from an index
+ * @returns {string|null} null when the index cannot answer the query
+ */
+const lookupKey = (index, query) => {
+  // Only queries limited to records the index holds
+  const covered = Object.keys(index.where).every((field) => {
+    const required = index.where[field];
+    if (required === null) return query[field] === null;
+
+    const value = field in query ? pinnedValue(query[field], false) : undefined;
+    return value !== undefined && value !== null;
+  });
+  if (!covered) return null;
+
+  const values = index.fields.map((field) => (
+    field in query ? pinnedValue(query[field], index.multikey) : undefined
+  ));
+  if (values.some((value) => value === undefined)) return null;
+  if (index.multikey && values[0] === null) return null;
+
+  return keyOf(values);
+};
+
+module.exports = {
+  defineIndex,
+  recordKeys,
+  lookupKey,
+};
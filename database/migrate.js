@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Migration runner (SQLite driver)
+ *
+ * Migrations are numbered SQL files in database/migrations, e.g.
+ * 008_add_course_codes.sql, with an up and an optional down section:
+ *
+ *   -- migrate:up
+ *   CREATE TABLE ...;
+ *   -- migrate:down
+ *   DROP TABLE ...;
+ *
+ * Applied versions and file checksums are recorded in schema_migrations.
+ * Each migration runs in its own transaction. Nothing runs while an applied
+ * file has been edited or deleted: add a new migration instead.
+ *
+ * Usage: npm run migrate (see scripts/migrate.js)
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const SCHEMA_TABLE = 'schema_migrations';
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.sql$/;
+const SECTION_PATTERN = /^--\s*migrate:(up|down)\s*$/gim;
+
+/**
+ * Split a migration file into its up and down SQL
+ */
+const parseSections = (sql) => {
+  const sections = {};
+  const markers = [...sql.matchAll(SECTION_PATTERN)];
+
+  markers.forEach((marker, index) => {
+    const start = marker.index + marker[0].length;
+    const end = index + 1 < markers.length ? markers[index + 1].index : sql.length;
+    sections[marker[1].toLowerCase()] = sql.slice(start, end).trim();
+  });
+
+  return sections;
+};
+
+/**
+ * Read every migration file, ordered by version
+ */
+const loadMigrations = (directory = MIGRATIONS_DIR) => {
+  if (!fs.existsSync(directory)) return [];
+
+  const migrations = fs
+    .readdirSync(directory)
+    .filter((file) => file.endsWith('.sql'))
+    .map((file) => {
+      const match = FILE_PATTERN.exec(file);
+      if (!match) {
+        throw new Error(`Migration file name must look like 001_create_table.sql: ${file}`);
+      }
+
+      const sql = fs.readFileSync(path.join(directory, file), 'utf8');
+      const { up, down } = parseSections(sql);
+      if (up === undefined) {
+        throw new Error(`Migration ${file} has no "-- migrate:up" section`);
+      }
+
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex'),
+        up,
+        down: down || null,
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(
+        `Duplicate migration version ${migration.version}: ${migrations[index - 1].file}, ${migration.file}`,
+      );
+    }
+  });
+
+  return migrations;
+};
+
+/**
+ * Create the table that records applied migrations
+ */
+const ensureSchemaTable = (db) => {
+  db.exec(`CREATE TABLE IF NOT EXISTS ${SCHEMA_TABLE} (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+};
+
+/**
+ * Compare migration files with what has been applied
+ * @returns {Object} { migrations, pending, modified, missing }; each migration has a state
+ */
+const getStatus = (db, directory = MIGRATIONS_DIR) => {
+  ensureSchemaTable(db);
+
+  const files = loadMigrations(directory);
+  const applied = db
+    .prepare(
+      `SELECT version, name, checksum, applied_at AS appliedAt FROM ${SCHEMA_TABLE} ORDER BY version`,
+    )
+    .all();
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+  const fileVersions = new Set(files.map((migration) => migration.version));
+
+  const migrations = files.map((migration) => {
+    const row = appliedByVersion.get(migration.version);
+    let state = 'pending';
+    if (row) {
+      state = row.checksum === migration.checksum ? 'applied' : 'modified';
+    }
+    return { ...migration, state, appliedAt: row ? row.appliedAt : null };
+  });
+
+  applied
+    .filter((row) => !fileVersions.has(row.version))
+    .forEach((row) => {
+      migrations.push({
+        version: row.version,
+        name: row.name,
+        file: null,
+        state: 'missing',
+        appliedAt: row.appliedAt,
+      });
+    });
+
+  migrations.sort((a, b) => a.version - b.version);
+
+  return {
+    migrations,
+    pending: migrations.filter((migration) => migration.state === 'pending'),
+    modified: migrations.filter((migration) => migration.state === 'modified'),
+    missing: migrations.filter((migration) => migration.state === 'missing'),
+  };
+};
+
+/**
+ * Refuse to continue when applied migrations no longer match their files
+ */
+const assertIntact = (status) => {
+  const problems = [
+    ...status.modified.map((migration) => `${migration.file} was edited after it was applied`),
+    ...status.missing.map(
+      (migration) => `${String(migration.version).padStart(3, '0')}_${migration.name}.sql was applied but the file is missing`,
+    ),
+  ];
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Refusing to run migrations:\n  ${problems.join('\n  ')}\nRestore the original files and add a new migration for further changes.`,
+    );
+  }
+};
+
+/**
+ * Apply every pending migration in order
+ * @returns {Object[]} The migrations that were applied
+ */
+const migrateUp = (db, directory = MIGRATIONS_DIR) => {
+  const status = getStatus(db, directory);
+  assertIntact(status);
+
+  const empty = status.pending.find((migration) => !migration.up);
+  if (empty) {
+    throw new Error(`Migration ${empty.file} has an empty up section`);
+  }
+
+  const record = db.prepare(
+    `INSERT INTO ${SCHEMA_TABLE} (version, name, checksum, applied_at) VALUES (?, ?, ?, ?)`,
+  );
+
+  status.pending.forEach((migration) => {
+    db.transaction(() => {
+      db.exec(migration.up);
+      record.run(migration.version, migration.name, migration.checksum, new Date().toISOString());
+    })();
+  });
+
+  return status.pending;
+};
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {number} steps - How many migrations to roll back
+ * @returns {Object[]} The migrations that were rolled back
+ */
+const migrateDown = (db, steps = 1, directory = MIGRATIONS_DIR) => {
+  const status = getStatus(db, directory);
+  assertIntact(status);
+
+  const toRollBack = status.migrations
+    .filter((migration) => migration.state === 'applied')
+    .reverse()
+    .slice(0, steps);
+
+  const irreversible = toRollBack.find((migration) => !migration.down);
+  if (irreversible) {
+    throw new Error(
+      `Migration ${irreversible.file} has no "-- migrate:down" section and cannot be rolled back`,
+    );
+  }
+
+  const forget = db.prepare(`DELETE FROM ${SCHEMA_TABLE} WHERE version = ?`);
+
+  toRollBack.forEach((migration) => {
+    db.transaction(() => {
+      db.exec(migration.down);
+      forget.run(migration.version);
+    })();
+  });
+
+  return toRollBack;
+};
+
+/**
+ * Write a new, empty migration file with the next version number
+ * @returns {string} Path of the new file
+ */
+const createMigration = (name, directory = MIGRATIONS_DIR) => {
+  const slug = String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  if (!slug) {
+    throw new Error('Please give the migration a name, e.g. create <add_course_codes>');
+  }
+
+  const migrations = loadMigrations(directory);
+  const version = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+  const file = path.join(directory, `${String(version).padStart(3, '0')}_${slug}.sql`);
+
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(file, `-- ${name}\n\n-- migrate:up\n\n\n-- migrate:down\n\n`, { flag: 'wx' });
+
+  return file;
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  SCHEMA_TABLE,
+  loadMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  createMigration,
+};
@@ -0,0 +1,16 @@
+-- Users
+-- Tables hold one JSON document per row; the SQLite adapter queries fields
+-- with json_extract(), so indexes are on the same expressions.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_email ON users (json_extract(data, '$.email'));
+CREATE INDEX IF NOT EXISTS idx_users_role ON users (json_extract(data, '$.role'));
+CREATE INDEX IF NOT EXISTS idx_users_oidc ON users (json_extract(data, '$.oidcIssuer'), json_extract(data, '$.oidcSubject'));
+
+-- migrate:down
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,14 @@
+-- Courses
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS courses (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX IF NOT EXISTS idx_courses_instructor ON courses (json_extract(data, '$.instructorId'));
+CREATE INDEX IF NOT EXISTS idx_courses_status ON courses (json_extract(data, '$.status'));
+CREATE INDEX IF NOT EXISTS idx_courses_published ON courses (json_extract(data, '$.isPublished'));
+
+-- migrate:down
+DROP TABLE IF EXISTS courses;
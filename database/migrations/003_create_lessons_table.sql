@@ -0,0 +1,12 @@
+-- Lessons
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS lessons (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX IF NOT EXISTS idx_lessons_course ON lessons (json_extract(data, '$.courseId'), json_extract(data, '$.order'));
+
+-- migrate:down
+DROP TABLE IF EXISTS lessons;
@@ -0,0 +1,13 @@
+-- Enrollments
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS enrollments (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX IF NOT EXISTS idx_enrollments_user_course ON enrollments (json_extract(data, '$.userId'), json_extract(data, '$.courseId'));
+CREATE INDEX IF NOT EXISTS idx_enrollments_course ON enrollments (json_extract(data, '$.courseId'));
+
+-- migrate:down
+DROP TABLE IF EXISTS enrollments;
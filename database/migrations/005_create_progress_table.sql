@@ -0,0 +1,13 @@
+-- Lesson progress
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS progress (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX IF NOT EXISTS idx_progress_user_lesson ON progress (json_extract(data, '$.userId'), json_extract(data, '$.lessonId'));
+CREATE INDEX IF NOT EXISTS idx_progress_user_course ON progress (json_extract(data, '$.userId'), json_extract(data, '$.courseId'));
+
+-- migrate:down
+DROP TABLE IF EXISTS progress;
@@ -0,0 +1,21 @@
+-- Assignments and their submissions
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS assignments (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignments_course ON assignments (json_extract(data, '$.courseId'));
+
+CREATE TABLE IF NOT EXISTS submissions (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX IF NOT EXISTS idx_submissions_assignment ON submissions (json_extract(data, '$.assignmentId'));
+CREATE INDEX IF NOT EXISTS idx_submissions_user ON submissions (json_extract(data, '$.userId'));
+
+-- migrate:down
+DROP TABLE IF EXISTS submissions;
+DROP TABLE IF EXISTS assignments;
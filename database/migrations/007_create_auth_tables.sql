@@ -0,0 +1,52 @@
+-- Sessions, API tokens, settings, roles and the audit log
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (json_extract(data, '$.userId'));
+CREATE INDEX IF NOT EXISTS idx_sessions_refresh_token ON sessions (json_extract(data, '$.refreshTokenHash'));
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_hash ON api_tokens (json_extract(data, '$.tokenHash'));
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens (json_extract(data, '$.userId'));
+
+CREATE TABLE IF NOT EXISTS settings (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE TABLE IF NOT EXISTS roles (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX IF NOT EXISTS idx_roles_name ON roles (json_extract(data, '$.name'));
+
+CREATE TABLE IF NOT EXISTS role_assignments (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX IF NOT EXISTS idx_role_assignments_user_course ON role_assignments (json_extract(data, '$.userId'), json_extract(data, '$.courseId'));
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created ON audit_logs (json_extract(data, '$.createdAt'));
+
+-- migrate:down
+DROP TABLE IF EXISTS audit_logs;
+DROP TABLE IF EXISTS role_assignments;
+DROP TABLE IF EXISTS roles;
+DROP TABLE IF EXISTS settings;
+DROP TABLE IF EXISTS api_tokens;
+DROP TABLE IF EXISTS sessions;
@@ -0,0 +1,10 @@
+-- Soft delete: users and courses in the trash have a deletedAt, and every
+-- default query filters on it
+
+-- migrate:up
+CREATE INDEX IF NOT EXISTS idx_users_deleted_at ON users (json_extract(data, '$.deletedAt'));
+CREATE INDEX IF NOT EXISTS idx_courses_deleted_at ON courses (json_extract(data, '$.deletedAt'));
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_users_deleted_at;
+DROP INDEX IF EXISTS idx_courses_deleted_at;
@@ -0,0 +1,12 @@
+-- Course revision history
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS course_revisions (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_revisions_course ON course_revisions (json_extract(data, '$.courseId'), json_extract(data, '$.revision'));
+
+-- migrate:down
+DROP TABLE IF EXISTS course_revisions;
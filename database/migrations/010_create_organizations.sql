@@ -0,0 +1,33 @@
+-- Organizations (tenants); tenant-scoped collections are filtered on organizationId
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS organizations (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organizations_slug ON organizations (json_extract(data, '$.slug'));
+
+CREATE INDEX IF NOT EXISTS idx_users_organization_email ON users (json_extract(data, '$.organizationId'), json_extract(data, '$.email'));
+CREATE INDEX IF NOT EXISTS idx_courses_organization ON courses (json_extract(data, '$.organizationId'));
+CREATE INDEX IF NOT EXISTS idx_lessons_organization ON lessons (json_extract(data, '$.organizationId'));
+CREATE INDEX IF NOT EXISTS idx_enrollments_organization ON enrollments (json_extract(data, '$.organizationId'));
+CREATE INDEX IF NOT EXISTS idx_progress_organization ON progress (json_extract(data, '$.organizationId'));
+CREATE INDEX IF NOT EXISTS idx_assignments_organization ON assignments (json_extract(data, '$.organizationId'));
+CREATE INDEX IF NOT EXISTS idx_submissions_organization ON submissions (json_extract(data, '$.organizationId'));
+CREATE INDEX IF NOT EXISTS idx_role_assignments_organization ON role_assignments (json_extract(data, '$.organizationId'));
+CREATE INDEX IF NOT EXISTS idx_audit_logs_organization ON audit_logs (json_extract(data, '$.organizationId'));
+CREATE INDEX IF NOT EXISTS idx_course_revisions_organization ON course_revisions (json_extract(data, '$.organizationId'));
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_course_revisions_organization;
+DROP INDEX IF EXISTS idx_audit_logs_organization;
+DROP INDEX IF EXISTS idx_role_assignments_organization;
+DROP INDEX IF EXISTS idx_submissions_organization;
+DROP INDEX IF EXISTS idx_assignments_organization;
+DROP INDEX IF EXISTS idx_progress_organization;
+DROP INDEX IF EXISTS idx_enrollments_organization;
+DROP INDEX IF EXISTS idx_lessons_organization;
+DROP INDEX IF EXISTS idx_courses_organization;
+DROP INDEX IF EXISTS idx_users_organization_email;
+DROP TABLE IF EXISTS organizations;
@@ -0,0 +1,27 @@
+-- Unique constraints declared by the models (see database/indexes.js); the
+-- SQLite adapter creates the same indexes on first use. Email addresses are
+-- lower-cased first, as the User model now stores them. Records in the trash
+-- are left out, so a deleted account does not block its address.
+
+-- migrate:up
+UPDATE users SET data = json_set(data, '$.email', lower(trim(json_extract(data, '$.email'))))
+WHERE json_extract(data, '$.email') IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_users_organization_email ON users (
+  ifnull(json_extract(data, '$.organizationId'), ''),
+  ifnull(json_extract(data, '$.email'), '')
+) WHERE json_extract(data, '$.email') IS NOT NULL AND json_extract(data, '$.deletedAt') IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_courses_instructor_slug ON courses (
+  ifnull(json_extract(data, '$.instructorId'), ''),
+  ifnull(json_extract(data, '$.slug'), '')
+) WHERE json_extract(data, '$.slug') IS NOT NULL AND json_extract(data, '$.deletedAt') IS NULL;
+
+DROP INDEX IF EXISTS idx_organizations_slug;
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_organizations_slug ON organizations (ifnull(json_extract(data, '$.slug'), ''));
+
+-- migrate:down
+DROP INDEX IF EXISTS uniq_organizations_slug;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organizations_slug ON organizations (json_extract(data, '$.slug'));
+DROP INDEX IF EXISTS uniq_courses_instructor_slug;
+DROP INDEX IF EXISTS uniq_users_organization_email;
@@ -0,0 +1,11 @@
+-- Course catalogue codes (e.g. CS101), unique in each organization; roster
+-- imports refer to courses by code
+
+-- migrate:up
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_courses_organization_code ON courses (
+  ifnull(json_extract(data, '$.organizationId'), ''),
+  ifnull(json_extract(data, '$.code'), '')
+) WHERE json_extract(data, '$.code') IS NOT NULL AND json_extract(data, '$.deletedAt') IS NULL;
+
+-- migrate:down
+DROP INDEX IF EXISTS uniq_courses_organization_code;
@@ -0,0 +1,16 @@
+-- Course reviews: one per learner per course (see models/Review.js)
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS reviews (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_reviews_course_user ON reviews (
+  ifnull(json_extract(data, '$.courseId'), ''),
+  ifnull(json_extract(data, '$.userId'), '')
+);
+CREATE INDEX IF NOT EXISTS idx_reviews_user ON reviews (json_extract(data, '$.userId'));
+
+-- migrate:down
+DROP TABLE IF EXISTS reviews;
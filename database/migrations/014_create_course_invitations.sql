@@ -0,0 +1,13 @@
+-- Invitations to join a course's teaching team (see models/CourseInvitation.js)
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS course_invitations (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_invitations_course_email ON course_invitations (json_extract(data, '$.courseId'), json_extract(data, '$.email'));
+CREATE INDEX IF NOT EXISTS idx_course_invitations_email ON course_invitations (json_extract(data, '$.email'));
+
+-- migrate:down
+DROP TABLE IF EXISTS course_invitations;
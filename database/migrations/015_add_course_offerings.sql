@@ -0,0 +1,7 @@
+-- Course offerings: dated runs of a master course (see services/offeringService.js)
+
+-- migrate:up
+CREATE INDEX IF NOT EXISTS idx_courses_master_course ON courses (json_extract(data, '$.masterCourseId'));
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_courses_master_course;
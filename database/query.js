@@ -0,0 +1,237 @@
+/**
+ * Query helpers shared by the in-memory and JSON-file adapters
+ *
+ * Queries are plain objects, in the spirit of MongoDB:
+ *   { role: 'student', isActive: true }                equality (null also matches a missing field)
+ *   { price: { $gte: 10, $lte: 50 } }                 $eq $ne $gt $gte $lt $lte $in $nin $exists
+ *   { tags: { $contains: 'node' } }                   array field holds the value
+ *   { title: { $search: 'intro' } }                   case-insensitive substring (of any
+ *                                                     element for arrays)
+ *   { $or: [{ instructorId: id }, { coInstructors: { $contains: id } }] }   also $and
+ * Field names may use dot paths ('address.city').
+ *
+ * Options: { sort: { createdAt: -1, title: 1 }, limit, offset }
+ * The SQLite adapter translates the same queries to SQL; keep the two in step.
+ */
+
+const OPERATORS = [
+  '$eq',
+  '$ne',
+  '$gt',
+  '$gte',
+  '$lt',
+  '$lte',
+  '$in',
+  '$nin',
+  '$exists',
+  '$contains',
+  '$search',
+];
+
+// Field names are interpolated into SQL JSON paths, so keep them simple
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+/**
+ * Throw on field names that are not plain (dot separated) identifiers
+ */
+const assertField = (field) => {
+  if (!FIELD_PATTERN.test(field)) {
+    throw new Error(`Invalid field name in query: ${field}`);
+  }
+};
+
+/**
+ * Check whether a query value is an operator object ({ $gte: 1 })
+ */
+const isOperatorObject = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value) || value instanceof Date) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  if (keys.length === 0 || !keys.every((key) => key.startsWith('$'))) {
+    return false;
+  }
+  keys.forEach((key) => {
+    if (!OPERATORS.includes(key)) {
+      throw new Error(`Unsupported query operator: ${key}`);
+    }
+  });
+  return true;
+};
+
+/**
+ * Bring query values to the form they are stored in (dates as ISO strings)
+ */
+const normalizeValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined) return null;
+  return value;
+};
+
+/**
+ * Read a (dot path) field from a record
+ */
+const getField = (record, field) => field.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record);
+
+// Type order used for comparisons and sorting; matches SQLite (NULL < numbers < text)
+const typeRank = (value) => {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'number' || typeof value === 'boolean') return 1;
+  if (typeof value === 'string') return 2;
+  return 3;
+};
+
+/**
+ * Compare two stored values
+ * @returns {number} Negative, zero or positive
+ */
+const compareValues = (a, b) => {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (rankA === 0) return 0;
+
+  // Booleans compare as 0/1 and objects by their JSON text, as SQLite would
+  const comparable = (value) => {
+    if (rankA === 1) return Number(value);
+    if (rankA === 3) return JSON.stringify(value);
+    return value;
+  };
+
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+};
+
+// Equality on stored values; arrays and objects compare by content
+const valuesEqual = (a, b) => {
+  if (a === null || a === undefined) return b === null || b === undefined;
+  if (typeof a === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  return a === b;
+};
+
+/**
+ * Check one field against an operator object
+ */
+const matchesOperators = (value, operators) => Object.keys(operators).every((operator) => {
+  const operand = operators[operator];
+
+  switch (operator) {
+    case '$eq':
+      return valuesEqual(value, normalizeValue(operand));
+    case '$ne':
+      return !valuesEqual(value, normalizeValue(operand));
+    case '$gt':
+      return (
+        value !== null && value !== undefined && compareValues(value, normalizeValue(operand)) > 0
+      );
+    case '$gte':
+      return (
+        value !== null
+          && value !== undefined
+          && compareValues(value, normalizeValue(operand)) >= 0
+      );
+    case '$lt':
+      return (
+        value !== null && value !== undefined && compareValues(value, normalizeValue(operand)) < 0
+      );
+    case '$lte':
+      return (
+        value !== null
+          && value !== undefined
+          && compareValues(value, normalizeValue(operand)) <= 0
+      );
+    case '$in':
+      return (
+        value !== null
+          && value !== undefined
+          && operand.map(normalizeValue).some((candidate) => valuesEqual(value, candidate))
+      );
+    case '$nin':
+      return !operand.map(normalizeValue).some((candidate) => valuesEqual(value, candidate));
+    case '$exists':
+      return (value !== null && value !== undefined) === !!operand;
+    case '$contains':
+      return Array.isArray(value)
+        ? value.some((element) => valuesEqual(element, normalizeValue(operand)))
+        : valuesEqual(value, normalizeValue(operand));
+    case '$search': {
+      const needle = String(operand).toLowerCase();
+      return []
+        .concat(value === undefined ? [] : value)
+        .some((element) => typeof element === 'string' && element.toLowerCase().includes(needle));
+    }
+    default:
+      throw new Error(`Unsupported query operator: ${operator}`);
+  }
+});
+
+/**
+ * Check whether a record matches a query
+ */
+const matches = (record, query = {}) => Object.keys(query).every((key) => {
+  if (key === '$or') {
+    return query.$or.some((subQuery) => matches(record, subQuery));
+  }
+  if (key === '$and') {
+    return query.$and.every((subQuery) => matches(record, subQuery));
+  }
+
+  assertField(key);
+  const value = getField(record, key);
+  const condition = query[key];
+
+  if (isOperatorObject(condition)) {
+    return matchesOperators(value, condition);
+  }
+  return valuesEqual(value, normalizeValue(condition));
+});
+
+/**
+ * Sort records by a { field: 1 | -1 } specification (stable)
+ */
+const sortRecords = (records, sort) => {
+  const fields = Object.keys(sort || {});
+  if (fields.length === 0) return records;
+  fields.forEach(assertField);
+
+  return [...records].sort((a, b) => {
+    for (let i = 0; i < fields.length; i += 1) {
+      const direction = sort[fields[i]] < 0 ? -1 : 1;
+      const result = compareValues(getField(a, fields[i]), getField(b, fields[i]));
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  });
+};
+
+/**
+ * Filter, sort and page an array of records
+ * @param {Object[]} records - Candidate records, in insertion order
+ * @param {Object} query - Query object
+ * @param {Object} options - { sort, limit, offset }
+ */
+const applyQuery = (records, query = {}, { sort, limit, offset = 0 } = {}) => {
+  const sorted = sortRecords(
+    records.filter((record) => matches(record, query)),
+    sort,
+  );
+  const start = Math.max(parseInt(offset, 10) || 0, 0);
+  const end = limit === undefined || limit === null
+    ? undefined
+    : start + Math.max(parseInt(limit, 10) || 0, 0);
+  return sorted.slice(start, end);
+};
+
+module.exports = {
+  OPERATORS,
+  assertField,
+  isOperatorObject,
+  normalizeValue,
+  getField,
+  compareValues,
+  matches,
+  sortRecords,
+  applyQuery,
+};
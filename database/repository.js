@@ -0,0 +1,187 @@
+const { getAdapter } = require('./connection');
+const { VersionConflictError, TenantMismatchError } = require('./errors');
+const { defineIndex } = require('./indexes');
+const { getTenantId } = require('./tenantContext');
+const { waitForTransaction } = require('./transaction');
+
+/**
+ * Repository
+ * Data access for one collection. Models keep their records here instead of
+ * talking to a storage module directly, so the adapter can be swapped by config.
+ *
+ * With { softDelete: true }, records that have a deletedAt are hidden from
+ * find, findOne, findById and count unless { withDeleted: true } is passed
+ * or the query itself filters on deletedAt.
+ *
+ * With { versioned: true }, every save bumps the record's `version`, which
+ * the API exposes as an ETag for optimistic concurrency control.
+ *
+ * With { counters: [...] }, those fields hold values a record keeps about
+ * other data (e.g. a course's enrollmentCount). They are written with patch(),
+ * which leaves the version alone, and save() keeps their stored values, so
+ * keeping them current never invalidates an ETag and a save based on an
+ * older read cannot put back an old count.
+ *
+ * With { tenantScoped: true }, records belong to an organization: inside a
+ * tenant context (database/tenantContext.js) every read and delete only sees
+ * that organization's records unless { allTenants: true } is passed, and new
+ * records are stamped with its organizationId. Saving another organization's
+ * record there throws TenantMismatchError.
+ *
+ * With { indexes: [...] }, the adapter keeps those indexes for lookups and
+ * unique constraints; saves that break a unique one throw DuplicateKeyError.
+ * See database/indexes.js.
+ *
+ * Calls made outside a transaction wait for the running one to finish; see
+ * database/transaction.js.
+ */
+
+// Plain copy of a model instance's own fields (bypasses toJSON, which hides secrets)
+const toRecord = (model) => JSON.parse(JSON.stringify({ ...model }));
+
+class Repository {
+  constructor(
+    collection,
+    {
+      softDelete = false, versioned = false, tenantScoped = false, indexes = [], counters = [],
+    } = {},
+  ) {
+    this.collection = collection;
+    this.softDelete = softDelete;
+    this.versioned = versioned;
+    this.tenantScoped = tenantScoped;
+    this.counters = counters;
+    this.indexes = indexes.map((index) => defineIndex(collection, index, { softDelete }));
+    this.indexedAdapters = new WeakSet();
+  }
+
+  // The adapter to use, once any running transaction is done and the indexes exist
+  async adapter() {
+    await waitForTransaction();
+    const adapter = getAdapter();
+
+    if (this.indexes.length > 0 && !this.indexedAdapters.has(adapter)) {
+      await adapter.ensureIndexes(this.collection, this.indexes);
+      this.indexedAdapters.add(adapter);
+    }
+    return adapter;
+  }
+
+  // Organization whose records this call is limited to, or null
+  tenantId({ allTenants = false } = {}) {
+    return this.tenantScoped && !allTenants ? getTenantId() : null;
+  }
+
+  // Add the "not deleted" and "in this organization" conditions
+  scope(query = {}, { withDeleted = false, allTenants = false } = {}) {
+    let scoped = query;
+    if (this.softDelete && !withDeleted && !('deletedAt' in query)) {
+      scoped = { ...scoped, deletedAt: null };
+    }
+
+    const tenantId = this.tenantId({ allTenants });
+    if (tenantId) {
+      scoped = { ...scoped, organizationId: tenantId };
+    }
+    return scoped;
+  }
+
+  // Give new records the current organization; refuse to write another one's.
+  // Stored records keep theirs, so platform-level ones stay outside it.
+  async stamp(adapter, model) {
+    const tenantId = this.tenantId();
+    if (!tenantId) return model;
+
+    if (!model.organizationId) {
+      const stored = await adapter.findById(this.collection, String(model.id));
+      model.organizationId = stored ? stored.organizationId || null : tenantId;
+    }
+    if (model.organizationId && model.organizationId !== tenantId) {
+      throw new TenantMismatchError(this.collection, model.id);
+    }
+    return model;
+  }
+
+  /**
+   * Find records matching a query
+   * @param {Object} query - See database/query.js for the query language
+   * @param {Object} options - { sort, limit, offset, withDeleted, allTenants }
+   */
+  async find(query = {}, options = {}) {
+    return (await this.adapter()).find(this.collection, this.scope(query, options), options);
+  }
+
+  async findOne(query = {}, options = {}) {
+    const [record] = await this.find(query, { ...options, limit: 1 });
+    return record || null;
+  }
+
+  async findById(id, { withDeleted = false, allTenants = false } = {}) {
+    if (id === undefined || id === null) return null;
+    const record = await (await this.adapter()).findById(this.collection, String(id));
+    if (!record) return null;
+    if (this.softDelete && record.deletedAt && !withDeleted) return null;
+
+    const tenantId = this.tenantId({ allTenants });
+    if (tenantId && record.organizationId !== tenantId) return null;
+    return record;
+  }
+
+  async count(query = {}, options = {}) {
+    return (await this.adapter()).count(this.collection, this.scope(query, options));
+  }
+
+  /**
+   * Insert or replace a model/record by its id
+   * @param {Object} options - { ifVersion } to save only while the stored version
+   *   still equals it (versioned collections); throws VersionConflictError otherwise
+   * @returns {Promise<Object>} The stored record, with its new version
+   */
+  async save(model, { ifVersion = null } = {}) {
+    const adapter = await this.adapter();
+    await this.stamp(adapter, model);
+
+    if (!this.versioned) {
+      return adapter.save(this.collection, toRecord(model), { keep: this.counters });
+    }
+
+    const saved = await adapter.save(this.collection, toRecord(model), {
+      versioned: true,
+      expectedVersion: ifVersion,
+      keep: this.counters,
+    });
+    if (!saved) {
+      throw new VersionConflictError(this.collection, model.id);
+    }
+    return saved;
+  }
+
+  /**
+   * Set some fields of a stored record without bumping its version
+   * For the collection's counters; other changes go through save().
+   * @returns {Promise<Object|null>} The stored record; null if there is none
+   */
+  async patch(id, fields) {
+    if (!(await this.findById(id, { withDeleted: true }))) return null;
+    return (await this.adapter()).patch(this.collection, String(id), toRecord(fields));
+  }
+
+  // Bulk insert/replace (seeding, imports)
+  async saveMany(models) {
+    const adapter = await this.adapter();
+    const stamped = await Promise.all(models.map((model) => this.stamp(adapter, model)));
+    return adapter.saveMany(this.collection, stamped.map(toRecord));
+  }
+
+  // Permanently removes the record, soft-delete collections included
+  async deleteById(id) {
+    const query = this.scope({ id: String(id) }, { withDeleted: true });
+    return (await (await this.adapter()).delete(this.collection, query)) > 0;
+  }
+
+  async deleteMany(query = {}) {
+    return (await this.adapter()).delete(this.collection, this.scope(query, { withDeleted: true }));
+  }
+}
+
+module.exports = Repository;
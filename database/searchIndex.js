@@ -0,0 +1,193 @@
+const { getTenantId } = require('./tenantContext');
+const { analyze, editDistance } = require('../utils/text');
+
+/**
+ * Search index
+ * An in-memory inverted index over one collection, kept per organization (and
+ * one for platform-level requests, which see every organization). Models
+ * declare it next to their repository:
+ *
+ *   const searchIndex = new SearchIndex('courses', {
+ *     fields: { title: 3, tags: 2, description: 1 },
+ *     includes: course => course.isPublished,
+ *     load: () => repository.find({ isPublished: true })
+ *   });
+ *
+ * `fields` are the searchable fields with their boosts; `load` reads the
+ * records to index (inside the caller's tenant context) and `includes` says
+ * whether a saved record belongs in the index. An index is built on its first
+ * search, kept up to date by update() once the model's saves commit, and
+ * rebuilt after SEARCH_INDEX_MAX_AGE_SECONDS (default 300) to pick up writes
+ * made by other processes.
+ */
+
+const DEFAULT_MAX_AGE_SECONDS = 300;
+
+// Weights of the ways a query word can match an indexed term
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.8, typo: 0.6 };
+
+// Key of the index a tenant context searches
+const ALL_TENANTS = '*';
+const indexKey = () => getTenantId() || ALL_TENANTS;
+
+// Edits allowed between a query word and a term: none for short words
+const allowedTypos = (word) => {
+  if (word.length >= 9) return 2;
+  return word.length >= 5 ? 1 : 0;
+};
+
+// Term frequency, saturated so repeating a word does not outweigh a better field
+const saturate = (count) => count / (count + 1.2);
+
+class SearchIndex {
+  constructor(collection, { fields, includes = () => true, load }) {
+    this.collection = collection;
+    this.fields = fields;
+    this.includes = includes;
+    this.load = load;
+    const maxAgeSeconds = parseInt(process.env.SEARCH_INDEX_MAX_AGE_SECONDS, 10);
+    this.maxAge = (maxAgeSeconds || DEFAULT_MAX_AGE_SECONDS) * 1000;
+    this.indexes = new Map(); // index key -> { builtAt, documents, postings }
+    this.building = new Map(); // index key -> Promise of an index being built
+  }
+
+  // Per-term weights of a record: the boosts of the fields a term is in, by frequency
+  termWeights(record) {
+    const weights = new Map();
+    Object.keys(this.fields).forEach((field) => {
+      const counts = new Map();
+      [].concat(record[field] || []).forEach((value) => {
+        analyze(value).forEach((term) => counts.set(term, (counts.get(term) || 0) + 1));
+      });
+      counts.forEach((count, term) => {
+        weights.set(term, (weights.get(term) || 0) + this.fields[field] * saturate(count));
+      });
+    });
+    return weights;
+  }
+
+  add(index, record) {
+    const terms = this.termWeights(record);
+    index.documents.set(record.id, { record, terms });
+    terms.forEach((weight, term) => {
+      if (!index.postings.has(term)) index.postings.set(term, new Set());
+      index.postings.get(term).add(record.id);
+    });
+  }
+
+  remove(index, id) {
+    const document = index.documents.get(id);
+    if (!document) return;
+
+    index.documents.delete(id);
+    document.terms.forEach((weight, term) => {
+      const ids = index.postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) index.postings.delete(term);
+    });
+  }
+
+  async build() {
+    const index = { builtAt: Date.now(), documents: new Map(), postings: new Map() };
+    const records = await this.load();
+    records.filter(this.includes).forEach((record) => this.add(index, record));
+    return index;
+  }
+
+  /**
+   * The index for the current tenant context, built if missing or too old
+   * @returns {Promise<Object>} { documents, postings }
+   */
+  async current() {
+    const key = indexKey();
+    const index = this.indexes.get(key);
+    if (index && Date.now() - index.builtAt < this.maxAge) return index;
+
+    if (!this.building.has(key)) {
+      this.building.set(
+        key,
+        this.build()
+          .then((built) => {
+            this.indexes.set(key, built);
+            return built;
+          })
+          .finally(() => this.building.delete(key)),
+      );
+    }
+    return this.building.get(key);
+  }
+
+  /**
+   * Bring a saved record up to date in every built index it can appear in
+   */
+  update(record) {
+    const plain = JSON.parse(JSON.stringify({ ...record }));
+    this.indexes.forEach((index, key) => {
+      if (key !== ALL_TENANTS && key !== plain.organizationId) return;
+      this.remove(index, plain.id);
+      if (!plain.deletedAt && this.includes(plain)) this.add(index, plain);
+    });
+  }
+
+  // Indexed terms a query word matches, with the weight of each match
+  expand(index, word, { prefix = false } = {}) {
+    const matches = new Map();
+    if (index.postings.has(word)) matches.set(word, MATCH_WEIGHTS.exact);
+
+    const typos = allowedTypos(word);
+    index.postings.forEach((ids, term) => {
+      if (matches.has(term)) return;
+      if (prefix && word.length >= 3 && term.startsWith(word)) {
+        matches.set(term, MATCH_WEIGHTS.prefix);
+      } else if (typos > 0 && editDistance(word, term, typos) <= typos) {
+        matches.set(term, MATCH_WEIGHTS.typo);
+      }
+    });
+    return matches;
+  }
+
+  /**
+   * Records matching every word of a query, with their relevance
+   * Each word matches its exact stem, terms within a typo or two of it and,
+   * for the last word (still being typed), terms it starts. Scores add up
+   * the field boosts of the matched terms, weighted by how rare each term is.
+   * @param {string} text - Search text; empty matches every record
+   * @returns {Promise<Array>} [{ record, score }], in no particular order
+   */
+  async search(text) {
+    const index = await this.current();
+    const words = [...new Set(analyze(text))];
+
+    if (words.length === 0) {
+      return [...index.documents.values()].map(({ record }) => ({ record, score: 0 }));
+    }
+
+    const total = index.documents.size;
+    let scores = null;
+
+    words.forEach((word, position) => {
+      const wordScores = new Map();
+      this.expand(index, word, { prefix: position === words.length - 1 }).forEach(
+        (matchWeight, term) => {
+          const ids = index.postings.get(term);
+          const idf = Math.log(1 + (total - ids.size + 0.5) / (ids.size + 0.5));
+          ids.forEach((id) => {
+            const score = matchWeight * idf * index.documents.get(id).terms.get(term);
+            wordScores.set(id, Math.max(wordScores.get(id) || 0, score));
+          });
+        },
+      );
+
+      // Every word has to match
+      const next = new Map();
+      wordScores.forEach((score, id) => {
+        if (!scores || scores.has(id)) next.set(id, (scores ? scores.get(id) : 0) + score);
+      });
+      scores = next;
+    });
+
+    return [...scores].map(([id, score]) => ({ record: index.documents.get(id).record, score }));
+  }
+}
+
+module.exports = SearchIndex;
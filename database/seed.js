@@ -0,0 +1,288 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const config = require('../config/database');
+const database = require('./connection');
+const Repository = require('./repository');
+const { idFrom } = require('./ids');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Lesson = require('../models/Lesson');
+const Review = require('../models/Review');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { countEnrollments } = require('../services/enrollmentService');
+const logger = require('../utils/logger');
+const buildUsers = require('./seeds/users');
+const buildCourses = require('./seeds/courses');
+const buildLessons = require('./seeds/lessons');
+const buildEnrollments = require('./seeds/enrollments');
+const buildReviews = require('./seeds/reviews');
+
+/**
+ * Database seeder
+ *
+ * Loads a named fixture profile into the configured database. Everything is
+ * derived from a seed value, so the same profile and seed always produce the
+ * same IDs, names and dates (handy for tests and screenshots).
+ *
+ *   minimal    one admin, instructor, student and course
+ *   demo       a small catalogue with enrollments and reviews (default)
+ *   load-test  thousands of users, courses and enrollments
+ *
+ * Usage: npm run seed -- [profile] [--seed=<value>] [--truncate]
+ */
+
+const PROFILES = {
+  minimal: {
+    instructors: 1,
+    students: 1,
+    courses: 1,
+    lessonsPerCourse: 3,
+    enrollmentsPerStudent: 1,
+  },
+  demo: {
+    instructors: 3, students: 20, courses: 8, lessonsPerCourse: 6, enrollmentsPerStudent: 3,
+  },
+  'load-test': {
+    instructors: 100,
+    students: 5000,
+    courses: 1000,
+    lessonsPerCourse: 8,
+    enrollmentsPerStudent: 6,
+  },
+};
+
+const DEFAULT_PROFILE = 'demo';
+const DEFAULT_SEED = 'ods-lms';
+
+// Fixture dates are offsets from a fixed day, not from "now"
+const EPOCH = Date.UTC(2024, 0, 1);
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Deterministic pseudo-random numbers seeded from a string
+ * Each SHA-256 of the seed and a block number gives eight 32-bit values.
+ */
+const createRandom = (seed) => {
+  let block = 0;
+  let values = [];
+
+  const next = () => {
+    if (values.length === 0) {
+      const digest = crypto.createHash('sha256').update(`${seed}:${block}`).digest();
+      values = Array.from({ length: 8 }, (_, index) => digest.readUInt32LE(index * 4));
+      block += 1;
+    }
+    return values.shift() / 2 ** 32;
+  };
+
+  const random = {
+    next,
+    float: (min, max) => min + next() * (max - min),
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    bool: (probability = 0.5) => next() < probability,
+    pick: (items) => items[Math.floor(next() * items.length)],
+    // `count` distinct items, in a stable order
+    sample: (items, count) => {
+      const copy = [...items];
+      for (let i = 0; i < count; i += 1) {
+        const j = i + Math.floor(next() * (copy.length - i));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+      }
+      return copy.slice(0, count);
+    },
+  };
+
+  return random;
+};
+
+/**
+ * Build the context handed to every fixture module
+ */
+const createContext = (profileName, seed) => {
+  const profile = PROFILES[profileName];
+  if (!profile) {
+    throw new Error(
+      `Unknown seed profile "${profileName}". Use: ${Object.keys(PROFILES).join(' | ')}`,
+    );
+  }
+
+  const random = createRandom(seed);
+
+  return {
+    profileName,
+    profile,
+    seed: String(seed),
+    random,
+    // Same seed, collection and key -> same ID, shaped like every other record ID
+    stableId: (collection, key) => idFrom(
+      EPOCH,
+      crypto.createHash('sha256').update(`${seed}:${collection}:${key}`).digest(),
+    ),
+    // ISO date between `minDays` and `maxDays` after the fixture epoch
+    dateAfter: (minDays, maxDays) => {
+      const offset = Math.floor(random.float(minDays, maxDays) * DAY);
+      return new Date(EPOCH + offset).toISOString();
+    },
+  };
+};
+
+/**
+ * Generate every fixture record for a profile (no database access)
+ * @returns {Object} { users, courses, lessons, enrollments, reviews } as plain objects
+ */
+const buildFixtures = (profileName = DEFAULT_PROFILE, seed = DEFAULT_SEED) => {
+  const context = createContext(profileName, seed);
+
+  const users = buildUsers(context);
+  const courses = buildCourses({ ...context, users });
+  const lessons = buildLessons({ ...context, courses });
+  const enrollments = buildEnrollments({ ...context, users, courses });
+  const reviews = buildReviews({ ...context, enrollments });
+
+  const courseEnrollments = enrollments.reduce((byCourse, enrollment) => {
+    if (!byCourse.has(enrollment.courseId)) byCourse.set(enrollment.courseId, []);
+    byCourse.get(enrollment.courseId).push(enrollment);
+    return byCourse;
+  }, new Map());
+  const courseReviews = reviews.reduce((byCourse, review) => {
+    if (!byCourse.has(review.courseId)) byCourse.set(review.courseId, []);
+    byCourse.get(review.courseId).push(review);
+    return byCourse;
+  }, new Map());
+  courses.forEach((course) => {
+    Object.assign(course, countEnrollments(courseEnrollments.get(course.id) || []));
+    Object.assign(course, Review.aggregate(courseReviews.get(course.id) || []));
+  });
+
+  return {
+    users, courses, lessons, enrollments, reviews,
+  };
+};
+
+/**
+ * Hash fixture passwords with User.hashPassword
+ * bcrypt is slow by design, so each distinct password is hashed once and reused.
+ */
+const hashPasswords = async (users) => {
+  const passwords = [...new Set(users.map((user) => user.password))];
+  const hashed = await Promise.all(
+    passwords.map(async (password) => {
+      const user = new User({ password });
+      await user.hashPassword();
+      return user.password;
+    }),
+  );
+  const hashes = new Map(passwords.map((password, index) => [password, hashed[index]]));
+
+  users.forEach((user) => {
+    user.password = hashes.get(user.password);
+    user.passwordChangedAt = user.createdAt;
+  });
+
+  return users;
+};
+
+/**
+ * Seed the connected database
+ * @param {Object} options - { profile, seed, truncate }
+ * @returns {Object} Number of records written per collection
+ */
+const seed = async ({
+  profile = DEFAULT_PROFILE,
+  seed: seedValue = DEFAULT_SEED,
+  truncate = false,
+} = {}) => {
+  const fixtures = buildFixtures(profile, seedValue);
+  await hashPasswords(fixtures.users);
+
+  if (truncate) {
+    await database.getAdapter().clear();
+  }
+  await Role.ensureSystemRoles();
+
+  const models = {
+    users: fixtures.users.map((data) => new User(data)),
+    courses: fixtures.courses.map((data) => new Course(data)),
+    lessons: fixtures.lessons.map((data) => new Lesson(data)),
+    enrollments: fixtures.enrollments.map((data) => new Enrollment(data)),
+    reviews: fixtures.reviews.map((data) => new Review(data)),
+  };
+
+  // One collection at a time, in the order above
+  return Object.keys(models).reduce(async (previous, collection) => {
+    const counts = await previous;
+    const written = await new Repository(collection).saveMany(models[collection]);
+    return { ...counts, [collection]: written };
+  }, Promise.resolve({}));
+};
+
+/**
+ * Command line entry point
+ */
+const run = async (args) => {
+  const options = {
+    profile: DEFAULT_PROFILE,
+    seed: process.env.SEED || DEFAULT_SEED,
+    truncate: false,
+  };
+
+  args.forEach((arg) => {
+    if (arg === '--truncate') {
+      options.truncate = true;
+    } else if (arg.startsWith('--seed=')) {
+      options.seed = arg.slice('--seed='.length);
+    } else if (!arg.startsWith('--')) {
+      options.profile = arg;
+    } else {
+      throw new Error(
+        `Unknown option "${arg}". Usage: seed [profile] [--seed=<value>] [--truncate]`,
+      );
+    }
+  });
+
+  if (!PROFILES[options.profile]) {
+    throw new Error(
+      `Unknown seed profile "${options.profile}". Use: ${Object.keys(PROFILES).join(' | ')}`,
+    );
+  }
+
+  if (config.driver === 'memory') {
+    throw new Error(
+      'The memory driver keeps nothing after this process exits; set DB_DRIVER to json or sqlite to seed',
+    );
+  }
+
+  await database.connect();
+
+  try {
+    const counts = await seed(options);
+    logger.info(
+      `Seeded profile "${options.profile}" (seed "${options.seed}")${options.truncate ? ' after truncating' : ''}:`,
+    );
+    Object.keys(counts).forEach((collection) => logger.info(`  ${collection.padEnd(12)} ${counts[collection]}`));
+
+    logger.info('Logins: admin@odslms.test, instructor1@odslms.test, student1@odslms.test');
+    logger.info(
+      `Passwords: ${Object.keys(buildUsers.PASSWORDS)
+        .map((role) => `${role} ${buildUsers.PASSWORDS[role]}`)
+        .join(', ')}`,
+    );
+  } finally {
+    await database.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch((error) => {
+    logger.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  PROFILES,
+  buildFixtures,
+  seed,
+};
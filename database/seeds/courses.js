@@ -0,0 +1,65 @@
+const Course = require('../../models/Course');
+
+/**
+ * Course fixtures
+ * Spread round-robin over the seeded instructors.
+ */
+
+const TOPICS = [
+  { title: 'JavaScript Fundamentals', category: 'Programming', tags: ['javascript', 'web'] },
+  {
+    title: 'Node.js and Express APIs',
+    category: 'Programming',
+    tags: ['nodejs', 'express', 'api'],
+  },
+  { title: 'React for Beginners', category: 'Programming', tags: ['react', 'frontend'] },
+  { title: 'SQL and Relational Databases', category: 'Data', tags: ['sql', 'databases'] },
+  { title: 'Python for Data Analysis', category: 'Data', tags: ['python', 'pandas'] },
+  {
+    title: 'Introduction to Machine Learning',
+    category: 'Data',
+    tags: ['machine-learning', 'python'],
+  },
+  { title: 'UI Design Principles', category: 'Design', tags: ['design', 'ui'] },
+  { title: 'Calculus I', category: 'Mathematics', tags: ['calculus', 'math'] },
+  { title: 'Statistics Essentials', category: 'Mathematics', tags: ['statistics', 'math'] },
+  { title: 'Business English', category: 'Languages', tags: ['english', 'communication'] },
+  { title: 'Project Management Basics', category: 'Business', tags: ['management', 'agile'] },
+  { title: 'Cloud Computing with AWS', category: 'IT', tags: ['aws', 'cloud'] },
+];
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+module.exports = ({
+  profile, random, stableId, dateAfter, users,
+}) => {
+  const instructors = users.filter((user) => user.role === 'instructor');
+
+  return Array.from({ length: profile.courses }, (_, index) => {
+    const topic = TOPICS[index % TOPICS.length];
+    const edition = Math.floor(index / TOPICS.length);
+    const title = edition === 0 ? topic.title : `${topic.title} (Part ${edition + 1})`;
+    const isPublished = random.bool(0.8);
+    const createdAt = dateAfter(0, 200);
+
+    return {
+      id: stableId('courses', index),
+      title,
+      slug: Course.slugify(title),
+      description: `${title}: a hands-on course with short lessons, exercises and a final project.`,
+      shortDescription: `Learn ${topic.tags[0]} step by step.`,
+      category: topic.category,
+      difficulty: random.pick(DIFFICULTIES),
+      duration: random.int(2, 40),
+      price: random.bool(0.3) ? 0 : random.int(1, 20) * 5,
+      instructorId: instructors[index % instructors.length].id,
+      tags: topic.tags,
+      isPublished,
+      publishedAt: isPublished ? createdAt : null,
+      status: isPublished ? 'published' : 'draft',
+      isFeatured: isPublished && random.bool(0.15),
+      createdAt,
+      updatedAt: createdAt,
+    };
+  });
+};
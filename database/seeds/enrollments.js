@@ -0,0 +1,33 @@
+/**
+ * Enrollment fixtures
+ * Each student joins up to `profile.enrollmentsPerStudent` published courses.
+ */
+
+module.exports = ({
+  profile, random, stableId, dateAfter, users, courses,
+}) => {
+  const students = users.filter((user) => user.role === 'student');
+  const published = courses.filter((course) => course.isPublished);
+  if (published.length === 0) return [];
+
+  return students.flatMap((student) => {
+    const count = Math.min(random.int(1, profile.enrollmentsPerStudent), published.length);
+
+    return random.sample(published, count).map((course) => {
+      const progress = random.pick([0, 0, 10, 25, 50, 80, 100]);
+      const enrolledAt = dateAfter(200, 360);
+
+      return {
+        id: stableId('enrollments', `${student.id}-${course.id}`),
+        userId: student.id,
+        courseId: course.id,
+        status: progress === 100 ? 'completed' : 'active',
+        progress,
+        enrolledAt,
+        completedAt: progress === 100 ? enrolledAt : null,
+        createdAt: enrolledAt,
+        updatedAt: enrolledAt,
+      };
+    });
+  });
+};
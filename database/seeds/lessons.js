@@ -0,0 +1,30 @@
+/**
+ * Lesson fixtures
+ * `profile.lessonsPerCourse` lessons for every seeded course, in order.
+ */
+
+const LESSON_TYPES = ['video', 'text', 'text', 'quiz'];
+
+module.exports = ({
+  profile, random, stableId, courses,
+}) => courses.flatMap((course) => Array.from({ length: profile.lessonsPerCourse }, (_, index) => {
+  const type = index === 0 ? 'video' : random.pick(LESSON_TYPES);
+
+  return {
+    id: stableId('lessons', `${course.id}-${index}`),
+    courseId: course.id,
+    title: index === 0 ? 'Welcome and course overview' : `Lesson ${index + 1}`,
+    description: `Part ${index + 1} of ${course.title}`,
+    type,
+    content:
+          type === 'text' ? `Reading material for lesson ${index + 1} of ${course.title}.` : null,
+    videoUrl:
+          type === 'video' ? `https://videos.odslms.test/${course.id}/${index + 1}.mp4` : null,
+    duration: random.int(5, 45),
+    order: index + 1,
+    isPublished: course.isPublished,
+    isPreview: index === 0,
+    createdAt: course.createdAt,
+    updatedAt: course.createdAt,
+  };
+}));
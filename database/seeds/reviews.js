@@ -0,0 +1,35 @@
+/**
+ * Review fixtures
+ * Learners who got past the default review threshold review some of their
+ * courses, mostly favourably.
+ */
+
+const config = require('../../config/reviews');
+
+const COMMENTS = [
+  'Clear explanations and useful exercises.',
+  'Good pace, though the last module felt rushed.',
+  'Exactly what I needed for work.',
+  'Solid course; the project tied everything together.',
+  'Some lessons could use more examples.',
+  '',
+];
+
+module.exports = ({
+  random, stableId, dateAfter, enrollments,
+}) => enrollments
+  .filter((enrollment) => enrollment.progress >= config.minProgress && random.bool(0.6))
+  .map((enrollment) => {
+    const createdAt = dateAfter(360, 365);
+
+    return {
+      id: stableId('reviews', enrollment.id),
+      courseId: enrollment.courseId,
+      userId: enrollment.userId,
+      rating: random.pick([3, 4, 4, 5, 5, 5, 2]),
+      comment: random.pick(COMMENTS),
+      status: 'published',
+      createdAt,
+      updatedAt: createdAt,
+    };
+  });
@@ -0,0 +1,87 @@
+/**
+ * User fixtures
+ * One admin, then instructors and students as the profile asks.
+ * Passwords are plain here; the seeder hashes them with User.hashPassword.
+ */
+
+const FIRST_NAMES = [
+  'Amal',
+  'Nimali',
+  'Kasun',
+  'Dilini',
+  'Ruwan',
+  'Sanduni',
+  'Tharindu',
+  'Ishara',
+  'Chamara',
+  'Hiruni',
+  'Alex',
+  'Maria',
+  'James',
+  'Priya',
+  'Wei',
+  'Fatima',
+  'Lucas',
+  'Aisha',
+  'Noah',
+  'Elena',
+];
+
+const LAST_NAMES = [
+  'Perera',
+  'Silva',
+  'Fernando',
+  'Jayasinghe',
+  'Bandara',
+  'Wickramasinghe',
+  'Dissanayake',
+  'Gunawardena',
+  'Smith',
+  'Garcia',
+  'Chen',
+  'Khan',
+  'Nguyen',
+  'Okafor',
+  'Novak',
+  'Rossi',
+];
+
+const PASSWORDS = {
+  admin: 'Admin123!',
+  instructor: 'Instructor123',
+  student: 'Student123',
+};
+
+module.exports = ({
+  profile, random, stableId, dateAfter,
+}) => {
+  const buildUser = (role, index) => {
+    const firstName = random.pick(FIRST_NAMES);
+    const lastName = random.pick(LAST_NAMES);
+    const createdAt = dateAfter(0, 180);
+
+    return {
+      id: stableId('users', `${role}-${index}`),
+      email: `${role}${index === 0 && role === 'admin' ? '' : index + 1}@odslms.test`,
+      password: PASSWORDS[role],
+      firstName,
+      lastName,
+      role,
+      bio:
+        role === 'instructor'
+          ? `${firstName} teaches ${random.pick(['web development', 'data science', 'design', 'mathematics', 'languages'])}.`
+          : null,
+      isEmailVerified: true,
+      createdAt,
+      updatedAt: createdAt,
+    };
+  };
+
+  return [
+    buildUser('admin', 0),
+    ...Array.from({ length: profile.instructors }, (_, index) => buildUser('instructor', index)),
+    ...Array.from({ length: profile.students }, (_, index) => buildUser('student', index)),
+  ];
+};
+
+module.exports.PASSWORDS = PASSWORDS;
@@ -0,0 +1,50 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Tenant context
+ * The organization the current request (or job) works in, carried through
+ * async calls with AsyncLocalStorage. Repositories created with
+ * { tenantScoped: true } read it to filter and stamp records. Outside any
+ * organization (scripts, platform admins, single-school deployments) nothing
+ * is filtered.
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside an organization (null for none)
+ */
+const runInTenant = (organization, callback) => (
+  storage.run({ organization: organization || null }, callback)
+);
+
+/**
+ * Switch the organization of the current context, e.g. once the token is verified
+ * Only works inside runInTenant; every request gets a context from middleware/tenant.js.
+ */
+const setTenant = (organization) => {
+  const store = storage.getStore();
+  if (!store) {
+    throw new Error('setTenant() called outside a tenant context');
+  }
+  store.organization = organization || null;
+};
+
+// The current Organization, or null
+const getTenant = () => {
+  const store = storage.getStore();
+  return store ? store.organization : null;
+};
+
+// Id of the current organization, or null
+const getTenantId = () => {
+  const organization = getTenant();
+  return organization ? organization.id : null;
+};
+
+module.exports = {
+  runInTenant,
+  setTenant,
+  getTenant,
+  getTenantId,
+};
@@ -0,0 +1,98 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { getAdapter } = require('./connection');
+
+/**
+ * Transactions (unit of work)
+ * transaction(work) runs an async function so that every repository write it
+ * makes commits together or, if it throws, not at all:
+ *
+ *   await transaction(async () => {
+ *     await Enrollment.create({ userId, courseId });
+ *     await course.updateCounters({ enrollmentCount: course.enrollmentCount + 1 });
+ *   });
+ *
+ * Transactions run one at a time, and repository calls made outside a
+ * transaction wait until the running one has finished, so nobody sees or
+ * overwrites uncommitted changes. A transaction started inside another one
+ * joins it. Side effects outside the database (caches, indexes) are passed to
+ * afterCommit() so they only happen once the writes are kept.
+ */
+
+const storage = new AsyncLocalStorage();
+
+let queue = Promise.resolve(); // settles once every queued transaction has finished
+let running = null; // settles when the running transaction has finished
+
+// Whether the caller is inside a transaction
+const inTransaction = () => !!storage.getStore();
+
+/**
+ * Run a callback once the caller's transaction has committed, or straight away
+ * outside a transaction; callbacks of a rolled back transaction never run
+ * @param {Function} callback
+ */
+const afterCommit = (callback) => {
+  const store = storage.getStore();
+  if (store) {
+    store.committed.push(callback);
+  } else {
+    callback();
+  }
+};
+
+/**
+ * Wait for the running transaction, unless the caller is part of it
+ */
+const waitForTransaction = async () => {
+  if (!running || inTransaction()) return;
+  await running;
+  await waitForTransaction();
+};
+
+// Run one unit of work against the adapter, committing or rolling back
+const execute = async (work) => {
+  const adapter = getAdapter();
+  let finished;
+  running = new Promise((resolve) => {
+    finished = resolve;
+  });
+
+  try {
+    await adapter.begin();
+    const committed = [];
+    try {
+      const result = await storage.run({ adapter, committed }, work);
+      await adapter.commit();
+      committed.forEach((callback) => callback());
+      return result;
+    } catch (error) {
+      await adapter.rollback();
+      throw error;
+    }
+  } finally {
+    running = null;
+    finished();
+  }
+};
+
+/**
+ * Run work as a single transaction
+ * @param {Function} work - Async function doing the reads and writes
+ * @returns {Promise<*>} Whatever work returns; rejects (after rolling back) if it throws
+ */
+const transaction = (work) => {
+  if (inTransaction()) {
+    return work();
+  }
+
+  const result = queue.then(() => execute(work));
+  queue = result.catch(() => {});
+  return result;
+};
+
+module.exports = {
+  transaction,
+  inTransaction,
+  waitForTransaction,
+  afterCommit,
+};
@@ -1,75 +1,200 @@
 const { AppError, catchAsync } = require('./errorHandler');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const AuditLog = require('../models/AuditLog');
+const { API_TOKEN_PREFIX } = require('../utils/constants');
+const { hasPermission } = require('../services/permissionService');
+const { sensitiveOpLimiter } = require('./rateLimiter');
+const authConfig = require('../config/auth');
+const logger = require('../utils/logger');
+const { verifyAccessToken, verifyChallengeToken } = require('../services/authService');
+const { enterOrganization } = require('./tenant');
 
-// Mock user database (same as controller)
-const users = [
-  {
-    id: 1,
-    name: 'Demo User',
-    email: 'demo@example.com',
-    password: '$2b$12$hashed_password_here',
-    role: 'student',
-    isVerified: true,
-    createdAt: new Date().toISOString()
+/**
+ * Get the bearer token from the Authorization header or jwt cookie
+ */
+const getTokenFromRequest = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
   }
-];
+  if (req.cookies && req.cookies.jwt) {
+    return req.cookies.jwt;
+  }
+  return null;
+};
 
 /**
- * Extract user ID from mock JWT token
+ * Look up a personal access token and the user it belongs to
  */
-const extractUserIdFromToken = (token) => {
-  // Mock token format: mock-jwt-token-{userId}-{timestamp}
-  const parts = token.split('-');
-  if (parts.length >= 4 && parts[0] === 'mock' && parts[1] === 'jwt' && parts[2] === 'token') {
-    return parseInt(parts[3]);
+const resolveUserFromApiToken = async (token) => {
+  const apiToken = await ApiToken.findByToken(token);
+  if (!apiToken || !apiToken.isActive) {
+    return { error: new AppError('Invalid or expired API token.', 401) };
   }
-  return null;
+
+  const user = await User.findById(apiToken.userId, { allTenants: true });
+  if (!user || !user.isActive) {
+    return { error: new AppError('The user belonging to this token no longer exists.', 401) };
+  }
+
+  const tenantError = await enterOrganization(user.organizationId);
+  if (tenantError) {
+    return { error: tenantError };
+  }
+
+  return { user, apiToken };
 };
 
 /**
- * Find user by ID
+ * Verify a token and load the user it belongs to
+ * Accepts JWT access tokens and personal access tokens.
+ * Returns { user } on success or { error } with an AppError describing the failure
  */
-const findUserById = (id) => {
-  return users.find(user => user.id === parseInt(id));
+const resolveUserFromToken = async (token) => {
+  if (token.startsWith(API_TOKEN_PREFIX)) {
+    return resolveUserFromApiToken(token);
+  }
+
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { error: new AppError('Your token has expired! Please log in again.', 401) };
+    }
+    return { error: new AppError('Invalid token. Please log in again!', 401) };
+  }
+
+  // The token's organization claim applies when the host or header named none
+  const tenantError = await enterOrganization(decoded.org || null);
+  if (tenantError) {
+    return { error: tenantError };
+  }
+
+  const user = await User.findById(decoded.sub, { allTenants: true });
+  if (!user || !user.isActive || user.organizationId !== (decoded.org || null)) {
+    return { error: new AppError('The user belonging to this token no longer exists.', 401) };
+  }
+
+  if (user.changedPasswordAfter(decoded.iat)) {
+    return { error: new AppError('User recently changed password! Please log in again.', 401) };
+  }
+
+  // Tokens tied to a session die with it (logout, revocation, refresh token reuse)
+  let session = null;
+  if (decoded.sid) {
+    session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive || session.userId !== user.id) {
+      return { error: new AppError('Your session has been revoked. Please log in again.', 401) };
+    }
+  }
+
+  // Impersonation tokens: the admin must still exist and be allowed to impersonate
+  let impersonator = null;
+  if (decoded.act) {
+    impersonator = await User.findById(decoded.act.sub, { allTenants: true });
+    if (
+      !session
+      || session.impersonatorId !== decoded.act.sub
+      || !impersonator
+      || !impersonator.isActive
+      || !(await hasPermission(impersonator, 'user.impersonate'))
+    ) {
+      return { error: new AppError('Your impersonation session has ended.', 401) };
+    }
+  }
+
+  return {
+    user, decoded, session, impersonator,
+  };
+};
+
+/**
+ * Mark a response as impersonated and audit the request once it completes
+ */
+const trackImpersonation = (req, res) => {
+  res.set('X-Impersonating', String(req.user.id));
+  res.set('X-Impersonated-By', String(req.impersonator.id));
+
+  res.on('finish', () => {
+    AuditLog.record(req, 'impersonation.request', {
+      actorId: req.impersonator.id,
+      userId: req.user.id,
+      statusCode: res.statusCode,
+      details: { sessionId: req.authSession.id },
+    }).catch((error) => logger.error(`Failed to write audit log: ${error.message}`));
+  });
 };
 
+/**
+ * Put the resolved credentials on the request
+ */
+const attachAuth = (req, res, {
+  user, decoded, session, apiToken, impersonator,
+}) => {
+  req.user = user;
+  req.tokenPayload = decoded;
+  req.authSession = session;
+  req.apiToken = apiToken;
+  req.impersonator = impersonator || null;
+
+  if (req.impersonator) {
+    trackImpersonation(req, res);
+  }
+};
+
+// How often last-seen/last-used times are written while a session or API token is in use
+const ACTIVITY_TOUCH_INTERVAL = 60 * 1000;
+
 /**
  * Authentication middleware
  * Verifies JWT token and adds user to req.user
  */
 const authenticate = catchAsync(async (req, res, next) => {
   // 1) Check if token exists
-  let token;
-  
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
-  } else if (req.cookies && req.cookies.jwt) {
-    token = req.cookies.jwt;
-  }
+  const token = getTokenFromRequest(req);
 
   if (!token) {
     return next(new AppError('You are not logged in! Please log in to get access.', 401));
   }
 
-  // 2) Verify token (in real app, use jwt.verify)
-  const userId = extractUserIdFromToken(token);
-  
-  if (!userId) {
-    return next(new AppError('Invalid token. Please log in again!', 401));
+  // 2) Verify token and check the user still exists and hasn't changed password since
+  const resolved = await resolveUserFromToken(token);
+  if (resolved.error) {
+    return next(resolved.error);
   }
+  const { session, apiToken } = resolved;
 
-  // 3) Check if user still exists
-  const currentUser = findUserById(userId);
-  if (!currentUser) {
-    return next(new AppError('The user belonging to this token no longer exists.', 401));
+  // 3) Keep the device's last seen / token's last used time current
+  if (session && Date.now() - new Date(session.lastSeenAt).getTime() > ACTIVITY_TOUCH_INTERVAL) {
+    session.touch(req.ip, req.get('user-agent'));
+    await session.update({});
+  }
+  if (
+    apiToken
+    && Date.now() - new Date(apiToken.lastUsedAt || 0).getTime() > ACTIVITY_TOUCH_INTERVAL
+  ) {
+    await apiToken.recordUse(req.ip);
   }
 
-  // 4) Check if user is verified (optional)
-  if (!currentUser.isVerified) {
-    return next(new AppError('Please verify your email before accessing this resource.', 401));
+  // 4) Grant access to protected route
+  attachAuth(req, res, resolved);
+  next();
+});
+
+/**
+ * Authentication for 2FA enrollment
+ * Accepts a normal access token, or the setup challenge token handed out at login
+ * to users whose role requires 2FA but who have not enrolled yet.
+ */
+const authenticateTwoFactorSetup = catchAsync(async (req, res, next) => {
+  if (!req.body || !req.body.challengeToken) {
+    return authenticate(req, res, next);
   }
 
-  // 5) Grant access to protected route
-  req.user = currentUser;
+  req.user = await verifyChallengeToken(req.body.challengeToken, '2fa_setup');
+  req.twoFactorSetupChallenge = true;
   next();
 });
 
@@ -77,18 +202,16 @@ const authenticate = catchAsync(async (req, res, next) => {
  * Authorization middleware
  * Restricts access to specific roles
  */
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return next(new AppError('Authentication required', 401));
-    }
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return next(new AppError('Authentication required', 401));
+  }
 
-    if (!roles.includes(req.user.role)) {
-      return next(new AppError('You do not have permission to perform this action', 403));
-    }
+  if (!roles.includes(req.user.role)) {
+    return next(new AppError('You do not have permission to perform this action', 403));
+  }
 
-    next();
-  };
+  next();
 };
 
 /**
@@ -96,58 +219,88 @@ const authorize = (...roles) => {
  * Adds user to req.user if token is valid, but doesn't fail if no token
  */
 const optionalAuth = catchAsync(async (req, res, next) => {
-  let token;
-  
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
-  } else if (req.cookies && req.cookies.jwt) {
-    token = req.cookies.jwt;
-  }
+  const token = getTokenFromRequest(req);
 
   if (token) {
-    const userId = extractUserIdFromToken(token);
-    
-    if (userId) {
-      const currentUser = findUserById(userId);
-      if (currentUser && currentUser.isVerified) {
-        req.user = currentUser;
-      }
+    const resolved = await resolveUserFromToken(token);
+    if (resolved.user) {
+      attachAuth(req, res, resolved);
     }
   }
 
   next();
 });
 
+/**
+ * Reject personal access tokens
+ * For account management (passwords, sessions, 2FA, creating tokens) that
+ * needs a real login rather than an integration token.
+ */
+const requireInteractiveLogin = (req, res, next) => {
+  if (req.apiToken) {
+    return next(new AppError('This action cannot be performed with an API token.', 403));
+  }
+  next();
+};
+
+/**
+ * Reject requests made while impersonating another user
+ * For destructive or security-sensitive actions (passwords, 2FA, tokens, sessions).
+ */
+const forbidImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return next(new AppError('This action is not allowed while impersonating a user.', 403));
+  }
+  next();
+};
+
+/**
+ * Require a verified email address for actions such as enrolling or posting
+ * Has no effect when the verification policy is 'off'
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return next(new AppError('Authentication required', 401));
+  }
+
+  if (authConfig.emailVerification.policy !== 'off' && !req.user.isEmailVerified) {
+    return next(new AppError('Please verify your email address to perform this action.', 403));
+  }
+
+  next();
+};
+
 /**
  * Check if user is owner of resource or admin
  */
-const isOwnerOrAdmin = (req, res, next) => {
+const isOwnerOrAdmin = catchAsync(async (req, res, next) => {
   if (!req.user) {
     return next(new AppError('Authentication required', 401));
   }
 
   const resourceUserId = req.params.userId || req.params.id || req.body.userId;
-  
-  if (req.user.role === 'admin' || req.user.id === parseInt(resourceUserId)) {
+
+  if (req.user.id === String(resourceUserId) || (await hasPermission(req.user, 'user.manage'))) {
     return next();
   }
 
   return next(new AppError('You can only access your own resources', 403));
-};
+});
 
 /**
  * Rate limiting for sensitive operations
+ * (forgot/reset password, change password, email checks)
  */
-const sensitiveOpLimit = catchAsync(async (req, res, next) => {
-  // In real app, implement rate limiting for password reset, etc.
-  // For now, just pass through
-  next();
-});
+const sensitiveOpLimit = sensitiveOpLimiter;
 
 module.exports = {
   authenticate,
+  authenticateTwoFactorSetup,
   authorize,
   optionalAuth,
+  requireInteractiveLogin,
+  forbidImpersonation,
+  requireVerifiedEmail,
   isOwnerOrAdmin,
-  sensitiveOpLimit
-};
\ No newline at end of file
+  sensitiveOpLimit,
+};
@@ -1,198 +1,265 @@
+const { hasPermission, hasCoursePermission } = require('../services/permissionService');
+
 /**
  * Role-based authorization middleware
+ * Prefer requirePermission for new routes; roles can be customised by admins.
  * @param {...string} roles - Allowed roles
  */
-const authorize = (...roles) => {
-  return (req, res, next) => {
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Access denied',
+      message: 'Authentication required',
+    });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Insufficient permissions',
+    });
+  }
+
+  next();
+};
+
+/**
+ * Check if user owns the resource or is admin
+ * @param {string} resourceUserIdField - Field name containing the user ID
+ */
+const authorizeOwnerOrAdmin = (resourceUserIdField = 'userId') => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Access denied',
+      message: 'Authentication required',
+    });
+  }
+
+  // Check if user owns the resource
+  const resourceUserId = req.params[resourceUserIdField] || req.body[resourceUserIdField];
+
+  if (req.user.id === resourceUserId) {
+    return next();
+  }
+
+  // User managers (admins) can access everything
+  try {
+    if (await hasPermission(req.user, 'user.manage')) {
+      return next();
+    }
+  } catch (error) {
+    return res.status(500).json({
+      error: 'Server error',
+      message: 'Error during authorization',
+    });
+  }
+
+  return res.status(403).json({
+    error: 'Forbidden',
+    message: 'You can only access your own resources',
+  });
+};
+
+/**
+ * Check if user is on the course's teaching team (or an admin) with a permission there
+ * The owner and admins have their global permissions on the course, co-instructors
+ * and teaching assistants those of their course role (see services/permissionService.js).
+ * @param {string} courseIdField - Route parameter or body field with the course ID
+ * @param {string} permission - Permission needed on the course
+ */
+const authorizeCourseInstructorOrAdmin = (
+  courseIdField = 'courseId',
+  permission = 'course.edit',
+) => async (req, res, next) => {
+  try {
     if (!req.user) {
       return res.status(401).json({
         error: 'Access denied',
-        message: 'Authentication required'
+        message: 'Authentication required',
+      });
+    }
+
+    const Course = require('../models/Course');
+    const courseId = req.params[courseIdField] || req.body[courseIdField];
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Course not found',
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!(await hasCoursePermission(req.user, course, permission))) {
       return res.status(403).json({
         error: 'Forbidden',
-        message: 'Insufficient permissions'
+        message: `Missing permission on this course: ${permission}`,
       });
     }
 
+    req.course = course; // Attach course to request for further use
     next();
-  };
+  } catch (error) {
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Error during authorization',
+    });
+  }
 };
 
 /**
- * Check if user owns the resource or is admin
- * @param {string} resourceUserIdField - Field name containing the user ID
+ * Check if user is enrolled in the course
  */
-const authorizeOwnerOrAdmin = (resourceUserIdField = 'userId') => {
-  return (req, res, next) => {
+const authorizeEnrolledStudent = (courseIdField = 'courseId') => async (req, res, next) => {
+  try {
     if (!req.user) {
       return res.status(401).json({
         error: 'Access denied',
-        message: 'Authentication required'
+        message: 'Authentication required',
       });
     }
 
-    // Admin can access everything
-    if (req.user.role === 'admin') {
-      return next();
-    }
+    const Enrollment = require('../models/Enrollment');
+    const courseId = req.params[courseIdField] || req.body[courseIdField];
+
+    const enrollment = await Enrollment.findOne({
+      courseId,
+      userId: req.user.id,
+      status: 'active',
+    });
 
-    // Check if user owns the resource
-    const resourceUserId = req.params[resourceUserIdField] || req.body[resourceUserIdField];
-    
-    if (req.user.id !== resourceUserId) {
+    if (!enrollment) {
       return res.status(403).json({
         error: 'Forbidden',
-        message: 'You can only access your own resources'
+        message: 'You must be enrolled in this course',
       });
     }
 
+    req.enrollment = enrollment; // Attach enrollment to request
     next();
-  };
+  } catch (error) {
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Error during authorization',
+    });
+  }
 };
 
 /**
- * Check if user is the course instructor or admin
+ * Permission-based authorization
+ * @param {string} permission - Required permission, e.g. 'course.publish'
+ * @param {Object} options - { courseIdField } to also honour course-scoped roles for that course
  */
-const authorizeCourseInstructorOrAdmin = (courseIdField = 'courseId') => {
-  return async (req, res, next) => {
-    try {
-      if (!req.user) {
-        return res.status(401).json({
-          error: 'Access denied',
-          message: 'Authentication required'
-        });
-      }
-
-      // Admin can access everything
-      if (req.user.role === 'admin') {
-        return next();
-      }
-
-      const Course = require('../models/Course');
-      const courseId = req.params[courseIdField] || req.body[courseIdField];
-      
-      const course = await Course.findById(courseId);
-      if (!course) {
-        return res.status(404).json({
-          error: 'Not found',
-          message: 'Course not found'
-        });
-      }
-
-      // Check if user is the course instructor
-      if (course.instructorId !== req.user.id) {
-        return res.status(403).json({
-          error: 'Forbidden',
-          message: 'Only course instructor or admin can perform this action'
-        });
-      }
-
-      req.course = course; // Attach course to request for further use
-      next();
-    } catch (error) {
-      res.status(500).json({
-        error: 'Server error',
-        message: 'Error during authorization'
+const requirePermission = (permission, { courseIdField = null } = {}) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Authentication required',
       });
     }
-  };
-};
 
-/**
- * Check if user is enrolled in the course
- */
-const authorizeEnrolledStudent = (courseIdField = 'courseId') => {
-  return async (req, res, next) => {
-    try {
-      if (!req.user) {
-        return res.status(401).json({
-          error: 'Access denied',
-          message: 'Authentication required'
-        });
-      }
-
-      const Enrollment = require('../models/Enrollment');
-      const courseId = req.params[courseIdField] || req.body[courseIdField];
-      
-      const enrollment = await Enrollment.findOne({
-        courseId,
-        userId: req.user.id,
-        status: 'active'
-      });
+    const courseId = courseIdField
+      ? req.params[courseIdField] || (req.body && req.body[courseIdField])
+      : null;
 
-      if (!enrollment) {
-        return res.status(403).json({
-          error: 'Forbidden',
-          message: 'You must be enrolled in this course'
-        });
-      }
-
-      req.enrollment = enrollment; // Attach enrollment to request
-      next();
-    } catch (error) {
-      res.status(500).json({
-        error: 'Server error',
-        message: 'Error during authorization'
+    if (!(await hasPermission(req.user, permission, { courseId }))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Missing permission: ${permission}`,
       });
     }
-  };
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Error during authorization',
+    });
+  }
+};
+
+// Whether a request meets one authorizeAny condition; errors count as not met
+const meetsCondition = async (req, condition) => {
+  try {
+    if (typeof condition === 'string' && condition.includes('.')) {
+      // Permission check, e.g. 'course.edit_any'
+      return await hasPermission(req.user, condition);
+    }
+    if (typeof condition === 'string') {
+      // Role-based check
+      return req.user.role === condition;
+    }
+    if (typeof condition === 'function') {
+      // Custom function check
+      return !!(await condition(req));
+    }
+  } catch (error) {
+    // Try the next condition
+  }
+  return false;
 };
 
 /**
  * Flexible authorization - allows multiple conditions
+ * Strings containing a dot are permissions, other strings are role names.
  */
-const authorizeAny = (...conditions) => {
-  return async (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        error: 'Access denied',
-        message: 'Authentication required'
-      });
-    }
+const authorizeAny = (...conditions) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Access denied',
+      message: 'Authentication required',
+    });
+  }
 
-    let authorized = false;
-    
-    for (const condition of conditions) {
-      try {
-        if (typeof condition === 'string') {
-          // Role-based check
-          if (req.user.role === condition) {
-            authorized = true;
-            break;
-          }
-        } else if (typeof condition === 'function') {
-          // Custom function check
-          const result = await condition(req);
-          if (result) {
-            authorized = true;
-            break;
-          }
-        }
-      } catch (error) {
-        // Continue to next condition
-        continue;
-      }
-    }
+  const authorized = await conditions.reduce(
+    async (previous, condition) => (await previous) || meetsCondition(req, condition),
+    Promise.resolve(false),
+  );
+
+  if (!authorized) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Insufficient permissions',
+    });
+  }
 
-    if (!authorized) {
+  next();
+};
+
+/**
+ * Scope check for personal access tokens
+ * Requests authenticated with a login session are not limited by scopes;
+ * API tokens must carry every listed scope.
+ * @param {...string} scopes - Required scopes, e.g. 'courses:read'
+ */
+const requireScope = (...scopes) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Access denied',
+      message: 'Authentication required',
+    });
+  }
+
+  if (req.apiToken) {
+    const missing = scopes.filter((scope) => !req.apiToken.hasScope(scope));
+    if (missing.length > 0) {
       return res.status(403).json({
         error: 'Forbidden',
-        message: 'Insufficient permissions'
+        message: `API token is missing required scope: ${missing.join(', ')}`,
       });
     }
+  }
 
-    next();
-  };
+  next();
 };
 
 module.exports = {
   authorize,
+  requireScope,
   authorizeOwnerOrAdmin,
   authorizeCourseInstructorOrAdmin,
   authorizeEnrolledStudent,
-  authorizeAny
-};
\ No newline at end of file
+  authorizeAny,
+  requirePermission,
+};
@@ -0,0 +1,93 @@
+const { AppError } = require('./errorHandler');
+const { VersionConflictError } = require('../database/errors');
+
+/**
+ * Optimistic concurrency control
+ * Versioned records (courses, lessons, users) are sent with an ETag holding
+ * their version. Updates must send it back in If-Match; if the record has
+ * changed since, the update is refused with 412 and the current representation.
+ */
+
+const formatETag = (version) => `"${version}"`;
+
+/**
+ * Set the ETag header for a versioned record
+ */
+const setETag = (res, record) => {
+  res.set('ETag', formatETag(record.version));
+};
+
+/**
+ * Require an If-Match header on updates (428 Precondition Required otherwise)
+ */
+const requireIfMatch = (req, res, next) => {
+  if (!req.get('If-Match')) {
+    return next(
+      new AppError(
+        'Send the ETag from your last read in an If-Match header to update this record.',
+        428,
+      ),
+    );
+  }
+  next();
+};
+
+/**
+ * Check the request's If-Match header against a record's current version
+ */
+const ifMatchSatisfied = (req, record) => {
+  const header = req.get('If-Match');
+  if (!header) return false;
+
+  const tags = header.split(',').map((tag) => tag.trim());
+  return tags.includes('*') || tags.includes(formatETag(record.version));
+};
+
+/**
+ * Send 412 with the record as it is now, so the client can merge and retry
+ */
+const sendPreconditionFailed = (res, record, data) => {
+  setETag(res, record);
+  res.status(412).json({
+    status: 'fail',
+    message: 'This record was changed by someone else. Review the current version and retry.',
+    data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Apply updates to a versioned model only if the client's If-Match is current
+ * The version check is repeated atomically by the save, so concurrent requests
+ * with the same ETag cannot both succeed.
+ * @param {Function} represent - Builds the response data from a model, e.g. user => ({ user })
+ * @param {Object} options - Passed on to model.update (e.g. { authorId } for courses)
+ * @returns {Promise<boolean>} false when a 412 response has been sent
+ */
+const updateIfMatch = async (req, res, model, updates, represent, options = {}) => {
+  if (!ifMatchSatisfied(req, model)) {
+    sendPreconditionFailed(res, model, represent(model));
+    return false;
+  }
+
+  try {
+    await model.update(updates, { ...options, ifVersion: model.version });
+  } catch (error) {
+    if (!(error instanceof VersionConflictError)) throw error;
+
+    const current = await model.constructor.findById(model.id);
+    if (!current) throw new AppError('This record no longer exists', 404);
+    sendPreconditionFailed(res, current, represent(current));
+    return false;
+  }
+
+  setETag(res, model);
+  return true;
+};
+
+module.exports = {
+  setETag,
+  requireIfMatch,
+  ifMatchSatisfied,
+  updateIfMatch,
+};
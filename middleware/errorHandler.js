@@ -35,7 +35,7 @@ const handleDuplicateFieldsDB = (err) => {
  * Handle validation errors
  */
 const handleValidationErrorDB = (err) => {
-  const errors = Object.values(err.errors).map(el => el.message);
+  const errors = Object.values(err.errors).map((el) => el.message);
   const message = `Invalid input data. ${errors.join('. ')}`;
   return new AppError(message, 400);
 };
@@ -43,14 +43,45 @@ const handleValidationErrorDB = (err) => {
 /**
  * Handle JWT errors
  */
-const handleJWTError = () =>
-  new AppError('Invalid token. Please log in again!', 401);
+const handleJWTError = () => new AppError('Invalid token. Please log in again!', 401);
 
 /**
  * Handle JWT expired errors
  */
-const handleJWTExpiredError = () =>
-  new AppError('Your token has expired! Please log in again.', 401);
+const handleJWTExpiredError = () => new AppError('Your token has expired! Please log in again.', 401);
+
+/**
+ * Handle a conditional save that lost a race (see database/errors.js)
+ */
+const handleVersionConflict = () => new AppError('This record was changed by someone else. Fetch it again and retry.', 412);
+
+/**
+ * Handle a save that broke a unique index (see database/errors.js)
+ * organizationId only scopes the index, so it is left out of the message.
+ */
+const handleDuplicateKey = (err) => {
+  const fields = err.fields.filter((field) => field !== 'organizationId');
+  return new AppError(
+    `This ${fields.join(' and ')} is already in use. Please use another value.`,
+    409,
+  );
+};
+
+/**
+ * Handle a save aimed at another organization's record (see database/errors.js)
+ * Answered like a record that does not exist, as reads of it would be.
+ */
+const handleTenantMismatch = () => new AppError('Record not found', 404);
+
+/**
+ * Handle a rejected file upload (multer), e.g. one over the size limit
+ */
+const handleUploadError = (err) => new AppError(
+  err.code === 'LIMIT_FILE_SIZE'
+    ? 'The uploaded file is too large'
+    : `Upload rejected: ${err.message}`,
+  400,
+);
 
 /**
  * Send error response in development
@@ -63,7 +94,7 @@ const sendErrorDev = (err, req, res) => {
       error: err,
       message: err.message,
       stack: err.stack,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
     });
   }
 
@@ -71,7 +102,7 @@ const sendErrorDev = (err, req, res) => {
   console.error('ERROR 💥', err);
   return res.status(err.statusCode).json({
     title: 'Something went wrong!',
-    msg: err.message
+    msg: err.message,
   });
 };
 
@@ -86,7 +117,7 @@ const sendErrorProd = (err, req, res) => {
       return res.status(err.statusCode).json({
         status: err.status,
         message: err.message,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
       });
     }
 
@@ -95,7 +126,7 @@ const sendErrorProd = (err, req, res) => {
     return res.status(500).json({
       status: 'error',
       message: 'Something went wrong!',
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
     });
   }
 
@@ -103,14 +134,14 @@ const sendErrorProd = (err, req, res) => {
   if (err.isOperational) {
     return res.status(err.statusCode).json({
       title: 'Something went wrong!',
-      msg: err.message
+      msg: err.message,
     });
   }
 
   console.error('ERROR 💥', err);
   return res.status(err.statusCode).json({
     title: 'Something went wrong!',
-    msg: 'Please try again later.'
+    msg: 'Please try again later.',
   });
 };
 
@@ -118,6 +149,11 @@ const sendErrorProd = (err, req, res) => {
  * Global error handling middleware
  */
 const globalErrorHandler = (err, req, res, next) => {
+  if (err.name === 'VersionConflictError') err = handleVersionConflict();
+  if (err.name === 'DuplicateKeyError') err = handleDuplicateKey(err);
+  if (err.name === 'TenantMismatchError') err = handleTenantMismatch();
+  if (err.name === 'MulterError') err = handleUploadError(err);
+
   err.statusCode = err.statusCode || 500;
   err.status = err.status || 'error';
 
@@ -129,7 +165,7 @@ const globalErrorHandler = (err, req, res, next) => {
     method: req.method,
     ip: req.ip,
     userAgent: req.get('user-agent'),
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
   });
 
   if (process.env.NODE_ENV === 'development') {
@@ -152,10 +188,8 @@ const globalErrorHandler = (err, req, res, next) => {
 /**
  * Async error wrapper
  */
-const catchAsync = (fn) => {
-  return (req, res, next) => {
-    fn(req, res, next).catch(next);
-  };
+const catchAsync = (fn) => (req, res, next) => {
+  fn(req, res, next).catch(next);
 };
 
 /**
@@ -170,5 +204,5 @@ module.exports = {
   AppError,
   globalErrorHandler,
   catchAsync,
-  notFound
-};
\ No newline at end of file
+  notFound,
+};
@@ -0,0 +1,42 @@
+const rateLimit = require('express-rate-limit');
+const { AppError } = require('./errorHandler');
+const authConfig = require('../config/auth');
+
+/**
+ * Turn a rate limit hit into an AppError so it goes through the global error handler
+ */
+const limitHandler = (message) => (req, res, next, options) => {
+  res.set('Retry-After', String(Math.ceil(options.windowMs / 1000)));
+  next(new AppError(message, options.statusCode));
+};
+
+/**
+ * Failed login attempts per IP, across all accounts
+ * Successful logins are not counted.
+ */
+const loginLimiter = rateLimit({
+  windowMs: authConfig.lockout.ipWindowMs,
+  max: authConfig.lockout.ipMaxFailures,
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: limitHandler('Too many failed login attempts from this IP, please try again later.'),
+});
+
+/**
+ * Sensitive operations (password reset, change password, email checks)
+ * Counted per IP and endpoint, so probing many emails from one client is throttled too.
+ */
+const sensitiveOpLimiter = rateLimit({
+  windowMs: authConfig.sensitiveOps.windowMs,
+  max: authConfig.sensitiveOps.max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${req.ip}:${req.baseUrl}${req.route ? req.route.path : req.path}`,
+  handler: limitHandler('Too many requests for this operation, please try again later.'),
+});
+
+module.exports = {
+  loginLimiter,
+  sensitiveOpLimiter,
+};
@@ -0,0 +1,100 @@
+const { AppError, catchAsync } = require('./errorHandler');
+const Organization = require('../models/Organization');
+const tenancyConfig = require('../config/tenancy');
+const { runInTenant, setTenant, getTenantId } = require('../database/tenantContext');
+
+/**
+ * Tenant middleware
+ * Works out which organization a request belongs to and runs the rest of the
+ * request inside it, so model queries are limited to that organization.
+ */
+
+/**
+ * Get the organization slug from a host name under the base domain
+ */
+const getSubdomain = (hostname = '') => {
+  const { baseDomain } = tenancyConfig;
+  if (!baseDomain || !hostname.endsWith(`.${baseDomain}`)) return null;
+
+  const subdomain = hostname.slice(0, -(baseDomain.length + 1));
+  return subdomain && !subdomain.includes('.') ? subdomain : null;
+};
+
+/**
+ * Resolve the organization from the subdomain or X-Organization header
+ * Requests naming neither start outside any organization; authenticate then
+ * moves them into the organization of the token's user.
+ */
+const resolveTenant = catchAsync(async (req, res, next) => {
+  const subdomain = getSubdomain(req.hostname);
+  const header = req.get(tenancyConfig.header);
+  let organization = null;
+
+  if (subdomain || header) {
+    organization = subdomain
+      ? await Organization.findBySlug(subdomain)
+      : await Organization.findByIdentifier(header.trim());
+
+    if (!organization || !organization.isActive) {
+      return next(new AppError('Organization not found', 404));
+    }
+
+    if (subdomain && header && ![organization.slug, organization.id].includes(header.trim())) {
+      return next(
+        new AppError(
+          `The ${tenancyConfig.header} header does not match this site's organization`,
+          400,
+        ),
+      );
+    }
+  }
+
+  runInTenant(organization, next);
+});
+
+/**
+ * Move the current request into a user's organization
+ * Members of an organization always work inside it; platform users (no
+ * organization) keep whatever the request resolved to.
+ * @param {string|null} organizationId - Organization of the authenticated user
+ * @returns {Promise<AppError|null>} An error when the user may not use this organization
+ */
+const enterOrganization = async (organizationId) => {
+  if (!organizationId) return null;
+
+  const currentId = getTenantId();
+  if (currentId) {
+    return currentId === organizationId
+      ? null
+      : new AppError('Your account belongs to another organization.', 401);
+  }
+
+  const organization = await Organization.findById(organizationId);
+  if (!organization || !organization.isActive) {
+    return new AppError('Your organization is no longer available.', 401);
+  }
+
+  setTenant(organization);
+  return null;
+};
+
+/**
+ * Require the request to be inside an organization
+ */
+const requireTenant = (req, res, next) => {
+  if (!getTenantId()) {
+    return next(
+      new AppError(
+        `No organization selected. Use its subdomain or the ${tenancyConfig.header} header.`,
+        400,
+      ),
+    );
+  }
+  next();
+};
+
+module.exports = {
+  resolveTenant,
+  enterOrganization,
+  requireTenant,
+};
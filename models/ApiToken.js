@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const Repository = require('../database/repository');
+const { API_TOKEN_PREFIX } = require('../utils/constants');
+const { generateId } = require('../database/ids');
+
+const repository = new Repository('apiTokens');
+
+/**
+ * ApiToken Model
+ * Personal access tokens for integrations (SIS sync, grading bots).
+ * Only a hash of the token is stored; the plain token is shown once at creation.
+ */
+
+class ApiToken {
+  constructor(tokenData) {
+    this.id = tokenData.id || this.generateId();
+    this.userId = tokenData.userId;
+    this.name = tokenData.name;
+    this.scopes = tokenData.scopes || [];
+    this.tokenHash = tokenData.tokenHash || null;
+    this.tokenPrefix = tokenData.tokenPrefix || null; // first characters, to tell tokens apart
+    this.expiresAt = tokenData.expiresAt || null;
+    this.lastUsedAt = tokenData.lastUsedAt || null;
+    this.lastUsedIp = tokenData.lastUsedIp || null;
+    this.revokedAt = tokenData.revokedAt || null;
+    this.createdBy = tokenData.createdBy || tokenData.userId;
+    this.createdAt = tokenData.createdAt || new Date().toISOString();
+    this.updatedAt = tokenData.updatedAt || new Date().toISOString();
+  }
+
+  // Generate unique ID
+  generateId() {
+    return generateId();
+  }
+
+  // Hash a token for storage/lookup
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Check if token can still be used
+  get isActive() {
+    if (this.revokedAt) return false;
+    return !this.expiresAt || new Date(this.expiresAt).getTime() > Date.now();
+  }
+
+  // Check if token grants a scope
+  hasScope(scope) {
+    return this.scopes.includes(scope);
+  }
+
+  // Record a use of the token
+  recordUse(ipAddress) {
+    return this.update({
+      lastUsedAt: new Date().toISOString(),
+      lastUsedIp: ipAddress || null,
+    });
+  }
+
+  // Revoke token
+  revoke() {
+    return this.update({ revokedAt: this.revokedAt || new Date().toISOString() });
+  }
+
+  // Update token data
+  update(updates) {
+    Object.assign(this, updates);
+    this.updatedAt = new Date().toISOString();
+    return this.save();
+  }
+
+  // Save token to storage
+  async save() {
+    await repository.save(this);
+    return this;
+  }
+
+  // Convert to JSON (remove token hash)
+  toJSON() {
+    const tokenObject = { ...this };
+    delete tokenObject.tokenHash;
+    return tokenObject;
+  }
+
+  // Static methods for database operations
+  static async findById(id) {
+    const tokenData = await repository.findById(id);
+    return tokenData ? new ApiToken(tokenData) : null;
+  }
+
+  static async findByToken(token) {
+    const tokenData = await repository.findOne({ tokenHash: ApiToken.hashToken(token) });
+    return tokenData ? new ApiToken(tokenData) : null;
+  }
+
+  static async findByUser(userId) {
+    const tokens = await repository.find({ userId });
+    return tokens.map((tokenData) => new ApiToken(tokenData));
+  }
+
+  // Create a token; returns the plain token alongside the stored record
+  static async create(tokenData) {
+    const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiToken = new ApiToken({
+      ...tokenData,
+      tokenHash: ApiToken.hashToken(token),
+      tokenPrefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+    });
+    await apiToken.save();
+    return { apiToken, token };
+  }
+}
+
+module.exports = ApiToken;
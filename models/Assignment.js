@@ -0,0 +1,107 @@
+const Repository = require('../database/repository');
+const { generateId } = require('../database/ids');
+
+const repository = new Repository('assignments', { tenantScoped: true });
+
+/**
+ * Assignment Model
+ * Graded work set in a course, optionally attached to a lesson
+ */
+
+class Assignment {
+  constructor(assignmentData) {
+    this.id = assignmentData.id || this.generateId();
+    this.courseId = assignmentData.courseId;
+    this.lessonId = assignmentData.lessonId || null;
+    this.title = assignmentData.title;
+    this.description = assignmentData.description || null;
+    this.instructions = assignmentData.instructions || null;
+    this.maxScore = assignmentData.maxScore || 100;
+    this.dueDate = assignmentData.dueDate || null;
+    this.allowLateSubmissions = assignmentData.allowLateSubmissions || false;
+    this.attachments = assignmentData.attachments || []; // [{ title, url }]
+    this.isPublished = assignmentData.isPublished || false;
+    this.createdBy = assignmentData.createdBy || null;
+    this.organizationId = assignmentData.organizationId || null; // owning organization (tenant)
+    this.createdAt = assignmentData.createdAt || new Date().toISOString();
+    this.updatedAt = assignmentData.updatedAt || new Date().toISOString();
+  }
+
+  // Generate unique ID
+  generateId() {
+    return generateId();
+  }
+
+  // Check if the due date has passed
+  get isPastDue() {
+    return !!this.dueDate && new Date(this.dueDate) < new Date();
+  }
+
+  // Check if submissions are still accepted
+  get isOpen() {
+    return this.isPublished && (!this.isPastDue || this.allowLateSubmissions);
+  }
+
+  // Update assignment data
+  update(updates) {
+    Object.assign(this, updates);
+    this.updatedAt = new Date().toISOString();
+    return this.save();
+  }
+
+  // Save assignment to storage
+  async save() {
+    await repository.save(this);
+    return this;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return { ...this };
+  }
+
+  // Static methods for database operations
+  static async findById(id) {
+    const assignmentData = await repository.findById(id);
+    return assignmentData ? new Assignment(assignmentData) : null;
+  }
+
+  static async findOne(query) {
+    const assignmentData = await repository.findOne(query);
+    return assignmentData ? new Assignment(assignmentData) : null;
+  }
+
+  static async find(query = {}, options = {}) {
+    const assignments = await repository.find(query, options);
+    return assignments.map((assignmentData) => new Assignment(assignmentData));
+  }
+
+  static async count(query = {}) {
+    return repository.count(query);
+  }
+
+  static async create(assignmentData) {
+    const assignment = new Assignment(assignmentData);
+    await assignment.save();
+    return assignment;
+  }
+
+  static async deleteById(id) {
+    return repository.deleteById(id);
+  }
+
+  static async findByCourse(courseId, options = {}) {
+    return Assignment.find({ courseId }, { sort: { dueDate: 1 }, ...options });
+  }
+
+  // Validation methods
+  static validateTitle(title) {
+    return title && title.length >= 3 && title.length <= 200;
+  }
+
+  static validateMaxScore(maxScore) {
+    return typeof maxScore === 'number' && maxScore > 0;
+  }
+}
+
+module.exports = Assignment;
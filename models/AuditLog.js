@@ -0,0 +1,69 @@
+const Repository = require('../database/repository');
+const { generateId } = require('../database/ids');
+
+const repository = new Repository('auditLogs', { tenantScoped: true });
+
+/**
+ * AuditLog Model
+ * Append-only record of security-relevant actions, such as everything an
+ * admin does while impersonating another user.
+ */
+
+class AuditLog {
+  constructor(logData) {
+    this.id = logData.id || this.generateId();
+    this.action = logData.action; // e.g. 'impersonation.start', 'impersonation.request'
+    this.actorId = logData.actorId || null; // who really performed the action
+    this.userId = logData.userId || null; // whose account it was performed as/on
+    this.method = logData.method || null;
+    this.path = logData.path || null;
+    this.statusCode = logData.statusCode || null;
+    this.ipAddress = logData.ipAddress || null;
+    this.userAgent = logData.userAgent || null;
+    this.details = logData.details || {};
+    this.organizationId = logData.organizationId || null; // owning organization (tenant)
+    this.createdAt = logData.createdAt || new Date().toISOString();
+  }
+
+  // Generate unique ID
+  generateId() {
+    return generateId();
+  }
+
+  // Save entry to storage (entries are never updated)
+  async save() {
+    await repository.save(this);
+    return this;
+  }
+
+  // Static methods for database operations
+  // Newest first unless another sort is given
+  static async find(query = {}, options = {}) {
+    const entries = await repository.find(query, { sort: { createdAt: -1 }, ...options });
+    return entries.map((logData) => new AuditLog(logData));
+  }
+
+  static async count(query = {}) {
+    return repository.count(query);
+  }
+
+  static async create(logData) {
+    const entry = new AuditLog(logData);
+    await entry.save();
+    return entry;
+  }
+
+  // Create an entry from an Express request
+  static record(req, action, extra = {}) {
+    return AuditLog.create({
+      action,
+      method: req.method,
+      path: req.originalUrl,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || null,
+      ...extra,
+    });
+  }
+}
+
+module.exports = AuditLog;
@@ -1,12 +1,59 @@
+const Repository = require('../database/repository');
+const SearchIndex = require('../database/searchIndex');
+const CourseRevision = require('./CourseRevision');
+const { getTenant } = require('../database/tenantContext');
+const { transaction, afterCommit } = require('../database/transaction');
+const { generateId } = require('../database/ids');
+
+// Kept current from the course's enrollments and reviews, outside its revisions and ETag
+const COUNTERS = ['enrollmentCount', 'completionRate', 'rating', 'reviewCount'];
+
+const repository = new Repository('courses', {
+  softDelete: true,
+  versioned: true,
+  tenantScoped: true,
+  counters: COUNTERS,
+  indexes: [
+    { fields: ['instructorId'] },
+    { fields: ['coInstructors'], multikey: true },
+    { fields: ['masterCourseId'] },
+    // An instructor's courses have different slugs (courses from before slugs have none)
+    { fields: ['instructorId', 'slug'], unique: true, where: { slug: { $exists: true } } },
+    // Catalogue codes are unique in each organization
+    { fields: ['organizationId', 'code'], unique: true, where: { code: { $exists: true } } },
+  ],
+});
+
+// The catalogue: published courses, searched by title and code over tags over descriptions
+const searchIndex = new SearchIndex('courses', {
+  fields: {
+    title: 3, code: 3, tags: 2, shortDescription: 1, description: 1,
+  },
+  includes: (course) => course.isPublished,
+  load: () => repository.find({ isPublished: true }),
+});
+
+// Index a course as saved now, once its transaction (if any) commits
+const indexOnCommit = (course) => {
+  const saved = JSON.parse(JSON.stringify(course));
+  afterCommit(() => searchIndex.update(saved));
+};
+
 /**
  * Course Model
- * Represents a course in the Learning Management System
+ * Represents a course in the Learning Management System.
+ * update, publish, unpublish and archive write a CourseRevision.
+ * An offering (a dated run of a course, e.g. one semester's cohort) is a
+ * course of its own with a masterCourseId, cloned by services/offeringService.js.
  */
 
 class Course {
   constructor(courseData) {
     this.id = courseData.id || this.generateId();
     this.title = courseData.title;
+    this.slug = courseData.slug || null; // URL name, unique among the instructor's courses
+    // Catalogue code, e.g. 'CS101'
+    this.code = courseData.code ? Course.normalizeCode(courseData.code) : null;
     this.description = courseData.description;
     this.shortDescription = courseData.shortDescription || null;
     this.category = courseData.category || null;
@@ -29,7 +76,7 @@ class Course {
     this.isFeatured = courseData.isFeatured || false;
     this.enrollmentCount = courseData.enrollmentCount || 0;
     this.maxEnrollments = courseData.maxEnrollments || null;
-    this.rating = courseData.rating || 0;
+    this.rating = courseData.rating || 0; // mean of published reviews (services/reviewService.js)
     this.reviewCount = courseData.reviewCount || 0;
     this.completionRate = courseData.completionRate || 0;
     this.certificateTemplate = courseData.certificateTemplate || null;
@@ -38,44 +85,82 @@ class Course {
     this.startDate = courseData.startDate || null;
     this.endDate = courseData.endDate || null;
     this.timezone = courseData.timezone || 'UTC';
+    // Enrollment window; without one, learners can enroll between startDate and endDate
+    this.enrollmentOpensAt = courseData.enrollmentOpensAt || null;
+    this.enrollmentClosesAt = courseData.enrollmentClosesAt || null;
+    this.masterCourseId = courseData.masterCourseId || null; // course this offering was cloned from
+    this.offeringName = courseData.offeringName || null; // e.g. 'Fall 2026', 'Section B'
     this.status = courseData.status || 'draft'; // 'draft', 'published', 'archived'
+    this.organizationId = courseData.organizationId || null; // owning organization (tenant)
     this.createdAt = courseData.createdAt || new Date().toISOString();
     this.updatedAt = courseData.updatedAt || new Date().toISOString();
+    this.version = courseData.version || 0; // bumped on every save, sent as the ETag
+    this.deletedAt = courseData.deletedAt || null; // soft deleted (in the trash)
+    this.deletedBy = courseData.deletedBy || null;
   }
 
   // Generate unique ID
   generateId() {
-    return Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+    return generateId();
   }
 
-  // Update course data
-  update(updates) {
-    Object.assign(this, updates);
-    this.updatedAt = new Date().toISOString();
-    return this.save();
+  /**
+   * Update course data and record a revision (in one transaction)
+   * @param {Object} options - { ifVersion } rejects the write if someone else saved first;
+   *   { authorId, action, revertedFrom } describe the revision
+   */
+  update(updates, options = {}) {
+    const {
+      authorId = null, action = 'update', revertedFrom = null, ...saveOptions
+    } = options;
+
+    return transaction(async () => {
+      const before = CourseRevision.snapshot(this);
+
+      Object.assign(this, updates);
+      this.updatedAt = new Date().toISOString();
+      await this.save(saveOptions);
+
+      await CourseRevision.record(this, {
+        action, before, authorId, revertedFrom,
+      });
+      return this;
+    });
   }
 
   // Publish course
-  publish() {
-    this.isPublished = true;
-    this.publishedAt = new Date().toISOString();
-    this.status = 'published';
-    return this.save();
+  publish(authorId = null) {
+    return this.update(
+      {
+        isPublished: true,
+        publishedAt: new Date().toISOString(),
+        status: 'published',
+      },
+      { authorId, action: 'publish' },
+    );
   }
 
   // Unpublish course
-  unpublish() {
-    this.isPublished = false;
-    this.publishedAt = null;
-    this.status = 'draft';
-    return this.save();
+  unpublish(authorId = null) {
+    return this.update(
+      {
+        isPublished: false,
+        publishedAt: null,
+        status: 'draft',
+      },
+      { authorId, action: 'unpublish' },
+    );
   }
 
   // Archive course
-  archive() {
-    this.status = 'archived';
-    this.isPublished = false;
-    return this.save();
+  archive(authorId = null) {
+    return this.update(
+      {
+        status: 'archived',
+        isPublished: false,
+      },
+      { authorId, action: 'archive' },
+    );
   }
 
   // Check if course is full
@@ -87,38 +172,19 @@ class Course {
   get isEnrollmentOpen() {
     if (!this.isPublished) return false;
     if (this.isFull) return false;
-    
-    const now = new Date();
-    if (this.startDate && new Date(this.startDate) > now) return false;
-    if (this.endDate && new Date(this.endDate) < now) return false;
-    
-    return true;
-  }
 
-  // Calculate average rating
-  updateRating(newRating, isNewReview = true) {
-    if (isNewReview) {
-      this.rating = ((this.rating * this.reviewCount) + newRating) / (this.reviewCount + 1);
-      this.reviewCount += 1;
-    } else {
-      // Update existing review
-      this.rating = this.rating; // Recalculate from all reviews
-    }
-    return this.save();
-  }
+    const now = new Date();
+    const opensAt = this.enrollmentOpensAt || this.startDate;
+    const closesAt = this.enrollmentClosesAt || this.endDate;
+    if (opensAt && new Date(opensAt) > now) return false;
+    if (closesAt && new Date(closesAt) < now) return false;
 
-  // Add instructor
-  addCoInstructor(instructorId) {
-    if (!this.coInstructors.includes(instructorId)) {
-      this.coInstructors.push(instructorId);
-      return this.save();
-    }
-    return this;
+    return true;
   }
 
-  // Remove instructor
+  // Remove a co-instructor (people join the team through services/teamService.js)
   removeCoInstructor(instructorId) {
-    this.coInstructors = this.coInstructors.filter(id => id !== instructorId);
+    this.coInstructors = this.coInstructors.filter((id) => id !== instructorId);
     return this.save();
   }
 
@@ -133,21 +199,36 @@ class Course {
 
   // Remove tag
   removeTag(tag) {
-    this.tags = this.tags.filter(t => t !== tag);
+    this.tags = this.tags.filter((t) => t !== tag);
     return this.save();
   }
 
-  // Save course to storage
-  async save() {
-    const courses = require('../data/courses');
-    const index = courses.findIndex(c => c.id === this.id);
-    
-    if (index !== -1) {
-      courses[index] = this;
-    } else {
-      courses.push(this);
-    }
-    
+  // Move to the trash
+  softDelete(deletedBy = null) {
+    return this.update({ deletedAt: new Date().toISOString(), deletedBy });
+  }
+
+  // Take out of the trash
+  restore() {
+    return this.update({ deletedAt: null, deletedBy: null });
+  }
+
+  // Save course to storage; the counters keep their stored values (see updateCounters)
+  async save(options = {}) {
+    const saved = await repository.save(this, options);
+    this.version = saved.version;
+    COUNTERS.forEach((field) => {
+      this[field] = saved[field] || 0;
+    });
+    indexOnCommit(this);
+    return this;
+  }
+
+  // Write counters (COUNTERS) without a revision or a new version, so ETags stay valid
+  async updateCounters(counters) {
+    await repository.patch(this.id, counters);
+    Object.assign(this, counters);
+    indexOnCommit(this);
     return this;
   }
 
@@ -161,6 +242,8 @@ class Course {
     return {
       id: this.id,
       title: this.title,
+      slug: this.slug,
+      code: this.code,
       description: this.description,
       shortDescription: this.shortDescription,
       category: this.category,
@@ -177,132 +260,156 @@ class Course {
       reviewCount: this.reviewCount,
       enrollmentCount: this.enrollmentCount,
       isFeatured: this.isFeatured,
-      createdAt: this.createdAt
+      startDate: this.startDate,
+      endDate: this.endDate,
+      timezone: this.timezone,
+      enrollmentOpensAt: this.enrollmentOpensAt,
+      enrollmentClosesAt: this.enrollmentClosesAt,
+      masterCourseId: this.masterCourseId,
+      offeringName: this.offeringName,
+      createdAt: this.createdAt,
     };
   }
 
   // Static methods for database operations
-  static async findById(id) {
-    const courses = require('../data/courses');
-    const courseData = courses.find(c => c.id === id);
+  // Deleted courses are hidden unless options.withDeleted is set
+  static async findById(id, options = {}) {
+    const courseData = await repository.findById(id, options);
     return courseData ? new Course(courseData) : null;
   }
 
-  static async findOne(query) {
-    const courses = require('../data/courses');
-    const courseData = courses.find(c => {
-      return Object.keys(query).every(key => c[key] === query[key]);
-    });
+  static async findOne(query, options = {}) {
+    const courseData = await repository.findOne(query, options);
     return courseData ? new Course(courseData) : null;
   }
 
-  static async find(query = {}) {
-    const courses = require('../data/courses');
-    let filteredCourses = courses;
+  // Array fields (tags, coInstructors) match with { tags: { $contains: 'node' } }
+  static async find(query = {}, options = {}) {
+    const courses = await repository.find(query, options);
+    return courses.map((courseData) => new Course(courseData));
+  }
 
-    if (Object.keys(query).length > 0) {
-      filteredCourses = courses.filter(c => {
-        return Object.keys(query).every(key => {
-          if (Array.isArray(c[key])) {
-            return c[key].includes(query[key]);
-          }
-          return c[key] === query[key];
-        });
+  static async count(query = {}, options = {}) {
+    return repository.count(query, options);
+  }
+
+  // New courses default to their organization's language and get a slug from their title
+  static async create(courseData, { authorId = null } = {}) {
+    const organization = getTenant();
+    const course = new Course({
+      ...courseData,
+      language:
+        courseData.language || (organization ? organization.settings.defaultLanguage : undefined),
+    });
+
+    return transaction(async () => {
+      if (!course.slug) {
+        course.slug = await Course.availableSlug(course.instructorId, Course.slugify(course.title));
+      }
+      await course.save();
+      await CourseRevision.record(course, {
+        action: 'create',
+        authorId: authorId || course.instructorId,
       });
-    }
+      return course;
+    });
+  }
 
-    return filteredCourses.map(courseData => new Course(courseData));
+  // First of 'intro', 'intro-2', 'intro-3', ... the instructor has not used yet
+  static async availableSlug(instructorId, base, suffix = 1) {
+    const slug = suffix > 1 ? `${base}-${suffix}` : base;
+    if (!(await Course.findOne({ instructorId, slug }))) return slug;
+    return Course.availableSlug(instructorId, base, suffix + 1);
   }
 
-  static async create(courseData) {
-    const course = new Course(courseData);
-    await course.save();
-    return course;
+  // Move a course to the trash; see services/trashService.js for restore and purge
+  static async deleteById(id, deletedBy = null) {
+    const course = await Course.findById(id);
+    if (!course) return false;
+    await course.softDelete(deletedBy);
+    return true;
   }
 
-  static async deleteById(id) {
-    const courses = require('../data/courses');
-    const index = courses.findIndex(c => c.id === id);
-    if (index !== -1) {
-      courses.splice(index, 1);
-      return true;
-    }
-    return false;
+  // Courses in the trash, most recently deleted first
+  static async findDeleted(query = {}, options = {}) {
+    return Course.find(
+      { ...query, deletedAt: { $exists: true } },
+      { sort: { deletedAt: -1 }, ...options },
+    );
   }
 
   // Search courses
-  static async search(searchTerm, filters = {}) {
-    const courses = require('../data/courses');
-    
-    let results = courses.filter(course => {
-      // Text search
-      const matchesSearch = !searchTerm || 
-        course.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        course.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        course.tags.some(tag => tag.toLowerCase().includes(searchTerm.toLowerCase()));
-
-      // Filters
-      const matchesFilters = Object.keys(filters).every(key => {
-        if (key === 'priceRange') {
-          const [min, max] = filters[key];
-          return course.price >= min && course.price <= max;
-        }
-        if (key === 'rating') {
-          return course.rating >= filters[key];
-        }
-        if (key === 'duration') {
-          const [min, max] = filters[key];
-          return course.duration >= min && course.duration <= max;
-        }
-        return course[key] === filters[key];
-      });
+  static async search(searchTerm, filters = {}, options = {}) {
+    const query = {};
+
+    // Text search
+    if (searchTerm) {
+      query.$or = [
+        { title: { $search: searchTerm } },
+        { description: { $search: searchTerm } },
+        { tags: { $search: searchTerm } },
+      ];
+    }
 
-      return matchesSearch && matchesFilters;
+    // Filters
+    Object.keys(filters).forEach((key) => {
+      if (key === 'priceRange') {
+        const [min, max] = filters[key];
+        query.price = { $gte: min, $lte: max };
+      } else if (key === 'rating') {
+        query.rating = { $gte: filters[key] };
+      } else if (key === 'duration') {
+        const [min, max] = filters[key];
+        query.duration = { $gte: min, $lte: max };
+      } else {
+        query[key] = filters[key];
+      }
     });
 
-    return results.map(courseData => new Course(courseData));
+    return Course.find(query, options);
+  }
+
+  /**
+   * Search the published courses of the catalogue
+   * @param {string} text - Search text; empty finds every published course
+   * @returns {Promise<Array>} [{ course, score }] matching every word, in no particular order
+   */
+  static async searchCatalog(text) {
+    const matches = await searchIndex.search(text);
+    return matches.map(({ record, score }) => ({ course: new Course(record), score }));
   }
 
   // Get featured courses
   static async getFeatured(limit = 10) {
-    const courses = require('../data/courses');
-    const featured = courses
-      .filter(c => c.isFeatured && c.isPublished)
-      .sort((a, b) => b.rating - a.rating)
-      .slice(0, limit);
-
-    return featured.map(courseData => new Course(courseData));
+    return Course.find({ isFeatured: true, isPublished: true }, { sort: { rating: -1 }, limit });
   }
 
   // Get popular courses
   static async getPopular(limit = 10) {
-    const courses = require('../data/courses');
-    const popular = courses
-      .filter(c => c.isPublished)
-      .sort((a, b) => b.enrollmentCount - a.enrollmentCount)
-      .slice(0, limit);
-
-    return popular.map(courseData => new Course(courseData));
+    return Course.find({ isPublished: true }, { sort: { enrollmentCount: -1 }, limit });
   }
 
   // Get courses by instructor
   static async getByInstructor(instructorId) {
-    const courses = require('../data/courses');
-    const instructorCourses = courses.filter(c => 
-      c.instructorId === instructorId || c.coInstructors.includes(instructorId)
-    );
+    return Course.find({
+      $or: [{ instructorId }, { coInstructors: { $contains: instructorId } }],
+    });
+  }
 
-    return instructorCourses.map(courseData => new Course(courseData));
+  // Offerings of a course, earliest start first
+  static async getOfferings(masterCourseId, { publishedOnly = false } = {}) {
+    const query = publishedOnly ? { masterCourseId, isPublished: true } : { masterCourseId };
+    return Course.find(query, { sort: { startDate: 1 } });
   }
 
   // Get course statistics
   static async getStatistics() {
-    const courses = require('../data/courses');
-    
+    const courses = await repository.find();
+
     const total = courses.length;
-    const published = courses.filter(c => c.isPublished).length;
-    const draft = courses.filter(c => c.status === 'draft').length;
-    const archived = courses.filter(c => c.status === 'archived').length;
+    const published = courses.filter((c) => c.isPublished).length;
+    const draft = courses.filter((c) => c.status === 'draft').length;
+    const archived = courses.filter((c) => c.status === 'archived').length;
 
     const byCategory = courses.reduce((acc, course) => {
       if (course.category) {
@@ -317,8 +424,8 @@ class Course {
     }, {});
 
     const totalEnrollments = courses.reduce((sum, course) => sum + course.enrollmentCount, 0);
-    const averageRating = courses.length > 0 
-      ? courses.reduce((sum, course) => sum + course.rating, 0) / courses.length 
+    const averageRating = courses.length > 0
+      ? courses.reduce((sum, course) => sum + course.rating, 0) / courses.length
       : 0;
 
     return {
@@ -329,7 +436,7 @@ class Course {
       byCategory,
       byDifficulty,
       totalEnrollments,
-      averageRating: Math.round(averageRating * 100) / 100
+      averageRating: Math.round(averageRating * 100) / 100,
     };
   }
 
@@ -350,6 +457,34 @@ class Course {
   static validatePrice(price) {
     return typeof price === 'number' && price >= 0;
   }
+
+  static validateCode(code) {
+    return typeof code === 'string' && /^[A-Za-z0-9][A-Za-z0-9._-]{0,31}$/.test(code.trim());
+  }
+
+  // ISO 8601 date or date-time
+  static validateDate(date) {
+    return (
+      typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date) && !Number.isNaN(Date.parse(date))
+    );
+  }
+
+  static normalizeCode(code) {
+    return String(code).trim().toUpperCase();
+  }
+
+  // 'Node.js & Express: APIs' -> 'node-js-express-apis'
+  static slugify(title) {
+    const slug = String(title || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 80)
+      .replace(/-+$/, '');
+    return slug || 'course';
+  }
 }
 
-module.exports = Course;
\ No newline at end of file
+module.exports = Course;
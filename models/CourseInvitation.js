@@ -0,0 +1,110 @@
+const Repository = require('../database/repository');
+const { generateId } = require('../database/ids');
+
+const repository = new Repository('courseInvitations', {
+  tenantScoped: true,
+  indexes: [{ fields: ['courseId', 'email'] }, { fields: ['email'] }],
+});
+
+// Course roles a teaching team member can be invited to
+const TEAM_ROLES = ['co_instructor', 'teaching_assistant'];
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : email);
+
+/**
+ * CourseInvitation Model
+ * An invitation, sent by email, to join a course's teaching team in one of
+ * TEAM_ROLES. The invitee accepts or declines it while signed in with that
+ * email; pending invitations expire at expiresAt.
+ */
+
+class CourseInvitation {
+  constructor(invitationData) {
+    this.id = invitationData.id || this.generateId();
+    this.courseId = invitationData.courseId;
+    this.email = normalizeEmail(invitationData.email);
+    this.role = invitationData.role; // one of TEAM_ROLES
+    this.status = invitationData.status || 'pending'; // 'pending', 'accepted', 'declined', 'revoked'
+    this.invitedBy = invitationData.invitedBy || null;
+    this.expiresAt = invitationData.expiresAt;
+    this.respondedBy = invitationData.respondedBy || null; // user who accepted or declined
+    this.respondedAt = invitationData.respondedAt || null;
+    this.organizationId = invitationData.organizationId || null; // owning organization (tenant)
+    this.createdAt = invitationData.createdAt || new Date().toISOString();
+    this.updatedAt = invitationData.updatedAt || new Date().toISOString();
+  }
+
+  // Generate unique ID
+  generateId() {
+    return generateId();
+  }
+
+  // Whether the invitation ran out before anyone answered it
+  get isExpired() {
+    return this.status === 'pending' && new Date(this.expiresAt) <= new Date();
+  }
+
+  // Whether the invitation can still be accepted or declined
+  get isOpen() {
+    return this.status === 'pending' && !this.isExpired;
+  }
+
+  // Update invitation data
+  update(updates) {
+    Object.assign(this, updates);
+    this.updatedAt = new Date().toISOString();
+    return this.save();
+  }
+
+  // Save invitation to storage
+  async save() {
+    await repository.save(this);
+    return this;
+  }
+
+  // Convert to JSON; pending invitations past their expiry show as 'expired'
+  toJSON() {
+    return { ...this, status: this.isExpired ? 'expired' : this.status };
+  }
+
+  // Static methods for database operations
+  static async findById(id) {
+    const invitationData = await repository.findById(id);
+    return invitationData ? new CourseInvitation(invitationData) : null;
+  }
+
+  static async findOne(query) {
+    const invitationData = await repository.findOne(query);
+    return invitationData ? new CourseInvitation(invitationData) : null;
+  }
+
+  static async find(query = {}, options = {}) {
+    const invitations = await repository.find(query, options);
+    return invitations.map((invitationData) => new CourseInvitation(invitationData));
+  }
+
+  static async create(invitationData) {
+    const invitation = new CourseInvitation(invitationData);
+    await invitation.save();
+    return invitation;
+  }
+
+  // Invitations that can still be answered, for a course and/or an email address
+  static async findOpen(query = {}) {
+    const normalized = query.email ? { ...query, email: normalizeEmail(query.email) } : query;
+    const invitations = await CourseInvitation.find(
+      { ...normalized, status: 'pending' },
+      { sort: { createdAt: -1 } },
+    );
+    return invitations.filter((invitation) => invitation.isOpen);
+  }
+
+  // Validation methods
+  static validateRole(role) {
+    return TEAM_ROLES.includes(role);
+  }
+}
+
+CourseInvitation.TEAM_ROLES = TEAM_ROLES;
+
+module.exports = CourseInvitation;
@@ -0,0 +1,193 @@
+const Repository = require('../database/repository');
+const { generateId } = require('../database/ids');
+
+const repository = new Repository('courseRevisions', { tenantScoped: true });
+
+/**
+ * CourseRevision Model
+ * Immutable snapshot of a course written on every update, publish, unpublish,
+ * archive, revert and teaching team change. `revision` is the course version the change produced
+ * (the same number the course's ETag carried right after it).
+ */
+
+// Course fields that are tracked; counters, timestamps and trash state are not
+const TRACKED_FIELDS = [
+  'title',
+  'slug',
+  'code',
+  'description',
+  'shortDescription',
+  'category',
+  'subcategory',
+  'difficulty',
+  'duration',
+  'language',
+  'price',
+  'currency',
+  'thumbnail',
+  'previewVideo',
+  'tags',
+  'prerequisites',
+  'learningObjectives',
+  'targetAudience',
+  'maxEnrollments',
+  'certificateTemplate',
+  'allowDiscussions',
+  'allowDownloads',
+  'startDate',
+  'endDate',
+  'timezone',
+  'enrollmentOpensAt',
+  'enrollmentClosesAt',
+  'offeringName',
+  'instructorId',
+  'coInstructors',
+  'isFeatured',
+  'isPublished',
+  'publishedAt',
+  'status',
+];
+
+// Reverting restores content, not the course's slug and code, publication state or teaching team
+const REVERTIBLE_FIELDS = TRACKED_FIELDS.filter(
+  (field) => ![
+    'slug',
+    'code',
+    'instructorId',
+    'coInstructors',
+    'isPublished',
+    'publishedAt',
+    'status',
+  ].includes(field),
+);
+
+const valueOf = (value) => (value === undefined ? null : value);
+const isEqual = (a, b) => JSON.stringify(valueOf(a)) === JSON.stringify(valueOf(b));
+
+class CourseRevision {
+  constructor(revisionData) {
+    this.id = revisionData.id || this.generateId();
+    this.courseId = revisionData.courseId;
+    this.revision = revisionData.revision;
+    // 'create', 'update', 'publish', 'unpublish', 'archive', 'revert', 'team', 'transfer'
+    this.action = revisionData.action;
+    this.changedFields = revisionData.changedFields || [];
+    this.snapshot = revisionData.snapshot || {};
+    this.authorId = revisionData.authorId || null;
+    this.revertedFrom = revisionData.revertedFrom || null; // revision restored by a revert
+    this.organizationId = revisionData.organizationId || null; // owning organization (tenant)
+    this.createdAt = revisionData.createdAt || new Date().toISOString();
+  }
+
+  // Generate unique ID
+  generateId() {
+    return generateId();
+  }
+
+  // Save revision to storage (revisions are never updated)
+  async save() {
+    await repository.save(this);
+    return this;
+  }
+
+  // Course updates that bring the content back to this revision
+  getRevertUpdates() {
+    return REVERTIBLE_FIELDS.reduce((updates, field) => {
+      updates[field] = valueOf(this.snapshot[field]);
+      return updates;
+    }, {});
+  }
+
+  // Summary without the snapshot, for listings
+  toSummary() {
+    const summary = { ...this };
+    delete summary.snapshot;
+    return summary;
+  }
+
+  // Static methods for database operations
+  static async findById(id) {
+    const revisionData = await repository.findById(id);
+    return revisionData ? new CourseRevision(revisionData) : null;
+  }
+
+  static async find(query = {}, options = {}) {
+    const revisions = await repository.find(query, options);
+    return revisions.map((revisionData) => new CourseRevision(revisionData));
+  }
+
+  static async count(query = {}) {
+    return repository.count(query);
+  }
+
+  // A course's history, newest first
+  static async findByCourse(courseId, options = {}) {
+    return CourseRevision.find({ courseId }, { sort: { revision: -1 }, ...options });
+  }
+
+  static async findByCourseAndRevision(courseId, revision) {
+    const revisionData = await repository.findOne({ courseId, revision });
+    return revisionData ? new CourseRevision(revisionData) : null;
+  }
+
+  // Tracked fields of a course
+  static snapshot(course) {
+    return TRACKED_FIELDS.reduce((snapshot, field) => {
+      snapshot[field] = valueOf(course[field]);
+      return snapshot;
+    }, {});
+  }
+
+  /**
+   * Field-level differences between two snapshots
+   * Array fields also list the elements that were added and removed.
+   * @returns {Object[]} [{ field, from, to, added?, removed? }]
+   */
+  static diff(from = {}, to = {}) {
+    return TRACKED_FIELDS.filter((field) => !isEqual(from[field], to[field])).map((field) => {
+      const change = { field, from: valueOf(from[field]), to: valueOf(to[field]) };
+
+      if (Array.isArray(change.from) || Array.isArray(change.to)) {
+        const before = (change.from || []).map((item) => JSON.stringify(item));
+        const after = (change.to || []).map((item) => JSON.stringify(item));
+        change.added = (change.to || []).filter((item, index) => !before.includes(after[index]));
+        change.removed = (change.from || []).filter(
+          (item, index) => !after.includes(before[index]),
+        );
+      }
+
+      return change;
+    });
+  }
+
+  /**
+   * Record the state a course was just saved in
+   * Nothing is written when no tracked field changed (e.g. moving to the trash).
+   * @param {Object} course - The saved course
+   * @param {Object} options - { action, before, authorId, revertedFrom }; before is the
+   *   snapshot taken before the change
+   */
+  static async record(course, {
+    action, before = {}, authorId = null, revertedFrom = null,
+  }) {
+    const snapshot = CourseRevision.snapshot(course);
+    const changedFields = CourseRevision.diff(before, snapshot).map((change) => change.field);
+
+    if (changedFields.length === 0) return null;
+
+    const revision = new CourseRevision({
+      courseId: course.id,
+      revision: course.version,
+      action,
+      changedFields,
+      snapshot,
+      authorId,
+      revertedFrom,
+    });
+    return revision.save();
+  }
+}
+
+CourseRevision.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = CourseRevision;
@@ -0,0 +1,121 @@
+const Repository = require('../database/repository');
+const { generateId } = require('../database/ids');
+
+const repository = new Repository('enrollments', { tenantScoped: true });
+
+/**
+ * Enrollment Model
+ * A user's membership of a course
+ */
+
+class Enrollment {
+  constructor(enrollmentData) {
+    this.id = enrollmentData.id || this.generateId();
+    this.userId = enrollmentData.userId;
+    this.courseId = enrollmentData.courseId;
+    this.status = enrollmentData.status || 'active'; // 'active', 'completed', 'dropped'
+    this.progress = enrollmentData.progress || 0; // percentage of lessons completed
+    this.enrolledAt = enrollmentData.enrolledAt || new Date().toISOString();
+    this.completedAt = enrollmentData.completedAt || null;
+    this.droppedAt = enrollmentData.droppedAt || null;
+    this.lastAccessedAt = enrollmentData.lastAccessedAt || null;
+    this.organizationId = enrollmentData.organizationId || null; // owning organization (tenant)
+    this.createdAt = enrollmentData.createdAt || new Date().toISOString();
+    this.updatedAt = enrollmentData.updatedAt || new Date().toISOString();
+  }
+
+  // Generate unique ID
+  generateId() {
+    return generateId();
+  }
+
+  // Check if enrollment still gives access to the course
+  get isActive() {
+    return this.status === 'active' || this.status === 'completed';
+  }
+
+  // Update enrollment data
+  update(updates) {
+    Object.assign(this, updates);
+    this.updatedAt = new Date().toISOString();
+    return this.save();
+  }
+
+  // Record course progress, completing the enrollment at 100%
+  updateProgress(progress) {
+    const updates = {
+      progress: Math.min(Math.max(Math.round(progress), 0), 100),
+      lastAccessedAt: new Date().toISOString(),
+    };
+
+    if (updates.progress === 100 && this.status === 'active') {
+      updates.status = 'completed';
+      updates.completedAt = new Date().toISOString();
+    }
+
+    return this.update(updates);
+  }
+
+  // Drop out of the course
+  drop() {
+    return this.update({
+      status: 'dropped',
+      droppedAt: new Date().toISOString(),
+    });
+  }
+
+  // Save enrollment to storage
+  async save() {
+    await repository.save(this);
+    return this;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return { ...this };
+  }
+
+  // Static methods for database operations
+  static async findById(id) {
+    const enrollmentData = await repository.findById(id);
+    return enrollmentData ? new Enrollment(enrollmentData) : null;
+  }
+
+  static async findOne(query) {
+    const enrollmentData = await repository.findOne(query);
+    return enrollmentData ? new Enrollment(enrollmentData) : null;
+  }
+
+  static async find(query = {}, options = {}) {
+    const enrollments = await repository.find(query, options);
+    return enrollments.map((enrollmentData) => new Enrollment(enrollmentData));
+  }
+
+  static async count(query = {}) {
+    return repository.count(query);
+  }
+
+  static async create(enrollmentData) {
+    const enrollment = new Enrollment(enrollmentData);
+    await enrollment.save();
+    return enrollment;
+  }
+
+  static async deleteById(id) {
+    return repository.deleteById(id);
+  }
+
+  static async findByUserAndCourse(userId, courseId) {
+    return Enrollment.findOne({ userId, courseId });
+  }
+
+  static async findByUser(userId, options = {}) {
+    return Enrollment.find({ userId }, { sort: { enrolledAt: -1 }, ...options });
+  }
+
+  static async findByCourse(courseId, options = {}) {
+    return Enrollment.find({ courseId }, { sort: { enrolledAt: 1 }, ...options });
+  }
+}
+
+module.exports = Enrollment;
@@ -0,0 +1,108 @@
+const Repository = require('../database/repository');
+const { generateId } = require('../database/ids');
+
+const repository = new Repository('lessons', { versioned: true, tenantScoped: true });
+
+/**
+ * Lesson Model
+ * A unit of content inside a course, shown in `order`
+ */
+
+class Lesson {
+  constructor(lessonData) {
+    this.id = lessonData.id || this.generateId();
+    this.courseId = lessonData.courseId;
+    this.title = lessonData.title;
+    this.description = lessonData.description || null;
+    this.type = lessonData.type || 'text'; // 'video', 'text', 'quiz', 'assignment'
+    this.content = lessonData.content || null;
+    this.videoUrl = lessonData.videoUrl || null;
+    this.duration = lessonData.duration || null; // in minutes
+    this.order = lessonData.order || 0;
+    this.resources = lessonData.resources || []; // [{ title, url }]
+    this.isPublished = lessonData.isPublished || false;
+    this.isPreview = lessonData.isPreview || false; // viewable without enrolling
+    this.organizationId = lessonData.organizationId || null; // owning organization (tenant)
+    this.createdAt = lessonData.createdAt || new Date().toISOString();
+    this.updatedAt = lessonData.updatedAt || new Date().toISOString();
+    this.version = lessonData.version || 0; // bumped on every save, sent as the ETag
+  }
+
+  // Generate unique ID
+  generateId() {
+    return generateId();
+  }
+
+  // Update lesson data; { ifVersion } rejects the write if someone else saved first
+  update(updates, options = {}) {
+    Object.assign(this, updates);
+    this.updatedAt = new Date().toISOString();
+    return this.save(options);
+  }
+
+  // Publish lesson
+  publish() {
+    this.isPublished = true;
+    return this.save();
+  }
+
+  // Save lesson to storage
+  async save(options = {}) {
+    const saved = await repository.save(this, options);
+    this.version = saved.version;
+    return this;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return { ...this };
+  }
+
+  // Static methods for database operations
+  static async findById(id) {
+    const lessonData = await repository.findById(id);
+    return lessonData ? new Lesson(lessonData) : null;
+  }
+
+  static async findOne(query) {
+    const lessonData = await repository.findOne(query);
+    return lessonData ? new Lesson(lessonData) : null;
+  }
+
+  static async find(query = {}, options = {}) {
+    const lessons = await repository.find(query, options);
+    return lessons.map((lessonData) => new Lesson(lessonData));
+  }
+
+  static async count(query = {}) {
+    return repository.count(query);
+  }
+
+  static async create(lessonData) {
+    const lesson = new Lesson(lessonData);
+    await lesson.save();
+    return lesson;
+  }
+
+  static async deleteById(id) {
+    return repository.deleteById(id);
+  }
+
+  // Get a course's lessons in order
+  static async findByCourse(courseId, { publishedOnly = false } = {}) {
+    const query = publishedOnly ? { courseId, isPublished: true } : { courseId };
+    return Lesson.find(query, { sort: { order: 1, createdAt: 1 } });
+  }
+
+  // Validation methods
+  static validateTitle(title) {
+    return title && title.length >= 3 && title.length <= 200;
+  }
+
+  static validateType(type) {
+    const validTypes = ['video', 'text', 'quiz', 'assignment'];
+    return validTypes.includes(type);
+  }
+}
+
+module.exports = Lesson;
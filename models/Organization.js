@@ -0,0 +1,132 @@
+const Repository = require('../database/repository');
+const { generateId } = require('../database/ids');
+
+const repository = new Repository('organizations', {
+  indexes: [{ fields: ['slug'], unique: true }],
+});
+
+// Subdomains that can never name an organization
+const RESERVED_SLUGS = ['www', 'api', 'app', 'admin', 'auth', 'mail', 'static'];
+
+/**
+ * Organization Model
+ * A school (tenant) hosted on the deployment. Users, courses and everything
+ * hanging off them carry its id; see database/tenantContext.js.
+ */
+
+class Organization {
+  constructor(organizationData) {
+    const settings = organizationData.settings || {};
+
+    this.id = organizationData.id || this.generateId();
+    this.name = organizationData.name;
+    this.slug = organizationData.slug; // subdomain, e.g. 'northside' (northside.<base domain>)
+    this.isActive = organizationData.isActive !== undefined ? organizationData.isActive : true;
+    this.settings = {
+      brandingName: settings.brandingName || null, // shown instead of the name when set
+      allowedEmailDomains: settings.allowedEmailDomains || [], // empty: anyone may sign up
+      defaultLanguage: settings.defaultLanguage || 'en', // for new courses
+    };
+    this.createdBy = organizationData.createdBy || null;
+    this.createdAt = organizationData.createdAt || new Date().toISOString();
+    this.updatedAt = organizationData.updatedAt || new Date().toISOString();
+  }
+
+  // Generate unique ID
+  generateId() {
+    return generateId();
+  }
+
+  // Check an email address against the allowed sign-up domains
+  allowsEmail(email) {
+    const { allowedEmailDomains } = this.settings;
+    if (allowedEmailDomains.length === 0) return true;
+
+    const domain = String(email).split('@').pop().toLowerCase();
+    return allowedEmailDomains.includes(domain);
+  }
+
+  // Update organization data; settings are merged rather than replaced
+  update(updates) {
+    const { settings, ...fields } = updates;
+    Object.assign(this, fields);
+    if (settings) {
+      this.settings = { ...this.settings, ...settings };
+    }
+    this.updatedAt = new Date().toISOString();
+    return this.save();
+  }
+
+  // Save organization to storage
+  async save() {
+    await repository.save(this);
+    return this;
+  }
+
+  // What anyone may see, e.g. for a sign-in page on the school's subdomain
+  getPublicProfile() {
+    return {
+      id: this.id,
+      name: this.name,
+      slug: this.slug,
+      brandingName: this.settings.brandingName || this.name,
+      defaultLanguage: this.settings.defaultLanguage,
+    };
+  }
+
+  // Static methods for database operations
+  static async findById(id) {
+    const organizationData = await repository.findById(id);
+    return organizationData ? new Organization(organizationData) : null;
+  }
+
+  static async findBySlug(slug) {
+    const organizationData = await repository.findOne({ slug: String(slug).toLowerCase() });
+    return organizationData ? new Organization(organizationData) : null;
+  }
+
+  // Look up by slug or id, as given in the X-Organization header
+  static async findByIdentifier(identifier) {
+    return (await Organization.findBySlug(identifier)) || Organization.findById(identifier);
+  }
+
+  static async find(query = {}, options = {}) {
+    const organizations = await repository.find(query, { sort: { name: 1 }, ...options });
+    return organizations.map((organizationData) => new Organization(organizationData));
+  }
+
+  static async count(query = {}) {
+    return repository.count(query);
+  }
+
+  static async create(organizationData) {
+    const organization = new Organization(organizationData);
+    await organization.save();
+    return organization;
+  }
+
+  // Validation methods
+  // Slugs are used as DNS labels
+  static validateSlug(slug) {
+    return (
+      typeof slug === 'string'
+      && /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/.test(slug)
+      && !RESERVED_SLUGS.includes(slug)
+    );
+  }
+
+  static validateEmailDomains(domains) {
+    return (
+      Array.isArray(domains)
+      && domains.every(
+        (domain) => typeof domain === 'string' && /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain),
+      )
+    );
+  }
+
+  static validateLanguage(language) {
+    return typeof language === 'string' && /^[a-z]{2,3}(-[A-Z]{2})?$/.test(language);
+  }
+}
+
+module.exports = Organization;
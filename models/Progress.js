@@ -0,0 +1,118 @@
+const Repository = require('../database/repository');
+const { generateId } = require('../database/ids');
+
+const repository = new Repository('progress', { tenantScoped: true });
+
+/**
+ * Progress Model
+ * A user's progress through one lesson of a course
+ */
+
+class Progress {
+  constructor(progressData) {
+    this.id = progressData.id || this.generateId();
+    this.userId = progressData.userId;
+    this.courseId = progressData.courseId;
+    this.lessonId = progressData.lessonId;
+    this.status = progressData.status || 'not_started'; // 'not_started', 'in_progress', 'completed'
+    this.timeSpent = progressData.timeSpent || 0; // in seconds
+    this.lastPosition = progressData.lastPosition || 0; // video position in seconds
+    this.startedAt = progressData.startedAt || null;
+    this.completedAt = progressData.completedAt || null;
+    this.organizationId = progressData.organizationId || null; // owning organization (tenant)
+    this.createdAt = progressData.createdAt || new Date().toISOString();
+    this.updatedAt = progressData.updatedAt || new Date().toISOString();
+  }
+
+  // Generate unique ID
+  generateId() {
+    return generateId();
+  }
+
+  // Update progress data
+  update(updates) {
+    Object.assign(this, updates);
+    this.updatedAt = new Date().toISOString();
+    return this.save();
+  }
+
+  // Record time spent on the lesson
+  track(secondsSpent = 0, lastPosition = null) {
+    const updates = { timeSpent: this.timeSpent + Math.max(secondsSpent, 0) };
+
+    if (lastPosition !== null) updates.lastPosition = lastPosition;
+    if (this.status === 'not_started') {
+      updates.status = 'in_progress';
+      updates.startedAt = new Date().toISOString();
+    }
+
+    return this.update(updates);
+  }
+
+  // Mark lesson as completed
+  complete() {
+    return this.update({
+      status: 'completed',
+      startedAt: this.startedAt || new Date().toISOString(),
+      completedAt: this.completedAt || new Date().toISOString(),
+    });
+  }
+
+  // Save progress to storage
+  async save() {
+    await repository.save(this);
+    return this;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return { ...this };
+  }
+
+  // Static methods for database operations
+  static async findById(id) {
+    const progressData = await repository.findById(id);
+    return progressData ? new Progress(progressData) : null;
+  }
+
+  static async findOne(query) {
+    const progressData = await repository.findOne(query);
+    return progressData ? new Progress(progressData) : null;
+  }
+
+  static async find(query = {}, options = {}) {
+    const records = await repository.find(query, options);
+    return records.map((progressData) => new Progress(progressData));
+  }
+
+  static async count(query = {}) {
+    return repository.count(query);
+  }
+
+  static async create(progressData) {
+    const progress = new Progress(progressData);
+    await progress.save();
+    return progress;
+  }
+
+  static async deleteById(id) {
+    return repository.deleteById(id);
+  }
+
+  static async findByUserAndLesson(userId, lessonId) {
+    return Progress.findOne({ userId, lessonId });
+  }
+
+  static async findByUserAndCourse(userId, courseId) {
+    return Progress.find({ userId, courseId });
+  }
+
+  // Share of a course's lessons the user has completed, as a percentage
+  static async getCourseCompletion(userId, courseId, totalLessons) {
+    if (!totalLessons) return 0;
+    const completed = await repository.count({ userId, courseId, status: 'completed' });
+    return Math.round((completed / totalLessons) * 100);
+  }
+}
+
+module.exports = Progress;
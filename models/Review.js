@@ -0,0 +1,166 @@
+const Repository = require('../database/repository');
+const { generateId } = require('../database/ids');
+
+const repository = new Repository('reviews', {
+  tenantScoped: true,
+  indexes: [
+    // One review per learner per course
+    { fields: ['courseId', 'userId'], unique: true },
+    { fields: ['userId'] },
+  ],
+});
+
+/**
+ * Review Model
+ * A learner's star rating and comment on a course, with the instructor's
+ * reply, other learners' helpful votes and moderation flags. Hidden reviews
+ * (taken down by a moderator) do not count towards the course rating.
+ */
+
+class Review {
+  constructor(reviewData) {
+    this.id = reviewData.id || this.generateId();
+    this.courseId = reviewData.courseId;
+    this.userId = reviewData.userId;
+    this.rating = reviewData.rating; // whole stars, 1-5
+    this.comment = reviewData.comment || '';
+    this.status = reviewData.status || 'published'; // 'published', 'hidden'
+    this.reply = reviewData.reply || null; // { text, authorId, createdAt, updatedAt }
+    this.helpfulVoterIds = reviewData.helpfulVoterIds || [];
+    this.helpfulCount = reviewData.helpfulCount || 0;
+    this.flags = reviewData.flags || []; // open flags: [{ userId, reason, createdAt }]
+    this.flagCount = reviewData.flagCount || 0;
+    this.moderatedBy = reviewData.moderatedBy || null;
+    this.moderatedAt = reviewData.moderatedAt || null;
+    this.moderationNote = reviewData.moderationNote || null;
+    this.editedAt = reviewData.editedAt || null;
+    this.organizationId = reviewData.organizationId || null; // owning organization (tenant)
+    this.createdAt = reviewData.createdAt || new Date().toISOString();
+    this.updatedAt = reviewData.updatedAt || new Date().toISOString();
+  }
+
+  // Generate unique ID
+  generateId() {
+    return generateId();
+  }
+
+  // Whether the review counts towards the course rating and is shown to everyone
+  get isPublished() {
+    return this.status === 'published';
+  }
+
+  // Update review data
+  update(updates) {
+    Object.assign(this, updates);
+    this.updatedAt = new Date().toISOString();
+    return this.save();
+  }
+
+  // Mark the review helpful (once per user); returns false if the user already had
+  addHelpfulVote(userId) {
+    if (this.helpfulVoterIds.includes(userId)) return false;
+    this.helpfulVoterIds = [...this.helpfulVoterIds, userId];
+    this.helpfulCount = this.helpfulVoterIds.length;
+    return true;
+  }
+
+  // Take a helpful vote back; returns false if the user had not voted
+  removeHelpfulVote(userId) {
+    if (!this.helpfulVoterIds.includes(userId)) return false;
+    this.helpfulVoterIds = this.helpfulVoterIds.filter((id) => id !== userId);
+    this.helpfulCount = this.helpfulVoterIds.length;
+    return true;
+  }
+
+  // Flag the review for moderation (once per user); returns false if the user already had
+  addFlag(userId, reason) {
+    if (this.flags.some((flag) => flag.userId === userId)) return false;
+    this.flags = [...this.flags, { userId, reason, createdAt: new Date().toISOString() }];
+    this.flagCount = this.flags.length;
+    return true;
+  }
+
+  // Save review to storage
+  async save() {
+    await repository.save(this);
+    return this;
+  }
+
+  // Convert to JSON; voters and flaggers are not shown
+  toJSON() {
+    const reviewObject = { ...this };
+    delete reviewObject.helpfulVoterIds;
+    delete reviewObject.flags;
+    return reviewObject;
+  }
+
+  // Review as moderators see it, with the open flags
+  toModerationJSON() {
+    return { ...this.toJSON(), flags: this.flags };
+  }
+
+  // Static methods for database operations
+  static async findById(id) {
+    const reviewData = await repository.findById(id);
+    return reviewData ? new Review(reviewData) : null;
+  }
+
+  static async findOne(query) {
+    const reviewData = await repository.findOne(query);
+    return reviewData ? new Review(reviewData) : null;
+  }
+
+  static async find(query = {}, options = {}) {
+    const reviews = await repository.find(query, options);
+    return reviews.map((reviewData) => new Review(reviewData));
+  }
+
+  static async count(query = {}) {
+    return repository.count(query);
+  }
+
+  static async create(reviewData) {
+    const review = new Review(reviewData);
+    await review.save();
+    return review;
+  }
+
+  static async deleteById(id) {
+    return repository.deleteById(id);
+  }
+
+  static async findByUserAndCourse(userId, courseId) {
+    return Review.findOne({ courseId, userId });
+  }
+
+  static async findByCourse(courseId, options = {}) {
+    return Review.find({ courseId }, options);
+  }
+
+  /**
+   * A course's rating as it follows from its reviews
+   * @param {Array} reviews - All of the course's reviews
+   * @returns {Object} { rating, reviewCount }; rating is the mean of the published
+   *   reviews to two decimals, 0 without any
+   */
+  static aggregate(reviews) {
+    const published = reviews.filter((review) => review.status === 'published');
+    const total = published.reduce((sum, review) => sum + review.rating, 0);
+
+    return {
+      rating: published.length ? Math.round((total / published.length) * 100) / 100 : 0,
+      reviewCount: published.length,
+    };
+  }
+
+  // Validation methods
+  static validateRating(rating) {
+    return Number.isInteger(rating) && rating >= 1 && rating <= 5;
+  }
+
+  static validateComment(comment) {
+    return typeof comment === 'string' && comment.trim().length <= 5000;
+  }
+}
+
+module.exports = Review;
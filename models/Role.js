@@ -0,0 +1,115 @@
+const Repository = require('../database/repository');
+const { PERMISSIONS, SYSTEM_ROLES } = require('../utils/constants');
+const { generateId } = require('../database/ids');
+
+const repository = new Repository('roles');
+
+/**
+ * Role Model
+ * A named set of permissions. Global roles are what User.role refers to;
+ * course roles (e.g. teaching assistant) are granted per course through RoleAssignment.
+ */
+
+class Role {
+  constructor(roleData) {
+    this.id = roleData.id || this.generateId();
+    this.name = roleData.name; // slug, e.g. 'teaching_assistant'
+    this.description = roleData.description || null;
+    this.scope = roleData.scope || 'global'; // 'global', 'course'
+    this.permissions = roleData.permissions || [];
+    this.isSystem = roleData.isSystem || false;
+    this.createdBy = roleData.createdBy || null;
+    this.createdAt = roleData.createdAt || new Date().toISOString();
+    this.updatedAt = roleData.updatedAt || new Date().toISOString();
+  }
+
+  // Generate unique ID
+  generateId() {
+    return generateId();
+  }
+
+  // Effective permissions (admin always has the whole catalogue)
+  getPermissions() {
+    if (this.isSystem && this.name === 'admin') {
+      return Object.keys(PERMISSIONS);
+    }
+    return this.permissions;
+  }
+
+  // Update role data
+  update(updates) {
+    Object.assign(this, updates);
+    this.updatedAt = new Date().toISOString();
+    return this.save();
+  }
+
+  // Save role to storage
+  async save() {
+    await repository.save(this);
+    return this;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return { ...this, permissions: this.getPermissions() };
+  }
+
+  // Make sure the built-in roles exist in storage
+  // Built-in roles use their name as id, so concurrent calls cannot create duplicates
+  static async ensureSystemRoles() {
+    const existing = await repository.count({ isSystem: true });
+    if (existing >= SYSTEM_ROLES.length) return;
+
+    const names = (await repository.find({ isSystem: true })).map((r) => r.name);
+    const missing = SYSTEM_ROLES.filter((systemRole) => !names.includes(systemRole.name));
+    await Promise.all(
+      missing.map((systemRole) => {
+        const role = new Role({ ...systemRole, id: systemRole.name, isSystem: true });
+        return role.save();
+      }),
+    );
+  }
+
+  // Static methods for database operations
+  static async findById(id) {
+    await Role.ensureSystemRoles();
+    const roleData = await repository.findById(id);
+    return roleData ? new Role(roleData) : null;
+  }
+
+  static async findByName(name) {
+    await Role.ensureSystemRoles();
+    const roleData = await repository.findOne({ name });
+    return roleData ? new Role(roleData) : null;
+  }
+
+  static async find(query = {}, options = {}) {
+    await Role.ensureSystemRoles();
+    const roles = await repository.find(query, options);
+    return roles.map((roleData) => new Role(roleData));
+  }
+
+  static async create(roleData) {
+    const role = new Role({ ...roleData, isSystem: false });
+    await role.save();
+    return role;
+  }
+
+  static async deleteById(id) {
+    return repository.deleteById(id);
+  }
+
+  // Validation methods
+  static validateName(name) {
+    return typeof name === 'string' && /^[a-z][a-z0-9_]{2,49}$/.test(name);
+  }
+
+  static validatePermissions(permissions) {
+    return (
+      Array.isArray(permissions)
+      && permissions.every((p) => Object.prototype.hasOwnProperty.call(PERMISSIONS, p))
+    );
+  }
+}
+
+module.exports = Role;
@@ -0,0 +1,66 @@
+const Repository = require('../database/repository');
+const { generateId } = require('../database/ids');
+
+const repository = new Repository('roleAssignments', { tenantScoped: true });
+
+/**
+ * RoleAssignment Model
+ * Grants a course-scoped role (e.g. teaching assistant) to a user for one course.
+ */
+
+class RoleAssignment {
+  constructor(assignmentData) {
+    this.id = assignmentData.id || this.generateId();
+    this.userId = assignmentData.userId;
+    this.courseId = assignmentData.courseId;
+    this.role = assignmentData.role; // Role name with scope 'course'
+    this.assignedBy = assignmentData.assignedBy || null;
+    this.organizationId = assignmentData.organizationId || null; // owning organization (tenant)
+    this.createdAt = assignmentData.createdAt || new Date().toISOString();
+    this.updatedAt = assignmentData.updatedAt || new Date().toISOString();
+  }
+
+  // Generate unique ID
+  generateId() {
+    return generateId();
+  }
+
+  // Save assignment to storage
+  async save() {
+    await repository.save(this);
+    return this;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return { ...this };
+  }
+
+  // Static methods for database operations
+  static async findById(id) {
+    const assignmentData = await repository.findById(id);
+    return assignmentData ? new RoleAssignment(assignmentData) : null;
+  }
+
+  static async find(query = {}, options = {}) {
+    const assignments = await repository.find(query, options);
+    return assignments.map((assignmentData) => new RoleAssignment(assignmentData));
+  }
+
+  static async findOne(query) {
+    const assignmentData = await repository.findOne(query);
+    return assignmentData ? new RoleAssignment(assignmentData) : null;
+  }
+
+  static async create(assignmentData) {
+    const assignment = new RoleAssignment(assignmentData);
+    await assignment.save();
+    return assignment;
+  }
+
+  static async deleteById(id) {
+    return repository.deleteById(id);
+  }
+}
+
+module.exports = RoleAssignment;
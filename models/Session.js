@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const Repository = require('../database/repository');
+const { generateId } = require('../database/ids');
+
+const repository = new Repository('sessions');
+
+/**
+ * Session Model
+ * A logged-in device. Each session owns one opaque refresh token which is
+ * rotated on every refresh; hashes of rotated tokens are kept so that reuse
+ * of an old token can be detected and the whole session revoked.
+ */
+
+class Session {
+  constructor(sessionData) {
+    this.id = sessionData.id || this.generateId();
+    this.userId = sessionData.userId;
+    this.refreshTokenHash = sessionData.refreshTokenHash || null;
+    this.rotatedTokenHashes = sessionData.rotatedTokenHashes || [];
+    this.deviceName = sessionData.deviceName || 'Unknown device';
+    this.ipAddress = sessionData.ipAddress || null;
+    this.userAgent = sessionData.userAgent || null;
+    this.expiresAt = sessionData.expiresAt;
+    this.lastSeenAt = sessionData.lastSeenAt || new Date().toISOString();
+    this.revokedAt = sessionData.revokedAt || null;
+    this.revokedReason = sessionData.revokedReason || null;
+    this.impersonatorId = sessionData.impersonatorId || null; // admin viewing the app as this user
+    this.createdAt = sessionData.createdAt || new Date().toISOString();
+    this.updatedAt = sessionData.updatedAt || new Date().toISOString();
+  }
+
+  // Generate unique ID
+  generateId() {
+    return generateId();
+  }
+
+  // Hash a refresh token for storage/lookup
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Check if session can still be used
+  get isActive() {
+    return !this.revokedAt && new Date(this.expiresAt).getTime() > Date.now();
+  }
+
+  // Replace the refresh token, remembering the old one for reuse detection
+  rotateRefreshToken() {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    if (this.refreshTokenHash) {
+      this.rotatedTokenHashes.push(this.refreshTokenHash);
+    }
+    this.refreshTokenHash = Session.hashToken(refreshToken);
+
+    return refreshToken;
+  }
+
+  // Record activity from the device
+  touch(ipAddress, userAgent) {
+    this.lastSeenAt = new Date().toISOString();
+    if (ipAddress) this.ipAddress = ipAddress;
+    if (userAgent) this.userAgent = userAgent;
+  }
+
+  // Revoke session
+  revoke(reason = 'logout') {
+    if (!this.revokedAt) {
+      this.revokedAt = new Date().toISOString();
+      this.revokedReason = reason;
+    }
+    return this.update({});
+  }
+
+  // Update session data
+  update(updates) {
+    Object.assign(this, updates);
+    this.updatedAt = new Date().toISOString();
+    return this.save();
+  }
+
+  // Save session to storage
+  async save() {
+    await repository.save(this);
+    return this;
+  }
+
+  // Convert to JSON (remove token hashes)
+  toJSON() {
+    return {
+      id: this.id,
+      deviceName: this.deviceName,
+      ipAddress: this.ipAddress,
+      userAgent: this.userAgent,
+      lastSeenAt: this.lastSeenAt,
+      expiresAt: this.expiresAt,
+      revokedAt: this.revokedAt,
+      impersonatorId: this.impersonatorId,
+      createdAt: this.createdAt,
+    };
+  }
+
+  // Static methods for database operations
+  static async findById(id) {
+    const sessionData = await repository.findById(id);
+    return sessionData ? new Session(sessionData) : null;
+  }
+
+  // Find the session a refresh token belongs to, flagging tokens that were already rotated
+  static async findByRefreshToken(refreshToken) {
+    const hash = Session.hashToken(refreshToken);
+
+    const current = await repository.findOne({ refreshTokenHash: hash });
+    if (current) {
+      return { session: new Session(current), reused: false };
+    }
+
+    const rotated = await repository.findOne({ rotatedTokenHashes: { $contains: hash } });
+    if (rotated) {
+      return { session: new Session(rotated), reused: true };
+    }
+
+    return { session: null, reused: false };
+  }
+
+  static async findActiveByUser(userId) {
+    const sessions = await repository.find(
+      { userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { sort: { lastSeenAt: -1 } },
+    );
+    return sessions.map((sessionData) => new Session(sessionData));
+  }
+
+  static async create(sessionData) {
+    const session = new Session(sessionData);
+    const refreshToken = session.rotateRefreshToken();
+    await session.save();
+    return { session, refreshToken };
+  }
+
+  // Revoke every active session of a user, optionally keeping one
+  static async revokeAllForUser(userId, reason, exceptSessionId = null) {
+    const sessions = await Session.findActiveByUser(userId);
+    const toRevoke = sessions.filter((session) => session.id !== exceptSessionId);
+    await Promise.all(toRevoke.map((session) => session.revoke(reason)));
+    return toRevoke.length;
+  }
+}
+
+module.exports = Session;
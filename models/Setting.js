@@ -0,0 +1,52 @@
+const Repository = require('../database/repository');
+
+const repository = new Repository('settings');
+
+/**
+ * Setting Model
+ * Runtime settings that admins can change through the API (security policies etc.)
+ */
+
+class Setting {
+  constructor(settingData) {
+    this.id = settingData.key; // settings are stored by key
+    this.key = settingData.key;
+    this.value = settingData.value;
+    this.updatedBy = settingData.updatedBy || null;
+    this.createdAt = settingData.createdAt || new Date().toISOString();
+    this.updatedAt = settingData.updatedAt || new Date().toISOString();
+  }
+
+  // Save setting to storage
+  async save() {
+    await repository.save(this);
+    return this;
+  }
+
+  // Static methods for database operations
+  static async findByKey(key) {
+    const settingData = await repository.findById(key);
+    return settingData ? new Setting(settingData) : null;
+  }
+
+  // Get a setting's value, falling back to a default when it was never set
+  static async get(key, defaultValue = null) {
+    const setting = await Setting.findByKey(key);
+    return setting ? setting.value : defaultValue;
+  }
+
+  // Create or replace a setting's value
+  static async set(key, value, updatedBy = null) {
+    const existing = await Setting.findByKey(key);
+    const setting = new Setting({
+      ...(existing || {}),
+      key,
+      value,
+      updatedBy,
+      updatedAt: new Date().toISOString(),
+    });
+    return setting.save();
+  }
+}
+
+module.exports = Setting;
@@ -0,0 +1,104 @@
+const Repository = require('../database/repository');
+const { generateId } = require('../database/ids');
+
+const repository = new Repository('submissions', { tenantScoped: true });
+
+/**
+ * Submission Model
+ * A learner's answer to an assignment, and its grade
+ */
+
+class Submission {
+  constructor(submissionData) {
+    this.id = submissionData.id || this.generateId();
+    this.assignmentId = submissionData.assignmentId;
+    this.courseId = submissionData.courseId;
+    this.userId = submissionData.userId;
+    this.content = submissionData.content || null;
+    this.attachments = submissionData.attachments || []; // [{ title, url }]
+    this.status = submissionData.status || 'submitted'; // 'submitted', 'graded', 'returned'
+    this.isLate = submissionData.isLate || false;
+    this.submittedAt = submissionData.submittedAt || new Date().toISOString();
+    this.score = submissionData.score !== undefined ? submissionData.score : null;
+    this.feedback = submissionData.feedback || null;
+    this.gradedBy = submissionData.gradedBy || null;
+    this.gradedAt = submissionData.gradedAt || null;
+    this.organizationId = submissionData.organizationId || null; // owning organization (tenant)
+    this.createdAt = submissionData.createdAt || new Date().toISOString();
+    this.updatedAt = submissionData.updatedAt || new Date().toISOString();
+  }
+
+  // Generate unique ID
+  generateId() {
+    return generateId();
+  }
+
+  // Update submission data
+  update(updates) {
+    Object.assign(this, updates);
+    this.updatedAt = new Date().toISOString();
+    return this.save();
+  }
+
+  // Grade the submission
+  grade(score, feedback, graderId) {
+    return this.update({
+      score,
+      feedback: feedback || null,
+      status: 'graded',
+      gradedBy: graderId,
+      gradedAt: new Date().toISOString(),
+    });
+  }
+
+  // Save submission to storage
+  async save() {
+    await repository.save(this);
+    return this;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return { ...this };
+  }
+
+  // Static methods for database operations
+  static async findById(id) {
+    const submissionData = await repository.findById(id);
+    return submissionData ? new Submission(submissionData) : null;
+  }
+
+  static async findOne(query) {
+    const submissionData = await repository.findOne(query);
+    return submissionData ? new Submission(submissionData) : null;
+  }
+
+  static async find(query = {}, options = {}) {
+    const submissions = await repository.find(query, options);
+    return submissions.map((submissionData) => new Submission(submissionData));
+  }
+
+  static async count(query = {}) {
+    return repository.count(query);
+  }
+
+  static async create(submissionData) {
+    const submission = new Submission(submissionData);
+    await submission.save();
+    return submission;
+  }
+
+  static async deleteById(id) {
+    return repository.deleteById(id);
+  }
+
+  static async findByAssignment(assignmentId, options = {}) {
+    return Submission.find({ assignmentId }, { sort: { submittedAt: 1 }, ...options });
+  }
+
+  static async findByUserAndAssignment(userId, assignmentId) {
+    return Submission.find({ userId, assignmentId }, { sort: { submittedAt: -1 } });
+  }
+}
+
+module.exports = Submission;
@@ -1,39 +1,71 @@
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const Repository = require('../database/repository');
+const { transaction } = require('../database/transaction');
+const { generateId } = require('../database/ids');
+const Session = require('./Session');
+const Role = require('./Role');
+
+const repository = new Repository('users', {
+  softDelete: true,
+  versioned: true,
+  tenantScoped: true,
+  indexes: [
+    { fields: ['email'] },
+    // One account per email address in each organization (and among platform users)
+    { fields: ['organizationId', 'email'], unique: true, where: { email: { $exists: true } } },
+  ],
+});
+
+// Email addresses are stored and looked up trimmed and lower-cased
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : email);
 
 /**
  * User Model
- * This is a simplified model structure. In a real application,
- * you would use an ORM like Mongoose (MongoDB) or Sequelize (SQL)
+ * Records are stored through the repository layer (see database/connection.js)
  */
 
 class User {
   constructor(userData) {
     this.id = userData.id || this.generateId();
-    this.email = userData.email;
+    this.email = normalizeEmail(userData.email);
     this.password = userData.password;
     this.firstName = userData.firstName;
     this.lastName = userData.lastName;
-    this.role = userData.role || 'student'; // 'student', 'instructor', 'admin'
+    this.role = userData.role || 'student'; // name of a global Role, e.g. 'student', 'instructor', 'admin'
     this.profileImage = userData.profileImage || null;
     this.bio = userData.bio || null;
     this.phone = userData.phone || null;
     this.isActive = userData.isActive !== undefined ? userData.isActive : true;
+    this.isServiceAccount = userData.isServiceAccount || false; // integration using API tokens only
+    this.oidcIssuer = userData.oidcIssuer || null; // linked SSO identity
+    this.oidcSubject = userData.oidcSubject || null;
     this.isEmailVerified = userData.isEmailVerified || false;
     this.emailVerificationToken = userData.emailVerificationToken || null;
+    this.emailVerificationExpires = userData.emailVerificationExpires || null;
+    this.emailVerificationSentAt = userData.emailVerificationSentAt || null;
     this.passwordResetToken = userData.passwordResetToken || null;
     this.passwordResetExpires = userData.passwordResetExpires || null;
     this.passwordChangedAt = userData.passwordChangedAt || null;
+    this.twoFactorEnabled = userData.twoFactorEnabled || false;
+    this.twoFactorSecret = userData.twoFactorSecret || null; // encrypted
+    this.twoFactorPendingSecret = userData.twoFactorPendingSecret || null; // encrypted, unconfirmed
+    this.twoFactorRecoveryCodes = userData.twoFactorRecoveryCodes || []; // hashed
+    this.twoFactorLastUsedStep = userData.twoFactorLastUsedStep || null;
     this.loginAttempts = userData.loginAttempts || 0;
     this.lockUntil = userData.lockUntil || null;
     this.lastLogin = userData.lastLogin || null;
+    this.organizationId = userData.organizationId || null; // owning organization (tenant)
     this.createdAt = userData.createdAt || new Date().toISOString();
     this.updatedAt = userData.updatedAt || new Date().toISOString();
+    this.version = userData.version || 0; // bumped on every save, sent as the ETag
+    this.deletedAt = userData.deletedAt || null; // soft deleted (in the trash)
+    this.deletedBy = userData.deletedBy || null;
   }
 
   // Generate unique ID
   generateId() {
-    return Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+    return generateId();
   }
 
   // Hash password before saving
@@ -44,46 +76,44 @@ class User {
     }
   }
 
-  // Compare password
+  // Compare password (accounts without a password never match)
   async comparePassword(candidatePassword) {
+    if (!this.password || !candidatePassword) return false;
     return await bcrypt.compare(candidatePassword, this.password);
   }
 
   // Check if password was changed after JWT was issued
   changedPasswordAfter(JWTTimestamp) {
     if (this.passwordChangedAt) {
-      const changedTimestamp = parseInt(
-        this.passwordChangedAt.getTime() / 1000,
-        10
-      );
+      const changedTimestamp = parseInt(new Date(this.passwordChangedAt).getTime() / 1000, 10);
       return JWTTimestamp < changedTimestamp;
     }
     return false;
   }
 
-  // Generate password reset token
-  createPasswordResetToken() {
+  // Generate password reset token (also used to invite new accounts to choose a password)
+  createPasswordResetToken(ttl = 10 * 60 * 1000) {
     const resetToken = crypto.randomBytes(32).toString('hex');
-    
-    this.passwordResetToken = crypto
-      .createHash('sha256')
-      .update(resetToken)
-      .digest('hex');
 
-    this.passwordResetExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
+    this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+
+    this.passwordResetExpires = Date.now() + ttl;
 
     return resetToken;
   }
 
   // Generate email verification token
-  createEmailVerificationToken() {
+  createEmailVerificationToken(ttl = 24 * 60 * 60 * 1000) {
     const verificationToken = crypto.randomBytes(32).toString('hex');
-    
+
     this.emailVerificationToken = crypto
       .createHash('sha256')
       .update(verificationToken)
       .digest('hex');
 
+    this.emailVerificationExpires = Date.now() + ttl;
+    this.emailVerificationSentAt = Date.now();
+
     return verificationToken;
   }
 
@@ -92,23 +122,23 @@ class User {
     return !!(this.lockUntil && this.lockUntil > Date.now());
   }
 
-  // Increment login attempts
-  incLoginAttempts() {
+  // Increment login attempts, locking the account once maxAttempts is reached
+  incLoginAttempts(maxAttempts = 5, lockTime = 2 * 60 * 60 * 1000) {
     // If we have a previous lock that has expired, restart at 1
     if (this.lockUntil && this.lockUntil < Date.now()) {
       return this.update({
         loginAttempts: 1,
-        lockUntil: null
+        lockUntil: null,
       });
     }
-    
+
     const updates = { loginAttempts: this.loginAttempts + 1 };
-    
-    // Lock account after 5 failed attempts for 2 hours
-    if (this.loginAttempts + 1 >= 5 && !this.isLocked) {
-      updates.lockUntil = Date.now() + 2 * 60 * 60 * 1000; // 2 hours
+
+    // Lock account after too many failed attempts
+    if (this.loginAttempts + 1 >= maxAttempts && !this.isLocked) {
+      updates.lockUntil = Date.now() + lockTime;
     }
-    
+
     return this.update(updates);
   }
 
@@ -116,30 +146,35 @@ class User {
   resetLoginAttempts() {
     return this.update({
       loginAttempts: 0,
-      lockUntil: null
+      lockUntil: null,
     });
   }
 
-  // Update user data
-  update(updates) {
+  // Update user data; { ifVersion } rejects the write if someone else saved first
+  update(updates, options = {}) {
     Object.assign(this, updates);
     this.updatedAt = new Date().toISOString();
-    return this.save();
+    return this.save(options);
+  }
+
+  // Move to the trash and sign the user out everywhere
+  softDelete(deletedBy = null) {
+    return transaction(async () => {
+      await this.update({ deletedAt: new Date().toISOString(), deletedBy });
+      await Session.revokeAllForUser(this.id, 'account_deleted');
+      return this;
+    });
+  }
+
+  // Take out of the trash
+  restore() {
+    return this.update({ deletedAt: null, deletedBy: null });
   }
 
   // Save user to storage
-  async save() {
-    // This would interact with your database
-    // For now, we'll just update the in-memory storage
-    const users = require('../data/users'); // Assuming in-memory storage
-    const index = users.findIndex(u => u.id === this.id);
-    
-    if (index !== -1) {
-      users[index] = this;
-    } else {
-      users.push(this);
-    }
-    
+  async save(options = {}) {
+    const saved = await repository.save(this, options);
+    this.version = saved.version;
     return this;
   }
 
@@ -150,6 +185,12 @@ class User {
     delete userObject.passwordResetToken;
     delete userObject.passwordResetExpires;
     delete userObject.emailVerificationToken;
+    delete userObject.emailVerificationExpires;
+    delete userObject.emailVerificationSentAt;
+    delete userObject.twoFactorSecret;
+    delete userObject.twoFactorPendingSecret;
+    delete userObject.twoFactorRecoveryCodes;
+    delete userObject.twoFactorLastUsedStep;
     delete userObject.loginAttempts;
     delete userObject.lockUntil;
     return userObject;
@@ -163,42 +204,39 @@ class User {
       lastName: this.lastName,
       role: this.role,
       profileImage: this.profileImage,
-      bio: this.bio
+      bio: this.bio,
     };
   }
 
   // Static methods for database operations
-  static async findById(id) {
-    const users = require('../data/users');
-    const userData = users.find(u => u.id === id);
+  // Deleted users are hidden unless options.withDeleted is set
+  static async findById(id, options = {}) {
+    const userData = await repository.findById(id, options);
     return userData ? new User(userData) : null;
   }
 
   static async findByEmail(email) {
-    const users = require('../data/users');
-    const userData = users.find(u => u.email === email);
+    const userData = await repository.findOne({ email: normalizeEmail(email) });
     return userData ? new User(userData) : null;
   }
 
-  static async findOne(query) {
-    const users = require('../data/users');
-    const userData = users.find(u => {
-      return Object.keys(query).every(key => u[key] === query[key]);
-    });
-    return userData ? new User(userData) : null;
+  // Every account with the email: one per organization when no tenant is set
+  static async findAllByEmail(email) {
+    return User.find({ email: normalizeEmail(email) });
   }
 
-  static async find(query = {}) {
-    const users = require('../data/users');
-    let filteredUsers = users;
+  static async findOne(query, options = {}) {
+    const userData = await repository.findOne(query, options);
+    return userData ? new User(userData) : null;
+  }
 
-    if (Object.keys(query).length > 0) {
-      filteredUsers = users.filter(u => {
-        return Object.keys(query).every(key => u[key] === query[key]);
-      });
-    }
+  static async find(query = {}, options = {}) {
+    const users = await repository.find(query, options);
+    return users.map((userData) => new User(userData));
+  }
 
-    return filteredUsers.map(userData => new User(userData));
+  static async count(query = {}, options = {}) {
+    return repository.count(query, options);
   }
 
   static async create(userData) {
@@ -208,14 +246,20 @@ class User {
     return user;
   }
 
-  static async deleteById(id) {
-    const users = require('../data/users');
-    const index = users.findIndex(u => u.id === id);
-    if (index !== -1) {
-      users.splice(index, 1);
-      return true;
-    }
-    return false;
+  // Move a user to the trash; see services/trashService.js for restore and purge
+  static async deleteById(id, deletedBy = null) {
+    const user = await User.findById(id);
+    if (!user) return false;
+    await user.softDelete(deletedBy);
+    return true;
+  }
+
+  // Users in the trash, most recently deleted first
+  static async findDeleted(query = {}, options = {}) {
+    return User.find(
+      { ...query, deletedAt: { $exists: true } },
+      { sort: { deletedAt: -1 }, ...options },
+    );
   }
 
   // Validation methods
@@ -230,57 +274,53 @@ class User {
     return passwordRegex.test(password);
   }
 
-  static validateRole(role) {
-    const validRoles = ['student', 'instructor', 'admin'];
-    return validRoles.includes(role);
+  // Roles are managed through the Role model, so this is async
+  static async validateRole(role) {
+    const roleRecord = await Role.findByName(role);
+    return !!roleRecord && roleRecord.scope === 'global';
   }
 
   // Search users
-  static async search(searchTerm, filters = {}) {
-    const users = require('../data/users');
-    
-    let results = users.filter(user => {
-      const matchesSearch = !searchTerm || 
-        user.firstName.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        user.lastName.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        user.email.toLowerCase().includes(searchTerm.toLowerCase());
-
-      const matchesFilters = Object.keys(filters).every(key => 
-        user[key] === filters[key]
-      );
-
-      return matchesSearch && matchesFilters;
-    });
+  static async search(searchTerm, filters = {}, options = {}) {
+    const query = { ...filters };
+
+    if (searchTerm) {
+      query.$or = [
+        { firstName: { $search: searchTerm } },
+        { lastName: { $search: searchTerm } },
+        { email: { $search: searchTerm } },
+      ];
+    }
 
-    return results.map(userData => new User(userData));
+    return User.find(query, options);
   }
 
   // Get user statistics
   static async getStatistics() {
-    const users = require('../data/users');
-    
-    const total = users.length;
-    const active = users.filter(u => u.isActive).length;
-    const byRole = users.reduce((acc, user) => {
-      acc[user.role] = (acc[user.role] || 0) + 1;
-      return acc;
-    }, {});
-
-    const recentRegistrations = users.filter(u => {
-      const userDate = new Date(u.createdAt);
-      const weekAgo = new Date();
-      weekAgo.setDate(weekAgo.getDate() - 7);
-      return userDate > weekAgo;
-    }).length;
+    const weekAgo = new Date();
+    weekAgo.setDate(weekAgo.getDate() - 7);
+
+    const [total, active, recentRegistrations, roles] = await Promise.all([
+      repository.count(),
+      repository.count({ isActive: true }),
+      repository.count({ createdAt: { $gt: weekAgo } }),
+      Role.find({ scope: 'global' }),
+    ]);
+
+    const byRole = {};
+    const counts = await Promise.all(roles.map((role) => repository.count({ role: role.name })));
+    roles.forEach((role, index) => {
+      if (counts[index] > 0) byRole[role.name] = counts[index];
+    });
 
     return {
       total,
       active,
       inactive: total - active,
       byRole,
-      recentRegistrations
+      recentRegistrations,
     };
   }
 }
 
-module.exports = User;
\ No newline at end of file
+module.exports = User;
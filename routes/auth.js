@@ -1,4 +1,18 @@
 const express = require('express');
+const authController = require('../controllers/authController');
+const apiTokenController = require('../controllers/apiTokenController');
+const {
+  authenticate,
+  authenticateTwoFactorSetup,
+  optionalAuth,
+  requireInteractiveLogin,
+  forbidImpersonation,
+  sensitiveOpLimit,
+} = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorization');
+const { requireIfMatch } = require('../middleware/concurrency');
+const { loginLimiter } = require('../middleware/rateLimiter');
+
 const router = express.Router();
 
 // Auth route info
@@ -11,149 +25,104 @@ router.get('/', (req, res) => {
       register: 'POST /api/auth/register',
       logout: 'POST /api/auth/logout',
       refresh: 'POST /api/auth/refresh',
+      two_factor_verify: 'POST /api/auth/2fa/verify',
+      two_factor_setup: 'POST /api/auth/2fa/setup',
+      two_factor_enable: 'POST /api/auth/2fa/enable',
+      two_factor_disable: 'POST /api/auth/2fa/disable',
+      two_factor_recovery_codes: 'POST /api/auth/2fa/recovery-codes',
+      two_factor_policy: 'GET|PUT /api/auth/2fa/policy',
+      sso_login: 'GET /api/auth/oidc/login',
+      sso_callback: 'GET /api/auth/oidc/callback',
+      login_policy: 'GET|PUT /api/auth/login-policy',
+      sessions: 'GET /api/auth/sessions',
+      revoke_session: 'DELETE /api/auth/sessions/:id',
+      api_tokens: 'GET|POST /api/auth/tokens',
+      revoke_api_token: 'DELETE /api/auth/tokens/:tokenId',
       profile: 'GET /api/auth/profile',
+      update_profile: 'PUT /api/auth/profile',
+      change_password: 'POST /api/auth/change-password',
       forgot_password: 'POST /api/auth/forgot-password',
-      reset_password: 'POST /api/auth/reset-password'
-    },
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Login endpoint
-router.post('/login', (req, res) => {
-  const { email, password } = req.body;
-  
-  // Basic validation
-  if (!email || !password) {
-    return res.status(400).json({
-      error: 'Validation Error',
-      message: 'Email and password are required',
-      timestamp: new Date().toISOString()
-    });
-  }
-
-  // Mock login response (replace with actual authentication logic)
-  res.json({
-    message: 'Login successful',
-    user: {
-      id: 1,
-      email: email,
-      name: 'Demo User',
-      role: 'student'
+      reset_password: 'POST /api/auth/reset-password/:token',
+      verify_email: 'GET /api/auth/verify-email/:token',
+      resend_verification: 'POST /api/auth/resend-verification',
+      check_email: 'POST /api/auth/check-email',
     },
-    token: 'mock-jwt-token-here',
-    expiresIn: '24h',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Register endpoint
-router.post('/register', (req, res) => {
-  const { name, email, password, role = 'student' } = req.body;
-  
-  // Basic validation
-  if (!name || !email || !password) {
-    return res.status(400).json({
-      error: 'Validation Error',
-      message: 'Name, email and password are required',
-      timestamp: new Date().toISOString()
-    });
-  }
-
-  // Mock registration response
-  res.status(201).json({
-    message: 'Registration successful',
-    user: {
-      id: Math.floor(Math.random() * 1000),
-      name: name,
-      email: email,
-      role: role,
-      createdAt: new Date().toISOString()
-    },
-    token: 'mock-jwt-token-here',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Logout endpoint
-router.post('/logout', (req, res) => {
-  res.json({
-    message: 'Logout successful',
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
   });
 });
 
-// Refresh token endpoint
-router.post('/refresh', (req, res) => {
-  const { refreshToken } = req.body;
-  
-  if (!refreshToken) {
-    return res.status(400).json({
-      error: 'Bad Request',
-      message: 'Refresh token is required',
-      timestamp: new Date().toISOString()
-    });
-  }
+// Public routes
+router.post('/register', authController.register);
+router.post('/login', loginLimiter, authController.login);
+router.post('/2fa/verify', loginLimiter, authController.verifyTwoFactorLogin);
+router.get('/oidc/login', authController.oidcLogin);
+router.get('/oidc/callback', loginLimiter, authController.oidcCallback);
+router.post('/forgot-password', sensitiveOpLimit, authController.forgotPassword);
+router.post('/reset-password', sensitiveOpLimit, authController.resetPassword);
+router.post('/reset-password/:token', sensitiveOpLimit, authController.resetPassword);
+router.get('/verify-email/:token', authController.verifyEmail);
+router.post('/check-email', sensitiveOpLimit, authController.checkEmail);
+router.post('/refresh', authController.refreshToken);
+router.post(
+  '/resend-verification',
+  optionalAuth,
+  sensitiveOpLimit,
+  authController.resendEmailVerification,
+);
 
-  res.json({
-    message: 'Token refreshed successfully',
-    token: 'new-mock-jwt-token-here',
-    expiresIn: '24h',
-    timestamp: new Date().toISOString()
-  });
-});
+// 2FA enrollment also accepts the setup challenge token handed out at login
+router.post(
+  '/2fa/setup',
+  authenticateTwoFactorSetup,
+  requireInteractiveLogin,
+  forbidImpersonation,
+  authController.setupTwoFactor,
+);
+router.post(
+  '/2fa/enable',
+  authenticateTwoFactorSetup,
+  requireInteractiveLogin,
+  forbidImpersonation,
+  authController.enableTwoFactor,
+);
 
-// Get user profile endpoint
-router.get('/profile', (req, res) => {
-  // Mock profile response (in real app, extract from JWT)
-  res.json({
-    user: {
-      id: 1,
-      name: 'Demo User',
-      email: 'demo@example.com',
-      role: 'student',
-      joinedAt: '2024-01-01T00:00:00.000Z',
-      lastLogin: new Date().toISOString()
-    },
-    timestamp: new Date().toISOString()
-  });
-});
+// Protected routes
+router.get('/profile', authenticate, authController.getMe);
 
-// Forgot password endpoint
-router.post('/forgot-password', (req, res) => {
-  const { email } = req.body;
-  
-  if (!email) {
-    return res.status(400).json({
-      error: 'Validation Error',
-      message: 'Email is required',
-      timestamp: new Date().toISOString()
-    });
-  }
+// Account management needs a real login, not an API token; changes are
+// refused while an admin is impersonating the account
+router.use(authenticate, requireInteractiveLogin);
+router.post('/logout', authController.logout);
+router.get('/sessions', authController.getSessions);
+router.delete('/sessions/:id', forbidImpersonation, authController.revokeSession);
+router.put('/profile', forbidImpersonation, requireIfMatch, authController.updateMe);
+router.post(
+  '/change-password',
+  forbidImpersonation,
+  sensitiveOpLimit,
+  authController.changePassword,
+);
 
-  res.json({
-    message: 'Password reset link sent to your email',
-    email: email,
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Reset password endpoint
-router.post('/reset-password', (req, res) => {
-  const { token, newPassword } = req.body;
-  
-  if (!token || !newPassword) {
-    return res.status(400).json({
-      error: 'Validation Error',
-      message: 'Reset token and new password are required',
-      timestamp: new Date().toISOString()
-    });
-  }
+// Two-factor authentication
+router.post('/2fa/disable', forbidImpersonation, sensitiveOpLimit, authController.disableTwoFactor);
+router.post(
+  '/2fa/recovery-codes',
+  forbidImpersonation,
+  sensitiveOpLimit,
+  authController.regenerateRecoveryCodes,
+);
+router.get('/2fa/policy', requirePermission('settings.manage'), authController.getTwoFactorPolicy);
+router.put(
+  '/2fa/policy',
+  requirePermission('settings.manage'),
+  authController.updateTwoFactorPolicy,
+);
+router.get('/login-policy', requirePermission('settings.manage'), authController.getLoginPolicy);
+router.put('/login-policy', requirePermission('settings.manage'), authController.updateLoginPolicy);
 
-  res.json({
-    message: 'Password reset successful',
-    timestamp: new Date().toISOString()
-  });
-});
+// Personal access tokens
+router.get('/tokens', apiTokenController.getMyTokens);
+router.post('/tokens', forbidImpersonation, apiTokenController.createMyToken);
+router.delete('/tokens/:tokenId', forbidImpersonation, apiTokenController.revokeMyToken);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,8 +1,143 @@
 const express = require('express');
+const courseController = require('../controllers/courseController');
+const enrollmentController = require('../controllers/enrollmentController');
+const reviewController = require('../controllers/reviewController');
+const teamController = require('../controllers/teamController');
+const {
+  authenticate,
+  optionalAuth,
+  requireInteractiveLogin,
+  requireVerifiedEmail,
+  forbidImpersonation,
+} = require('../middleware/auth');
+const {
+  requirePermission,
+  requireScope,
+  authorizeCourseInstructorOrAdmin,
+} = require('../middleware/authorization');
+const { requireIfMatch } = require('../middleware/concurrency');
+
 const router = express.Router();
 
-router.get('/', (req, res) => {
-  res.json({ message: 'Courses endpoint' });
-});
+// The course's teaching team with course.edit (or an admin); edits also need the ETag
+// from the last read in If-Match
+const courseStaff = [
+  authenticate,
+  requireScope('courses:read'),
+  authorizeCourseInstructorOrAdmin('id'),
+];
+const courseEditor = [
+  authenticate,
+  requireScope('courses:write'),
+  requireVerifiedEmail,
+  authorizeCourseInstructorOrAdmin('id'),
+  requireIfMatch,
+];
+
+// Publishing, unpublishing and archiving need course.publish on the course
+const coursePublisher = [
+  authenticate,
+  requireScope('courses:write'),
+  requireVerifiedEmail,
+  authorizeCourseInstructorOrAdmin('id', 'course.publish'),
+];
+
+// Catalogue (published courses, public fields only)
+router.get('/', courseController.getCourses);
+router.get('/featured', courseController.getFeaturedCourses);
+router.get('/popular', courseController.getPopularCourses);
+router.get(
+  '/teaching',
+  authenticate,
+  requireScope('courses:read'),
+  courseController.getTeachingCourses,
+);
+
+router.post(
+  '/',
+  authenticate,
+  requireScope('courses:write'),
+  requireVerifiedEmail,
+  requirePermission('course.create'),
+  courseController.createCourse,
+);
+router.get('/:id', optionalAuth, courseController.getCourse);
+router.put('/:id', courseEditor, courseController.updateCourse);
+router.patch('/:id', courseEditor, courseController.updateCourse);
+router.post('/:id/publish', coursePublisher, courseController.publishCourse);
+router.post('/:id/unpublish', coursePublisher, courseController.unpublishCourse);
+router.post('/:id/archive', coursePublisher, courseController.archiveCourse);
+router.delete(
+  '/:id',
+  authenticate,
+  requireInteractiveLogin,
+  forbidImpersonation,
+  authorizeCourseInstructorOrAdmin('id', 'course.delete'),
+  courseController.deleteCourse,
+);
+
+// Offerings: dated runs of a course, each a course of its own (see services/offeringService.js)
+router.get('/:id/offerings', optionalAuth, courseController.getOfferings);
+router.post(
+  '/:id/offerings',
+  authenticate,
+  requireScope('courses:write'),
+  requireVerifiedEmail,
+  requirePermission('course.create'),
+  authorizeCourseInstructorOrAdmin('id'),
+  courseController.createOffering,
+);
+
+// Enrollment (seat limits are enforced atomically, see services/enrollmentService.js)
+router.post(
+  '/:courseId/enroll',
+  authenticate,
+  requireScope('enrollments:write'),
+  requireVerifiedEmail,
+  enrollmentController.enrollInCourse,
+);
+
+// Reviews (see routes/reviews.js for editing, replies, votes and moderation)
+router.get('/:courseId/reviews', optionalAuth, reviewController.getCourseReviews);
+router.post(
+  '/:courseId/reviews',
+  authenticate,
+  requireScope('courses:write'),
+  requireVerifiedEmail,
+  requirePermission('review.post'),
+  reviewController.createReview,
+);
+
+// Teaching team (see services/teamService.js); the owner and admins manage it, never
+// while impersonating
+const teamManager = [
+  authenticate,
+  requireScope('courses:write'),
+  requireVerifiedEmail,
+  forbidImpersonation,
+];
+router.get(
+  '/:id/team',
+  authenticate,
+  requireScope('courses:read'),
+  authorizeCourseInstructorOrAdmin('id', 'course.view_unpublished'),
+  teamController.getTeam,
+);
+router.post('/:id/team/invitations', teamManager, teamController.inviteTeamMember);
+router.delete('/:id/team/invitations/:invitationId', teamManager, teamController.revokeInvitation);
+router.patch('/:id/team/:userId', teamManager, teamController.updateTeamMember);
+router.delete('/:id/team/:userId', teamManager, teamController.removeTeamMember);
+router.post(
+  '/:id/transfer',
+  teamManager,
+  requireInteractiveLogin,
+  teamController.transferOwnership,
+);
+
+// Revision history
+router.get('/:id/revisions', courseStaff, courseController.getRevisions);
+router.get('/:id/revisions/diff', courseStaff, courseController.getRevisionDiff);
+router.get('/:id/revisions/:revision', courseStaff, courseController.getRevision);
+router.post('/:id/revisions/:revision/revert', courseEditor, courseController.revertToRevision);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,8 +1,19 @@
 const express = require('express');
+const enrollmentController = require('../controllers/enrollmentController');
+const { authenticate } = require('../middleware/auth');
+const { requireScope } = require('../middleware/authorization');
+
 const router = express.Router();
 
 router.get('/', (req, res) => {
   res.json({ message: 'Enrollments endpoint' });
 });
 
-module.exports = router;
\ No newline at end of file
+router.delete(
+  '/:id',
+  authenticate,
+  requireScope('enrollments:write'),
+  enrollmentController.unenroll,
+);
+
+module.exports = router;
@@ -1,29 +1,28 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+
 const router = express.Router();
 
 // Safe import function for route modules
 function safeImportRoute(routePath, routeName) {
   try {
     const fullPath = path.resolve(__dirname, routePath);
-    
+
     // Check if file exists
-    if (fs.existsSync(fullPath + '.js')) {
+    if (fs.existsSync(`${fullPath}.js`)) {
       const routeModule = require(routePath);
-      
+
       // Validate that it's a proper Express router
       if (routeModule && typeof routeModule === 'function') {
         console.log(`✅ ${routeName} routes loaded successfully`);
         return routeModule;
-      } else {
-        console.warn(`⚠️  ${routeName} route exists but doesn't export a router`);
-        return null;
       }
-    } else {
-      console.warn(`⚠️  ${routeName} route file not found: ${routePath}.js`);
+      console.warn(`⚠️  ${routeName} route exists but doesn't export a router`);
       return null;
     }
+    console.warn(`⚠️  ${routeName} route file not found: ${routePath}.js`);
+    return null;
   } catch (error) {
     console.error(`❌ Error loading ${routeName} routes:`, error.message);
     return null;
@@ -33,23 +32,23 @@ function safeImportRoute(routePath, routeName) {
 // Create fallback router for missing routes
 function createFallbackRouter(routeName) {
   const fallbackRouter = express.Router();
-  
+
   fallbackRouter.get('/', (req, res) => {
     res.json({
       message: `${routeName} endpoint is under development`,
       status: 'coming_soon',
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
     });
   });
-  
+
   fallbackRouter.use('*', (req, res) => {
     res.status(501).json({
       error: 'Not Implemented',
       message: `${routeName} functionality is under development`,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
     });
   });
-  
+
   return fallbackRouter;
 }
 
@@ -61,6 +60,11 @@ const lessonRoutes = safeImportRoute('./lessons', 'Lessons') || createFallbackRo
 const enrollmentRoutes = safeImportRoute('./enrollments', 'Enrollments') || createFallbackRouter('Enrollments');
 const progressRoutes = safeImportRoute('./progress', 'Progress') || createFallbackRouter('Progress');
 const analyticsRoutes = safeImportRoute('./analytics', 'Analytics') || createFallbackRouter('Analytics');
+const roleRoutes = safeImportRoute('./roles', 'Roles') || createFallbackRouter('Roles');
+const trashRoutes = safeImportRoute('./trash', 'Trash') || createFallbackRouter('Trash');
+const organizationRoutes = safeImportRoute('./organizations', 'Organizations') || createFallbackRouter('Organizations');
+const reviewRoutes = safeImportRoute('./reviews', 'Reviews') || createFallbackRouter('Reviews');
+const invitationRoutes = safeImportRoute('./invitations', 'Invitations') || createFallbackRouter('Invitations');
 
 // API documentation endpoint
 router.get('/', (_req, res) => {
@@ -76,9 +80,14 @@ router.get('/', (_req, res) => {
       lessons: '/api/lessons',
       enrollments: '/api/enrollments',
       progress: '/api/progress',
-      analytics: '/api/analytics'
+      analytics: '/api/analytics',
+      roles: '/api/roles',
+      trash: '/api/trash',
+      organizations: '/api/organizations',
+      reviews: '/api/reviews',
+      invitations: '/api/invitations',
     },
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
   });
 });
 
@@ -88,7 +97,7 @@ router.get('/test', (req, res) => {
     message: 'API test endpoint working!',
     timestamp: new Date().toISOString(),
     method: req.method,
-    path: req.path
+    path: req.path,
   });
 });
 
@@ -101,7 +110,12 @@ try {
   router.use('/enrollments', enrollmentRoutes);
   router.use('/progress', progressRoutes);
   router.use('/analytics', analyticsRoutes);
-  
+  router.use('/roles', roleRoutes);
+  router.use('/trash', trashRoutes);
+  router.use('/organizations', organizationRoutes);
+  router.use('/reviews', reviewRoutes);
+  router.use('/invitations', invitationRoutes);
+
   console.log('✅ All routes mounted successfully');
 } catch (error) {
   console.error('❌ Error mounting routes:', error.message);
@@ -109,12 +123,12 @@ try {
 
 // 404 handler for unknown API endpoints
 router.use('*', (req, res) => {
-  res.status(404).json({ 
+  res.status(404).json({
     error: 'API endpoint not found',
     path: req.originalUrl,
     method: req.method,
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
   });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const teamController = require('../controllers/teamController');
+const { authenticate, requireVerifiedEmail } = require('../middleware/auth');
+const { requireScope } = require('../middleware/authorization');
+
+const router = express.Router();
+
+// Invitations to course teaching teams, answered by the invited user
+router.use(authenticate);
+
+router.get('/', requireScope('courses:read'), teamController.getMyInvitations);
+router.post(
+  '/:id/accept',
+  requireScope('courses:write'),
+  requireVerifiedEmail,
+  teamController.acceptInvitation,
+);
+router.post('/:id/decline', requireScope('courses:write'), teamController.declineInvitation);
+
+module.exports = router;
@@ -1,8 +1,35 @@
 const express = require('express');
+const lessonController = require('../controllers/lessonController');
+const progressController = require('../controllers/progressController');
+const { authenticate, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { requireScope } = require('../middleware/authorization');
+const { requireIfMatch } = require('../middleware/concurrency');
+
 const router = express.Router();
 
 router.get('/', (req, res) => {
   res.json({ message: 'Lessons endpoint' });
 });
 
-module.exports = router;
\ No newline at end of file
+router.get('/:id', optionalAuth, lessonController.getLesson);
+
+// Updates need the ETag from the last read in If-Match
+const updateLesson = [
+  authenticate,
+  requireScope('courses:write'),
+  requireVerifiedEmail,
+  requireIfMatch,
+  lessonController.updateLesson,
+];
+router.put('/:id', updateLesson);
+router.patch('/:id', updateLesson);
+
+// Completing lessons moves the learner's course progress
+router.post(
+  '/:id/complete',
+  authenticate,
+  requireScope('progress:write'),
+  progressController.completeLesson,
+);
+
+module.exports = router;
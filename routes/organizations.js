@@ -0,0 +1,51 @@
+const express = require('express');
+const organizationController = require('../controllers/organizationController');
+const { authenticate, optionalAuth, requireInteractiveLogin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorization');
+const { requireTenant } = require('../middleware/tenant');
+
+const router = express.Router();
+
+// The organization of this subdomain, X-Organization header or signed-in user
+// (public, for sign-in pages)
+router.get('/current', optionalAuth, organizationController.getCurrentOrganization);
+router.put(
+  '/current/settings',
+  authenticate,
+  requireInteractiveLogin,
+  requireTenant,
+  requirePermission('organization.settings'),
+  organizationController.updateCurrentSettings,
+);
+
+// Platform admin: every organization on the deployment
+router.get(
+  '/',
+  authenticate,
+  requireInteractiveLogin,
+  requirePermission('organization.manage'),
+  organizationController.getOrganizations,
+);
+router.post(
+  '/',
+  authenticate,
+  requireInteractiveLogin,
+  requirePermission('organization.manage'),
+  organizationController.createOrganization,
+);
+router.get(
+  '/:id',
+  authenticate,
+  requireInteractiveLogin,
+  requirePermission('organization.manage'),
+  organizationController.getOrganization,
+);
+router.patch(
+  '/:id',
+  authenticate,
+  requireInteractiveLogin,
+  requirePermission('organization.manage'),
+  organizationController.updateOrganization,
+);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const reviewController = require('../controllers/reviewController');
+const {
+  authenticate,
+  requireInteractiveLogin,
+  requireVerifiedEmail,
+} = require('../middleware/auth');
+const { requirePermission, requireScope } = require('../middleware/authorization');
+
+const router = express.Router();
+
+// Reviews of one course are listed and posted under /api/courses/:courseId/reviews
+router.use(authenticate, requireScope('courses:write'));
+
+router.get(
+  '/settings',
+  requireInteractiveLogin,
+  requirePermission('settings.manage'),
+  reviewController.getReviewSettings,
+);
+router.put(
+  '/settings',
+  requireInteractiveLogin,
+  requirePermission('settings.manage'),
+  reviewController.updateReviewSettings,
+);
+router.get('/flagged', requirePermission('review.moderate'), reviewController.getFlaggedReviews);
+
+router.patch('/:id', requireVerifiedEmail, reviewController.updateReview);
+router.delete('/:id', reviewController.deleteReview);
+router.put('/:id/reply', requireVerifiedEmail, reviewController.replyToReview);
+router.delete('/:id/reply', reviewController.deleteReply);
+router.post('/:id/helpful', reviewController.voteHelpful);
+router.delete('/:id/helpful', reviewController.voteHelpful);
+router.post('/:id/flag', reviewController.flagReview);
+router.post('/:id/moderate', requirePermission('review.moderate'), reviewController.moderateReview);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const roleController = require('../controllers/roleController');
+const { authenticate, requireInteractiveLogin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorization');
+
+const router = express.Router();
+
+// Role management is for logged-in admins only
+router.use(authenticate, requireInteractiveLogin, requirePermission('role.manage'));
+
+router.get('/permissions', roleController.getPermissions);
+
+// Course-scoped role assignments
+router.get('/assignments', roleController.getAssignments);
+router.post('/assignments', roleController.createAssignment);
+router.delete('/assignments/:id', roleController.deleteAssignment);
+
+// Role definitions
+router.get('/', roleController.getRoles);
+router.post('/', roleController.createRole);
+router.get('/:id', roleController.getRole);
+router.put('/:id', roleController.updateRole);
+router.delete('/:id', roleController.deleteRole);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const trashController = require('../controllers/trashController');
+const { authenticate, requireInteractiveLogin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorization');
+
+const router = express.Router();
+
+// Admin only; API tokens cannot reach the trash
+router.use(authenticate, requireInteractiveLogin);
+
+router.get('/retention', requirePermission('settings.manage'), trashController.getRetention);
+router.put('/retention', requirePermission('settings.manage'), trashController.updateRetention);
+
+router.get('/:type', requirePermission('trash.manage'), trashController.getTrash);
+router.post('/:type/:id/restore', requirePermission('trash.manage'), trashController.restoreItem);
+router.delete('/:type/:id', requirePermission('trash.manage'), trashController.purgeItem);
+
+module.exports = router;
@@ -1,10 +1,114 @@
 const express = require('express');
+const multer = require('multer');
+const userController = require('../controllers/userController');
+const apiTokenController = require('../controllers/apiTokenController');
+const {
+  authenticate,
+  requireInteractiveLogin,
+  forbidImpersonation,
+} = require('../middleware/auth');
+const { requirePermission, requireScope } = require('../middleware/authorization');
+
 const router = express.Router();
 
-// Add your existing routes here
+// Roster CSVs are read from memory and never written to disk
+const rosterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024, files: 1 },
+}).single('file');
+
 router.get('/', (req, res) => {
   res.json({ message: 'Users endpoint working' });
 });
 
-// IMPORTANT: Make sure you have this at the end
-module.exports = router;
\ No newline at end of file
+// Admin: account lockout management
+router.get(
+  '/locked',
+  authenticate,
+  requirePermission('user.view'),
+  requireScope('users:read'),
+  userController.getLockedUsers,
+);
+router.post(
+  '/:id/unlock',
+  authenticate,
+  requirePermission('user.manage'),
+  requireScope('users:write'),
+  userController.unlockUser,
+);
+router.put(
+  '/:id/role',
+  authenticate,
+  requireInteractiveLogin,
+  requirePermission('role.manage'),
+  userController.updateUserRole,
+);
+router.delete(
+  '/:id',
+  authenticate,
+  requireInteractiveLogin,
+  forbidImpersonation,
+  requirePermission('user.manage'),
+  userController.deleteUser,
+);
+
+// Admin: bulk onboarding from a roster CSV (?dryRun=true to preview)
+router.post(
+  '/import',
+  authenticate,
+  forbidImpersonation,
+  requirePermission('user.manage'),
+  requireScope('users:write'),
+  rosterUpload,
+  userController.importRoster,
+);
+
+// Admin: impersonation ("view as user") and the audit trail
+router.get(
+  '/audit-log',
+  authenticate,
+  requireInteractiveLogin,
+  requirePermission('audit.view'),
+  userController.getAuditLog,
+);
+router.post('/impersonation/stop', authenticate, userController.stopImpersonation);
+router.post(
+  '/:id/impersonate',
+  authenticate,
+  requireInteractiveLogin,
+  forbidImpersonation,
+  requirePermission('user.impersonate'),
+  userController.startImpersonation,
+);
+
+// Admin: service accounts and their API tokens
+router.post(
+  '/service-accounts',
+  authenticate,
+  requireInteractiveLogin,
+  requirePermission('user.manage'),
+  apiTokenController.createServiceAccount,
+);
+router.get(
+  '/:id/tokens',
+  authenticate,
+  requireInteractiveLogin,
+  requirePermission('user.manage'),
+  apiTokenController.getUserTokens,
+);
+router.post(
+  '/:id/tokens',
+  authenticate,
+  requireInteractiveLogin,
+  requirePermission('user.manage'),
+  apiTokenController.createUserToken,
+);
+router.delete(
+  '/:id/tokens/:tokenId',
+  authenticate,
+  requireInteractiveLogin,
+  requirePermission('user.manage'),
+  apiTokenController.revokeUserToken,
+);
+
+module.exports = router;
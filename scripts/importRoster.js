@@ -0,0 +1,82 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const config = require('../config/database');
+const database = require('../database/connection');
+const Organization = require('../models/Organization');
+const { runInTenant } = require('../database/tenantContext');
+const { importRoster } = require('../services/rosterService');
+const logger = require('../utils/logger');
+
+/**
+ * Roster import
+ * Creates or updates users and their enrollments from a CSV file; see
+ * services/rosterService.js for the columns. Use --dry-run first to see the
+ * report without changing anything, and --organization to import into one
+ * organization (by slug).
+ *
+ * Usage: npm run roster:import -- <file.csv> [--dry-run] [--organization=<slug>]
+ */
+
+const USAGE = 'Usage: roster:import <file.csv> [--dry-run] [--organization=<slug>]';
+
+const run = async (args) => {
+  const options = { file: null, dryRun: false, organization: null };
+
+  args.forEach((arg) => {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--organization=')) {
+      options.organization = arg.slice('--organization='.length);
+    } else if (!arg.startsWith('--') && !options.file) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unknown option "${arg}". ${USAGE}`);
+    }
+  });
+
+  if (!options.file) {
+    throw new Error(USAGE);
+  }
+  const csv = fs.readFileSync(options.file, 'utf8');
+
+  if (config.driver === 'memory') {
+    throw new Error(
+      'The memory driver keeps nothing after this process exits; set DB_DRIVER to json or sqlite to import',
+    );
+  }
+
+  await database.connect();
+
+  try {
+    const organization = options.organization
+      ? await Organization.findBySlug(options.organization)
+      : null;
+    if (options.organization && !organization) {
+      throw new Error(`Organization "${options.organization}" not found`);
+    }
+
+    const { dryRun } = options;
+    const { summary, rows } = await runInTenant(organization, () => importRoster(csv, { dryRun }));
+
+    rows
+      .filter((row) => row.errors.length > 0)
+      .forEach((row) => {
+        logger.info(`  row ${row.row} (${row.email || 'no email'}): ${row.errors.join('; ')}`);
+      });
+    logger.info(
+      `${options.dryRun ? 'Dry run, nothing changed: ' : ''}${summary.rows} row(s), ${summary.created} created, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.failed} failed, ${summary.enrollments} enrollment(s)`,
+    );
+  } finally {
+    await database.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch((error) => {
+    logger.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { run };
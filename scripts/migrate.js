@@ -0,0 +1,87 @@
+/**
+ * Database migrations (SQLite driver)
+ * Applies, rolls back, lists or creates the migrations in database/migrations
+ * (see database/migrate.js).
+ *
+ * Usage: npm run migrate -- [up | down <n> | status | create <name>]
+ */
+
+require('dotenv').config();
+
+const path = require('path');
+const config = require('../config/database');
+const SqliteAdapter = require('../database/adapters/sqliteAdapter');
+const {
+  getStatus, migrateUp, migrateDown, createMigration,
+} = require('../database/migrate');
+const logger = require('../utils/logger');
+
+const run = async (args) => {
+  const [command = 'up', argument] = args;
+
+  if (command === 'create') {
+    const file = createMigration(args.slice(1).join(' '));
+    logger.info(`Created ${path.relative(process.cwd(), file)}`);
+    return;
+  }
+
+  if (config.driver !== 'sqlite') {
+    throw new Error(`Migrations apply to the sqlite driver only (DB_DRIVER is "${config.driver}")`);
+  }
+
+  const adapter = new SqliteAdapter(config.sqlite);
+  await adapter.connect();
+
+  try {
+    const { db } = adapter;
+
+    switch (command) {
+      case 'up': {
+        const applied = migrateUp(db);
+        applied.forEach((migration) => logger.info(`  ↑ ${migration.file}`));
+        logger.info(
+          applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date',
+        );
+        break;
+      }
+      case 'down': {
+        const steps = argument === undefined ? 1 : parseInt(argument, 10);
+        if (!Number.isInteger(steps) || steps < 1) {
+          throw new Error('Usage: down <n>, where n is the number of migrations to roll back');
+        }
+        const rolledBack = migrateDown(db, steps);
+        rolledBack.forEach((migration) => logger.info(`  ↓ ${migration.file}`));
+        logger.info(`Rolled back ${rolledBack.length} migration(s)`);
+        break;
+      }
+      case 'status': {
+        const status = getStatus(db);
+        status.migrations.forEach((migration) => {
+          const label = migration.file || `${String(migration.version).padStart(3, '0')}_${migration.name}.sql`;
+          logger.info(
+            `  ${migration.state.padEnd(8)} ${label}${migration.appliedAt ? `  (${migration.appliedAt})` : ''}`,
+          );
+        });
+        logger.info(
+          `${status.pending.length} pending, ${status.modified.length} modified, ${status.missing.length} missing`,
+        );
+        break;
+      }
+      default:
+        throw new Error(
+          `Unknown command "${command}". Use: up | down <n> | status | create <name>`,
+        );
+    }
+  } finally {
+    await adapter.close();
+  }
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch((error) => {
+    logger.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { run };
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+
+/**
+ * Mock OpenID Connect identity provider for local development and tests
+ * Implements discovery, an auto-approving authorization endpoint (pick the user
+ * with ?login_hint=<email>), a PKCE-checking token endpoint and JWKS.
+ *
+ * Usage: npm run mock-idp   (listens on MOCK_OIDC_PORT, default 4000)
+ */
+
+const DEFAULT_USERS = [
+  {
+    sub: 'mock-student-1',
+    email: 'student@school.test',
+    given_name: 'Sam',
+    family_name: 'Student',
+    groups: ['lms-students'],
+  },
+  {
+    sub: 'mock-instructor-1',
+    email: 'instructor@school.test',
+    given_name: 'Ivy',
+    family_name: 'Instructor',
+    groups: ['lms-instructors'],
+  },
+  {
+    sub: 'mock-admin-1',
+    email: 'admin@school.test',
+    given_name: 'Ada',
+    family_name: 'Admin',
+    groups: ['lms-admins'],
+  },
+];
+
+/**
+ * Create the mock provider app
+ * @param {Object} options - { issuer, clientId, clientSecret, users }
+ */
+const createMockOidcProvider = ({
+  issuer = 'http://localhost:4000',
+  clientId = 'lms',
+  clientSecret = 'lms-secret',
+  users = DEFAULT_USERS,
+} = {}) => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const kid = crypto.randomBytes(8).toString('hex');
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const codes = new Map();
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({
+      keys: [{
+        ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig',
+      }],
+    });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const {
+      client_id: requestClientId,
+      redirect_uri: redirectUri,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: codeChallengeMethod,
+      login_hint: loginHint,
+    } = req.query;
+
+    if (requestClientId !== clientId || !redirectUri) {
+      return res
+        .status(400)
+        .json({
+          error: 'invalid_request',
+          error_description: 'Unknown client or missing redirect_uri',
+        });
+    }
+    if (!codeChallenge || codeChallengeMethod !== 'S256') {
+      return res
+        .status(400)
+        .json({ error: 'invalid_request', error_description: 'PKCE with S256 is required' });
+    }
+
+    const user = loginHint ? users.find((u) => u.email === loginHint) : users[0];
+    const location = new URL(redirectUri);
+    location.searchParams.set('state', state);
+
+    if (!user) {
+      location.searchParams.set('error', 'access_denied');
+      return res.redirect(302, location.toString());
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      redirectUri, nonce, codeChallenge, user, expiresAt: Date.now() + 60 * 1000,
+    });
+
+    location.searchParams.set('code', code);
+    res.redirect(302, location.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const {
+      grant_type: grantType,
+      code,
+      redirect_uri: redirectUri,
+      client_id: requestClientId,
+      client_secret: requestClientSecret,
+      code_verifier: codeVerifier,
+    } = req.body;
+
+    if (requestClientId !== clientId || (clientSecret && requestClientSecret !== clientSecret)) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (
+      grantType !== 'authorization_code'
+      || !grant
+      || grant.expiresAt < Date.now()
+      || grant.redirectUri !== redirectUri
+    ) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const challenge = crypto
+      .createHash('sha256')
+      .update(codeVerifier || '')
+      .digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return res
+        .status(400)
+        .json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const { sub, ...claims } = grant.user;
+    // Emails count as verified unless a user says otherwise (email_verified: false or undefined)
+    const idToken = jwt.sign({ email_verified: true, ...claims, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience: clientId,
+      subject: sub,
+      expiresIn: '5m',
+    });
+
+    res.json({
+      access_token: crypto.randomBytes(24).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken,
+    });
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4000;
+  createMockOidcProvider({ issuer: `http://localhost:${port}` }).listen(port, () => {
+    logger.info(`🔑 Mock OIDC provider running on http://localhost:${port}`);
+    logger.info('   client_id=lms client_secret=lms-secret, pick a user with ?login_hint=<email>');
+  });
+}
+
+module.exports = {
+  createMockOidcProvider,
+};
@@ -0,0 +1,37 @@
+/**
+ * Purge job for the trash
+ * Permanently deletes users and courses (and their dependent data) that have
+ * been in the trash longer than the retention period. The server also runs
+ * this every TRASH_PURGE_INTERVAL_HOURS; use this script from cron instead
+ * when that is set to 0.
+ *
+ * Usage: npm run trash:purge
+ */
+
+require('dotenv').config();
+
+const database = require('../database/connection');
+const { purgeExpired, getRetentionDays } = require('../services/trashService');
+const logger = require('../utils/logger');
+
+const run = async () => {
+  await database.connect();
+
+  try {
+    const purged = await purgeExpired();
+    logger.info(
+      `Purged ${purged.users} user(s) and ${purged.courses} course(s) deleted more than ${await getRetentionDays()} days ago`,
+    );
+  } finally {
+    await database.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run().catch((error) => {
+    logger.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { run };
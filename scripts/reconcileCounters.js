@@ -0,0 +1,46 @@
+/**
+ * Counter reconciliation
+ * Recomputes the counters courses keep about their enrollments
+ * (enrollmentCount, completionRate) and reviews (rating, reviewCount) from
+ * the enrollments and reviews themselves and saves the ones that drifted.
+ * Safe to run at any time.
+ *
+ * Usage: npm run counters:reconcile -- [--dry-run]
+ */
+
+require('dotenv').config();
+
+const database = require('../database/connection');
+const { reconcileCounters } = require('../services/enrollmentService');
+const { reconcileRatings } = require('../services/reviewService');
+const logger = require('../utils/logger');
+
+const run = async (args) => {
+  const dryRun = args.includes('--dry-run');
+  const unknown = args.find((arg) => arg !== '--dry-run');
+  if (unknown) {
+    throw new Error(`Unknown option "${unknown}". Usage: counters:reconcile [--dry-run]`);
+  }
+
+  await database.connect();
+
+  try {
+    const fixes = [
+      ...(await reconcileCounters({ dryRun })),
+      ...(await reconcileRatings({ dryRun })),
+    ];
+    fixes.forEach((fix) => logger.info(`  course ${fix.courseId} ${fix.field}: ${fix.from} -> ${fix.to}`));
+    logger.info(`${fixes.length} counter(s) ${dryRun ? 'out of date' : 'fixed'}`);
+  } finally {
+    await database.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch((error) => {
+    logger.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { run };
@@ -1,25 +1,26 @@
 const app = require('./app');
 const config = require('./config/database');
+const database = require('./database/connection');
+const logger = require('./utils/logger');
+const { purgeExpired } = require('./services/trashService');
 
 // Try multiple ports if the default is busy
-const findAvailablePort = (startPort) => {
-  return new Promise((resolve) => {
-    const net = require('net');
-    const server = net.createServer();
-    
-    server.listen(startPort, () => {
-      const port = server.address().port;
-      server.close(() => {
-        resolve(port);
-      });
-    });
-    
-    server.on('error', () => {
-      // Port is busy, try next one
-      resolve(findAvailablePort(startPort + 1));
+const findAvailablePort = (startPort) => new Promise((resolve) => {
+  const net = require('net');
+  const server = net.createServer();
+
+  server.listen(startPort, () => {
+    const { port } = server.address();
+    server.close(() => {
+      resolve(port);
     });
   });
-};
+
+  server.on('error', () => {
+    // Port is busy, try next one
+    resolve(findAvailablePort(startPort + 1));
+  });
+});
 
 const PORT = process.env.PORT || 3000;
 
@@ -35,11 +36,35 @@ process.on('unhandledRejection', (err) => {
   process.exit(1);
 });
 
+// Periodically purge users and courses whose trash retention has run out
+const schedulePurge = () => {
+  const intervalHours = config.trash.purgeIntervalHours;
+  if (!intervalHours || intervalHours <= 0) return null;
+
+  const purge = () => purgeExpired()
+    .then((purged) => {
+      if (purged.users > 0 || purged.courses > 0) {
+        logger.info(
+          `🗑️  Purged ${purged.users} user(s) and ${purged.courses} course(s) from the trash`,
+        );
+      }
+    })
+    .catch((error) => logger.error(`Trash purge failed: ${error.message}`));
+
+  purge();
+  const timer = setInterval(purge, intervalHours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
 // Start server with port fallback
 const startServer = async () => {
   try {
+    await database.connect();
+    const purgeTimer = schedulePurge();
+
     let serverPort = PORT;
-    
+
     // If PORT is set via environment, use it directly
     // Otherwise, find an available port starting from 3000
     if (!process.env.PORT) {
@@ -48,25 +73,26 @@ const startServer = async () => {
         console.log(`⚠️  Port 3000 is busy, using port ${serverPort} instead`);
       }
     }
-    
+
     const server = app.listen(serverPort, () => {
       console.log(`🚀 LMS API Server running on port ${serverPort}`);
       console.log(`📍 Local: http://localhost:${serverPort}`);
       console.log(`🏥 Health check: http://localhost:${serverPort}/health`);
       console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
-      console.log(`📊 Database: ${config.database || 'in-memory'}`);
+      console.log(`📊 Database: ${config.driver}`);
     });
 
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('SIGTERM received, shutting down gracefully');
-      server.close(() => {
+      clearInterval(purgeTimer);
+      server.close(async () => {
+        await database.disconnect();
         console.log('Process terminated');
       });
     });
 
     return server;
-    
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
@@ -79,4 +105,4 @@ startServer().catch((error) => {
   process.exit(1);
 });
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
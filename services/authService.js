@@ -0,0 +1,238 @@
+const jwt = require('jsonwebtoken');
+const jwtConfig = require('../config/jwt');
+const authConfig = require('../config/auth');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { enterOrganization } = require('../middleware/tenant');
+const logger = require('../utils/logger');
+
+/**
+ * Sign an access token for a user
+ * @param {Object} user - User the token is issued to
+ * @param {Object} claims - Extra claims to embed in the payload
+ * @param {Object} options - { expiresIn } to override the configured lifetime
+ */
+const signAccessToken = (user, claims = {}, { expiresIn = jwtConfig.expiresIn } = {}) => {
+  const payload = { ...claims, role: user.role };
+  if (user.organizationId) {
+    payload.org = user.organizationId; // the organization the token works in
+  }
+
+  return jwt.sign(payload, jwtConfig.signingKey, {
+    algorithm: jwtConfig.algorithm,
+    expiresIn,
+    issuer: jwtConfig.issuer,
+    audience: jwtConfig.audience,
+    subject: String(user.id),
+  });
+};
+
+/**
+ * Verify an access token's signature, expiry, issuer and audience
+ * Throws JsonWebTokenError / TokenExpiredError on failure
+ */
+const verifyAccessToken = (token) => jwt.verify(token, jwtConfig.verifyKey, {
+  algorithms: [jwtConfig.algorithm],
+  issuer: jwtConfig.issuer,
+  audience: jwtConfig.audience,
+});
+
+// Challenge tokens use their own audience so they can never pass as access tokens
+const challengeAudience = `${jwtConfig.audience}:2fa`;
+
+/**
+ * Sign a short-lived token for the second login step
+ * @param {Object} user - User who passed the password step
+ * @param {string} purpose - '2fa_login' (enter a code) or '2fa_setup' (enroll first)
+ */
+const signChallengeToken = (user, purpose) => jwt.sign({ purpose }, jwtConfig.signingKey, {
+  algorithm: jwtConfig.algorithm,
+  expiresIn: authConfig.twoFactor.challengeExpiresIn,
+  issuer: jwtConfig.issuer,
+  audience: challengeAudience,
+  subject: String(user.id),
+});
+
+/**
+ * Verify a challenge token and load its user
+ * Throws an AppError when the token is invalid, expired or for another purpose
+ */
+const verifyChallengeToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, jwtConfig.verifyKey, {
+      algorithms: [jwtConfig.algorithm],
+      issuer: jwtConfig.issuer,
+      audience: challengeAudience,
+    });
+  } catch (error) {
+    throw new AppError('Your login challenge is invalid or has expired. Please log in again.', 401);
+  }
+
+  if (decoded.purpose !== purpose) {
+    throw new AppError('Your login challenge is invalid or has expired. Please log in again.', 401);
+  }
+
+  const user = await User.findById(decoded.sub, { allTenants: true });
+  if (!user || !user.isActive) {
+    throw new AppError('The user belonging to this token no longer exists.', 401);
+  }
+
+  const tenantError = await enterOrganization(user.organizationId);
+  if (tenantError) {
+    throw tenantError;
+  }
+
+  return user;
+};
+
+/**
+ * Roles that currently have to use two-factor authentication
+ */
+const getTwoFactorRequiredRoles = () => Setting.get('twoFactor.requiredRoles', authConfig.twoFactor.requiredRoles);
+
+/**
+ * Check whether the 2FA policy applies to a user
+ */
+const isTwoFactorRequired = async (user) => {
+  const requiredRoles = await getTwoFactorRequiredRoles();
+  return requiredRoles.includes(user.role);
+};
+
+/**
+ * Derive a readable device name from a user agent string
+ */
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Chrome/', 'Chrome'],
+    ['Firefox/', 'Firefox'],
+    ['Safari/', 'Safari'],
+  ].find(([marker]) => userAgent.includes(marker));
+  const os = [
+    ['Windows', 'Windows'],
+    ['Android', 'Android'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iOS'],
+    ['Mac OS', 'macOS'],
+    ['Linux', 'Linux'],
+  ].find(([marker]) => userAgent.includes(marker));
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser && browser[1], os && `on ${os[1]}`].filter(Boolean).join(' ');
+};
+
+/**
+ * Build the token part of an auth response for a session
+ */
+const buildTokenResponse = (user, session, refreshToken) => ({
+  token: signAccessToken(user, { sid: session.id }),
+  expiresIn: jwtConfig.expiresIn,
+  refreshToken,
+  refreshTokenExpiresAt: session.expiresAt,
+  sessionId: session.id,
+});
+
+/**
+ * Start a new device session for a user and issue its tokens
+ * @param {Object} user - Authenticated user
+ * @param {Object} req - Express request (device name, IP and user agent are taken from it)
+ */
+const issueAuthTokens = async (user, req) => {
+  const userAgent = req.get('user-agent') || null;
+  const { session, refreshToken } = await Session.create({
+    userId: user.id,
+    deviceName: (req.body && req.body.deviceName) || describeDevice(userAgent || ''),
+    ipAddress: req.ip,
+    userAgent,
+    expiresAt: new Date(Date.now() + jwtConfig.refreshTokenTtl).toISOString(),
+  });
+
+  return buildTokenResponse(user, session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * Presenting a token that was already rotated revokes the whole session.
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const { session, reused } = await Session.findByRefreshToken(refreshToken);
+
+  if (!session) {
+    throw new AppError('Invalid refresh token. Please log in again!', 401);
+  }
+
+  if (reused) {
+    await session.revoke('refresh_token_reuse');
+    logger.warn(
+      `Refresh token reuse detected for session ${session.id} (user ${session.userId}), session revoked`,
+    );
+    throw new AppError('Invalid refresh token. Please log in again!', 401);
+  }
+
+  if (!session.isActive) {
+    throw new AppError('Your session is no longer valid. Please log in again.', 401);
+  }
+
+  const user = await User.findById(session.userId, { allTenants: true });
+  if (!user || !user.isActive) {
+    await session.revoke('user_inactive');
+    throw new AppError('The user belonging to this token no longer exists.', 401);
+  }
+
+  const tenantError = await enterOrganization(user.organizationId);
+  if (tenantError) {
+    throw tenantError;
+  }
+
+  const newRefreshToken = session.rotateRefreshToken();
+  session.touch(req.ip, req.get('user-agent'));
+  await session.update({});
+
+  return { user, tokens: buildTokenResponse(user, session, newRefreshToken) };
+};
+
+/**
+ * Issue a short-lived token that lets an admin act as another user
+ * The token's subject is the target user; the `act` claim names the admin (RFC 8693).
+ * It is tied to its own session so it can be ended early, and has no refresh token.
+ * @param {Object} actor - Admin starting the impersonation
+ * @param {Object} target - User to impersonate
+ * @param {Object} req - Express request
+ */
+const issueImpersonationToken = async (actor, target, req) => {
+  const { ttl } = authConfig.impersonation;
+  const { session } = await Session.create({
+    userId: target.id,
+    impersonatorId: actor.id,
+    deviceName: `Impersonation by ${actor.email}`,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent') || null,
+    expiresAt: new Date(Date.now() + ttl).toISOString(),
+  });
+
+  return {
+    token: signAccessToken(
+      target,
+      { sid: session.id, act: { sub: String(actor.id) } },
+      { expiresIn: Math.floor(ttl / 1000) },
+    ),
+    expiresAt: session.expiresAt,
+    sessionId: session.id,
+  };
+};
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  issueImpersonationToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  getTwoFactorRequiredRoles,
+  isTwoFactorRequired,
+};
@@ -0,0 +1,201 @@
+const Course = require('../models/Course');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Course catalogue search
+ * Ranks published courses against a search text (see database/searchIndex.js),
+ * filters and sorts them, and pages through them with cursors. Every page
+ * comes with facet counts; the count for a facet value is the number of
+ * results there would be with that value selected, the facet's own filter
+ * aside, so several values of one facet can be combined.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Orders results can be sorted in: the value compared and its direction
+const SORTS = {
+  relevance: { value: (result) => result.score, direction: -1 },
+  rating: { value: (result) => result.course.rating, direction: -1 },
+  popular: { value: (result) => result.course.enrollmentCount, direction: -1 },
+  newest: {
+    value: (result) => result.course.publishedAt || result.course.createdAt,
+    direction: -1,
+  },
+  title: { value: (result) => result.course.title.toLowerCase(), direction: 1 },
+  price: { value: (result) => result.course.price, direction: 1 },
+};
+
+// Price ranges (in the course currency) and durations (in hours) the catalogue is faceted by
+const PRICE_RANGES = [
+  { value: 'free', test: (price) => price === 0 },
+  { value: 'under-25', test: (price) => price > 0 && price < 25 },
+  { value: '25-50', test: (price) => price >= 25 && price <= 50 },
+  { value: '50-100', test: (price) => price > 50 && price <= 100 },
+  { value: 'over-100', test: (price) => price > 100 },
+];
+const DURATION_RANGES = [
+  { value: 'under-2h', test: (hours) => hours < 2 },
+  { value: '2-5h', test: (hours) => hours >= 2 && hours <= 5 },
+  { value: '5-10h', test: (hours) => hours > 5 && hours <= 10 },
+  { value: '10-20h', test: (hours) => hours > 10 && hours <= 20 },
+  { value: 'over-20h', test: (hours) => hours > 20 },
+];
+
+const inRange = (range, value) => typeof value === 'number' && range.test(value);
+
+// Facets: which courses a selected value admits, and the values a course counts towards
+const FACETS = {
+  category: {
+    matches: (course, values) => values.includes(course.category),
+    valuesOf: (course) => (course.category ? [course.category] : []),
+  },
+  difficulty: {
+    matches: (course, values) => values.includes(course.difficulty),
+    valuesOf: (course) => [course.difficulty],
+  },
+  language: {
+    matches: (course, values) => values.includes(course.language),
+    valuesOf: (course) => [course.language],
+  },
+  price: {
+    ranges: PRICE_RANGES,
+    matches: (course, values) => PRICE_RANGES.some(
+      (range) => values.includes(range.value) && inRange(range, course.price),
+    ),
+    valuesOf: (course) => PRICE_RANGES.filter((range) => inRange(range, course.price)).map(
+      (range) => range.value,
+    ),
+  },
+  duration: {
+    ranges: DURATION_RANGES,
+    matches: (course, values) => DURATION_RANGES.some(
+      (range) => values.includes(range.value) && inRange(range, course.duration),
+    ),
+    valuesOf: (course) => DURATION_RANGES.filter((range) => inRange(range, course.duration)).map(
+      (range) => range.value,
+    ),
+  },
+};
+
+// Compare two sort positions ({ value, id }); ties are broken by ID so every position is unique
+const comparePositions = (sort, a, b) => {
+  if (a.value !== b.value) {
+    return (a.value < b.value ? -1 : 1) * SORTS[sort].direction;
+  }
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? -1 : 1;
+};
+
+const positionOf = (sort, result) => ({ value: SORTS[sort].value(result), id: result.course.id });
+
+const encodeCursor = (sort, position) => Buffer.from(JSON.stringify({ sort, ...position })).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    position = null;
+  }
+
+  if (!position || typeof position.id !== 'string' || !('value' in position)) {
+    throw new AppError('Invalid cursor', 400);
+  }
+  if (position.sort !== sort) {
+    throw new AppError('This cursor belongs to a search with another sort order', 400);
+  }
+  return position;
+};
+
+// Split a comma-separated filter into its values
+const listOf = (value) => (value === undefined || value === null || value === ''
+  ? []
+  : []
+    .concat(value)
+    .join(',')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean));
+
+/**
+ * Search the catalogue
+ * @param {Object} params - { q, category, difficulty, language, price, duration }
+ *   (facet filters take one value or several separated by commas), { tag, minRating },
+ *   { sort } (relevance when searching, otherwise newest), { limit, cursor }
+ * @returns {Promise<Object>} { total, results, facets, nextCursor }; results are
+ *   [{ course, score }] and nextCursor is null on the last page
+ */
+const searchCatalog = async (params = {}) => {
+  const text = params.q ? String(params.q).trim() : '';
+  const sort = params.sort || (text ? 'relevance' : 'newest');
+  if (!SORTS[sort]) {
+    throw new AppError(`Sort must be one of: ${Object.keys(SORTS).join(', ')}`, 400);
+  }
+  const limit = Math.max(1, Math.min(parseInt(params.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT));
+  const after = params.cursor ? decodeCursor(params.cursor, sort) : null;
+
+  const selected = {};
+  Object.keys(FACETS).forEach((facet) => {
+    const values = listOf(params[facet]);
+    if (values.length > 0) selected[facet] = values;
+  });
+  const minRating = params.minRating !== undefined ? parseFloat(params.minRating) : null;
+  if (Number.isNaN(minRating)) {
+    throw new AppError('minRating must be a number', 400);
+  }
+  const tag = params.tag ? String(params.tag).toLowerCase() : null;
+
+  // Filters that are not facets apply to the facet counts too
+  const candidates = (await Course.searchCatalog(text)).filter(
+    ({ course }) => (minRating === null || course.rating >= minRating)
+      && (!tag || course.tags.some((courseTag) => String(courseTag).toLowerCase() === tag)),
+  );
+
+  const matchesFacets = (course, except = null) => Object.keys(selected).every(
+    (facet) => facet === except || FACETS[facet].matches(course, selected[facet]),
+  );
+
+  const matched = candidates.filter(({ course }) => matchesFacets(course));
+  const sorted = matched
+    .map((result) => ({ result, position: positionOf(sort, result) }))
+    .sort((a, b) => comparePositions(sort, a.position, b.position));
+
+  const start = after
+    ? sorted.findIndex(({ position }) => comparePositions(sort, position, after) > 0)
+    : 0;
+  const page = start === -1 ? [] : sorted.slice(start, start + limit);
+  const hasMore = start !== -1 && start + limit < sorted.length;
+
+  const facets = {};
+  Object.keys(FACETS).forEach((facet) => {
+    const counts = new Map((FACETS[facet].ranges || []).map((range) => [range.value, 0]));
+    candidates.forEach(({ course }) => {
+      if (!matchesFacets(course, facet)) return;
+      FACETS[facet]
+        .valuesOf(course)
+        .forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+    });
+
+    const values = [...counts].map(([value, count]) => ({
+      value,
+      count,
+      selected: (selected[facet] || []).includes(value),
+    }));
+    // Ranges keep their order; other values go by count
+    facets[facet] = FACETS[facet].ranges
+      ? values
+      : values.sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+  });
+
+  return {
+    total: matched.length,
+    results: page.map(({ result }) => result),
+    facets,
+    nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1].position) : null,
+  };
+};
+
+module.exports = {
+  searchCatalog,
+};
@@ -0,0 +1,168 @@
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+/**
+ * Email service
+ * Sends mail over SMTP when SMTP_HOST is configured; otherwise messages are
+ * rendered with nodemailer's JSON transport and written to the log so that
+ * development and test environments never need a mail server.
+ */
+
+let transporter = null;
+
+// Lazily create the transport so tests can swap environment variables first
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  if (process.env.SMTP_HOST) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  } else {
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return transporter;
+};
+
+// Base URL of the web client, used to build links in emails
+const getClientUrl = () => (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Escape user-supplied values before putting them in HTML bodies
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Send an email
+ * @param {Object} options - { to, subject, text, html }
+ */
+const sendEmail = async ({
+  to, subject, text, html,
+}) => {
+  const fromName = process.env.SMTP_FROM_NAME || 'ODS LMS';
+  const fromEmail = process.env.SMTP_FROM_EMAIL || 'noreply@odslms.com';
+
+  const info = await getTransporter().sendMail({
+    from: `"${fromName}" <${fromEmail}>`,
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  if (!process.env.SMTP_HOST) {
+    logger.debug(`Email (not sent, no SMTP_HOST): ${info.message}`);
+  }
+  logger.info(`Email "${subject}" sent to ${to}`);
+
+  return info;
+};
+
+/**
+ * Send a password reset link
+ * @param {Object} user - Recipient
+ * @param {string} resetToken - Plain reset token (only its hash is stored)
+ */
+const sendPasswordResetEmail = (user, resetToken) => {
+  const resetUrl = `${getClientUrl()}/reset-password/${resetToken}`;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Reset your password (valid for 10 minutes)',
+    text: `Hi ${user.firstName || ''},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${resetUrl}\n\nThe link expires in 10 minutes. If you did not ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName || '')},</p><p>We received a request to reset your password. <a href="${resetUrl}">Choose a new password</a>.</p><p>The link expires in 10 minutes. If you did not ask for this, you can ignore this email.</p>`,
+  });
+};
+
+/**
+ * Send an email address verification link
+ * @param {Object} user - Recipient
+ * @param {string} verificationToken - Plain verification token (only its hash is stored)
+ */
+const sendVerificationEmail = (user, verificationToken) => {
+  const verifyUrl = `${getClientUrl()}/verify-email/${verificationToken}`;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.firstName || ''},\n\nPlease confirm your email address by opening the link below:\n\n${verifyUrl}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.firstName || '')},</p><p>Please <a href="${verifyUrl}">confirm your email address</a>.</p><p>The link expires in 24 hours.</p>`,
+  });
+};
+
+/**
+ * Invite someone whose account an admin created to choose a password
+ * @param {Object} user - Recipient
+ * @param {string} resetToken - Plain password reset token (only its hash is stored)
+ * @param {number} validDays - How long the link works
+ */
+const sendInvitationEmail = (user, resetToken, validDays) => {
+  const setPasswordUrl = `${getClientUrl()}/reset-password/${resetToken}`;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Your ODS LMS account is ready',
+    text: `Hi ${user.firstName || ''},\n\nAn account has been created for you. Open the link below to choose your password and sign in:\n\n${setPasswordUrl}\n\nThe link expires in ${validDays} days.`,
+    html: `<p>Hi ${escapeHtml(user.firstName || '')},</p><p>An account has been created for you. <a href="${setPasswordUrl}">Choose your password</a> to sign in.</p><p>The link expires in ${validDays} days.</p>`,
+  });
+};
+
+/**
+ * Tell someone their account was locked after too many failed logins
+ * Login answers a locked account like a wrong password, so this is how the owner finds out.
+ * @param {Object} user - Recipient
+ */
+const sendAccountLockedEmail = (user) => {
+  const lockedUntil = new Date(user.lockUntil).toUTCString();
+  const resetUrl = `${getClientUrl()}/forgot-password`;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Your account has been locked',
+    text: `Hi ${user.firstName || ''},\n\nYour account was locked after ${user.loginAttempts} failed sign-in attempts. You can sign in again after ${lockedUntil}, or reset your password to unlock it now:\n\n${resetUrl}\n\nIf these attempts were not you, resetting your password is recommended.`,
+    html: `<p>Hi ${escapeHtml(user.firstName || '')},</p><p>Your account was locked after ${user.loginAttempts} failed sign-in attempts. You can sign in again after ${lockedUntil}, or <a href="${resetUrl}">reset your password</a> to unlock it now.</p><p>If these attempts were not you, resetting your password is recommended.</p>`,
+  });
+};
+
+// How course team roles read in emails
+const TEAM_ROLE_NAMES = {
+  co_instructor: 'co-instructor',
+  teaching_assistant: 'teaching assistant',
+};
+
+/**
+ * Invite someone to join a course's teaching team
+ * @param {Object} invitation - CourseInvitation (recipient email, role)
+ * @param {Object} course - Course they are invited to
+ * @param {Object} inviter - User who sent the invitation
+ * @param {number} validDays - How long the invitation can be accepted
+ */
+const sendCourseInvitationEmail = (invitation, course, inviter, validDays) => {
+  const invitationUrl = `${getClientUrl()}/invitations/${invitation.id}`;
+  const role = TEAM_ROLE_NAMES[invitation.role] || invitation.role;
+  const inviterName = `${inviter.firstName || ''} ${inviter.lastName || ''}`.trim() || inviter.email;
+
+  return sendEmail({
+    to: invitation.email,
+    subject: `Join the teaching team of ${course.title}`,
+    text: `Hi,\n\n${inviterName} has invited you to teach "${course.title}" as a ${role}. Sign in with this email address and open the link below to accept or decline:\n\n${invitationUrl}\n\nThe invitation expires in ${validDays} days.`,
+    html: `<p>Hi,</p><p>${escapeHtml(inviterName)} has invited you to teach <strong>${escapeHtml(course.title)}</strong> as a ${role}. Sign in with this email address and <a href="${invitationUrl}">accept or decline the invitation</a>.</p><p>The invitation expires in ${validDays} days.</p>`,
+  });
+};
+
+module.exports = {
+  sendEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendInvitationEmail,
+  sendAccountLockedEmail,
+  sendCourseInvitationEmail,
+};
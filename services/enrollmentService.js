@@ -0,0 +1,140 @@
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { transaction } = require('../database/transaction');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Enrollment service
+ * Enrolling and unenrolling change the enrollment and the course's
+ * enrollmentCount in one transaction, so the counter (and with it
+ * Course.isFull) stays right when learners enroll at the same time.
+ */
+
+/**
+ * Enroll a user in a course, reactivating a dropped enrollment if there is one
+ * @param {string} userId - Learner to enroll
+ * @param {string} courseId - Course to enroll in
+ * @param {Object} options - { ignoreSchedule } lets staff enroll learners in unpublished
+ *   courses or outside the enrollment dates (the seat limit always applies)
+ * @returns {Promise<Object>} { enrollment, course }
+ */
+const enroll = (userId, courseId, { ignoreSchedule = false } = {}) => transaction(async () => {
+  const course = await Course.findById(courseId);
+  if (!course) {
+    throw new AppError('Course not found', 404);
+  }
+
+  let enrollment = await Enrollment.findByUserAndCourse(userId, courseId);
+  if (enrollment && enrollment.status !== 'dropped') {
+    throw new AppError('Already enrolled in this course', 409);
+  }
+
+  if (course.isFull) {
+    throw new AppError('This course is full', 409);
+  }
+  if (!ignoreSchedule && !course.isEnrollmentOpen) {
+    throw new AppError('Enrollment in this course is closed', 409);
+  }
+
+  if (enrollment) {
+    await enrollment.update({
+      status: 'active',
+      droppedAt: null,
+      enrolledAt: new Date().toISOString(),
+    });
+  } else {
+    enrollment = await Enrollment.create({ userId, courseId });
+  }
+
+  await course.updateCounters({ enrollmentCount: course.enrollmentCount + 1 });
+
+  return { enrollment, course };
+});
+
+/**
+ * Drop an enrollment and free its seat
+ * @param {string} enrollmentId - Enrollment to drop
+ * @returns {Promise<Object>} { enrollment, course }; course is null if it was deleted
+ */
+const unenroll = (enrollmentId) => transaction(async () => {
+  const enrollment = await Enrollment.findById(enrollmentId);
+  if (!enrollment || enrollment.status === 'dropped') {
+    throw new AppError('Enrollment not found', 404);
+  }
+
+  await enrollment.drop();
+
+  const course = await Course.findById(enrollment.courseId, { withDeleted: true });
+  if (course) {
+    await course.updateCounters({ enrollmentCount: Math.max(course.enrollmentCount - 1, 0) });
+  }
+
+  return { enrollment, course };
+});
+
+// Counters a course keeps about its enrollments, as they should be
+const countEnrollments = (enrollments) => {
+  const seated = enrollments.filter((enrollment) => enrollment.status !== 'dropped');
+  const completed = seated.filter((enrollment) => enrollment.status === 'completed');
+
+  return {
+    enrollmentCount: seated.length,
+    completionRate: seated.length ? Math.round((completed.length / seated.length) * 100) : 0,
+  };
+};
+
+/**
+ * Recompute every course's enrollment counters from its enrollments
+ * Counters normally change in the same transaction as the enrollments they
+ * count; this repairs them after a crash, a restore from backup or a manual
+ * data fix. Runs across all organizations.
+ * @param {Object} options - { dryRun } reports the fixes without saving them
+ * @returns {Promise<Array>} Fixes as { courseId, field, from, to }
+ */
+const reconcileCounters = ({ dryRun = false } = {}) => transaction(async () => {
+  const courses = await Course.find({}, { withDeleted: true, allTenants: true });
+  const enrollments = await Enrollment.find({}, { allTenants: true });
+  const byCourse = new Map(courses.map((course) => [course.id, []]));
+  enrollments.forEach((enrollment) => {
+    if (byCourse.has(enrollment.courseId)) byCourse.get(enrollment.courseId).push(enrollment);
+  });
+
+  const fixes = [];
+  const drifted = [];
+  courses.forEach((course) => {
+    const counters = countEnrollments(byCourse.get(course.id));
+    const fields = Object.keys(counters).filter((field) => course[field] !== counters[field]);
+
+    fields.forEach((field) => {
+      fixes.push({
+        courseId: course.id, field, from: course[field], to: counters[field],
+      });
+    });
+    if (fields.length > 0) drifted.push({ course, counters });
+  });
+
+  if (!dryRun) {
+    await Promise.all(drifted.map(({ course, counters }) => course.updateCounters(counters)));
+  }
+  return fixes;
+});
+
+/**
+ * Recompute one course's enrollment counters, e.g. after its enrollments were purged
+ * @param {string} courseId - Course to recount
+ * @returns {Promise<Course|null>} The saved course; null if it no longer exists
+ */
+const recountCourse = (courseId) => transaction(async () => {
+  const course = await Course.findById(courseId, { withDeleted: true });
+  if (!course) return null;
+
+  return course.updateCounters(countEnrollments(await Enrollment.findByCourse(courseId)));
+});
+
+module.exports = {
+  enroll,
+  unenroll,
+  countEnrollments,
+  reconcileCounters,
+  recountCourse,
+};
@@ -0,0 +1,147 @@
+const Assignment = require('../models/Assignment');
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const { transaction } = require('../database/transaction');
+const { AppError } = require('../middleware/errorHandler');
+const { dateShifter } = require('../utils/dates');
+
+/**
+ * Course offering service
+ * An offering is a dated run of a master course (a semester's cohort, a
+ * section). It is cloned from the master into a course of its own, so it has
+ * its own roster, seat limit and enrollment window, and its lessons and
+ * assignments can change without touching the master. Every date is moved by
+ * the distance from the master's startDate to the offering's, on the wall
+ * clock of the course's time zone.
+ */
+
+// Catalogue content and settings an offering takes over from its master
+const COPIED_FIELDS = [
+  'title',
+  'description',
+  'shortDescription',
+  'category',
+  'subcategory',
+  'difficulty',
+  'duration',
+  'language',
+  'price',
+  'currency',
+  'thumbnail',
+  'previewVideo',
+  'tags',
+  'prerequisites',
+  'learningObjectives',
+  'targetAudience',
+  'maxEnrollments',
+  'certificateTemplate',
+  'allowDiscussions',
+  'allowDownloads',
+  'timezone',
+];
+
+// Master course dates that are moved along with the start date
+const SHIFTED_FIELDS = ['endDate', 'enrollmentOpensAt', 'enrollmentClosesAt'];
+
+// Lesson and assignment fields that belong to the record rather than its content
+const OWN_FIELDS = ['id', 'courseId', 'organizationId', 'createdAt', 'updatedAt', 'version'];
+
+const contentOf = (record) => Object.keys(record)
+  .filter((field) => !OWN_FIELDS.includes(field))
+  .reduce(
+    (content, field) => ({ ...content, [field]: JSON.parse(JSON.stringify(record[field])) }),
+    {},
+  );
+
+const pick = (record, fields) => fields
+  .filter((field) => record[field] !== undefined)
+  .reduce(
+    (picked, field) => ({ ...picked, [field]: JSON.parse(JSON.stringify(record[field])) }),
+    {},
+  );
+
+/**
+ * Clone a master course into a new offering, as a draft
+ * The offering is taught by the master's owner and co-instructors; teaching
+ * assistants are assigned per offering.
+ * @param {Object} master - Course to clone (not itself an offering)
+ * @param {Object} author - User creating the offering
+ * @param {Object} settings - { offeringName, startDate } and optionally { code, endDate,
+ *   timezone, maxEnrollments, enrollmentOpensAt, enrollmentClosesAt }, which take the
+ *   place of the master's (shifted) values
+ * @returns {Promise<Object>} { course, lessons, assignments } with the number of each cloned
+ */
+const createOffering = (master, author, settings) => transaction(async () => {
+  if (master.masterCourseId) {
+    throw new AppError(
+      'This course is an offering; create offerings from its master course',
+      400,
+    );
+  }
+
+  const [lessons, assignments] = await Promise.all([
+    Lesson.findByCourse(master.id),
+    Assignment.findByCourse(master.id),
+  ]);
+
+  const timezone = settings.timezone || master.timezone;
+  const hasDates = SHIFTED_FIELDS.some((field) => master[field])
+      || assignments.some((assignment) => assignment.dueDate);
+  if (hasDates && !master.startDate) {
+    throw new AppError(
+      'Give the master course a startDate first; its other dates are moved relative to it',
+      400,
+    );
+  }
+  const shift = master.startDate
+    ? dateShifter(master.startDate, settings.startDate, timezone)
+    : (date) => date;
+
+  const shifted = SHIFTED_FIELDS.reduce(
+    (dates, field) => ({ ...dates, [field]: shift(master[field]) }),
+    {},
+  );
+  const overrides = pick(settings, [
+    'code',
+    'endDate',
+    'timezone',
+    'maxEnrollments',
+    'enrollmentOpensAt',
+    'enrollmentClosesAt',
+  ]);
+
+  const course = await Course.create(
+    {
+      ...pick(master, COPIED_FIELDS),
+      ...shifted,
+      ...overrides,
+      startDate: settings.startDate,
+      offeringName: settings.offeringName,
+      masterCourseId: master.id,
+      instructorId: master.instructorId,
+      coInstructors: [...master.coInstructors],
+    },
+    { authorId: author.id },
+  );
+
+  const copies = await Promise.all(
+    lessons.map((lesson) => Lesson.create({ ...contentOf(lesson), courseId: course.id })),
+  );
+  const lessonIds = new Map(lessons.map((lesson, index) => [lesson.id, copies[index].id]));
+
+  await Promise.all(
+    assignments.map((assignment) => Assignment.create({
+      ...contentOf(assignment),
+      courseId: course.id,
+      lessonId: assignment.lessonId ? lessonIds.get(assignment.lessonId) || null : null,
+      dueDate: shift(assignment.dueDate),
+      createdBy: author.id,
+    })),
+  );
+
+  return { course, lessons: lessons.length, assignments: assignments.length };
+});
+
+module.exports = {
+  createOffering,
+};
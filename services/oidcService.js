@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const jwt = require('jsonwebtoken');
+const { oidc: oidcConfig } = require('../config/auth');
+const { AppError } = require('../middleware/errorHandler');
+const User = require('../models/User');
+const { getTenant } = require('../database/tenantContext');
+const logger = require('../utils/logger');
+
+/**
+ * OpenID Connect service
+ * Authorization code flow with PKCE (S256) against the configured identity provider.
+ */
+
+// Pending authorization requests, keyed by state
+const pendingRequests = new Map();
+
+// Provider metadata and signing keys, fetched once
+let discoveryCache = null;
+let jwksCache = null;
+
+// Role precedence when a user's groups map to several roles
+const ROLE_PRIORITY = ['admin', 'instructor', 'student'];
+
+/**
+ * Make an HTTP(S) request and parse the JSON response
+ */
+const requestJson = (url, { method = 'GET', headers = {}, body = null } = {}) => new Promise((resolve, reject) => {
+  const client = url.startsWith('https:') ? https : http;
+  const req = client.request(url, { method, headers, timeout: 10000 }, (res) => {
+    let data = '';
+    res.on('data', (chunk) => {
+      data += chunk;
+    });
+    res.on('end', () => {
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch (error) {
+        return reject(new Error(`Invalid JSON from ${url}`));
+      }
+      if (res.statusCode >= 400) {
+        return reject(
+          new Error(
+            `${url} responded ${res.statusCode}: ${parsed.error_description || parsed.error || data}`,
+          ),
+        );
+      }
+      resolve(parsed);
+    });
+  });
+  req.on('timeout', () => req.destroy(new Error(`Request to ${url} timed out`)));
+  req.on('error', reject);
+  if (body) req.write(body);
+  req.end();
+});
+
+// Base64url SHA-256, as used for the PKCE code challenge
+const sha256Base64Url = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+
+/**
+ * Fetch the provider's discovery document
+ */
+const discover = async () => {
+  if (!oidcConfig.enabled) {
+    throw new AppError('Single sign-on is not configured', 404);
+  }
+  if (!discoveryCache) {
+    discoveryCache = await requestJson(`${oidcConfig.issuer}/.well-known/openid-configuration`);
+  }
+  return discoveryCache;
+};
+
+/**
+ * Get the public key for a kid from the provider's JWKS, refetching once on a miss (key rotation)
+ */
+const getSigningKey = async (kid) => {
+  const { jwks_uri: jwksUri } = await discover();
+
+  const findKey = () => jwksCache && jwksCache.keys.find((key) => key.kid === kid);
+  if (!findKey()) {
+    jwksCache = await requestJson(jwksUri);
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new AppError('Identity provider signing key not found', 401);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Drop authorization requests that were never completed
+const purgeExpiredRequests = () => {
+  const now = Date.now();
+  pendingRequests.forEach((request, state) => {
+    if (request.expiresAt < now) pendingRequests.delete(state);
+  });
+};
+
+/**
+ * Start a login: build the provider authorization URL
+ * @param {Object} options - { loginHint } passed through to the provider
+ * @returns {Promise<string>} URL to redirect the browser to
+ */
+const createAuthorizationUrl = async ({ loginHint } = {}) => {
+  const { authorization_endpoint: authorizationEndpoint } = await discover();
+
+  purgeExpiredRequests();
+
+  const state = crypto.randomBytes(24).toString('base64url');
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+
+  pendingRequests.set(state, {
+    nonce,
+    codeVerifier,
+    expiresAt: Date.now() + oidcConfig.stateTtl,
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: oidcConfig.clientId,
+    redirect_uri: oidcConfig.redirectUri,
+    scope: oidcConfig.scopes,
+    state,
+    nonce,
+    code_challenge: sha256Base64Url(codeVerifier),
+    code_challenge_method: 'S256',
+  });
+  if (loginHint) {
+    params.set('login_hint', loginHint);
+  }
+
+  return `${authorizationEndpoint}?${params.toString()}`;
+};
+
+/**
+ * Finish a login: exchange the code and verify the ID token
+ * @returns {Promise<Object>} Verified ID token claims
+ */
+const handleCallback = async ({ code, state }) => {
+  const pending = state && pendingRequests.get(state);
+  if (!pending || pending.expiresAt < Date.now()) {
+    throw new AppError('Sign-in request is invalid or has expired. Please try again.', 400);
+  }
+  // State is single use
+  pendingRequests.delete(state);
+
+  if (!code) {
+    throw new AppError('Authorization code is missing', 400);
+  }
+
+  const { token_endpoint: tokenEndpoint } = await discover();
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: oidcConfig.redirectUri,
+    client_id: oidcConfig.clientId,
+    code_verifier: pending.codeVerifier,
+  });
+  if (oidcConfig.clientSecret) {
+    form.set('client_secret', oidcConfig.clientSecret);
+  }
+
+  let tokenResponse;
+  try {
+    tokenResponse = await requestJson(tokenEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: form.toString(),
+    });
+  } catch (error) {
+    throw new AppError(`Sign-in failed: ${error.message}`, 401);
+  }
+
+  if (!tokenResponse.id_token) {
+    throw new AppError('Identity provider did not return an ID token', 401);
+  }
+
+  const decoded = jwt.decode(tokenResponse.id_token, { complete: true });
+  if (!decoded) {
+    throw new AppError('Identity provider returned a malformed ID token', 401);
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  let claims;
+  try {
+    claims = jwt.verify(tokenResponse.id_token, key, {
+      algorithms: ['RS256', 'ES256', 'PS256'],
+      issuer: oidcConfig.issuer,
+      audience: oidcConfig.clientId,
+    });
+  } catch (error) {
+    throw new AppError(`Invalid ID token: ${error.message}`, 401);
+  }
+
+  if (claims.nonce !== pending.nonce) {
+    throw new AppError('Invalid ID token: nonce mismatch', 401);
+  }
+
+  return claims;
+};
+
+/**
+ * Map ID token claims to User fields
+ */
+const mapClaimsToUser = (claims) => {
+  const groups = [].concat(claims[oidcConfig.groupsClaim] || []);
+  const mappedRoles = groups.map((group) => oidcConfig.roleMapping[group]).filter(Boolean);
+  const role = ROLE_PRIORITY.find((candidate) => mappedRoles.includes(candidate))
+    || mappedRoles[0]
+    || null;
+
+  let { given_name: firstName, family_name: lastName } = claims;
+  if (!firstName && claims.name) {
+    [firstName, ...lastName] = claims.name.split(' ');
+    lastName = lastName.join(' ') || null;
+  }
+
+  return {
+    email: claims.email ? claims.email.trim().toLowerCase() : null,
+    // A missing claim is not a verified email unless the provider is trusted to vouch for it
+    emailVerified: claims.email_verified === true || oidcConfig.trustEmail,
+    firstName: firstName || null,
+    lastName: lastName || null,
+    // null when the groups claim doesn't map to a role
+    role,
+  };
+};
+
+/**
+ * Find the local account for an SSO login, linking or creating it as needed
+ * Lookup order: linked subject, then email (links the account), then just-in-time creation.
+ * Linking and creation need a verified email, or anyone able to register the address
+ * at the provider could take over the local account.
+ */
+const findOrProvisionUser = async (claims) => {
+  const profile = mapClaimsToUser(claims);
+
+  let user = await User.findOne({ oidcIssuer: claims.iss, oidcSubject: claims.sub });
+
+  if (!user) {
+    if (!profile.email || !profile.emailVerified) {
+      throw new AppError('Your identity provider did not supply a verified email address', 403);
+    }
+
+    user = await User.findByEmail(profile.email);
+    if (user) {
+      await user.update({ oidcIssuer: claims.iss, oidcSubject: claims.sub });
+      logger.info(`Linked SSO identity ${claims.sub} to existing account ${user.email}`);
+    }
+  }
+
+  if (!user) {
+    if (!oidcConfig.autoProvision) {
+      throw new AppError(
+        'No account exists for this identity. Please contact an administrator.',
+        403,
+      );
+    }
+
+    const organization = getTenant();
+    if (organization && !organization.allowsEmail(profile.email)) {
+      throw new AppError(
+        `Sign-up is limited to addresses at ${organization.settings.allowedEmailDomains.join(', ')}`,
+        403,
+      );
+    }
+
+    user = await User.create({
+      email: profile.email,
+      firstName: profile.firstName || profile.email.split('@')[0],
+      lastName: profile.lastName,
+      role: profile.role || oidcConfig.defaultRole,
+      isEmailVerified: true,
+      oidcIssuer: claims.iss,
+      oidcSubject: claims.sub,
+    });
+    logger.info(`Provisioned account ${user.email} from SSO login`);
+    return user;
+  }
+
+  // Keep profile and role in sync with the identity provider
+  const updates = {};
+  ['firstName', 'lastName', 'role'].forEach((field) => {
+    if (profile[field] && profile[field] !== user[field]) updates[field] = profile[field];
+  });
+  if (!user.isEmailVerified) updates.isEmailVerified = true;
+
+  if (Object.keys(updates).length > 0) {
+    await user.update(updates);
+  }
+
+  return user;
+};
+
+module.exports = {
+  createAuthorizationUrl,
+  handleCallback,
+  mapClaimsToUser,
+  findOrProvisionUser,
+};
@@ -0,0 +1,102 @@
+const Course = require('../models/Course');
+const Role = require('../models/Role');
+const RoleAssignment = require('../models/RoleAssignment');
+const { PLATFORM_PERMISSIONS } = require('../utils/constants');
+
+/**
+ * Permission service
+ * Resolves what a user may do from their global role and, for a course,
+ * the course-scoped roles they hold there: roles assigned to them (e.g. teaching
+ * assistant) and co_instructor for the course's co-instructors. A course's owner
+ * (its instructorId) has their global permissions on it. Members of an
+ * organization never get the platform-wide permissions in PLATFORM_PERMISSIONS.
+ */
+
+// Permissions from the user's global role (platform-wide ones only outside organizations)
+const getGlobalPermissions = async (user) => {
+  const globalRole = await Role.findByName(user.role);
+  const permissions = globalRole && globalRole.scope === 'global' ? globalRole.getPermissions() : [];
+  return new Set(
+    user.organizationId
+      ? permissions.filter((permission) => !PLATFORM_PERMISSIONS.includes(permission))
+      : permissions,
+  );
+};
+
+// Course role that comes with a place on the course's teaching team
+const teamRoleOf = (user, course) => ((course.coInstructors || []).includes(user.id) ? 'co_instructor' : null);
+
+// Permissions from the course-scoped roles the user holds in one course
+const getCoursePermissions = async (user, course) => {
+  const assignments = await RoleAssignment.find({ userId: user.id, courseId: course.id });
+  const roleNames = [
+    ...assignments.map((assignment) => assignment.role),
+    teamRoleOf(user, course),
+  ].filter(Boolean);
+  const courseRoles = await Promise.all(roleNames.map((name) => Role.findByName(name)));
+
+  return new Set(
+    courseRoles
+      .filter((role) => role && role.scope === 'course')
+      .flatMap((role) => role.getPermissions()),
+  );
+};
+
+/**
+ * Collect a user's permissions
+ * @param {Object} user - User to check
+ * @param {Object} options - { courseId } to include course-scoped roles
+ * @returns {Promise<Set<string>>}
+ */
+const getUserPermissions = async (user, { courseId } = {}) => {
+  const permissions = await getGlobalPermissions(user);
+
+  if (courseId) {
+    const course = (await Course.findById(courseId)) || { id: courseId };
+    (await getCoursePermissions(user, course)).forEach((permission) => permissions.add(permission));
+  }
+
+  return permissions;
+};
+
+/**
+ * Check a single permission
+ * @param {Object} user - User to check
+ * @param {string} permission - e.g. 'course.publish'
+ * @param {Object} options - { courseId } to include course-scoped roles
+ */
+const hasPermission = async (user, permission, options = {}) => {
+  if (!user) return false;
+  const permissions = await getUserPermissions(user, options);
+  return permissions.has(permission);
+};
+
+/**
+ * Check a permission on one particular course
+ * Global permissions count for the course's owner and for users who may edit
+ * any course; course-scoped roles count for the course they are held in.
+ * @param {Object} user - User to check
+ * @param {Object} course - Course (needs id, instructorId, coInstructors)
+ * @param {string} permission - e.g. 'lesson.manage'
+ */
+const hasCoursePermission = async (user, course, permission) => {
+  if (!user || !course) return false;
+
+  const [globalPermissions, coursePermissions] = await Promise.all([
+    getGlobalPermissions(user),
+    getCoursePermissions(user, course),
+  ]);
+
+  if (coursePermissions.has(permission)) return true;
+
+  return (
+    globalPermissions.has(permission)
+    && (course.instructorId === user.id || globalPermissions.has('course.edit_any'))
+  );
+};
+
+module.exports = {
+  getUserPermissions,
+  hasPermission,
+  hasCoursePermission,
+};
@@ -0,0 +1,52 @@
+const Enrollment = require('../models/Enrollment');
+const Lesson = require('../models/Lesson');
+const Progress = require('../models/Progress');
+const { recountCourse } = require('./enrollmentService');
+const { transaction } = require('../database/transaction');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Progress service
+ * Learners complete a course's lessons one at a time. Their enrollment's
+ * progress is the share of the course's published lessons they have
+ * completed; reaching 100% completes the enrollment, which moves the
+ * course's completionRate.
+ */
+
+/**
+ * Mark a lesson completed for a learner and recompute their course progress
+ * Completing a lesson again changes nothing but the timestamps.
+ * @param {string} userId - Learner with an active or completed enrollment
+ * @param {Object} lesson - Completed lesson
+ * @returns {Promise<Object>} { progress, enrollment }
+ */
+const completeLesson = (userId, lesson) => transaction(async () => {
+  const { courseId } = lesson;
+  const enrollment = await Enrollment.findByUserAndCourse(userId, courseId);
+  if (!enrollment || !enrollment.isActive) {
+    throw new AppError('Enroll in this course to track your progress', 403);
+  }
+
+  const progress = (await Progress.findByUserAndLesson(userId, lesson.id))
+    || new Progress({ userId, courseId, lessonId: lesson.id });
+  await progress.complete();
+
+  const [lessons, completed] = await Promise.all([
+    Lesson.findByCourse(courseId, { publishedOnly: true }),
+    Progress.find({ userId, courseId, status: 'completed' }),
+  ]);
+  const completedIds = new Set(completed.map((entry) => entry.lessonId));
+  const done = lessons.filter((courseLesson) => completedIds.has(courseLesson.id)).length;
+
+  const wasCompleted = enrollment.status === 'completed';
+  await enrollment.updateProgress(lessons.length > 0 ? (done / lessons.length) * 100 : 0);
+  if (enrollment.status === 'completed' && !wasCompleted) {
+    await recountCourse(courseId);
+  }
+
+  return { progress, enrollment };
+});
+
+module.exports = {
+  completeLesson,
+};
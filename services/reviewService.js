@@ -0,0 +1,255 @@
+const config = require('../config/reviews');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Review = require('../models/Review');
+const Setting = require('../models/Setting');
+const { transaction } = require('../database/transaction');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Review service
+ * Every change to a review runs in one transaction with the recount of its
+ * course's rating and reviewCount, which are recomputed from all of the
+ * course's published reviews rather than adjusted, so edits, deletions and
+ * moderation leave them exact. Changes reload the review inside their
+ * transaction, so concurrent helpful votes or flags are never lost.
+ */
+
+const MIN_PROGRESS_SETTING = 'reviews.minProgress';
+
+/**
+ * Percentage of a course a learner must have completed before reviewing it
+ */
+const getMinProgress = () => Setting.get(MIN_PROGRESS_SETTING, config.minProgress);
+
+const setMinProgress = (percent, updatedBy = null) => (
+  Setting.set(MIN_PROGRESS_SETTING, percent, updatedBy)
+);
+
+/**
+ * Recompute a course's rating and reviewCount from its reviews
+ * @param {string} courseId - Course to recount
+ * @returns {Promise<Course|null>} The saved course; null if it no longer exists
+ */
+const recountRating = (courseId) => transaction(async () => {
+  const course = await Course.findById(courseId, { withDeleted: true });
+  if (!course) return null;
+
+  return course.updateCounters(Review.aggregate(await Review.findByCourse(courseId)));
+});
+
+// Run work on the current copy of a review, inside a transaction
+const withReview = (reviewId, work) => transaction(async () => {
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    throw new AppError('Review not found', 404);
+  }
+  return work(review);
+});
+
+/**
+ * Why a user may not review a course, or null if they may
+ * Learners need an active or completed enrollment with at least the minimum progress.
+ */
+const getIneligibility = async (user, courseId) => {
+  const enrollment = await Enrollment.findByUserAndCourse(user.id, courseId);
+  if (!enrollment || !enrollment.isActive) {
+    return 'Only learners enrolled in this course can review it';
+  }
+
+  const minProgress = await getMinProgress();
+  if (enrollment.progress < minProgress) {
+    return `Complete at least ${minProgress}% of the course before reviewing it`;
+  }
+  return null;
+};
+
+/**
+ * Post a review of a course
+ * @param {Object} user - Reviewing learner
+ * @param {Object} course - Reviewed course
+ * @param {Object} fields - { rating, comment }
+ * @returns {Promise<Review>}
+ */
+const createReview = (user, course, { rating, comment = '' }) => transaction(async () => {
+  const ineligibility = await getIneligibility(user, course.id);
+  if (ineligibility) {
+    throw new AppError(ineligibility, 403);
+  }
+  if (await Review.findByUserAndCourse(user.id, course.id)) {
+    throw new AppError('You have already reviewed this course; edit your review instead', 409);
+  }
+
+  const review = await Review.create({
+    courseId: course.id,
+    userId: user.id,
+    rating,
+    comment: comment.trim(),
+  });
+  await recountRating(course.id);
+  return review;
+});
+
+/**
+ * Change a review's rating or comment (its author)
+ * @param {Object} fields - { rating, comment }; either may be left out
+ */
+const updateReview = (reviewId, fields) => withReview(reviewId, async (review) => {
+  const updates = { editedAt: new Date().toISOString() };
+  if (fields.rating !== undefined) updates.rating = fields.rating;
+  if (fields.comment !== undefined) updates.comment = fields.comment.trim();
+
+  await review.update(updates);
+  await recountRating(review.courseId);
+  return review;
+});
+
+/**
+ * Delete a review for good
+ */
+const deleteReview = (reviewId) => withReview(reviewId, async (review) => {
+  await Review.deleteById(review.id);
+  await recountRating(review.courseId);
+  return review;
+});
+
+/**
+ * Reply to a review on behalf of the course, replacing an earlier reply (text null removes it)
+ */
+const setReply = (reviewId, author, text) => withReview(reviewId, (review) => {
+  if (text === null) {
+    return review.update({ reply: null });
+  }
+
+  const now = new Date().toISOString();
+  return review.update({
+    reply: {
+      text: text.trim(),
+      authorId: author.id,
+      createdAt: review.reply ? review.reply.createdAt : now,
+      updatedAt: now,
+    },
+  });
+});
+
+/**
+ * Vote a review helpful, or take the vote back
+ * @param {boolean} helpful - true to vote, false to withdraw the vote
+ */
+const voteHelpful = (reviewId, user, helpful) => withReview(reviewId, async (review) => {
+  if (review.userId === user.id) {
+    throw new AppError('You cannot vote on your own review', 400);
+  }
+
+  const changed = helpful ? review.addHelpfulVote(user.id) : review.removeHelpfulVote(user.id);
+  return changed ? review.update({}) : review;
+});
+
+/**
+ * Flag a review for moderation (once per user)
+ */
+const flagReview = (reviewId, user, reason) => withReview(reviewId, async (review) => {
+  if (review.userId === user.id) {
+    throw new AppError('You cannot flag your own review', 400);
+  }
+  if (!review.addFlag(user.id, reason)) {
+    throw new AppError('You have already flagged this review', 409);
+  }
+  return review.update({});
+});
+
+// What moderators can do with a review
+const MODERATION_ACTIONS = {
+  hide: { status: 'hidden' }, // take it down; it no longer counts towards the rating
+  restore: { status: 'published' }, // put a hidden review back
+  dismiss: {}, // keep it as it is and close the flags
+};
+
+/**
+ * Act on a review as a moderator; every action closes its open flags
+ * @param {string} action - 'hide', 'restore' or 'dismiss'
+ */
+const moderateReview = (reviewId, moderator, action, note = null) => withReview(
+  reviewId,
+  async (review) => {
+    await review.update({
+      ...MODERATION_ACTIONS[action],
+      flags: [],
+      flagCount: 0,
+      moderatedBy: moderator.id,
+      moderatedAt: new Date().toISOString(),
+      moderationNote: note,
+    });
+
+    if (action !== 'dismiss') {
+      await recountRating(review.courseId);
+    }
+    return review;
+  },
+);
+
+/**
+ * Number of a course's published reviews giving each number of stars
+ * @returns {Promise<Object>} { 1: n, 2: n, 3: n, 4: n, 5: n }
+ */
+const getRatingDistribution = async (courseId) => {
+  const distribution = {
+    1: 0, 2: 0, 3: 0, 4: 0, 5: 0,
+  };
+  (await Review.find({ courseId, status: 'published' })).forEach((review) => {
+    distribution[review.rating] += 1;
+  });
+  return distribution;
+};
+
+/**
+ * Recompute every course's rating and reviewCount from its reviews
+ * Like enrollmentService.reconcileCounters: repairs ratings after a crash,
+ * a restore from backup or a manual data fix. Runs across all organizations.
+ * @param {Object} options - { dryRun } reports the fixes without saving them
+ * @returns {Promise<Array>} Fixes as { courseId, field, from, to }
+ */
+const reconcileRatings = ({ dryRun = false } = {}) => transaction(async () => {
+  const courses = await Course.find({}, { withDeleted: true, allTenants: true });
+  const reviews = await Review.find({}, { allTenants: true });
+  const byCourse = new Map(courses.map((course) => [course.id, []]));
+  reviews.forEach((review) => {
+    if (byCourse.has(review.courseId)) byCourse.get(review.courseId).push(review);
+  });
+
+  const fixes = [];
+  const drifted = [];
+  courses.forEach((course) => {
+    const counters = Review.aggregate(byCourse.get(course.id));
+    const fields = Object.keys(counters).filter((field) => course[field] !== counters[field]);
+
+    fields.forEach((field) => {
+      fixes.push({
+        courseId: course.id, field, from: course[field], to: counters[field],
+      });
+    });
+    if (fields.length > 0) drifted.push({ course, counters });
+  });
+
+  if (!dryRun) {
+    await Promise.all(drifted.map(({ course, counters }) => course.updateCounters(counters)));
+  }
+  return fixes;
+});
+
+module.exports = {
+  MODERATION_ACTIONS,
+  getMinProgress,
+  setMinProgress,
+  getIneligibility,
+  recountRating,
+  createReview,
+  updateReview,
+  deleteReview,
+  setReply,
+  voteHelpful,
+  flagReview,
+  moderateReview,
+  getRatingDistribution,
+  reconcileRatings,
+};
@@ -0,0 +1,340 @@
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { transaction } = require('../database/transaction');
+const { getTenantId } = require('../database/tenantContext');
+const { AppError } = require('../middleware/errorHandler');
+const { parseCsv } = require('../utils/csv');
+const { hasPermission, hasCoursePermission } = require('./permissionService');
+const enrollmentService = require('./enrollmentService');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+
+/**
+ * Roster import
+ * Onboards users from a CSV file with one row per person:
+ *
+ *   email,first_name,last_name,role,courses
+ *   ada@school.edu,Ada,Lovelace,student,CS101;MATH200
+ *
+ * Only email is required (first_name too for new accounts); role defaults to
+ * student and courses is a list of course codes separated by ';' or spaces.
+ * Every row is checked first. Rows without errors are then applied, each in
+ * its own transaction: new accounts are created and invited by email to choose
+ * a password, existing ones get changed names or roles, and missing
+ * enrollments are added. Running the same file again changes nothing.
+ */
+
+const MAX_ROWS = 5000;
+const INVITATION_VALID_DAYS = 7;
+
+// Header names accepted for each column, compared without case, spaces, dashes or underscores
+const COLUMNS = {
+  email: ['email', 'emailaddress'],
+  firstName: ['firstname', 'givenname'],
+  lastName: ['lastname', 'surname', 'familyname'],
+  role: ['role'],
+  courses: ['courses', 'coursecodes', 'course'],
+};
+
+// Roles an import may give without the role.manage permission
+const ROSTER_ROLES = ['student', 'instructor'];
+
+// Run an async step for each item in turn, collecting the results; rows of a roster
+// can depend on each other (the same course, seats taken by an earlier row)
+const mapInOrder = (items, step) => items.reduce(async (previous, item, index) => {
+  const results = await previous;
+  return [...results, await step(item, index)];
+}, Promise.resolve([]));
+
+const headerKey = (header) => String(header)
+  .toLowerCase()
+  .replace(/[\s_-]+/g, '');
+
+/**
+ * Parse roster CSV into rows
+ * @returns {Array} [{ row, email, firstName, lastName, role, courseCodes }]; row is the line number
+ */
+const parseRoster = (csv) => {
+  let records;
+  try {
+    records = parseCsv(csv);
+  } catch (error) {
+    throw new AppError(`The CSV could not be read: ${error.message}`, 400);
+  }
+
+  const [header = [], ...rows] = records;
+  const columnIndex = {};
+  header.forEach((name, index) => {
+    const field = Object.keys(COLUMNS).find((key) => COLUMNS[key].includes(headerKey(name)));
+    if (field && columnIndex[field] === undefined) columnIndex[field] = index;
+  });
+
+  if (columnIndex.email === undefined) {
+    throw new AppError('The CSV needs a header row with an email column', 400);
+  }
+  if (rows.length === 0) {
+    throw new AppError('The CSV has no rows below its header', 400);
+  }
+  if (rows.length > MAX_ROWS) {
+    throw new AppError(`A roster can have at most ${MAX_ROWS} rows; split the file`, 400);
+  }
+
+  const cell = (fields, field) => (columnIndex[field] === undefined ? '' : String(fields[columnIndex[field]] || '').trim());
+
+  return rows.map((fields, index) => ({
+    row: index + 2,
+    email: cell(fields, 'email').toLowerCase(),
+    firstName: cell(fields, 'firstName'),
+    lastName: cell(fields, 'lastName'),
+    role: cell(fields, 'role').toLowerCase(),
+    courseCodes: [
+      ...new Set(
+        cell(fields, 'courses')
+          .split(/[;\s]+/)
+          .filter(Boolean)
+          .map(Course.normalizeCode),
+      ),
+    ],
+  }));
+};
+
+// Roles the importer may hand out; null means any (command line imports)
+const getAssignableRoles = async (importer) => {
+  if (!importer || (await hasPermission(importer, 'role.manage'))) return null;
+  return ROSTER_ROLES;
+};
+
+// Check a role against the importer's rights and the user's place inside or outside an organization
+const checkRole = async (role, { assignableRoles, inOrganization }) => {
+  if (!(await User.validateRole(role))) {
+    return `Unknown role "${role}"`;
+  }
+  if (assignableRoles && !assignableRoles.includes(role)) {
+    return `You cannot give the ${role} role in an import`;
+  }
+  if (role === 'admin' && inOrganization) {
+    return 'Members of an organization cannot be platform admins; use the org_admin role';
+  }
+  if (role === 'org_admin' && !inOrganization) {
+    return 'Only members of an organization can be organization admins';
+  }
+  return null;
+};
+
+/**
+ * Work out what a row would do, without changing anything
+ * @returns {Object} The row's report entry; entry.user and entry.courses are kept for applying it
+ */
+const planRow = async (row, context) => {
+  const {
+    importer, assignableRoles, courses, seenEmails,
+  } = context;
+  const plan = {
+    row: row.row,
+    email: row.email,
+    action: null,
+    changes: [],
+    enroll: [],
+    alreadyEnrolled: [],
+    errors: [],
+  };
+
+  if (!row.email || !User.validateEmail(row.email)) {
+    plan.errors.push(row.email ? `Invalid email address "${row.email}"` : 'Email is missing');
+  } else if (seenEmails.has(row.email)) {
+    plan.errors.push(`Same email as row ${seenEmails.get(row.email)}`);
+  } else {
+    seenEmails.set(row.email, row.row);
+  }
+
+  const user = plan.errors.length === 0
+    ? await User.findOne({ email: row.email, organizationId: getTenantId() })
+    : null;
+
+  if (user && (!user.isActive || user.isServiceAccount)) {
+    plan.action = 'update';
+    plan.errors.push(
+      user.isActive ? 'Service accounts cannot be imported' : 'This account is deactivated',
+    );
+  } else if (user) {
+    plan.action = 'update';
+    if (row.firstName && row.firstName !== user.firstName) plan.changes.push('firstName');
+    if (row.lastName && row.lastName !== (user.lastName || '')) plan.changes.push('lastName');
+    if (row.role && row.role !== user.role) {
+      if (importer && user.id === importer.id) {
+        plan.errors.push('You cannot change your own role');
+      } else if (assignableRoles && !assignableRoles.includes(user.role)) {
+        plan.errors.push(`You cannot change the role of a ${user.role} in an import`);
+      } else {
+        const roleError = await checkRole(row.role, {
+          assignableRoles,
+          inOrganization: !!user.organizationId,
+        });
+        if (roleError) {
+          plan.errors.push(roleError);
+        } else {
+          plan.changes.push('role');
+        }
+      }
+    }
+  } else {
+    plan.action = 'create';
+    if (!row.firstName) plan.errors.push('First name is required for new users');
+    const roleError = await checkRole(row.role || 'student', {
+      assignableRoles,
+      inOrganization: !!getTenantId(),
+    });
+    if (roleError) plan.errors.push(roleError);
+  }
+
+  plan.courses = [];
+  await mapInOrder(row.courseCodes, async (code) => {
+    if (!courses.has(code)) {
+      courses.set(code, await Course.findOne({ code, organizationId: getTenantId() }));
+    }
+    const course = courses.get(code);
+
+    if (!course) {
+      plan.errors.push(`Unknown course code ${code}`);
+    } else if (importer && !(await hasCoursePermission(importer, course, 'enrollment.manage'))) {
+      plan.errors.push(`You cannot enroll users in ${code}`);
+    } else {
+      const enrollment = user ? await Enrollment.findByUserAndCourse(user.id, course.id) : null;
+      if (enrollment && enrollment.status !== 'dropped') {
+        plan.alreadyEnrolled.push(code);
+      } else if (course.isFull) {
+        plan.errors.push(`${code} is full`);
+      } else {
+        plan.enroll.push(code);
+        plan.courses.push(course);
+      }
+    }
+  });
+
+  if (plan.errors.length > 0) {
+    plan.action = 'error';
+  } else if (plan.action === 'update' && plan.changes.length === 0 && plan.enroll.length === 0) {
+    plan.action = 'unchanged';
+  }
+
+  plan.user = user;
+  return plan;
+};
+
+// Create or update the row's user and enroll them, all or nothing
+const applyRow = (row, plan) => transaction(async () => {
+  let { user } = plan;
+
+  if (plan.action === 'create') {
+    user = await User.create({
+      email: row.email,
+      firstName: row.firstName,
+      lastName: row.lastName || null,
+      role: row.role || 'student',
+    });
+  } else if (plan.changes.length > 0) {
+    const updates = {};
+    plan.changes.forEach((field) => {
+      updates[field] = row[field];
+    });
+    await user.update(updates);
+  }
+
+  await mapInOrder(plan.courses, (course) => enrollmentService.enroll(user.id, course.id, {
+    ignoreSchedule: true,
+  }));
+
+  return user;
+});
+
+// Email a new account a link to choose its password
+const invite = async (user) => {
+  const token = user.createPasswordResetToken(INVITATION_VALID_DAYS * 24 * 60 * 60 * 1000);
+  await user.update({});
+
+  try {
+    await emailService.sendInvitationEmail(user, token, INVITATION_VALID_DAYS);
+    return true;
+  } catch (error) {
+    logger.error(`Failed to send invitation email to ${user.email}: ${error.message}`);
+    return false;
+  }
+};
+
+// A plan as it appears in the report, without the user and courses kept for applying it
+const reportEntry = (plan) => ({
+  row: plan.row,
+  email: plan.email,
+  action: plan.action,
+  changes: plan.changes,
+  enroll: plan.enroll,
+  alreadyEnrolled: plan.alreadyEnrolled,
+  errors: plan.errors,
+  ...(plan.invited !== undefined && { invited: plan.invited }),
+});
+
+/**
+ * Import a roster
+ * @param {string} csv - Roster CSV (see above)
+ * @param {Object} options - { dryRun } only reports what would happen;
+ *   { importer } is the user running the import (null from the command line, which may do anything)
+ * @returns {Promise<Object>} { dryRun, summary, rows }, one report entry per row
+ */
+const importRoster = async (csv, { dryRun = false, importer = null } = {}) => {
+  const rows = parseRoster(csv);
+  const context = {
+    importer,
+    assignableRoles: await getAssignableRoles(importer),
+    courses: new Map(),
+    seenEmails: new Map(),
+  };
+
+  const plans = await mapInOrder(rows, (row) => planRow(row, context));
+
+  if (!dryRun) {
+    await mapInOrder(plans, async (plan, index) => {
+      if (plan.action === 'error' || plan.action === 'unchanged') return;
+
+      try {
+        const user = await applyRow(rows[index], plan);
+        if (plan.action === 'create') {
+          plan.invited = await invite(user);
+        }
+      } catch (error) {
+        // Seats can run out, or someone else can add the user, while the import runs
+        if (!error.isOperational && error.name !== 'DuplicateKeyError') throw error;
+        plan.action = 'error';
+        plan.errors.push(
+          error.isOperational
+            ? error.message
+            : 'This user was added by someone else during the import',
+        );
+      }
+    });
+  }
+
+  const report = plans.map(reportEntry);
+  const count = (action) => report.filter((entry) => entry.action === action).length;
+
+  return {
+    dryRun,
+    summary: {
+      rows: report.length,
+      created: count('create'),
+      updated: count('update'),
+      unchanged: count('unchanged'),
+      failed: count('error'),
+      enrollments: report
+        .filter((entry) => entry.action !== 'error')
+        .reduce((total, entry) => total + entry.enroll.length, 0),
+    },
+    rows: report,
+  };
+};
+
+module.exports = {
+  MAX_ROWS,
+  parseRoster,
+  importRoster,
+};
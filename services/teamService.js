@@ -0,0 +1,269 @@
+const Course = require('../models/Course');
+const CourseInvitation = require('../models/CourseInvitation');
+const RoleAssignment = require('../models/RoleAssignment');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { hasPermission } = require('./permissionService');
+const { transaction } = require('../database/transaction');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Teaching team service
+ * A course's team is its owner (instructorId), its co-instructors
+ * (coInstructors, who hold the co_instructor course role) and its teaching
+ * assistants (teaching_assistant role assignments). People join by accepting
+ * an emailed invitation; changes to the owner and co-instructors are recorded
+ * as course revisions.
+ */
+
+const INVITATION_VALID_DAYS = 7;
+const TA_ROLE = 'teaching_assistant';
+
+/**
+ * Whether a user may invite, change and remove a course's team members (its owner and admins)
+ */
+const canManageTeam = async (user, course) => course.instructorId === user.id || hasPermission(user, 'course.edit_any');
+
+/**
+ * A user's place on a course's team
+ * @returns {Promise<string|null>} 'owner', 'co_instructor', 'teaching_assistant' or null
+ */
+const getTeamRole = async (course, userId) => {
+  if (course.instructorId === userId) return 'owner';
+  if (course.coInstructors.includes(userId)) return 'co_instructor';
+  return (await RoleAssignment.findOne({ userId, courseId: course.id, role: TA_ROLE }))
+    ? TA_ROLE
+    : null;
+};
+
+/**
+ * A course's team members, owner first
+ * @returns {Promise<Array>} [{ user: { id, firstName, lastName, email }, role }]
+ */
+const getTeam = async (course) => {
+  const assistants = await RoleAssignment.find({ courseId: course.id, role: TA_ROLE });
+  const members = [
+    { userId: course.instructorId, role: 'owner' },
+    ...course.coInstructors.map((userId) => ({ userId, role: 'co_instructor' })),
+    ...assistants.map((assignment) => ({ userId: assignment.userId, role: TA_ROLE })),
+  ];
+
+  const users = await Promise.all(members.map((member) => User.findById(member.userId)));
+  return members
+    .map((member, index) => ({ user: users[index], role: member.role }))
+    .filter((member) => member.user)
+    .map(({ user, role }) => ({
+      user: {
+        id: user.id, firstName: user.firstName, lastName: user.lastName, email: user.email,
+      },
+      role,
+    }));
+};
+
+// Put a user on a course's team in a role, out of any other team role they had
+const assignTeamRole = async (course, userId, role, authorId) => {
+  const assignments = await RoleAssignment.find({ userId, courseId: course.id, role: TA_ROLE });
+
+  if (role === 'co_instructor') {
+    await Promise.all(assignments.map((assignment) => RoleAssignment.deleteById(assignment.id)));
+    if (!course.coInstructors.includes(userId)) {
+      await course.update(
+        { coInstructors: [...course.coInstructors, userId] },
+        { authorId, action: 'team' },
+      );
+    }
+    return;
+  }
+
+  if (course.coInstructors.includes(userId)) {
+    await course.update(
+      { coInstructors: course.coInstructors.filter((id) => id !== userId) },
+      { authorId, action: 'team' },
+    );
+  }
+  if (assignments.length === 0) {
+    await RoleAssignment.create({
+      userId, courseId: course.id, role, assignedBy: authorId,
+    });
+  }
+};
+
+// Load a course inside a transaction
+const findCourse = async (courseId) => {
+  const course = await Course.findById(courseId);
+  if (!course) {
+    throw new AppError('Course not found', 404);
+  }
+  return course;
+};
+
+/**
+ * Invite someone by email to join a course's team
+ * The email is sent after the invitation is saved; a failure to send is logged
+ * and reported as emailSent: false.
+ * @param {Object} course - Course to join
+ * @param {Object} inviter - User sending the invitation
+ * @param {Object} fields - { email, role } with role one of CourseInvitation.TEAM_ROLES
+ * @returns {Promise<Object>} { invitation, emailSent }
+ */
+const inviteMember = async (course, inviter, { email, role }) => {
+  const invitation = await transaction(async () => {
+    const invitee = await User.findByEmail(email);
+    if (invitee && (await getTeamRole(course, invitee.id))) {
+      throw new AppError(`${invitee.email} is already on this course's teaching team`, 409);
+    }
+    if ((await CourseInvitation.findOpen({ courseId: course.id, email })).length > 0) {
+      throw new AppError(`${email} already has an open invitation to this course`, 409);
+    }
+
+    return CourseInvitation.create({
+      courseId: course.id,
+      email,
+      role,
+      invitedBy: inviter.id,
+      expiresAt: new Date(Date.now() + INVITATION_VALID_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    });
+  });
+
+  try {
+    await emailService.sendCourseInvitationEmail(
+      invitation,
+      course,
+      inviter,
+      INVITATION_VALID_DAYS,
+    );
+    return { invitation, emailSent: true };
+  } catch (error) {
+    logger.error(`Failed to send course invitation email to ${invitation.email}: ${error.message}`);
+    return { invitation, emailSent: false };
+  }
+};
+
+/**
+ * Withdraw an invitation nobody has answered yet
+ */
+const revokeInvitation = (courseId, invitationId) => transaction(async () => {
+  const invitation = await CourseInvitation.findById(invitationId);
+  if (!invitation || invitation.courseId !== courseId) {
+    throw new AppError('Invitation not found', 404);
+  }
+  if (!invitation.isOpen) {
+    throw new AppError(`This invitation is already ${invitation.toJSON().status}`, 409);
+  }
+  return invitation.update({ status: 'revoked' });
+});
+
+/**
+ * Accept or decline an invitation sent to the user's email address
+ * @param {boolean} accept - true to join the team, false to decline
+ * @returns {Promise<CourseInvitation>}
+ */
+const respondToInvitation = (invitationId, user, accept) => transaction(async () => {
+  const invitation = await CourseInvitation.findById(invitationId);
+  if (!invitation || invitation.email !== user.email) {
+    throw new AppError('Invitation not found', 404);
+  }
+  if (!invitation.isOpen) {
+    throw new AppError(`This invitation is ${invitation.toJSON().status}`, 409);
+  }
+
+  if (accept) {
+    const course = await findCourse(invitation.courseId);
+    if ((await getTeamRole(course, user.id)) === 'owner') {
+      throw new AppError('You already own this course', 409);
+    }
+    await assignTeamRole(course, user.id, invitation.role, user.id);
+  }
+
+  return invitation.update({
+    status: accept ? 'accepted' : 'declined',
+    respondedBy: user.id,
+    respondedAt: new Date().toISOString(),
+  });
+});
+
+/**
+ * Move a team member to another team role
+ * @param {string} role - One of CourseInvitation.TEAM_ROLES
+ */
+const changeMemberRole = (courseId, userId, role, actor) => transaction(async () => {
+  const course = await findCourse(courseId);
+  const current = await getTeamRole(course, userId);
+  if (!current) {
+    throw new AppError("This user is not on the course's teaching team", 404);
+  }
+  if (current === 'owner') {
+    throw new AppError('The owner keeps their role; transfer the course to change it', 400);
+  }
+
+  await assignTeamRole(course, userId, role, actor.id);
+  return course;
+});
+
+/**
+ * Take a member off a course's team (the owner cannot be removed)
+ */
+const removeMember = (courseId, userId, actor) => transaction(async () => {
+  const course = await findCourse(courseId);
+  const current = await getTeamRole(course, userId);
+  if (!current) {
+    throw new AppError("This user is not on the course's teaching team", 404);
+  }
+  if (current === 'owner') {
+    throw new AppError('The owner cannot leave the team; transfer the course first', 400);
+  }
+
+  if (current === 'co_instructor') {
+    await course.update(
+      { coInstructors: course.coInstructors.filter((id) => id !== userId) },
+      { authorId: actor.id, action: 'team' },
+    );
+  } else {
+    const assignments = await RoleAssignment.find({ userId, courseId, role: TA_ROLE });
+    await Promise.all(assignments.map((assignment) => RoleAssignment.deleteById(assignment.id)));
+  }
+  return course;
+});
+
+/**
+ * Hand a course over to one of its co-instructors
+ * The previous owner stays on the team as a co-instructor. The course keeps
+ * its slug unless the new owner already has a course with it.
+ */
+const transferOwnership = (courseId, newOwnerId, actor) => transaction(async () => {
+  const course = await findCourse(courseId);
+  if (!course.coInstructors.includes(newOwnerId)) {
+    throw new AppError('A course can only be transferred to one of its co-instructors', 400);
+  }
+
+  const newOwner = await User.findById(newOwnerId);
+  if (!newOwner || !(await hasPermission(newOwner, 'course.create'))) {
+    throw new AppError('The new owner must be allowed to create courses', 400);
+  }
+
+  const previousOwnerId = course.instructorId;
+  await course.update(
+    {
+      instructorId: newOwnerId,
+      coInstructors: [...course.coInstructors.filter((id) => id !== newOwnerId), previousOwnerId],
+      slug: await Course.availableSlug(newOwnerId, course.slug || Course.slugify(course.title)),
+    },
+    { authorId: actor.id, action: 'transfer' },
+  );
+
+  return { course, previousOwnerId };
+});
+
+module.exports = {
+  INVITATION_VALID_DAYS,
+  canManageTeam,
+  getTeamRole,
+  getTeam,
+  inviteMember,
+  revokeInvitation,
+  respondToInvitation,
+  changeMemberRole,
+  removeMember,
+  transferOwnership,
+};
@@ -0,0 +1,229 @@
+const config = require('../config/database');
+const Repository = require('../database/repository');
+const { transaction } = require('../database/transaction');
+const { AppError } = require('../middleware/errorHandler');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Review = require('../models/Review');
+const Setting = require('../models/Setting');
+const { recountCourse } = require('./enrollmentService');
+const { recountRating } = require('./reviewService');
+
+/**
+ * Trash service
+ * Deleting a user or course only sets deletedAt/deletedBy (see the models).
+ * From the trash an item can be restored, or purged: hard-deleted together
+ * with the records that belong to it. The purge job purges everything that
+ * has been in the trash longer than the retention period. A purge runs in
+ * one transaction, so it never leaves an item half deleted.
+ */
+
+const TRASH_TYPES = {
+  users: User,
+  courses: Course,
+};
+
+// Records removed along with a purged user or course: [collection, field]
+const DEPENDENTS = {
+  users: [
+    ['sessions', 'userId'],
+    ['apiTokens', 'userId'],
+    ['enrollments', 'userId'],
+    ['progress', 'userId'],
+    ['submissions', 'userId'],
+    ['reviews', 'userId'],
+    ['roleAssignments', 'userId'],
+  ],
+  courses: [
+    ['lessons', 'courseId'],
+    ['courseRevisions', 'courseId'],
+    ['enrollments', 'courseId'],
+    ['progress', 'courseId'],
+    ['assignments', 'courseId'],
+    ['submissions', 'courseId'],
+    ['reviews', 'courseId'],
+    ['roleAssignments', 'courseId'],
+    ['courseInvitations', 'courseId'],
+  ],
+};
+
+// Courses are purged before users, so a user whose courses expired with them can go too
+const PURGE_ORDER = ['courses', 'users'];
+
+const RETENTION_SETTING = 'trash.retentionDays';
+const DAY = 24 * 60 * 60 * 1000;
+
+const getModel = (type) => {
+  const Model = TRASH_TYPES[type];
+  if (!Model) {
+    throw new AppError(
+      `Unknown trash type "${type}". Use: ${Object.keys(TRASH_TYPES).join(', ')}`,
+      400,
+    );
+  }
+  return Model;
+};
+
+// Courses a user owns, in the trash or not; they would be left without an owner by a purge
+const ownedCourseCount = (userId) => Course.count({ instructorId: userId }, { withDeleted: true });
+
+/**
+ * Days items stay in the trash before the purge job removes them
+ */
+const getRetentionDays = () => Setting.get(RETENTION_SETTING, config.trash.retentionDays);
+
+const setRetentionDays = (days, updatedBy = null) => (
+  Setting.set(RETENTION_SETTING, days, updatedBy)
+);
+
+/**
+ * List deleted users or courses, each with the date it will be purged
+ */
+const listTrash = async (type, { limit, offset } = {}) => {
+  const Model = getModel(type);
+  const retentionDays = await getRetentionDays();
+  const [items, total] = await Promise.all([
+    Model.findDeleted({}, { limit, offset }),
+    Model.count({ deletedAt: { $exists: true } }),
+  ]);
+
+  return {
+    total,
+    retentionDays,
+    items: items.map((item) => ({
+      ...(type === 'users'
+        ? { ...item.getPublicProfile(), email: item.email }
+        : item.getPublicInfo()),
+      deletedAt: item.deletedAt,
+      deletedBy: item.deletedBy,
+      purgeAt: new Date(new Date(item.deletedAt).getTime() + retentionDays * DAY).toISOString(),
+    })),
+  };
+};
+
+/**
+ * Take an item out of the trash
+ */
+const restoreItem = async (type, id) => {
+  const Model = getModel(type);
+  const item = await Model.findById(id, { withDeleted: true });
+
+  if (!item || !item.deletedAt) {
+    throw new AppError('Item not found in the trash', 404);
+  }
+
+  // The email (or SSO identity) may have been reused in the organization since the account
+  // was deleted
+  if (type === 'users') {
+    const conflicts = [User.findOne({ email: item.email, organizationId: item.organizationId })];
+    if (item.oidcSubject) {
+      conflicts.push(User.findOne({ oidcIssuer: item.oidcIssuer, oidcSubject: item.oidcSubject }));
+    }
+    if ((await Promise.all(conflicts)).some(Boolean)) {
+      throw new AppError('Another account now uses this email address or sign-in identity', 409);
+    }
+  }
+
+  return item.restore();
+};
+
+/**
+ * Permanently delete a trashed item and everything that belongs to it
+ * A user who still owns courses is kept until they are transferred or purged.
+ * @returns {Object} Number of records removed per collection
+ */
+const purgeItem = (type, id) => transaction(async () => {
+  const Model = getModel(type);
+  const item = await Model.findById(id, { withDeleted: true });
+
+  if (!item || !item.deletedAt) {
+    throw new AppError('Item not found in the trash', 404);
+  }
+
+  const owned = type === 'users' ? await ownedCourseCount(id) : 0;
+  if (owned > 0) {
+    throw new AppError(
+      `This user still owns ${owned} course(s). Transfer or purge them first.`,
+      409,
+    );
+  }
+
+  const affectedCourseIds = type === 'users'
+    ? [
+      ...new Set(
+        (await Enrollment.find({ userId: id })).map((enrollment) => enrollment.courseId),
+      ),
+    ]
+    : [];
+  const reviewedCourseIds = type === 'users' ? (await Review.find({ userId: id })).map((review) => review.courseId) : [];
+
+  const removed = await DEPENDENTS[type].reduce(async (previous, [collection, dependentField]) => {
+    const counts = await previous;
+    const count = await new Repository(collection).deleteMany({ [dependentField]: id });
+    return { ...counts, [collection]: count };
+  }, Promise.resolve({}));
+
+  if (type === 'users') {
+    const taught = await Course.find({ coInstructors: { $contains: id } }, { withDeleted: true });
+    await Promise.all(taught.map((course) => course.removeCoInstructor(id)));
+
+    // Courses the user was enrolled in lose the enrollment from their counters, and their
+    // review from the rating
+    await Promise.all(affectedCourseIds.map(recountCourse));
+    await Promise.all(reviewedCourseIds.map(recountRating));
+  }
+
+  if (type === 'courses') {
+    // Offerings cloned from the course carry on as courses of their own
+    const offerings = await Course.find({ masterCourseId: id }, { withDeleted: true });
+    await Promise.all(
+      offerings.map((offering) => {
+        offering.masterCourseId = null;
+        return offering.save();
+      }),
+    );
+  }
+
+  removed[type] = (await new Repository(type).deleteById(id)) ? 1 : 0;
+
+  return removed;
+});
+
+/**
+ * Purge everything that has been in the trash longer than the retention period
+ * Users who still own courses are skipped (see purgeItem).
+ * @returns {Object} Number of users and courses purged
+ */
+const purgeExpired = async ({ now = new Date() } = {}) => {
+  const retentionDays = await getRetentionDays();
+  const cutoff = new Date(now.getTime() - retentionDays * DAY);
+
+  // One item at a time: each purge is a transaction of its own
+  return PURGE_ORDER.reduce(async (previous, type) => {
+    const purged = await previous;
+    const expired = await TRASH_TYPES[type].find(
+      { deletedAt: { $lt: cutoff } },
+      { withDeleted: true },
+    );
+    const owned = await Promise.all(
+      expired.map((item) => (type === 'users' ? ownedCourseCount(item.id) : 0)),
+    );
+    const purgeable = expired.filter((item, index) => owned[index] === 0);
+    await purgeable.reduce(
+      (done, item) => done.then(() => purgeItem(type, item.id)),
+      Promise.resolve(),
+    );
+    return { ...purged, [type]: purgeable.length };
+  }, Promise.resolve({}));
+};
+
+module.exports = {
+  TRASH_TYPES,
+  getRetentionDays,
+  setRetentionDays,
+  listTrash,
+  restoreItem,
+  purgeItem,
+  purgeExpired,
+};
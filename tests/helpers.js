@@ -0,0 +1,41 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const users = require('./fixtures/users.json');
+
+/**
+ * Test helpers
+ * Shared by the integration tests: fixture accounts and logging in through the API.
+ */
+
+// Fixture account for a role, with its plain password
+const fixtureUser = (role) => users.find((user) => user.role === role);
+
+// Create a fixture account, optionally changing some of its fields
+const createUser = (role, overrides = {}) => User.create({ ...fixtureUser(role), ...overrides });
+
+// Log in through the API and return the response data (token, refreshToken, sessionId, ...)
+const login = async (email, password, headers = {}) => {
+  const res = await request(app).post('/api/auth/login').set(headers).send({ email, password });
+  return res.body.data;
+};
+
+// Create a fixture account and log it in
+const createAndLogin = async (role, overrides = {}) => {
+  const user = await createUser(role, overrides);
+  const { token } = await login(user.email, overrides.password || fixtureUser(role).password);
+  return { user, token };
+};
+
+// Authorization header for an access or API token
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+module.exports = {
+  app,
+  request,
+  fixtureUser,
+  createUser,
+  login,
+  createAndLogin,
+  bearer,
+};
@@ -0,0 +1,101 @@
+const ApiToken = require('../../models/ApiToken');
+const {
+  app, request, createAndLogin, bearer,
+} = require('../helpers');
+
+// Create a personal access token through the API
+const createToken = (token, body) => request(app)
+  .post('/api/auth/tokens')
+  .set(bearer(token))
+  .send({ name: 'Integration', ...body });
+
+const newCourse = {
+  title: 'Token course',
+  description: 'Created with a personal access token',
+  category: 'programming',
+};
+
+describe('Personal access tokens', () => {
+  let instructor;
+
+  beforeEach(async () => {
+    instructor = await createAndLogin('instructor');
+  });
+
+  it('returns the token once and never its hash', async () => {
+    const res = await createToken(instructor.token, { scopes: ['courses:read'] });
+    expect(res.status).toBe(201);
+    expect(res.body.data.token).toMatch(/^lms_pat_/);
+    expect(res.body.data.apiToken.tokenHash).toBeUndefined();
+
+    const list = await request(app).get('/api/auth/tokens').set(bearer(instructor.token));
+    expect(list.body.data.apiTokens).toHaveLength(1);
+    expect(JSON.stringify(list.body)).not.toContain(res.body.data.token);
+  });
+
+  it('rejects unknown scopes', async () => {
+    const res = await createToken(instructor.token, { scopes: ['courses:read', 'everything'] });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/everything/);
+  });
+
+  it('allows endpoints within its scopes and refuses the rest', async () => {
+    const { token } = (await createToken(instructor.token, { scopes: ['courses:read'] })).body.data;
+
+    const read = await request(app).get('/api/courses/teaching').set(bearer(token));
+    expect(read.status).toBe(200);
+
+    const write = await request(app).post('/api/courses').set(bearer(token)).send(newCourse);
+    expect(write.status).toBe(403);
+    expect(write.body.message).toMatch(/courses:write/);
+  });
+
+  it('allows writes with the write scope', async () => {
+    const { token } = (await createToken(instructor.token, { scopes: ['courses:write'] })).body.data;
+
+    const res = await request(app).post('/api/courses').set(bearer(token)).send(newCourse);
+    expect(res.status).toBe(201);
+  });
+
+  it('never grants more than the owner\'s role', async () => {
+    const student = await createAndLogin('student');
+    const { token } = (await createToken(student.token, { scopes: ['courses:write'] })).body.data;
+
+    const res = await request(app).post('/api/courses').set(bearer(token)).send(newCourse);
+    expect(res.status).toBe(403);
+  });
+
+  it('cannot manage the account it belongs to', async () => {
+    const { token } = (
+      await createToken(instructor.token, { scopes: ['users:read', 'users:write'] })
+    ).body.data;
+
+    const [sessions, tokens] = await Promise.all([
+      request(app).get('/api/auth/sessions').set(bearer(token)),
+      createToken(token, { scopes: ['courses:write'] }),
+    ]);
+    expect(sessions.status).toBe(403);
+    expect(tokens.status).toBe(403);
+  });
+
+  it('stops working once revoked', async () => {
+    const created = (await createToken(instructor.token, { scopes: ['courses:read'] })).body.data;
+
+    const revoke = await request(app)
+      .delete(`/api/auth/tokens/${created.apiToken.id}`)
+      .set(bearer(instructor.token));
+    expect(revoke.status).toBe(200);
+
+    const res = await request(app).get('/api/courses/teaching').set(bearer(created.token));
+    expect(res.status).toBe(401);
+  });
+
+  it('stops working once expired', async () => {
+    const created = (await createToken(instructor.token, { scopes: ['courses:read'] })).body.data;
+    const apiToken = await ApiToken.findById(created.apiToken.id);
+    await apiToken.update({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    const res = await request(app).get('/api/courses/teaching').set(bearer(created.token));
+    expect(res.status).toBe(401);
+  });
+});
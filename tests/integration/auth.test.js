@@ -0,0 +1,292 @@
+const jwt = require('jsonwebtoken');
+const jwtConfig = require('../../config/jwt');
+const authConfig = require('../../config/auth');
+const emailService = require('../../services/emailService');
+const { loginLimiter } = require('../../middleware/rateLimiter');
+const {
+  app, request, fixtureUser, createUser, login, bearer,
+} = require('../helpers');
+
+// Sign a token like authService does, with some options or claims changed
+const signToken = (user, { payload = {}, ...options } = {}) => jwt.sign(
+  { role: user.role, ...payload },
+  jwtConfig.signingKey,
+  {
+    algorithm: jwtConfig.algorithm,
+    issuer: jwtConfig.issuer,
+    audience: jwtConfig.audience,
+    subject: String(user.id),
+    expiresIn: '1h',
+    ...options,
+  },
+);
+
+describe('JWT access tokens', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createUser('student');
+  });
+
+  it('issues a signed token on login that opens protected routes', async () => {
+    const { token, sessionId } = await login(user.email, fixtureUser('student').password);
+
+    const decoded = jwt.verify(token, jwtConfig.verifyKey, {
+      issuer: jwtConfig.issuer,
+      audience: jwtConfig.audience,
+    });
+    expect(decoded).toMatchObject({ sub: user.id, role: 'student', sid: sessionId });
+
+    const res = await request(app).get('/api/auth/profile').set(bearer(token));
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.email).toBe(user.email);
+  });
+
+  it('issues a working token on registration', async () => {
+    const res = await request(app).post('/api/auth/register').send({
+      email: 'new.student@example.com',
+      password: 'Register123',
+      firstName: 'New',
+    });
+    expect(res.status).toBe(201);
+
+    const profile = await request(app).get('/api/auth/profile').set(bearer(res.body.data.token));
+    expect(profile.status).toBe(200);
+    expect(profile.body.data.user.email).toBe('new.student@example.com');
+  });
+
+  it('rejects requests without a token', async () => {
+    const res = await request(app).get('/api/auth/profile');
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects expired tokens', async () => {
+    const token = signToken(user, { expiresIn: -10 });
+
+    const res = await request(app).get('/api/auth/profile').set(bearer(token));
+    expect(res.status).toBe(401);
+    expect(res.body.message).toMatch(/expired/);
+  });
+
+  it('rejects tokens with a bad signature', async () => {
+    const token = jwt.sign({ role: 'admin' }, 'not-the-secret', {
+      algorithm: 'HS256',
+      issuer: jwtConfig.issuer,
+      audience: jwtConfig.audience,
+      subject: String(user.id),
+    });
+
+    const res = await request(app).get('/api/auth/profile').set(bearer(token));
+    expect(res.status).toBe(401);
+    expect(res.body.message).toMatch(/Invalid token/);
+  });
+
+  it('rejects unsigned tokens', async () => {
+    const token = jwt.sign({ role: 'admin', sub: user.id }, null, { algorithm: 'none' });
+
+    const res = await request(app).get('/api/auth/profile').set(bearer(token));
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects tokens for another audience or issuer', async () => {
+    const otherAudience = signToken(user, { audience: 'another-app' });
+    const otherIssuer = signToken(user, { issuer: 'someone-else' });
+
+    const [audienceRes, issuerRes] = await Promise.all([
+      request(app).get('/api/auth/profile').set(bearer(otherAudience)),
+      request(app).get('/api/auth/profile').set(bearer(otherIssuer)),
+    ]);
+    expect(audienceRes.status).toBe(401);
+    expect(issuerRes.status).toBe(401);
+  });
+
+  it('takes the role from the stored user, not the token', async () => {
+    const token = signToken(user, { payload: { role: 'admin' } });
+
+    const res = await request(app).get('/api/users/locked').set(bearer(token));
+    expect(res.status).toBe(403);
+  });
+
+  it('rejects tokens of deactivated users', async () => {
+    const token = signToken(user);
+    await user.update({ isActive: false });
+
+    const res = await request(app).get('/api/auth/profile').set(bearer(token));
+    expect(res.status).toBe(401);
+  });
+
+  it('stops accepting a token once its session is logged out', async () => {
+    const { token } = await login(user.email, fixtureUser('student').password);
+
+    const logout = await request(app).post('/api/auth/logout').set(bearer(token));
+    expect(logout.status).toBe(200);
+
+    const res = await request(app).get('/api/auth/profile').set(bearer(token));
+    expect(res.status).toBe(401);
+    expect(res.body.message).toMatch(/revoked/);
+  });
+});
+
+describe('Refresh tokens', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createUser('student');
+  });
+
+  const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+  it('rotates the refresh token and keeps the session', async () => {
+    const first = await login(user.email, fixtureUser('student').password);
+
+    const res = await refresh(first.refreshToken);
+    expect(res.status).toBe(200);
+    expect(res.body.data.refreshToken).not.toBe(first.refreshToken);
+    expect(res.body.data.sessionId).toBe(first.sessionId);
+
+    const profile = await request(app).get('/api/auth/profile').set(bearer(res.body.data.token));
+    expect(profile.status).toBe(200);
+  });
+
+  it('revokes the session when a rotated refresh token is used again', async () => {
+    const first = await login(user.email, fixtureUser('student').password);
+    const rotated = (await refresh(first.refreshToken)).body.data;
+
+    const reuse = await refresh(first.refreshToken);
+    expect(reuse.status).toBe(401);
+
+    // Both the latest refresh token and the session's access tokens stop working
+    expect((await refresh(rotated.refreshToken)).status).toBe(401);
+    const profile = await request(app).get('/api/auth/profile').set(bearer(rotated.token));
+    expect(profile.status).toBe(401);
+  });
+
+  it('leaves the user\'s other sessions alone on reuse', async () => {
+    const laptop = await login(user.email, fixtureUser('student').password);
+    const phone = await login(user.email, fixtureUser('student').password);
+
+    await refresh(laptop.refreshToken);
+    await refresh(laptop.refreshToken);
+
+    expect((await refresh(phone.refreshToken)).status).toBe(200);
+  });
+
+  it('rejects unknown refresh tokens', async () => {
+    const res = await refresh('not-a-refresh-token');
+    expect(res.status).toBe(401);
+  });
+
+  it('lists sessions and revokes one device', async () => {
+    const laptop = await login(user.email, fixtureUser('student').password);
+    const phone = await login(user.email, fixtureUser('student').password);
+
+    const list = await request(app).get('/api/auth/sessions').set(bearer(laptop.token));
+    expect(list.status).toBe(200);
+    expect(list.body.data.sessions.map((session) => session.id).sort()).toEqual(
+      [laptop.sessionId, phone.sessionId].sort(),
+    );
+
+    const revoke = await request(app)
+      .delete(`/api/auth/sessions/${phone.sessionId}`)
+      .set(bearer(laptop.token));
+    expect(revoke.status).toBe(200);
+
+    expect((await refresh(phone.refreshToken)).status).toBe(401);
+    expect((await refresh(laptop.refreshToken)).status).toBe(200);
+  });
+});
+
+describe('Account lockout', () => {
+  const { maxAttempts } = authConfig.lockout;
+  let user;
+  let lockNotice;
+
+  beforeEach(async () => {
+    user = await createUser('student');
+    lockNotice = jest.spyOn(emailService, 'sendAccountLockedEmail');
+    // The per-IP limiter would otherwise count these failures across tests
+    ['127.0.0.1', '::ffff:127.0.0.1'].forEach((ip) => loginLimiter.resetKey(ip));
+  });
+
+  afterEach(() => {
+    lockNotice.mockRestore();
+  });
+
+  const attempt = (password, email = user.email) => request(app)
+    .post('/api/auth/login')
+    .send({ email, password });
+
+  const failLogins = async (count) => {
+    const responses = [];
+    await Array.from({ length: count }).reduce(async (previous) => {
+      await previous;
+      responses.push(await attempt('Wrong-password1'));
+    }, Promise.resolve());
+    return responses;
+  };
+
+  it('locks the account after too many failed logins and emails the owner', async () => {
+    const responses = await failLogins(maxAttempts);
+    expect(responses.map((res) => res.status)).toEqual(Array(maxAttempts).fill(401));
+    expect(lockNotice).toHaveBeenCalledTimes(1);
+    expect(lockNotice.mock.calls[0][0].email).toBe(user.email);
+
+    // Even the right password is refused while the lock lasts, saying for how long
+    const res = await attempt(fixtureUser('student').password);
+    expect(res.status).toBe(423);
+    expect(res.body.message).toMatch(/Account locked/);
+
+    const retryAfter = Number(res.headers['retry-after']);
+    expect(retryAfter).toBeGreaterThan(0);
+    expect(retryAfter).toBeLessThanOrEqual(authConfig.lockout.lockTime / 1000);
+    expect(lockNotice).toHaveBeenCalledTimes(1);
+  });
+
+  it('answers a wrong password for a locked account like an unknown email', async () => {
+    await failLogins(maxAttempts);
+
+    const locked = await attempt('Wrong-password1');
+    const unknown = await attempt('Whatever123', 'nobody@example.com');
+
+    expect(locked.status).toBe(401);
+    expect(locked.body.message).toBe(unknown.body.message);
+    expect(locked.headers['retry-after']).toBeUndefined();
+  });
+
+  it('resets the failure count after a successful login', async () => {
+    await failLogins(maxAttempts - 1);
+    expect((await attempt(fixtureUser('student').password)).status).toBe(200);
+
+    await failLogins(maxAttempts - 1);
+    expect((await attempt(fixtureUser('student').password)).status).toBe(200);
+    expect(lockNotice).not.toHaveBeenCalled();
+  });
+
+  it('lets an admin unlock the account', async () => {
+    const admin = await createUser('admin');
+    const { token } = await login(admin.email, fixtureUser('admin').password);
+    await failLogins(maxAttempts);
+
+    const locked = await request(app).get('/api/users/locked').set(bearer(token));
+    expect(locked.body.data.users.map((lockedUser) => lockedUser.id)).toEqual([user.id]);
+
+    const unlock = await request(app).post(`/api/users/${user.id}/unlock`).set(bearer(token));
+    expect(unlock.status).toBe(200);
+    expect((await attempt(fixtureUser('student').password)).status).toBe(200);
+  });
+
+  it('rate limits sensitive endpoints per IP', async () => {
+    const { max } = authConfig.sensitiveOps;
+    const responses = [];
+    await Array.from({ length: max + 1 }).reduce(async (previous, value, index) => {
+      await previous;
+      responses.push(
+        await request(app).post('/api/auth/check-email').send({ email: `user${index}@example.com` }),
+      );
+    }, Promise.resolve());
+
+    expect(responses.slice(0, max).every((res) => res.status !== 429)).toBe(true);
+    expect(responses[max].status).toBe(429);
+    expect(responses[max].headers['retry-after']).toBeDefined();
+  });
+});
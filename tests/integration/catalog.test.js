@@ -0,0 +1,80 @@
+const Course = require('../../models/Course');
+const { transaction } = require('../../database/transaction');
+const { app, request, createUser } = require('../helpers');
+
+describe('Course catalogue search', () => {
+  let courses;
+
+  beforeEach(async () => {
+    const instructor = await createUser('instructor');
+    const publish = (fields) => Course.create({
+      description: 'A published course',
+      instructorId: instructor.id,
+      status: 'published',
+      isPublished: true,
+      ...fields,
+    });
+    courses = await Promise.all([
+      publish({
+        title: 'Building REST APIs', category: 'programming', price: 0, tags: ['node'],
+      }),
+      publish({ title: 'JavaScript fundamentals', category: 'programming', price: 30 }),
+      publish({
+        title: 'Visual design', category: 'design', price: 30, description: 'Layouts for APIs',
+      }),
+    ]);
+  });
+
+  // The search index outlives the database cleared between tests
+  afterEach(async () => {
+    await Promise.all(courses.map((course) => course.softDelete()));
+  });
+
+  const search = (query) => request(app).get('/api/courses').query(query);
+  const titles = (res) => res.body.data.courses.map((course) => course.title);
+
+  it('ranks matches in titles above matches in descriptions, typos and all', async () => {
+    const res = await search({ q: 'building api' });
+    expect(res.status).toBe(200);
+    expect(titles(res)).toEqual(['Building REST APIs']);
+
+    const apis = await search({ q: 'apis' });
+    expect(titles(apis)).toEqual(['Building REST APIs', 'Visual design']);
+
+    expect(titles(await search({ q: 'javascrpt' }))).toEqual(['JavaScript fundamentals']);
+  });
+
+  it('filters, counts facets and pages through the results', async () => {
+    const first = await search({ category: 'programming', sort: 'title', limit: 1 });
+    expect(first.body.data.total).toBe(2);
+    expect(titles(first)).toEqual(['Building REST APIs']);
+    expect(first.body.data.facets.category).toEqual([
+      { value: 'programming', count: 2, selected: true },
+      { value: 'design', count: 1, selected: false },
+    ]);
+
+    const second = await search({
+      category: 'programming', sort: 'title', limit: 1, cursor: first.body.data.nextCursor,
+    });
+    expect(titles(second)).toEqual(['JavaScript fundamentals']);
+    expect(second.body.data.nextCursor).toBeNull();
+
+    expect((await search({ sort: 'cheapest' })).status).toBe(400);
+  });
+
+  it('shows changes only once they are committed', async () => {
+    const [course] = courses;
+    await expect(
+      transaction(async () => {
+        await course.update({ title: 'Renamed and rolled back' });
+        throw new Error('Changed my mind');
+      }),
+    ).rejects.toThrow('Changed my mind');
+
+    expect(titles(await search({ q: 'renamed' }))).toEqual([]);
+    expect(titles(await search({ q: 'building' }))).toEqual(['Building REST APIs']);
+
+    await course.update({ title: 'Renamed REST APIs' });
+    expect(titles(await search({ q: 'renamed' }))).toEqual(['Renamed REST APIs']);
+  });
+});
@@ -0,0 +1,104 @@
+const {
+  app, request, createAndLogin, bearer,
+} = require('../helpers');
+
+const newCourse = {
+  title: 'Intro to Node.js',
+  description: 'Servers, streams and the event loop',
+  category: 'programming',
+};
+
+describe('Courses API', () => {
+  let instructor;
+  let student;
+
+  beforeEach(async () => {
+    instructor = await createAndLogin('instructor');
+    student = await createAndLogin('student');
+  });
+
+  const createCourse = (body = newCourse) => request(app)
+    .post('/api/courses')
+    .set(bearer(instructor.token))
+    .send(body);
+
+  const catalogue = async () => (await request(app).get('/api/courses')).body.data.courses;
+
+  it('lets instructors create draft courses they teach', async () => {
+    const res = await createCourse();
+    expect(res.status).toBe(201);
+    expect(res.body.data.course).toMatchObject({
+      title: 'Intro to Node.js',
+      slug: 'intro-to-node-js',
+      instructorId: instructor.user.id,
+      isPublished: false,
+    });
+
+    const teaching = await request(app).get('/api/courses/teaching').set(bearer(instructor.token));
+    expect(teaching.body.data.courses.map((course) => course.id)).toEqual([
+      res.body.data.course.id,
+    ]);
+  });
+
+  it('refuses courses from students and without a title', async () => {
+    const fromStudent = await request(app)
+      .post('/api/courses')
+      .set(bearer(student.token))
+      .send(newCourse);
+    expect(fromStudent.status).toBe(403);
+
+    expect((await createCourse({ ...newCourse, title: '' })).status).toBe(400);
+  });
+
+  it('shows drafts to their staff only, and published courses to everyone', async () => {
+    const { id } = (await createCourse()).body.data.course;
+    expect((await request(app).get(`/api/courses/${id}`).set(bearer(student.token))).status).toBe(
+      404,
+    );
+    expect(await catalogue()).toHaveLength(0);
+
+    const publish = await request(app).post(`/api/courses/${id}/publish`).set(bearer(instructor.token));
+    expect(publish.status).toBe(200);
+
+    const res = await request(app).get(`/api/courses/${id}`).set(bearer(student.token));
+    expect(res.status).toBe(200);
+    expect(res.body.data.course.title).toBe('Intro to Node.js');
+    expect((await catalogue()).map((course) => course.id)).toEqual([id]);
+  });
+
+  it('updates a course against the version last read', async () => {
+    const { id } = (await createCourse()).body.data.course;
+    const read = await request(app).get(`/api/courses/${id}`).set(bearer(instructor.token));
+
+    const update = (body) => request(app)
+      .patch(`/api/courses/${id}`)
+      .set(bearer(instructor.token))
+      .set('If-Match', read.headers.etag)
+      .send(body);
+
+    const first = await update({ title: 'Node.js in depth' });
+    expect(first.status).toBe(200);
+    expect(first.body.data.course.title).toBe('Node.js in depth');
+
+    const stale = await update({ title: 'Lost update' });
+    expect(stale.status).toBe(412);
+    expect(stale.body.data.course.title).toBe('Node.js in depth');
+  });
+
+  it('lets only the instructor change or delete the course', async () => {
+    const { id } = (await createCourse()).body.data.course;
+
+    const edit = await request(app)
+      .patch(`/api/courses/${id}`)
+      .set(bearer(student.token))
+      .set('If-Match', '*')
+      .send({ title: 'Mine now' });
+    expect(edit.status).toBe(403);
+
+    const remove = await request(app).delete(`/api/courses/${id}`).set(bearer(instructor.token));
+    expect(remove.status).toBe(200);
+    expect((await request(app).get(`/api/courses/${id}`).set(bearer(instructor.token))).status).toBe(
+      404,
+    );
+  });
+});
@@ -0,0 +1,173 @@
+const authConfig = require('../../config/auth');
+const Course = require('../../models/Course');
+const User = require('../../models/User');
+const emailService = require('../../services/emailService');
+const {
+  app, request, createUser, createAndLogin, login, bearer,
+} = require('../helpers');
+
+const { policy } = authConfig.emailVerification;
+
+describe('Email verification', () => {
+  let verificationEmail;
+
+  beforeEach(() => {
+    verificationEmail = jest.spyOn(emailService, 'sendVerificationEmail').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    authConfig.emailVerification.policy = policy;
+    jest.restoreAllMocks();
+  });
+
+  // The token carried by the last verification email
+  const lastToken = () => {
+    const { calls } = verificationEmail.mock;
+    return calls.length > 0 ? calls[calls.length - 1][1] : null;
+  };
+
+  const register = (email = 'sam@example.com') => request(app)
+    .post('/api/auth/register')
+    .send({ firstName: 'Sam', email, password: 'Student123' });
+
+  const verify = (token) => request(app).get(`/api/auth/verify-email/${token}`);
+
+  const resend = (token) => {
+    const req = request(app).post('/api/auth/resend-verification');
+    return token ? req.set(bearer(token)) : req;
+  };
+
+  describe('links', () => {
+    it('verify the account once', async () => {
+      expect((await register()).status).toBe(201);
+      const token = lastToken();
+
+      const res = await verify(token);
+      expect(res.status).toBe(200);
+      expect((await User.findByEmail('sam@example.com')).isEmailVerified).toBe(true);
+
+      const again = await verify(token);
+      expect(again.status).toBe(400);
+      expect(again.body.message).toBe('Email verification link is invalid or has expired');
+    });
+
+    it('stop working once expired', async () => {
+      await register();
+      const token = lastToken();
+      const user = await User.findByEmail('sam@example.com');
+      await user.update({ emailVerificationExpires: Date.now() - 1000 });
+
+      expect((await verify(token)).status).toBe(400);
+      expect((await User.findById(user.id)).isEmailVerified).toBe(false);
+    });
+
+    it('are refused when made up', async () => {
+      expect((await verify('not-a-real-token')).status).toBe(400);
+    });
+  });
+
+  describe('resending', () => {
+    it('waits for the cooldown before sending another link', async () => {
+      const { token } = (await register()).body.data;
+      expect(verificationEmail).toHaveBeenCalledTimes(1);
+
+      const early = await resend(token);
+      expect(early.status).toBe(429);
+      const retryAfter = Number(early.headers['retry-after']);
+      expect(retryAfter).toBeGreaterThan(0);
+      expect(retryAfter).toBeLessThanOrEqual(authConfig.emailVerification.resendInterval / 1000);
+      expect(verificationEmail).toHaveBeenCalledTimes(1);
+
+      const user = await User.findByEmail('sam@example.com');
+      await user.update({
+        emailVerificationSentAt: Date.now() - authConfig.emailVerification.resendInterval,
+      });
+      const first = lastToken();
+
+      expect((await resend(token)).status).toBe(200);
+      expect(verificationEmail).toHaveBeenCalledTimes(2);
+      expect((await verify(first)).status).toBe(400);
+      expect((await verify(lastToken())).status).toBe(200);
+    });
+
+    it('gives anonymous callers the same answer, throttled or not', async () => {
+      await register();
+      const send = (email) => resend().send({ email });
+
+      const throttled = await send('sam@example.com');
+      const unknown = await send('nobody@example.com');
+      expect(throttled.status).toBe(200);
+      expect(throttled.body.message).toBe(unknown.body.message);
+      expect(verificationEmail).toHaveBeenCalledTimes(1);
+
+      expect((await resend()).status).toBe(400);
+    });
+
+    it('refuses users who are already verified', async () => {
+      const { token } = await createAndLogin('student');
+
+      const res = await resend(token);
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Your email is already verified');
+      expect(verificationEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('policies', () => {
+    let course;
+
+    beforeEach(async () => {
+      const instructor = await createUser('instructor');
+      course = await Course.create({
+        title: 'Open course',
+        description: 'Published for everyone',
+        category: 'programming',
+        instructorId: instructor.id,
+        status: 'published',
+        isPublished: true,
+      });
+    });
+
+    const enroll = (token) => request(app).post(`/api/courses/${course.id}/enroll`).set(bearer(token));
+
+    it("'restrict' lets unverified users log in but not act", async () => {
+      authConfig.emailVerification.policy = 'restrict';
+      const { token } = await createAndLogin('student', { isEmailVerified: false });
+      expect(token).toBeDefined();
+
+      const res = await enroll(token);
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('Please verify your email address to perform this action.');
+    });
+
+    it("'block-login' keeps unverified users out until they verify", async () => {
+      authConfig.emailVerification.policy = 'block-login';
+
+      const signup = await register();
+      expect(signup.status).toBe(201);
+      expect(signup.body.data).not.toHaveProperty('token');
+
+      const denied = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'sam@example.com', password: 'Student123' });
+      expect(denied.status).toBe(403);
+      expect(denied.body.message).toBe('Please verify your email before logging in.');
+
+      await verify(lastToken());
+      expect(await login('sam@example.com', 'Student123')).toHaveProperty('token');
+    });
+
+    it("'off' sends no links and asks for no verification", async () => {
+      authConfig.emailVerification.policy = 'off';
+
+      expect((await register()).status).toBe(201);
+      expect(verificationEmail).not.toHaveBeenCalled();
+
+      const { token } = await createAndLogin('student', {
+        email: 'unverified@example.com',
+        isEmailVerified: false,
+      });
+      expect((await enroll(token)).status).toBe(201);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const Course = require('../../models/Course');
+const Enrollment = require('../../models/Enrollment');
+const {
+  app, request, createUser, createAndLogin, bearer,
+} = require('../helpers');
+
+// Sign up a few learners and log them in
+const createLearners = (count) => Promise.all(
+  Array.from({ length: count }, (value, index) => createAndLogin('student', {
+    email: `learner${index + 1}@example.com`,
+  })),
+);
+
+const enroll = (learner, course) => request(app)
+  .post(`/api/courses/${course.id}/enroll`)
+  .set(bearer(learner.token));
+
+describe('Enrollments', () => {
+  let course;
+
+  beforeEach(async () => {
+    const instructor = await createUser('instructor');
+    course = await Course.create({
+      title: 'Seat-limited course',
+      description: 'Only two seats',
+      category: 'programming',
+      instructorId: instructor.id,
+      status: 'published',
+      isPublished: true,
+      maxEnrollments: 2,
+    });
+  });
+
+  it('never seats more learners than the course allows, even at the same time', async () => {
+    const learners = await createLearners(3);
+
+    const responses = await Promise.all(learners.map((learner) => enroll(learner, course)));
+    const statuses = responses.map((res) => res.status).sort();
+    expect(statuses).toEqual([201, 201, 409]);
+
+    expect((await Course.findById(course.id)).enrollmentCount).toBe(2);
+    expect(await Enrollment.count({ courseId: course.id, status: 'active' })).toBe(2);
+  });
+
+  it('frees the seat when a learner unenrolls', async () => {
+    const [first, second, third] = await createLearners(3);
+    const { enrollment } = (await enroll(first, course)).body.data;
+    await enroll(second, course);
+    expect((await enroll(third, course)).status).toBe(409);
+
+    const drop = await request(app)
+      .delete(`/api/enrollments/${enrollment.id}`)
+      .set(bearer(first.token));
+    expect(drop.status).toBe(200);
+
+    expect((await enroll(third, course)).status).toBe(201);
+    expect((await Course.findById(course.id)).enrollmentCount).toBe(2);
+  });
+
+  it('keeps nothing of an enrollment that failed part way', async () => {
+    const [learner] = await createLearners(1);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest
+      .spyOn(Course.prototype, 'updateCounters')
+      .mockRejectedValueOnce(new Error('Storage unavailable'));
+
+    expect((await enroll(learner, course)).status).toBe(500);
+    expect(await Enrollment.findByUserAndCourse(learner.user.id, course.id)).toBeNull();
+    expect((await Course.findById(course.id)).enrollmentCount).toBe(0);
+
+    jest.restoreAllMocks();
+    expect((await enroll(learner, course)).status).toBe(201);
+    expect((await Course.findById(course.id)).enrollmentCount).toBe(1);
+  });
+});
@@ -0,0 +1,148 @@
+const AuditLog = require('../../models/AuditLog');
+const Course = require('../../models/Course');
+const {
+  app, request, createAndLogin, bearer,
+} = require('../helpers');
+
+// Audit entries for requests are written once the response has finished
+const flushAudit = () => new Promise((resolve) => {
+  setTimeout(resolve, 20);
+});
+
+describe('Impersonation', () => {
+  let admin;
+  let student;
+
+  beforeEach(async () => {
+    admin = await createAndLogin('admin');
+    student = await createAndLogin('student');
+  });
+
+  const impersonate = (userId, body = { reason: 'Support ticket 42' }) => request(app)
+    .post(`/api/users/${userId}/impersonate`)
+    .set(bearer(admin.token))
+    .send(body);
+
+  it('lets an admin view the app as another user, marked on every response', async () => {
+    const start = await impersonate(student.user.id);
+    expect(start.status).toBe(201);
+
+    const res = await request(app).get('/api/auth/profile').set(bearer(start.body.data.token));
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.id).toBe(student.user.id);
+    expect(res.body.data.impersonatedBy.id).toBe(admin.user.id);
+    expect(res.headers['x-impersonating']).toBe(student.user.id);
+    expect(res.headers['x-impersonated-by']).toBe(admin.user.id);
+  });
+
+  it('needs a reason and a user who may be impersonated', async () => {
+    expect((await impersonate(student.user.id, {})).status).toBe(400);
+    expect((await impersonate(admin.user.id)).status).toBe(400);
+
+    const otherAdmin = await createAndLogin('admin', { email: 'admin2@example.com' });
+    expect((await impersonate(otherAdmin.user.id)).status).toBe(403);
+  });
+
+  it('is reserved for admins', async () => {
+    const other = await createAndLogin('student', { email: 'other@example.com' });
+
+    const res = await request(app)
+      .post(`/api/users/${other.user.id}/impersonate`)
+      .set(bearer(student.token))
+      .send({ reason: 'Curious' });
+    expect(res.status).toBe(403);
+  });
+
+  it('refuses account and security changes', async () => {
+    const { token } = (await impersonate(student.user.id)).body.data;
+
+    const responses = await Promise.all([
+      request(app)
+        .post('/api/auth/change-password')
+        .set(bearer(token))
+        .send({ currentPassword: 'Student123', newPassword: 'Changed123' }),
+      request(app).put('/api/auth/profile').set(bearer(token)).set('If-Match', '*')
+        .send({ bio: 'Set by an admin' }),
+      request(app).post('/api/auth/tokens').set(bearer(token))
+        .send({ name: 'Backdoor', scopes: ['users:read'] }),
+      request(app).post('/api/auth/2fa/setup').set(bearer(token)),
+      request(app).post(`/api/users/${admin.user.id}/impersonate`).set(bearer(token))
+        .send({ reason: 'Chained' }),
+    ]);
+
+    expect(responses.map((res) => res.status)).toEqual([403, 403, 403, 403, 403]);
+  });
+
+  it("refuses to delete, transfer or change the team of the user's courses", async () => {
+    const instructor = await createAndLogin('instructor');
+    const course = await Course.create({
+      title: 'Owned course',
+      description: 'Kept by its owner',
+      category: 'programming',
+      instructorId: instructor.user.id,
+    });
+    const { token } = (await impersonate(instructor.user.id)).body.data;
+
+    const responses = await Promise.all([
+      request(app).delete(`/api/courses/${course.id}`).set(bearer(token)),
+      request(app).post(`/api/courses/${course.id}/transfer`).set(bearer(token))
+        .send({ userId: student.user.id }),
+      request(app).post(`/api/courses/${course.id}/team/invitations`).set(bearer(token))
+        .send({ email: 'helper@example.com', role: 'teaching_assistant' }),
+    ]);
+
+    expect(responses.map((res) => res.status)).toEqual([403, 403, 403]);
+    expect(await Course.findById(course.id)).toMatchObject({ instructorId: instructor.user.id });
+  });
+
+  it('cannot be refreshed', async () => {
+    const { data } = (await impersonate(student.user.id)).body;
+
+    expect(data.refreshToken).toBeUndefined();
+  });
+
+  it('records the start, every request and the stop in the audit log', async () => {
+    const { token, sessionId } = (await impersonate(student.user.id)).body.data;
+    await request(app).get('/api/auth/profile').set(bearer(token));
+    await flushAudit();
+
+    const stop = await request(app).post('/api/users/impersonation/stop').set(bearer(token));
+    expect(stop.status).toBe(200);
+    await flushAudit();
+
+    const entries = await AuditLog.find({ actorId: admin.user.id });
+    const actions = entries.map((entry) => entry.action);
+    expect(actions).toEqual(
+      expect.arrayContaining([
+        'impersonation.start',
+        'impersonation.request',
+        'impersonation.stop',
+      ]),
+    );
+    entries.forEach((entry) => {
+      expect(entry.userId).toBe(student.user.id);
+    });
+    expect(entries.find((entry) => entry.action === 'impersonation.start').details).toMatchObject(
+      { reason: 'Support ticket 42', sessionId },
+    );
+
+    const log = await request(app)
+      .get('/api/users/audit-log')
+      .query({ action: 'impersonation.start' })
+      .set(bearer(admin.token));
+    expect(log.status).toBe(200);
+    expect(log.body.data.entries).toHaveLength(1);
+  });
+
+  it('ends when stopped or when the admin loses access', async () => {
+    const first = (await impersonate(student.user.id)).body.data;
+    await request(app).post('/api/users/impersonation/stop').set(bearer(first.token));
+    expect((await request(app).get('/api/auth/profile').set(bearer(first.token))).status).toBe(401);
+
+    const second = (await impersonate(student.user.id)).body.data;
+    await admin.user.update({ isActive: false });
+    expect((await request(app).get('/api/auth/profile').set(bearer(second.token))).status).toBe(
+      401,
+    );
+  });
+});
@@ -0,0 +1,113 @@
+const Course = require('../../models/Course');
+const Lesson = require('../../models/Lesson');
+const Assignment = require('../../models/Assignment');
+const {
+  app, request, createAndLogin, bearer,
+} = require('../helpers');
+
+describe('Course offerings', () => {
+  let instructor;
+  let master;
+  let lessons;
+
+  beforeEach(async () => {
+    instructor = await createAndLogin('instructor');
+    master = await Course.create({
+      title: 'Spring semester',
+      description: 'Taught every term',
+      category: 'programming',
+      instructorId: instructor.user.id,
+      timezone: 'Europe/Berlin',
+      // 09:00 CET, with the enrollment window closing at 23:59 CET
+      startDate: '2026-03-02T08:00:00.000Z',
+      endDate: '2026-03-27T16:00:00.000Z',
+      enrollmentClosesAt: '2026-03-01T22:59:00.000Z',
+    });
+    lessons = await Promise.all(
+      [1, 2].map((order) => Lesson.create({
+        courseId: master.id,
+        title: `Week ${order}`,
+        order,
+        isPublished: true,
+      })),
+    );
+    await Promise.all([
+      Assignment.create({
+        courseId: master.id,
+        lessonId: lessons[1].id,
+        title: 'Essay',
+        // 17:00 CET
+        dueDate: '2026-03-20T16:00:00.000Z',
+      }),
+      Assignment.create({ courseId: master.id, title: 'Project' }),
+    ]);
+  });
+
+  const createOffering = (course, body) => request(app)
+    .post(`/api/courses/${course.id}/offerings`)
+    .set(bearer(instructor.token))
+    .send(body);
+
+  it('copies lessons and assignments, moving every date by the start date', async () => {
+    // 09:00 CEST, five weeks later on the wall clock
+    const res = await createOffering(master, {
+      offeringName: 'Late spring',
+      startDate: '2026-04-06T07:00:00.000Z',
+      code: 'CS101-B',
+    });
+    expect(res.status).toBe(201);
+    expect(res.body.data.copied).toEqual({ lessons: 2, assignments: 2 });
+
+    const offering = res.body.data.course;
+    expect(offering).toMatchObject({
+      title: 'Spring semester',
+      code: 'CS101-B',
+      masterCourseId: master.id,
+      offeringName: 'Late spring',
+      isPublished: false,
+      startDate: '2026-04-06T07:00:00.000Z',
+      endDate: '2026-05-01T15:00:00.000Z',
+      enrollmentClosesAt: '2026-04-05T21:59:00.000Z',
+    });
+
+    const copiedLessons = await Lesson.findByCourse(offering.id);
+    expect(copiedLessons.map((lesson) => lesson.title).sort()).toEqual(['Week 1', 'Week 2']);
+    expect(copiedLessons.map((lesson) => lesson.id)).not.toContain(lessons[0].id);
+
+    const copiedAssignments = await Assignment.findByCourse(offering.id);
+    const essay = copiedAssignments.find((assignment) => assignment.title === 'Essay');
+    const week2 = copiedLessons.find((lesson) => lesson.title === 'Week 2');
+    expect(essay).toMatchObject({ lessonId: week2.id, dueDate: '2026-04-24T15:00:00.000Z' });
+    expect(copiedAssignments.find((assignment) => assignment.title === 'Project')).toMatchObject({
+      lessonId: null,
+      dueDate: null,
+    });
+
+    // The master keeps its own content
+    expect(await Assignment.findByCourse(master.id)).toHaveLength(2);
+    const listed = await request(app).get(`/api/courses/${master.id}/offerings`).set(bearer(instructor.token));
+    expect(listed.body.data.offerings.map((course) => course.id)).toEqual([offering.id]);
+  });
+
+  it('takes dates given for the offering over the moved ones', async () => {
+    const res = await createOffering(master, {
+      offeringName: 'Short run',
+      startDate: '2026-04-06T07:00:00.000Z',
+      endDate: '2026-04-17T15:00:00.000Z',
+    });
+
+    expect(res.body.data.course.endDate).toBe('2026-04-17T15:00:00.000Z');
+  });
+
+  it('refuses an offering of an offering, or without a name and start date', async () => {
+    const { course } = (
+      await createOffering(master, { offeringName: 'First', startDate: '2026-09-07T07:00:00.000Z' })
+    ).body.data;
+
+    const nested = await createOffering(course, { offeringName: 'Nested', startDate: '2027-01-04' });
+    expect(nested.status).toBe(400);
+    expect(nested.body.message).toMatch(/create offerings from its master course/);
+
+    expect((await createOffering(master, { startDate: '2027-01-04' })).status).toBe(400);
+  });
+});
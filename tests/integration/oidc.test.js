@@ -0,0 +1,132 @@
+const http = require('http');
+const authConfig = require('../../config/auth');
+const User = require('../../models/User');
+const { createMockOidcProvider } = require('../../scripts/mockOidcProvider');
+const {
+  app, request, createUser, bearer,
+} = require('../helpers');
+
+// Identities at the mock provider; email_verified: undefined leaves the claim out
+const IDP_USERS = [
+  {
+    sub: 'idp-new',
+    email: 'new.learner@school.test',
+    given_name: 'Nia',
+    family_name: 'New',
+    groups: ['lms-instructors'],
+  },
+  {
+    sub: 'idp-verified',
+    email: 'verified@school.test',
+    given_name: 'Sam',
+  },
+  {
+    sub: 'idp-unverified',
+    email: 'unverified@school.test',
+    given_name: 'Mallory',
+    email_verified: false,
+  },
+  {
+    sub: 'idp-no-claim',
+    email: 'no-claim@school.test',
+    given_name: 'Mallory',
+    email_verified: undefined,
+  },
+];
+
+describe('OpenID Connect sign-in', () => {
+  const originalConfig = { ...authConfig.oidc };
+  let idp;
+
+  beforeAll(async () => {
+    idp = http.createServer();
+    await new Promise((resolve) => {
+      idp.listen(0, '127.0.0.1', resolve);
+    });
+
+    const issuer = `http://127.0.0.1:${idp.address().port}`;
+    idp.on('request', createMockOidcProvider({ issuer, users: IDP_USERS }));
+    Object.assign(authConfig.oidc, {
+      enabled: true,
+      issuer,
+      clientId: 'lms',
+      clientSecret: 'lms-secret',
+      roleMapping: { 'lms-instructors': 'instructor' },
+    });
+  });
+
+  afterAll(async () => {
+    Object.assign(authConfig.oidc, originalConfig);
+    await new Promise((resolve) => {
+      idp.close(resolve);
+    });
+  });
+
+  afterEach(() => {
+    authConfig.oidc.trustEmail = false;
+  });
+
+  // Run the browser side of the flow: our login redirect, the provider, then our callback
+  const signIn = async (email) => {
+    const start = await request(app).get('/api/auth/oidc/login').query({ login_hint: email });
+    expect(start.status).toBe(302);
+
+    const authorize = new URL(start.headers.location);
+    const approved = await request(authorize.origin).get(`${authorize.pathname}${authorize.search}`);
+    expect(approved.status).toBe(302);
+
+    const { searchParams } = new URL(approved.headers.location);
+    return request(app).get('/api/auth/oidc/callback').query(Object.fromEntries(searchParams));
+  };
+
+  it('creates an account on first sign-in with the mapped role', async () => {
+    const res = await signIn('new.learner@school.test');
+    expect(res.status).toBe(200);
+    expect(res.body.data.user).toMatchObject({
+      email: 'new.learner@school.test',
+      role: 'instructor',
+      isEmailVerified: true,
+    });
+
+    const profile = await request(app).get('/api/auth/profile').set(bearer(res.body.data.token));
+    expect(profile.status).toBe(200);
+  });
+
+  it('links an existing account when the provider verified the email', async () => {
+    const local = await createUser('student', { email: 'verified@school.test' });
+
+    const res = await signIn('verified@school.test');
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.id).toBe(local.id);
+
+    const linked = await User.findById(local.id);
+    expect(linked.oidcSubject).toBe('idp-verified');
+  });
+
+  it.each([
+    ['says the email is unverified', 'unverified@school.test'],
+    ['leaves out email_verified', 'no-claim@school.test'],
+  ])('neither links nor creates an account when the provider %s', async (description, email) => {
+    const local = await createUser('student', { email });
+
+    const res = await signIn(email);
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/verified email/);
+
+    const untouched = await User.findById(local.id);
+    expect(untouched.oidcSubject).toBeFalsy();
+
+    await local.update({ email: 'someone.else@example.com' });
+    expect((await signIn(email)).status).toBe(403);
+    expect(await User.findByEmail(email)).toBeNull();
+  });
+
+  it('links without the claim only when the provider is trusted to vouch for emails', async () => {
+    authConfig.oidc.trustEmail = true;
+    const local = await createUser('student', { email: 'no-claim@school.test' });
+
+    const res = await signIn('no-claim@school.test');
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.id).toBe(local.id);
+  });
+});
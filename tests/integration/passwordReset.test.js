@@ -0,0 +1,96 @@
+const User = require('../../models/User');
+const emailService = require('../../services/emailService');
+const {
+  app, request, fixtureUser, createUser, login, bearer,
+} = require('../helpers');
+
+const NEW_PASSWORD = 'Renewed123';
+
+describe('Password reset', () => {
+  let user;
+  let resetEmail;
+
+  beforeEach(async () => {
+    user = await createUser('student');
+    resetEmail = jest.spyOn(emailService, 'sendPasswordResetEmail').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Ask for a reset link and return the token it carried
+  const requestReset = async (email = user.email) => {
+    await request(app).post('/api/auth/forgot-password').send({ email });
+    const { calls } = resetEmail.mock;
+    return calls.length > 0 ? calls[calls.length - 1][1] : null;
+  };
+  const reset = (token, password = NEW_PASSWORD) => request(app)
+    .post(`/api/auth/reset-password/${token}`)
+    .send({ password });
+
+  it('answers the same whether or not the account exists', async () => {
+    const known = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+    const unknown = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'nobody@example.com' });
+
+    expect(unknown.status).toBe(known.status);
+    expect(unknown.body.message).toBe(known.body.message);
+    expect(resetEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('sets the new password once and signs the user out everywhere', async () => {
+    const session = await login(user.email, fixtureUser('student').password);
+    const token = await requestReset();
+
+    const res = await reset(token);
+    expect(res.status).toBe(200);
+
+    expect((await request(app).get('/api/auth/profile').set(bearer(session.token))).status).toBe(401);
+    const refresh = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken });
+    expect(refresh.status).toBe(401);
+
+    expect(await login(user.email, NEW_PASSWORD)).toHaveProperty('token');
+    expect(await (await User.findById(user.id)).comparePassword(fixtureUser('student').password)).toBe(
+      false,
+    );
+
+    // The link works only once
+    const again = await reset(token, 'Another123');
+    expect(again.status).toBe(400);
+    expect(again.body.message).toBe('Password reset token is invalid or has expired');
+  });
+
+  it('refuses an expired token', async () => {
+    const token = await requestReset();
+    await (await User.findById(user.id)).update({ passwordResetExpires: Date.now() - 1000 });
+
+    expect((await reset(token)).status).toBe(400);
+    expect(await (await User.findById(user.id)).comparePassword(NEW_PASSWORD)).toBe(false);
+  });
+
+  it('keeps only the newest link', async () => {
+    const first = await requestReset();
+    const second = await requestReset();
+
+    expect((await reset(first)).status).toBe(400);
+    expect((await reset(second)).status).toBe(200);
+  });
+
+  it('refuses a weak password without using up the link', async () => {
+    const token = await requestReset();
+
+    expect((await reset(token, 'short')).status).toBe(400);
+    expect((await reset(token)).status).toBe(200);
+  });
+
+  it('lifts a lockout, since it proves control of the mailbox', async () => {
+    await user.update({ loginAttempts: 5, lockUntil: Date.now() + 60 * 60 * 1000 });
+
+    expect((await reset(await requestReset())).status).toBe(200);
+    expect(await User.findById(user.id)).toMatchObject({ loginAttempts: 0, lockUntil: null });
+  });
+});
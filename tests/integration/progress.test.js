@@ -0,0 +1,90 @@
+const Course = require('../../models/Course');
+const Lesson = require('../../models/Lesson');
+const {
+  app, request, createUser, createAndLogin, bearer,
+} = require('../helpers');
+
+describe('Lesson progress and reviews', () => {
+  let course;
+  let lessons;
+  let learner;
+
+  beforeEach(async () => {
+    const instructor = await createUser('instructor');
+    course = await Course.create({
+      title: 'Four lessons',
+      description: 'Reviewed once a fifth of it is done',
+      category: 'programming',
+      instructorId: instructor.id,
+      status: 'published',
+      isPublished: true,
+    });
+    lessons = await Promise.all(
+      [1, 2, 3, 4].map((order) => Lesson.create({
+        courseId: course.id,
+        title: `Lesson ${order}`,
+        order,
+        isPublished: true,
+      })),
+    );
+    await Lesson.create({ courseId: course.id, title: 'Draft lesson', order: 5 });
+
+    learner = await createAndLogin('student');
+  });
+
+  const enroll = () => request(app).post(`/api/courses/${course.id}/enroll`).set(bearer(learner.token));
+
+  const complete = (lesson) => request(app)
+    .post(`/api/lessons/${lesson.id}/complete`)
+    .set(bearer(learner.token));
+
+  const review = () => request(app)
+    .post(`/api/courses/${course.id}/reviews`)
+    .set(bearer(learner.token))
+    .send({ rating: 4, comment: 'Clear and well paced' });
+
+  it('is only tracked for enrolled learners', async () => {
+    expect((await complete(lessons[0])).status).toBe(403);
+  });
+
+  it('counts the share of published lessons completed', async () => {
+    await enroll();
+
+    const first = await complete(lessons[0]);
+    expect(first.status).toBe(200);
+    expect(first.body.data.enrollment.progress).toBe(25);
+
+    const again = await complete(lessons[0]);
+    expect(again.body.data.enrollment.progress).toBe(25);
+  });
+
+  it('lets a learner review the course once they have made enough progress', async () => {
+    await enroll();
+
+    const early = await review();
+    expect(early.status).toBe(403);
+    expect(early.body.message).toMatch(/Complete at least 20%/);
+
+    await complete(lessons[0]);
+    const res = await review();
+    expect(res.status).toBe(201);
+
+    const reviewed = await Course.findById(course.id);
+    expect(reviewed).toMatchObject({ rating: 4, reviewCount: 1 });
+    expect((await review()).status).toBe(409);
+  });
+
+  it('completes the enrollment with the last lesson', async () => {
+    await enroll();
+
+    // One lesson after another, as a learner would
+    const last = await lessons.reduce(
+      (previous, lesson) => previous.then(() => complete(lesson)),
+      Promise.resolve(),
+    );
+
+    const { enrollment } = last.body.data;
+    expect(enrollment).toMatchObject({ progress: 100, status: 'completed' });
+    expect((await Course.findById(course.id)).completionRate).toBe(100);
+  });
+});
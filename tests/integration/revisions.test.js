@@ -0,0 +1,110 @@
+const {
+  app, request, createAndLogin, bearer,
+} = require('../helpers');
+
+describe('Course revisions', () => {
+  let instructor;
+  let course;
+
+  beforeEach(async () => {
+    instructor = await createAndLogin('instructor');
+    const res = await request(app).post('/api/courses').set(bearer(instructor.token)).send({
+      title: 'Intro to Node.js',
+      description: 'Servers and streams',
+      category: 'programming',
+      tags: ['node', 'streams'],
+    });
+    ({ course } = res.body.data);
+  });
+
+  const edit = (body) => request(app)
+    .patch(`/api/courses/${course.id}`)
+    .set(bearer(instructor.token))
+    .set('If-Match', '*')
+    .send(body);
+  const get = (path, query = {}) => request(app)
+    .get(`/api/courses/${course.id}${path}`)
+    .query(query)
+    .set(bearer(instructor.token));
+
+  it('records each change and compares any two revisions', async () => {
+    await edit({ title: 'Node.js in depth', tags: ['node', 'http'] });
+    await edit({ description: 'Servers, streams and the event loop' });
+
+    const { revisions } = (await get('/revisions')).body.data;
+    expect(revisions.map((revision) => [revision.revision, revision.action])).toEqual([
+      [3, 'update'],
+      [2, 'update'],
+      [1, 'create'],
+    ]);
+    expect(revisions[1].changedFields).toEqual(['title', 'tags']);
+    expect(revisions[0].snapshot).toBeUndefined();
+
+    const diff = await get('/revisions/diff', { from: 1, to: 3 });
+    expect(diff.status).toBe(200);
+    expect(diff.body.data).toMatchObject({ from: 1, to: 3 });
+    expect(diff.body.data.changes).toEqual([
+      { field: 'title', from: 'Intro to Node.js', to: 'Node.js in depth' },
+      { field: 'description', from: 'Servers and streams', to: 'Servers, streams and the event loop' },
+      {
+        field: 'tags', from: ['node', 'streams'], to: ['node', 'http'], added: ['http'], removed: ['streams'],
+      },
+    ]);
+
+    // Against the latest revision when none is given
+    const latest = await get('/revisions/diff', { from: 2 });
+    expect(latest.body.data.changes.map((change) => change.field)).toEqual(['description']);
+
+    const one = await get('/revisions/2');
+    expect(one.body.data.revision.snapshot.title).toBe('Node.js in depth');
+  });
+
+  it('reverts the content as a new revision, leaving publication alone', async () => {
+    await edit({ title: 'Node.js in depth', tags: ['node', 'http'] });
+    await request(app).post(`/api/courses/${course.id}/publish`).set(bearer(instructor.token));
+    const current = await get('');
+
+    const res = await request(app)
+      .post(`/api/courses/${course.id}/revisions/1/revert`)
+      .set(bearer(instructor.token))
+      .set('If-Match', current.headers.etag);
+    expect(res.status).toBe(200);
+    expect(res.body.data.course).toMatchObject({
+      title: 'Intro to Node.js',
+      tags: ['node', 'streams'],
+      status: 'published',
+      isPublished: true,
+    });
+
+    const [revert] = (await get('/revisions')).body.data.revisions;
+    expect(revert).toMatchObject({
+      revision: 4,
+      action: 'revert',
+      revertedFrom: 1,
+      changedFields: ['title', 'tags'],
+      authorId: instructor.user.id,
+    });
+    expect((await get('/revisions/diff', { from: 1, to: 4 })).body.data.changes.map((change) => change.field)).toEqual(
+      ['isPublished', 'publishedAt', 'status'],
+    );
+  });
+
+  it('needs the ETag for a revert and known revisions for a diff', async () => {
+    const revert = (headers = {}) => request(app)
+      .post(`/api/courses/${course.id}/revisions/1/revert`)
+      .set(bearer(instructor.token))
+      .set(headers);
+
+    expect((await revert()).status).toBe(428);
+    expect((await revert({ 'If-Match': '"0"' })).status).toBe(412);
+    expect((await get('/revisions/diff')).status).toBe(400);
+    expect((await get('/revisions/diff', { from: 9 })).status).toBe(404);
+  });
+
+  it('is shown to the course staff only', async () => {
+    const student = await createAndLogin('student');
+
+    const res = await request(app).get(`/api/courses/${course.id}/revisions`).set(bearer(student.token));
+    expect(res.status).toBe(403);
+  });
+});
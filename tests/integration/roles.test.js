@@ -0,0 +1,123 @@
+const Course = require('../../models/Course');
+const User = require('../../models/User');
+const {
+  app, request, createUser, createAndLogin, bearer,
+} = require('../helpers');
+
+describe('Roles API', () => {
+  let admin;
+
+  beforeEach(async () => {
+    admin = await createAndLogin('admin');
+  });
+
+  const createRole = (body) => request(app).post('/api/roles').set(bearer(admin.token)).send(body);
+
+  it('lists the permission catalogue and the built-in roles to admins only', async () => {
+    const permissions = await request(app).get('/api/roles/permissions').set(bearer(admin.token));
+    expect(permissions.status).toBe(200);
+    expect(permissions.body.data.permissions).toContainEqual({
+      name: 'course.create',
+      description: 'Create courses',
+    });
+
+    const roles = await request(app).get('/api/roles').query({ scope: 'course' }).set(bearer(admin.token));
+    expect(roles.body.data.roles.map((role) => role.name).sort()).toEqual([
+      'co_instructor',
+      'teaching_assistant',
+    ]);
+
+    const student = await createAndLogin('student');
+    expect((await request(app).get('/api/roles').set(bearer(student.token))).status).toBe(403);
+  });
+
+  it('creates custom roles with known permissions and a free name', async () => {
+    const res = await createRole({ name: 'grader', permissions: ['grade.view', 'grade.view'] });
+    expect(res.status).toBe(201);
+    expect(res.body.data.role).toMatchObject({
+      name: 'grader',
+      scope: 'global',
+      permissions: ['grade.view'],
+      isSystem: false,
+      createdBy: admin.user.id,
+    });
+
+    const responses = await Promise.all([
+      createRole({ name: 'Grader!', permissions: [] }),
+      createRole({ name: 'auditor', permissions: ['grade.fly'] }),
+      createRole({ name: 'auditor', scope: 'team' }),
+      createRole({ name: 'grader', permissions: [] }),
+      createRole({ name: 'student' }),
+    ]);
+    expect(responses.map((response) => response.status)).toEqual([400, 400, 400, 409, 409]);
+  });
+
+  it('lets a custom global role be given to a user, and not deleted while held', async () => {
+    const { id } = (await createRole({ name: 'grader', permissions: ['grade.view'] })).body.data.role;
+    const user = await createUser('student');
+
+    const assign = await request(app)
+      .put(`/api/users/${user.id}/role`)
+      .set(bearer(admin.token))
+      .send({ role: 'grader' });
+    expect(assign.status).toBe(200);
+    expect((await User.findById(user.id)).role).toBe('grader');
+
+    const remove = () => request(app).delete(`/api/roles/${id}`).set(bearer(admin.token));
+    expect((await remove()).status).toBe(409);
+
+    await (await User.findById(user.id)).update({ role: 'student' });
+    expect((await remove()).status).toBe(200);
+    expect((await request(app).get(`/api/roles/${id}`).set(bearer(admin.token))).status).toBe(404);
+  });
+
+  it('protects the built-in roles', async () => {
+    const edit = await request(app)
+      .put('/api/roles/admin')
+      .set(bearer(admin.token))
+      .send({ permissions: [] });
+    expect(edit.status).toBe(400);
+
+    const remove = await request(app).delete('/api/roles/student').set(bearer(admin.token));
+    expect(remove.status).toBe(400);
+
+    const update = await request(app)
+      .put('/api/roles/teaching_assistant')
+      .set(bearer(admin.token))
+      .send({ permissions: ['grade.view'] });
+    expect(update.status).toBe(200);
+    expect(update.body.data.role.permissions).toEqual(['grade.view']);
+  });
+
+  it('assigns course-scoped roles in one course', async () => {
+    const [instructor, helper] = await Promise.all([
+      createUser('instructor'),
+      createUser('student'),
+      createRole({ name: 'moderator', scope: 'course', permissions: ['review.moderate'] }),
+      createRole({ name: 'grader', permissions: ['grade.view'] }),
+    ]);
+    const course = await Course.create({
+      title: 'Moderated course',
+      description: 'Has a moderator',
+      instructorId: instructor.id,
+    });
+
+    const assign = (role) => request(app)
+      .post('/api/roles/assignments')
+      .set(bearer(admin.token))
+      .send({ userId: helper.id, courseId: course.id, role });
+
+    const res = await assign('moderator');
+    expect(res.status).toBe(201);
+    expect(res.body.data.assignment).toMatchObject({ userId: helper.id, role: 'moderator' });
+
+    expect((await assign('moderator')).status).toBe(409);
+    expect((await assign('grader')).status).toBe(400);
+
+    const listed = await request(app)
+      .get('/api/roles/assignments')
+      .query({ courseId: course.id })
+      .set(bearer(admin.token));
+    expect(listed.body.data.assignments).toHaveLength(1);
+  });
+});
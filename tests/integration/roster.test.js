@@ -0,0 +1,112 @@
+const User = require('../../models/User');
+const Course = require('../../models/Course');
+const Enrollment = require('../../models/Enrollment');
+const emailService = require('../../services/emailService');
+const {
+  app, request, createUser, createAndLogin, bearer,
+} = require('../helpers');
+
+describe('Roster import', () => {
+  let admin;
+  let course;
+
+  beforeEach(async () => {
+    admin = await createAndLogin('admin');
+    const instructor = await createUser('instructor');
+    course = await Course.create({
+      title: 'Computer science',
+      description: 'Imported learners',
+      code: 'CS101',
+      instructorId: instructor.id,
+      status: 'published',
+      isPublished: true,
+    });
+    jest.spyOn(emailService, 'sendInvitationEmail').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const importRoster = (csv, query = {}) => request(app)
+    .post('/api/users/import')
+    .query(query)
+    .set(bearer(admin.token))
+    .send({ csv });
+
+  const ROSTER = [
+    'Email,First Name,Last Name,Role,Courses',
+    'ada@example.com,Ada,Lovelace,,cs101',
+    '"alan@example.com","Alan","Turing, OBE",student,CS101;NOPE1',
+    'not-an-email,Nobody,,,',
+    'ADA@example.com,Ada,Again,,',
+    'grace@example.com,,Hopper,,',
+    'root@example.com,Root,,wizard,',
+  ].join('\r\n');
+
+  it('reports what a dry run would do without changing anything', async () => {
+    const res = await importRoster(ROSTER, { dryRun: 'true' });
+    expect(res.status).toBe(200);
+
+    const { summary, rows } = res.body.data;
+    expect(summary).toEqual({
+      rows: 6, created: 1, updated: 0, unchanged: 0, failed: 5, enrollments: 1,
+    });
+    expect(rows[0]).toMatchObject({ row: 2, action: 'create', enroll: ['CS101'] });
+    expect(rows.slice(1).map((row) => row.errors)).toEqual([
+      ['Unknown course code NOPE1'],
+      ['Invalid email address "not-an-email"'],
+      ['Same email as row 2'],
+      ['First name is required for new users'],
+      ['Unknown role "wizard"'],
+    ]);
+
+    expect(await User.findByEmail('ada@example.com')).toBeNull();
+    expect(emailService.sendInvitationEmail).not.toHaveBeenCalled();
+  });
+
+  it('applies the rows without errors, and changes nothing when run again', async () => {
+    const res = await importRoster(ROSTER);
+    expect(res.body.data.summary).toMatchObject({ created: 1, failed: 5, enrollments: 1 });
+    expect(res.body.data.rows[0].invited).toBe(true);
+
+    const ada = await User.findByEmail('ada@example.com');
+    expect(ada).toMatchObject({ firstName: 'Ada', lastName: 'Lovelace', role: 'student' });
+    expect(await Enrollment.findByUserAndCourse(ada.id, course.id)).toMatchObject({
+      status: 'active',
+    });
+    expect((await Course.findById(course.id)).enrollmentCount).toBe(1);
+
+    const again = await importRoster('email,courses\nada@example.com,CS101\n');
+    expect(again.body.data.rows[0]).toMatchObject({
+      action: 'unchanged',
+      enroll: [],
+      alreadyEnrolled: ['CS101'],
+    });
+    expect(await Enrollment.count({ courseId: course.id })).toBe(1);
+  });
+
+  it('updates existing accounts and skips their current enrollments', async () => {
+    const student = await createUser('student');
+    await Enrollment.create({ userId: student.id, courseId: course.id });
+
+    const res = await importRoster(`email,first_name,role,courses\n${student.email},Samira,instructor,CS101\n`);
+    expect(res.body.data.rows[0]).toMatchObject({
+      action: 'update',
+      changes: ['firstName', 'role'],
+      alreadyEnrolled: ['CS101'],
+    });
+    expect(await User.findById(student.id)).toMatchObject({ firstName: 'Samira', role: 'instructor' });
+    expect(await Enrollment.count({ userId: student.id, courseId: course.id })).toBe(1);
+  });
+
+  it('refuses a file it cannot read', async () => {
+    const responses = await Promise.all([
+      importRoster('name\nAda\n'),
+      importRoster('email\n'),
+      importRoster('email\n"ada@example.com'),
+    ]);
+    expect(responses.map((res) => res.status)).toEqual([400, 400, 400]);
+    expect(responses[2].body.message).toBe('The CSV could not be read: Unterminated quoted field');
+  });
+});
@@ -0,0 +1,170 @@
+const Course = require('../../models/Course');
+const CourseInvitation = require('../../models/CourseInvitation');
+const CourseRevision = require('../../models/CourseRevision');
+const RoleAssignment = require('../../models/RoleAssignment');
+const emailService = require('../../services/emailService');
+const {
+  app, request, createAndLogin, bearer,
+} = require('../helpers');
+
+describe('Teaching team', () => {
+  let owner;
+  let colleague;
+  let course;
+
+  beforeEach(async () => {
+    [owner, colleague] = await Promise.all([
+      createAndLogin('instructor'),
+      createAndLogin('instructor', { email: 'colleague@example.com' }),
+    ]);
+    course = await Course.create({
+      title: 'Team taught',
+      description: 'More than one teacher',
+      category: 'programming',
+      instructorId: owner.user.id,
+    });
+    jest.spyOn(emailService, 'sendCourseInvitationEmail').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const invite = (email, role = 'co_instructor', token = owner.token) => request(app)
+    .post(`/api/courses/${course.id}/team/invitations`)
+    .set(bearer(token))
+    .send({ email, role });
+  const respond = (invitation, answer, token = colleague.token) => request(app)
+    .post(`/api/invitations/${invitation.id}/${answer}`)
+    .set(bearer(token));
+  const team = async () => (
+    await request(app).get(`/api/courses/${course.id}/team`).set(bearer(owner.token))
+  ).body.data;
+
+  it('adds a co-instructor who accepts an invitation', async () => {
+    const sent = await invite('Colleague@Example.com');
+    expect(sent.status).toBe(201);
+    const { invitation } = sent.body.data;
+    expect(invitation).toMatchObject({ email: 'colleague@example.com', status: 'pending' });
+    expect(emailService.sendCourseInvitationEmail).toHaveBeenCalledTimes(1);
+
+    expect((await invite('colleague@example.com')).status).toBe(409);
+    expect((await invite('colleague@example.com', 'owner')).status).toBe(400);
+    expect((await invite('someone@example.com', 'co_instructor', colleague.token)).status).toBe(403);
+
+    const mine = await request(app).get('/api/invitations').set(bearer(colleague.token));
+    expect(mine.body.data.invitations.map((open) => open.id)).toEqual([invitation.id]);
+
+    expect((await respond(invitation, 'accept', owner.token)).status).toBe(404);
+    const accepted = await respond(invitation, 'accept');
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.data.invitation).toMatchObject({
+      status: 'accepted',
+      respondedBy: colleague.user.id,
+    });
+
+    expect((await Course.findById(course.id)).coInstructors).toEqual([colleague.user.id]);
+    const { members, invitations } = await team();
+    expect(members.map((member) => [member.user.id, member.role])).toEqual([
+      [owner.user.id, 'owner'],
+      [colleague.user.id, 'co_instructor'],
+    ]);
+    expect(invitations).toEqual([]);
+
+    expect((await respond(invitation, 'accept')).status).toBe(409);
+    expect((await invite('colleague@example.com', 'teaching_assistant')).status).toBe(409);
+  });
+
+  it('leaves the team alone when an invitation is declined, revoked or expired', async () => {
+    const declined = (await invite('colleague@example.com')).body.data.invitation;
+    expect((await respond(declined, 'decline')).body.data.invitation.status).toBe('declined');
+    expect((await respond(declined, 'accept')).status).toBe(409);
+
+    const revoked = (await invite('colleague@example.com')).body.data.invitation;
+    const revoke = () => request(app)
+      .delete(`/api/courses/${course.id}/team/invitations/${revoked.id}`)
+      .set(bearer(owner.token));
+    expect((await revoke()).body.data.invitation.status).toBe('revoked');
+    expect((await revoke()).status).toBe(409);
+    expect((await respond(revoked, 'accept')).status).toBe(409);
+
+    const expired = (await invite('colleague@example.com')).body.data.invitation;
+    await (await CourseInvitation.findById(expired.id)).update({
+      expiresAt: new Date(Date.now() - 1000).toISOString(),
+    });
+    const late = await respond(expired, 'accept');
+    expect(late.status).toBe(409);
+    expect(late.body.message).toBe('This invitation is expired');
+    expect((await team()).invitations).toEqual([]);
+
+    expect((await Course.findById(course.id)).coInstructors).toEqual([]);
+    // A new invitation can be sent once the last one has expired
+    expect((await invite('colleague@example.com')).status).toBe(201);
+  });
+
+  it('moves members between roles and off the team', async () => {
+    const { invitation } = (await invite('colleague@example.com', 'teaching_assistant')).body.data;
+    await respond(invitation, 'accept');
+    const roles = async () => (
+      await RoleAssignment.find({ userId: colleague.user.id, courseId: course.id })
+    ).map((assignment) => assignment.role);
+    expect(await roles()).toEqual(['teaching_assistant']);
+
+    const promote = await request(app)
+      .patch(`/api/courses/${course.id}/team/${colleague.user.id}`)
+      .set(bearer(owner.token))
+      .send({ role: 'co_instructor' });
+    expect(promote.status).toBe(200);
+    expect(await roles()).toEqual([]);
+    expect((await Course.findById(course.id)).coInstructors).toEqual([colleague.user.id]);
+
+    const remove = (userId) => request(app)
+      .delete(`/api/courses/${course.id}/team/${userId}`)
+      .set(bearer(owner.token));
+    expect((await remove(owner.user.id)).status).toBe(400);
+    expect((await remove(colleague.user.id)).status).toBe(200);
+    expect((await remove(colleague.user.id)).status).toBe(404);
+    expect((await Course.findById(course.id)).coInstructors).toEqual([]);
+  });
+
+  describe('ownership transfer', () => {
+    const transfer = (userId, token = owner.token) => request(app)
+      .post(`/api/courses/${course.id}/transfer`)
+      .set(bearer(token))
+      .send({ userId });
+
+    it('hands the course to a co-instructor, keeping the old owner on the team', async () => {
+      await course.update({ coInstructors: [colleague.user.id] });
+
+      expect((await transfer(colleague.user.id, colleague.token)).status).toBe(403);
+
+      const res = await transfer(colleague.user.id);
+      expect(res.status).toBe(200);
+      expect(res.body.data.course).toMatchObject({
+        instructorId: colleague.user.id,
+        coInstructors: [owner.user.id],
+        slug: 'team-taught',
+      });
+
+      const [revision] = await CourseRevision.findByCourse(course.id, { limit: 1 });
+      expect(revision).toMatchObject({ action: 'transfer', authorId: owner.user.id });
+      expect((await transfer(colleague.user.id)).status).toBe(403);
+    });
+
+    it('refuses a new owner who is not a co-instructor or cannot create courses', async () => {
+      const refused = await transfer(colleague.user.id);
+      expect(refused.status).toBe(400);
+      expect(refused.body.message).toBe(
+        'A course can only be transferred to one of its co-instructors',
+      );
+
+      const student = await createAndLogin('student');
+      await course.update({ coInstructors: [student.user.id] });
+      expect((await transfer(student.user.id)).body.message).toBe(
+        'The new owner must be allowed to create courses',
+      );
+      expect((await transfer()).status).toBe(400);
+      expect((await Course.findById(course.id)).instructorId).toBe(owner.user.id);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const Organization = require('../../models/Organization');
+const User = require('../../models/User');
+const { loginLimiter } = require('../../middleware/rateLimiter');
+const {
+  app, request, fixtureUser, createUser, login, createAndLogin, bearer,
+} = require('../helpers');
+
+const inOrganization = (organization) => ({ 'X-Organization': organization.slug });
+
+const newCourse = {
+  title: 'Northside algebra',
+  description: 'Only for Northside learners',
+  category: 'mathematics',
+};
+
+describe('Organizations', () => {
+  let north;
+  let south;
+
+  beforeEach(async () => {
+    loginLimiter.resetKey('127.0.0.1');
+    loginLimiter.resetKey('::ffff:127.0.0.1');
+    north = await Organization.create({ name: 'Northside', slug: 'northside' });
+    south = await Organization.create({ name: 'Southside', slug: 'southside' });
+  });
+
+  it("keeps each organization's records to itself", async () => {
+    const author = await createAndLogin('instructor', { organizationId: north.id });
+    const outsider = await createAndLogin('instructor', {
+      email: 'south.instructor@example.com',
+      organizationId: south.id,
+    });
+
+    const created = await request(app).post('/api/courses').set(bearer(author.token)).send(newCourse);
+    expect(created.status).toBe(201);
+    expect(created.body.data.course.organizationId).toBe(north.id);
+
+    const { id } = created.body.data.course;
+    expect((await request(app).get(`/api/courses/${id}`).set(bearer(author.token))).status).toBe(
+      200,
+    );
+    expect((await request(app).get(`/api/courses/${id}`).set(bearer(outsider.token))).status).toBe(
+      404,
+    );
+  });
+
+  it('refuses a token used with another organization', async () => {
+    const member = await createAndLogin('student', { organizationId: north.id });
+
+    const res = await request(app)
+      .get('/api/auth/profile')
+      .set(inOrganization(south))
+      .set(bearer(member.token));
+    expect(res.status).toBe(401);
+  });
+
+  it('lets the same email register in two organizations', async () => {
+    const signUp = (organization) => request(app)
+      .post('/api/auth/register')
+      .set(inOrganization(organization))
+      .send({ firstName: 'Sam', email: 'sam@example.com', password: 'Student123' });
+
+    expect((await signUp(north)).status).toBe(201);
+    expect((await signUp(south)).status).toBe(201);
+    expect((await signUp(north)).status).toBe(409);
+
+    const accounts = await User.findAllByEmail('sam@example.com');
+    expect(accounts.map((account) => account.organizationId).sort()).toEqual(
+      [north.id, south.id].sort(),
+    );
+  });
+
+  it('keeps platform users out of the organization they work in', async () => {
+    const admin = await createAndLogin('admin');
+
+    const res = await request(app)
+      .put('/api/auth/profile')
+      .set(inOrganization(north))
+      .set(bearer(admin.token))
+      .set('If-Match', '*')
+      .send({ bio: 'Helping Northside' });
+    expect(res.status).toBe(200);
+
+    expect((await User.findById(admin.user.id)).organizationId).toBeNull();
+    expect((await request(app).get('/api/auth/profile').set(bearer(admin.token))).status).toBe(200);
+  });
+
+  describe('logging in with an email used in several organizations', () => {
+    const { email, password } = fixtureUser('student');
+    let northAccount;
+    let southAccount;
+
+    // Give the Southside account the Northside account's password
+    const shareNorthPassword = async () => {
+      southAccount.password = password;
+      await southAccount.hashPassword();
+      await southAccount.save();
+    };
+
+    beforeEach(async () => {
+      northAccount = await createUser('student', { organizationId: north.id });
+      southAccount = await createUser('student', {
+        organizationId: south.id,
+        password: 'Southside123',
+      });
+    });
+
+    it("uses the named organization's account", async () => {
+      const data = await login(email, 'Southside123', inOrganization(south));
+      expect(data.user.id).toBe(southAccount.id);
+
+      expect(await login(email, password, inOrganization(south))).toBeUndefined();
+    });
+
+    it('picks the account the password belongs to when no organization is named', async () => {
+      expect((await login(email, password)).user.id).toBe(northAccount.id);
+      expect((await login(email, 'Southside123')).user.id).toBe(southAccount.id);
+    });
+
+    it('counts a wrong password against every account', async () => {
+      const res = await request(app).post('/api/auth/login').send({ email, password: 'Wrong1234' });
+      expect(res.status).toBe(401);
+
+      const accounts = await User.findAllByEmail(email);
+      expect(accounts.map((account) => account.loginAttempts)).toEqual([1, 1]);
+    });
+
+    it('asks for the organization when the password fits more than one account', async () => {
+      await shareNorthPassword();
+
+      const res = await request(app).post('/api/auth/login').send({ email, password });
+      expect(res.status).toBe(409);
+      expect(res.body.message).toMatch(/X-Organization/);
+
+      const data = await login(email, password, inOrganization(north));
+      expect(data.user.id).toBe(northAccount.id);
+    });
+
+    it('skips locked accounts', async () => {
+      await northAccount.update({ lockUntil: Date.now() + 60 * 60 * 1000 });
+      await shareNorthPassword();
+
+      const data = await login(email, password);
+      expect(data.user.id).toBe(southAccount.id);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const User = require('../../models/User');
+const Course = require('../../models/Course');
+const Enrollment = require('../../models/Enrollment');
+const { purgeExpired } = require('../../services/trashService');
+const {
+  app, request, createUser, createAndLogin, bearer,
+} = require('../helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Trash', () => {
+  let admin;
+  let student;
+  let instructor;
+  let course;
+
+  beforeEach(async () => {
+    admin = await createAndLogin('admin');
+    student = await createAndLogin('student');
+    instructor = await createUser('instructor');
+    course = await Course.create({
+      title: 'Owned course',
+      description: 'Has an owner and a learner',
+      category: 'programming',
+      instructorId: instructor.id,
+      status: 'published',
+      isPublished: true,
+    });
+    await request(app).post(`/api/courses/${course.id}/enroll`).set(bearer(student.token));
+  });
+
+  const trash = (type) => request(app).get(`/api/trash/${type}`).set(bearer(admin.token));
+  const restore = (type, id) => request(app)
+    .post(`/api/trash/${type}/${id}/restore`)
+    .set(bearer(admin.token));
+  const purge = (type, id) => request(app).delete(`/api/trash/${type}/${id}`).set(bearer(admin.token));
+
+  it('keeps a deleted user signed out until restored', async () => {
+    const remove = await request(app).delete(`/api/users/${student.user.id}`).set(bearer(admin.token));
+    expect(remove.status).toBe(200);
+    expect((await request(app).get('/api/auth/profile').set(bearer(student.token))).status).toBe(401);
+
+    const listed = await trash('users');
+    expect(listed.body.data.items).toEqual([
+      expect.objectContaining({ id: student.user.id, deletedBy: admin.user.id }),
+    ]);
+    const { deletedAt, purgeAt } = listed.body.data.items[0];
+    expect(new Date(purgeAt) - new Date(deletedAt)).toBe(listed.body.data.retentionDays * DAY);
+
+    expect((await restore('users', student.user.id)).status).toBe(200);
+    expect(await User.findById(student.user.id)).not.toBeNull();
+    expect((await restore('users', student.user.id)).status).toBe(404);
+  });
+
+  it('refuses to restore a user whose email has been taken since', async () => {
+    await student.user.softDelete(admin.user.id);
+    await createUser('student');
+
+    expect((await restore('users', student.user.id)).status).toBe(409);
+  });
+
+  it('purges a user with their enrollments, and recounts the course', async () => {
+    expect((await Course.findById(course.id)).enrollmentCount).toBe(1);
+    expect((await purge('users', student.user.id)).status).toBe(404);
+
+    await student.user.softDelete(admin.user.id);
+    const res = await purge('users', student.user.id);
+    expect(res.status).toBe(200);
+    expect(res.body.data.removed).toMatchObject({ users: 1, enrollments: 1 });
+
+    expect(await User.findById(student.user.id, { withDeleted: true })).toBeNull();
+    expect(await Enrollment.count({ userId: student.user.id })).toBe(0);
+    expect((await Course.findById(course.id)).enrollmentCount).toBe(0);
+  });
+
+  it('keeps a user who still owns courses until the courses are purged', async () => {
+    await instructor.softDelete(admin.user.id);
+
+    const refused = await purge('users', instructor.id);
+    expect(refused.status).toBe(409);
+    expect(refused.body.message).toMatch(/still owns 1 course/);
+
+    await Course.deleteById(course.id, admin.user.id);
+    expect((await purge('users', instructor.id)).status).toBe(409);
+
+    expect((await purge('courses', course.id)).status).toBe(200);
+    expect((await purge('users', instructor.id)).status).toBe(200);
+  });
+
+  it('purges what has expired, courses before their owners', async () => {
+    const other = await createUser('instructor', { email: 'other@example.com' });
+    await Course.create({
+      title: 'Still running',
+      description: 'Keeps its owner in the trash',
+      instructorId: other.id,
+    });
+    await Promise.all([
+      instructor.softDelete(admin.user.id),
+      Course.deleteById(course.id, admin.user.id),
+      other.softDelete(admin.user.id),
+    ]);
+
+    const later = new Date(Date.now() + 365 * DAY);
+    expect(await purgeExpired({ now: later })).toEqual({ courses: 1, users: 1 });
+    expect(await User.findById(instructor.id, { withDeleted: true })).toBeNull();
+    expect(await User.findById(other.id, { withDeleted: true })).not.toBeNull();
+  });
+});
@@ -0,0 +1,152 @@
+const twoFactorService = require('../../services/twoFactorService');
+const {
+  app, request, fixtureUser, createUser, login, createAndLogin, bearer,
+} = require('../helpers');
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+// Turn on 2FA for a logged-in user; returns the secret and recovery codes
+const enableTwoFactor = async (token) => {
+  const setup = await request(app).post('/api/auth/2fa/setup').set(bearer(token));
+  const { secret } = setup.body.data;
+
+  const enable = await request(app)
+    .post('/api/auth/2fa/enable')
+    .set(bearer(token))
+    .send({ code: twoFactorService.generateTotp(secret, currentStep()) });
+  expect(enable.status).toBe(200);
+
+  return { secret, recoveryCodes: enable.body.data.recoveryCodes };
+};
+
+const verify = (body) => request(app).post('/api/auth/2fa/verify').send(body);
+
+describe('Two-factor authentication', () => {
+  let user;
+  let secret;
+  let recoveryCodes;
+
+  beforeEach(async () => {
+    const session = await createAndLogin('instructor');
+    ({ user } = session);
+    ({ secret, recoveryCodes } = await enableTwoFactor(session.token));
+  });
+
+  const passwordStep = () => login(user.email, fixtureUser('instructor').password);
+
+  it('asks for a code after the password and logs in with it', async () => {
+    const challenge = await passwordStep();
+    expect(challenge).toMatchObject({ twoFactorRequired: true });
+    expect(challenge.token).toBeUndefined();
+
+    // Enrollment used the current step, so the next one is the first unused code
+    const res = await verify({
+      challengeToken: challenge.challengeToken,
+      code: twoFactorService.generateTotp(secret, currentStep() + 1),
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toBeDefined();
+  });
+
+  it('refuses a code that was already used', async () => {
+    const code = twoFactorService.generateTotp(secret, currentStep() + 1);
+    const first = await passwordStep();
+    expect((await verify({ challengeToken: first.challengeToken, code })).status).toBe(200);
+
+    const second = await passwordStep();
+    const res = await verify({ challengeToken: second.challengeToken, code });
+    expect(res.status).toBe(401);
+  });
+
+  it('refuses wrong codes', async () => {
+    const challenge = await passwordStep();
+
+    const res = await verify({ challengeToken: challenge.challengeToken, code: '000000' });
+    expect(res.status).toBe(401);
+  });
+
+  it('does not accept the challenge token as an access token', async () => {
+    const challenge = await passwordStep();
+
+    const res = await request(app).get('/api/auth/profile').set(bearer(challenge.challengeToken));
+    expect(res.status).toBe(401);
+  });
+
+  it('accepts each recovery code once', async () => {
+    const first = await passwordStep();
+    const res = await verify({
+      challengeToken: first.challengeToken,
+      recoveryCode: recoveryCodes[0],
+    });
+    expect(res.status).toBe(200);
+
+    const second = await passwordStep();
+    const reuse = await verify({
+      challengeToken: second.challengeToken,
+      recoveryCode: recoveryCodes[0],
+    });
+    expect(reuse.status).toBe(401);
+
+    const next = await verify({
+      challengeToken: second.challengeToken,
+      recoveryCode: recoveryCodes[1],
+    });
+    expect(next.status).toBe(200);
+  });
+
+  it('replaces the recovery codes on request', async () => {
+    const challenge = await passwordStep();
+    const { token } = (
+      await verify({ challengeToken: challenge.challengeToken, recoveryCode: recoveryCodes[0] })
+    ).body.data;
+
+    const res = await request(app)
+      .post('/api/auth/2fa/recovery-codes')
+      .set(bearer(token))
+      .send({ code: twoFactorService.generateTotp(secret, currentStep() + 1) });
+    expect(res.status).toBe(200);
+    expect(res.body.data.recoveryCodes).toHaveLength(10);
+
+    const next = await passwordStep();
+    const old = await verify({
+      challengeToken: next.challengeToken,
+      recoveryCode: recoveryCodes[1],
+    });
+    expect(old.status).toBe(401);
+  });
+});
+
+describe('Two-factor policy', () => {
+  it('makes users of a required role enroll before they get a session', async () => {
+    const admin = await createAndLogin('admin');
+    const policy = await request(app)
+      .put('/api/auth/2fa/policy')
+      .set(bearer(admin.token))
+      .send({ requiredRoles: ['instructor'] });
+    expect(policy.status).toBe(200);
+
+    const instructor = await createUser('instructor');
+    const challenge = await login(instructor.email, fixtureUser('instructor').password);
+    expect(challenge).toMatchObject({ twoFactorSetupRequired: true });
+    expect(challenge.token).toBeUndefined();
+
+    // The challenge token is sent in the body instead of an access token
+    const { challengeToken } = challenge;
+    const setup = await request(app).post('/api/auth/2fa/setup').send({ challengeToken });
+    expect(setup.status).toBe(200);
+
+    const enable = await request(app)
+      .post('/api/auth/2fa/enable')
+      .send({
+        challengeToken,
+        code: twoFactorService.generateTotp(setup.body.data.secret, currentStep()),
+      });
+    expect(enable.status).toBe(200);
+    expect(enable.body.data.token).toBeDefined();
+    expect(enable.body.data.recoveryCodes).toHaveLength(10);
+
+    // The setup challenge only opens the enrollment endpoints
+    const profile = await request(app).get('/api/auth/profile').set(bearer(challengeToken));
+    expect(profile.status).toBe(401);
+  });
+});
@@ -0,0 +1,68 @@
+const User = require('../../models/User');
+const {
+  app, request, createAndLogin, bearer,
+} = require('../helpers');
+
+const register = (email) => request(app)
+  .post('/api/auth/register')
+  .send({ firstName: 'Sam', email, password: 'Student123' });
+
+describe('Unique fields', () => {
+  it('lets only one of two racing sign-ups have an email', async () => {
+    const responses = await Promise.all([
+      register('sam@example.com'),
+      register('Sam@Example.com'),
+    ]);
+
+    expect(responses.map((res) => res.status).sort()).toEqual([201, 409]);
+    expect(await User.count({ email: 'sam@example.com' })).toBe(1);
+  });
+
+  it('frees the email of an account in the trash', async () => {
+    expect((await register('sam@example.com')).status).toBe(201);
+    await (await User.findByEmail('sam@example.com')).softDelete();
+
+    expect((await register('sam@example.com')).status).toBe(201);
+  });
+
+  describe('course codes', () => {
+    let instructor;
+
+    const createCourse = (code) => request(app)
+      .post('/api/courses')
+      .set(bearer(instructor.token))
+      .send({
+        title: `Course ${code}`,
+        description: 'Has a code',
+        category: 'programming',
+        code,
+      });
+
+    beforeEach(async () => {
+      instructor = await createAndLogin('instructor');
+    });
+
+    it('refuses a second course with the same code', async () => {
+      expect((await createCourse('CS101')).status).toBe(201);
+
+      const res = await createCourse('cs101');
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe('This code is already in use. Please use another value.');
+    });
+
+    it('refuses to change a course to a code in use', async () => {
+      await createCourse('CS101');
+      const other = (await createCourse('CS102')).body.data.course;
+
+      const res = await request(app)
+        .patch(`/api/courses/${other.id}`)
+        .set(bearer(instructor.token))
+        .set('If-Match', '*')
+        .send({ code: 'CS101' });
+      expect(res.status).toBe(409);
+
+      const unchanged = await request(app).get(`/api/courses/${other.id}`).set(bearer(instructor.token));
+      expect(unchanged.body.data.course.code).toBe('CS102');
+    });
+  });
+});
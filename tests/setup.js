@@ -0,0 +1,25 @@
+/**
+ * Jest setup
+ * Runs before every test file: the API uses the in-memory database (emptied
+ * before each test), a fixed JWT secret, and keeps its log output out of the
+ * test report.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.DB_DRIVER = 'memory';
+
+jest.mock('../utils/logger');
+
+// Passwords are hashed at full cost, so tests that sign up several users take a few seconds
+jest.setTimeout(20000);
+
+const { getAdapter, disconnect } = require('../database/connection');
+
+beforeEach(async () => {
+  await getAdapter().clear();
+});
+
+afterAll(async () => {
+  await disconnect();
+});
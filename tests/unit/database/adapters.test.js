@@ -0,0 +1,232 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryAdapter = require('../../../database/adapters/memoryAdapter');
+const JsonFileAdapter = require('../../../database/adapters/jsonFileAdapter');
+const SqliteAdapter = require('../../../database/adapters/sqliteAdapter');
+const { defineIndex } = require('../../../database/indexes');
+const { DuplicateKeyError } = require('../../../database/errors');
+
+/**
+ * Every adapter has to behave the same behind the repositories, so the same
+ * contract runs against each of them.
+ */
+
+const jsonDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'lms-json-adapter-'));
+
+const ADAPTERS = [
+  ['memory', () => new MemoryAdapter()],
+  ['json', () => new JsonFileAdapter({ directory: jsonDirectory })],
+  ['sqlite', () => new SqliteAdapter({ filename: ':memory:' })],
+];
+
+const people = [
+  {
+    id: 'p1', name: 'Ada', age: 36, tags: ['math'], team: 'a',
+  },
+  {
+    id: 'p2', name: 'Grace', age: 45, tags: ['navy', 'cobol'], team: 'b',
+  },
+  {
+    id: 'p3', name: 'Linus', age: 28, tags: [], team: 'a',
+  },
+  {
+    id: 'p4', name: 'Margaret', age: 33, team: null,
+  },
+];
+
+afterAll(() => {
+  fs.rmSync(jsonDirectory, { recursive: true, force: true });
+});
+
+describe.each(ADAPTERS)('%s adapter', (name, createAdapter) => {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = createAdapter();
+    await adapter.connect();
+    await adapter.clear();
+    await adapter.saveMany('people', people);
+  });
+
+  afterEach(async () => {
+    await adapter.close();
+  });
+
+  const ids = (records) => records.map((record) => record.id);
+
+  describe('reads', () => {
+    it('finds records by id and returns copies', async () => {
+      const record = await adapter.findById('people', 'p1');
+      expect(record).toEqual(people[0]);
+
+      record.name = 'Changed';
+      expect((await adapter.findById('people', 'p1')).name).toBe('Ada');
+      expect(await adapter.findById('people', 'missing')).toBeNull();
+    });
+
+    it.each([
+      [{ team: 'a' }, ['p1', 'p3']],
+      [{ team: null }, ['p4']],
+      [{ age: { $gte: 33, $lt: 45 } }, ['p1', 'p4']],
+      [{ name: { $in: ['Ada', 'Grace'] } }, ['p1', 'p2']],
+      [{ team: { $ne: 'a' } }, ['p2', 'p4']],
+      [{ tags: { $exists: false } }, ['p4']],
+      [{ tags: { $contains: 'cobol' } }, ['p2']],
+      [{ $or: [{ team: 'b' }, { age: { $lt: 30 } }] }, ['p2', 'p3']],
+    ])('filters with %j', async (query, expected) => {
+      expect(ids(await adapter.find('people', query)).sort()).toEqual(expected);
+      expect(await adapter.count('people', query)).toBe(expected.length);
+    });
+
+    it('sorts and pages', async () => {
+      const page = await adapter.find('people', {}, { sort: { age: -1 }, limit: 2, offset: 1 });
+      expect(ids(page)).toEqual(['p1', 'p4']);
+    });
+  });
+
+  describe('writes', () => {
+    it('inserts and replaces by id', async () => {
+      await adapter.save('people', { id: 'p5', name: 'Barbara', age: 50 });
+      await adapter.save('people', { id: 'p1', name: 'Ada L.', age: 37 });
+
+      expect(await adapter.count('people')).toBe(5);
+      expect(await adapter.findById('people', 'p1')).toEqual({ id: 'p1', name: 'Ada L.', age: 37 });
+    });
+
+    it('bumps versions and refuses stale versioned saves', async () => {
+      const first = await adapter.save('people', { id: 'v1', name: 'V' }, { versioned: true });
+      expect(first.version).toBe(1);
+
+      const second = await adapter.save(
+        'people',
+        { ...first, name: 'V2' },
+        { versioned: true, expectedVersion: 1 },
+      );
+      expect(second.version).toBe(2);
+
+      const stale = await adapter.save(
+        'people',
+        { ...first, name: 'Stale' },
+        { versioned: true, expectedVersion: 1 },
+      );
+      expect(stale).toBeNull();
+      expect((await adapter.findById('people', 'v1')).name).toBe('V2');
+    });
+
+    it('keeps stored values of kept fields on replace', async () => {
+      await adapter.save('people', { ...people[0], age: 99 }, { keep: ['age'] });
+      expect((await adapter.findById('people', 'p1')).age).toBe(36);
+
+      const inserted = await adapter.save('people', { id: 'p6', age: 20 }, { keep: ['age'] });
+      expect(inserted.age).toBe(20);
+    });
+
+    it('patches fields without touching the version', async () => {
+      await adapter.save('people', { id: 'v1', name: 'V', count: 1 }, { versioned: true });
+
+      const patched = await adapter.patch('people', 'v1', { count: 2 });
+      expect(patched).toMatchObject({ name: 'V', count: 2, version: 1 });
+      expect(await adapter.patch('people', 'missing', { count: 1 })).toBeNull();
+    });
+
+    it('deletes matching records', async () => {
+      expect(await adapter.delete('people', { team: 'a' })).toBe(2);
+      expect(ids(await adapter.find('people')).sort()).toEqual(['p2', 'p4']);
+    });
+  });
+
+  describe('unique indexes', () => {
+    beforeEach(async () => {
+      await adapter.ensureIndexes('people', [
+        defineIndex('people', { fields: ['team', 'name'], unique: true }),
+      ]);
+    });
+
+    it('rejects a second record with the same key', async () => {
+      await expect(
+        adapter.save('people', { id: 'p9', name: 'Ada', team: 'a' }),
+      ).rejects.toBeInstanceOf(DuplicateKeyError);
+      await expect(adapter.patch('people', 'p3', { name: 'Ada' })).rejects.toBeInstanceOf(
+        DuplicateKeyError,
+      );
+
+      // Same name in another team, and replacing the holder itself, are fine
+      await adapter.save('people', { id: 'p9', name: 'Ada', team: 'b' });
+      await adapter.save('people', { ...people[0], age: 37 });
+    });
+
+    it('writes nothing from a batch with a duplicate', async () => {
+      await expect(
+        adapter.saveMany('people', [
+          { id: 'n1', name: 'New', team: 'c' },
+          { id: 'n2', name: 'New', team: 'c' },
+        ]),
+      ).rejects.toBeInstanceOf(DuplicateKeyError);
+      expect(await adapter.findById('people', 'n1')).toBeNull();
+    });
+  });
+
+  describe('transactions', () => {
+    it('keeps committed writes', async () => {
+      await adapter.begin();
+      await adapter.save('people', { id: 't1', name: 'T' });
+      await adapter.delete('people', { id: 'p1' });
+      await adapter.commit();
+
+      expect(await adapter.findById('people', 't1')).not.toBeNull();
+      expect(await adapter.findById('people', 'p1')).toBeNull();
+    });
+
+    it('undoes inserts, updates and deletes on rollback', async () => {
+      await adapter.begin();
+      await adapter.save('people', { id: 't1', name: 'T' });
+      await adapter.patch('people', 'p2', { age: 46 });
+      await adapter.delete('people', { id: 'p1' });
+      await adapter.rollback();
+
+      expect(await adapter.findById('people', 't1')).toBeNull();
+      expect((await adapter.findById('people', 'p2')).age).toBe(45);
+      expect(await adapter.findById('people', 'p1')).toEqual(people[0]);
+    });
+
+    it('can use a collection first created in a rolled back transaction', async () => {
+      await adapter.begin();
+      await adapter.save('courses', { id: 'c1', title: 'Rolled back' });
+      await adapter.rollback();
+
+      await adapter.save('courses', { id: 'c2', title: 'Kept' });
+      expect(ids(await adapter.find('courses'))).toEqual(['c2']);
+    });
+
+    it('still enforces indexes first created in a rolled back transaction', async () => {
+      await adapter.begin();
+      await adapter.ensureIndexes('badges', [
+        defineIndex('badges', { fields: ['code'], unique: true }),
+      ]);
+      await adapter.save('badges', { id: 'b1', code: 'gold' });
+      await adapter.rollback();
+
+      await adapter.save('badges', { id: 'b2', code: 'silver' });
+      await expect(adapter.save('badges', { id: 'b3', code: 'silver' })).rejects.toBeInstanceOf(
+        DuplicateKeyError,
+      );
+    });
+  });
+});
+
+describe('json adapter persistence', () => {
+  it('writes collections to disk and reads them back', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lms-json-persist-'));
+    try {
+      const writer = new JsonFileAdapter({ directory });
+      await writer.save('people', people[0]);
+      await writer.close();
+
+      const reader = new JsonFileAdapter({ directory });
+      expect(await reader.findById('people', 'p1')).toEqual(people[0]);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
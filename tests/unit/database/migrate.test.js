@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SqliteAdapter = require('../../../database/adapters/sqliteAdapter');
+const {
+  loadMigrations, getStatus, migrateUp, migrateDown, createMigration,
+} = require('../../../database/migrate');
+
+const tables = (db) => db
+  .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'")
+  .all()
+  .map((row) => row.name)
+  .sort();
+
+describe('migrations', () => {
+  let directory;
+  let adapter;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lms-migrate-'));
+    adapter = new SqliteAdapter({ filename: path.join(directory, 'test.sqlite') });
+    await adapter.connect();
+  });
+
+  afterEach(async () => {
+    await adapter.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('applies every migration of the project and rolls them all back', () => {
+    const { db } = adapter;
+    const files = loadMigrations();
+
+    expect(getStatus(db).pending).toHaveLength(files.length);
+
+    expect(migrateUp(db).map((migration) => migration.file)).toEqual(
+      files.map((migration) => migration.file),
+    );
+    expect(tables(db)).toEqual(expect.arrayContaining(['schema_migrations', 'users', 'courses']));
+    const status = getStatus(db);
+    expect(status.pending).toEqual([]);
+    expect(status.migrations.every((migration) => migration.state === 'applied')).toBe(true);
+    expect(migrateUp(db)).toEqual([]);
+
+    expect(migrateDown(db, 1).map((migration) => migration.version)).toEqual([
+      files[files.length - 1].version,
+    ]);
+    expect(getStatus(db).pending).toHaveLength(1);
+
+    migrateDown(db, files.length);
+    expect(tables(db)).toEqual(['schema_migrations']);
+    expect(getStatus(db).pending).toHaveLength(files.length);
+  });
+
+  describe('in a directory of their own', () => {
+    let migrations;
+
+    beforeEach(() => {
+      migrations = path.join(directory, 'migrations');
+    });
+
+    const write = (file, sql) => fs.writeFileSync(path.join(migrations, file), sql);
+
+    it('creates numbered files with empty sections', () => {
+      const first = createMigration('Create notes table', migrations);
+      expect(path.basename(first)).toBe('001_create_notes_table.sql');
+      expect(path.basename(createMigration('add note index', migrations))).toBe(
+        '002_add_note_index.sql',
+      );
+      expect(fs.readFileSync(first, 'utf8')).toBe(
+        '-- Create notes table\n\n-- migrate:up\n\n\n-- migrate:down\n\n',
+      );
+      expect(() => createMigration('  ', migrations)).toThrow(/give the migration a name/);
+    });
+
+    it('refuses to run once an applied file was edited or deleted', () => {
+      const { db } = adapter;
+      fs.mkdirSync(migrations);
+      write('001_create_notes.sql', '-- migrate:up\nCREATE TABLE notes (id TEXT);\n-- migrate:down\nDROP TABLE notes;');
+      write('002_create_tags.sql', '-- migrate:up\nCREATE TABLE tags (id TEXT);');
+      migrateUp(db, migrations);
+
+      expect(() => migrateDown(db, 1, migrations)).toThrow(/cannot be rolled back/);
+
+      write('001_create_notes.sql', '-- migrate:up\nCREATE TABLE notes (id TEXT, body TEXT);');
+      expect(getStatus(db, migrations).modified.map((migration) => migration.version)).toEqual([1]);
+      expect(() => migrateUp(db, migrations)).toThrow(/001_create_notes.sql was edited/);
+
+      fs.rmSync(path.join(migrations, '001_create_notes.sql'));
+      expect(getStatus(db, migrations).missing.map((migration) => migration.version)).toEqual([1]);
+      expect(() => migrateUp(db, migrations)).toThrow(/was applied but the file is missing/);
+    });
+
+    it('rolls back a migration that fails part way', () => {
+      const { db } = adapter;
+      fs.mkdirSync(migrations);
+      write('001_broken.sql', '-- migrate:up\nCREATE TABLE notes (id TEXT);\nCREATE TABLE notes (id TEXT);');
+
+      expect(() => migrateUp(db, migrations)).toThrow(/already exists/);
+      expect(tables(db)).toEqual(['schema_migrations']);
+      expect(getStatus(db, migrations).pending).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const Repository = require('../../../database/repository');
+const { runInTenant } = require('../../../database/tenantContext');
+const { TenantMismatchError } = require('../../../database/errors');
+const { globalErrorHandler } = require('../../../middleware/errorHandler');
+
+const NORTH = { id: 'org-north', slug: 'northside' };
+const SOUTH = { id: 'org-south', slug: 'southside' };
+
+describe('tenant-scoped repository saves', () => {
+  const notes = new Repository('notes', { tenantScoped: true });
+
+  it('stamps new records with the current organization', async () => {
+    await runInTenant(NORTH, () => notes.save({ id: 'n1', text: 'New' }));
+
+    expect((await notes.findById('n1')).organizationId).toBe(NORTH.id);
+  });
+
+  it('leaves platform-level records outside the organization', async () => {
+    await notes.save({ id: 'n1', text: 'Platform', organizationId: null });
+    await runInTenant(NORTH, () => notes.save({ id: 'n1', text: 'Edited', organizationId: null }));
+
+    expect(await notes.findById('n1')).toMatchObject({ text: 'Edited', organizationId: null });
+  });
+
+  it("refuses to write another organization's record", async () => {
+    const record = await runInTenant(NORTH, () => notes.save({ id: 'n1', text: 'North' }));
+
+    await expect(runInTenant(SOUTH, () => notes.save({ ...record, text: 'Taken' }))).rejects.toThrow(
+      TenantMismatchError,
+    );
+    await expect(
+      runInTenant(SOUTH, () => notes.save({ ...record, organizationId: null })),
+    ).rejects.toThrow(TenantMismatchError);
+    await expect(runInTenant(SOUTH, () => notes.saveMany([record]))).rejects.toThrow(
+      TenantMismatchError,
+    );
+    expect((await notes.findById('n1')).text).toBe('North');
+  });
+
+  it('answers such a write as a missing record', () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const req = { originalUrl: '/api/notes/n1', get: () => undefined };
+
+    globalErrorHandler(new TenantMismatchError('notes', 'n1'), req, res, jest.fn());
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Record not found' }));
+  });
+});
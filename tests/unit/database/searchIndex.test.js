@@ -0,0 +1,76 @@
+const SearchIndex = require('../../../database/searchIndex');
+
+const COURSES = [
+  {
+    id: 'c1', title: 'JavaScript for beginners', tags: ['web'], description: 'Variables and loops', isPublished: true,
+  },
+  {
+    id: 'c2', title: 'Cooking basics', tags: ['food'], description: 'Some JavaScript-free fun', isPublished: true,
+  },
+  {
+    id: 'c3', title: 'Building APIs', tags: ['web', 'node'], description: 'Servers in Node', isPublished: true,
+  },
+  {
+    id: 'c4', title: 'Unpublished JavaScript', tags: [], description: 'Not ready', isPublished: false,
+  },
+];
+
+describe('SearchIndex', () => {
+  let records;
+  let index;
+
+  beforeEach(() => {
+    records = COURSES.map((course) => ({ ...course }));
+    index = new SearchIndex('courses', {
+      fields: { title: 3, tags: 2, description: 1 },
+      includes: (record) => record.isPublished,
+      load: async () => records,
+    });
+  });
+
+  const ids = async (text) => (await index.search(text)).map(({ record }) => record.id).sort();
+
+  it('finds records by the stems of their words', async () => {
+    expect(await ids('build api')).toEqual(['c3']);
+    expect(await ids('servers')).toEqual(['c3']);
+  });
+
+  it('leaves out records the index does not include', async () => {
+    expect(await ids('unpublished')).toEqual([]);
+    expect(await ids('')).toEqual(['c1', 'c2', 'c3']);
+  });
+
+  it('needs every word of the query to match', async () => {
+    expect(await ids('web')).toEqual(['c1', 'c3']);
+    expect(await ids('web node')).toEqual(['c3']);
+  });
+
+  it('tolerates typos in longer words only', async () => {
+    expect(await ids('javscript')).toEqual(['c1', 'c2']);
+    expect(await ids('nod servers')).toEqual([]);
+  });
+
+  it('completes the last word of the query', async () => {
+    expect(await ids('begin')).toEqual(['c1']);
+    expect(await ids('begin web')).toEqual([]);
+  });
+
+  it('ranks a match in a boosted field higher', async () => {
+    const [first, second] = (await index.search('javascript')).sort((a, b) => b.score - a.score);
+    expect(first.record.id).toBe('c1');
+    expect(second.record.id).toBe('c2');
+    expect(first.score).toBeGreaterThan(second.score);
+  });
+
+  it('keeps a built index up to date with saved records', async () => {
+    await index.search('');
+
+    index.update({ ...records[3], isPublished: true });
+    index.update({ ...records[1], deletedAt: new Date().toISOString() });
+    index.update({ ...records[0], title: 'TypeScript for beginners' });
+
+    expect(await ids('javascript')).toEqual(['c4']);
+    expect(await ids('typescript')).toEqual(['c1']);
+    expect(await ids('cooking')).toEqual([]);
+  });
+});
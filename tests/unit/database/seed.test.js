@@ -0,0 +1,41 @@
+const User = require('../../../models/User');
+const Course = require('../../../models/Course');
+const Enrollment = require('../../../models/Enrollment');
+const { seed, buildFixtures } = require('../../../database/seed');
+const buildUsers = require('../../../database/seeds/users');
+
+// IDs of the same shape as database/ids.js gives new records
+const ID_PATTERN = /^[0-9A-HJKMNP-TV-Z]{26}$/;
+
+describe('seeder', () => {
+  it('builds the same records from the same seed, with record-shaped IDs', () => {
+    const first = buildFixtures('minimal', 'test-seed');
+    const again = buildFixtures('minimal', 'test-seed');
+    const other = buildFixtures('minimal', 'other-seed');
+
+    const ids = (fixtures) => Object.values(fixtures).flatMap(
+      (records) => records.map((record) => record.id),
+    );
+    expect(ids(again)).toEqual(ids(first));
+    expect(ids(other)).not.toEqual(ids(first));
+    ids(first).forEach((id) => expect(id).toMatch(ID_PATTERN));
+  });
+
+  it('seeds a database and seeds it again after truncating', async () => {
+    const stray = await Course.create({
+      title: 'Not a fixture', description: 'Removed by --truncate', instructorId: 'nobody',
+    });
+
+    const counts = await seed({ profile: 'minimal', seed: 'test-seed', truncate: true });
+    expect(counts).toMatchObject({ users: 3, courses: 1, lessons: 3 });
+    expect(await Course.findById(stray.id)).toBeNull();
+
+    const admin = await User.findByEmail('admin@odslms.test');
+    expect(await admin.comparePassword(buildUsers.PASSWORDS.admin)).toBe(true);
+    const [course] = await Course.find();
+    expect(course.enrollmentCount).toBe(await Enrollment.count({ courseId: course.id }));
+
+    expect(await seed({ profile: 'minimal', seed: 'test-seed', truncate: true })).toEqual(counts);
+    expect(await User.count()).toBe(3);
+  });
+});
@@ -0,0 +1,107 @@
+const Course = require('../../../models/Course');
+const { searchCatalog } = require('../../../services/catalogService');
+
+const course = (id, fields) => new Course({
+  id,
+  title: `Course ${id}`,
+  description: 'A course',
+  isPublished: true,
+  ...fields,
+});
+
+const CANDIDATES = [
+  course('c1', {
+    category: 'programming', difficulty: 'beginner', price: 0, rating: 4.5, duration: 3,
+  }),
+  course('c2', {
+    category: 'programming', difficulty: 'advanced', price: 40, rating: 3, duration: 12,
+  }),
+  course('c3', {
+    category: 'design', difficulty: 'beginner', price: 120, rating: 5, duration: 1, tags: ['Figma'],
+  }),
+  course('c4', {
+    category: 'design', difficulty: 'intermediate', price: 20, rating: 4, duration: 8,
+  }),
+  course('c5', {
+    category: 'business', difficulty: 'beginner', price: 60, rating: 2, duration: 30,
+  }),
+].map((candidate, index) => ({ course: candidate, score: index + 1 }));
+
+const ids = (result) => result.results.map((item) => item.course.id);
+const countOf = (facet, value) => facet.find((item) => item.value === value);
+
+describe('catalogService.searchCatalog', () => {
+  beforeEach(() => {
+    jest.spyOn(Course, 'searchCatalog').mockResolvedValue(CANDIDATES);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('filters by facet values, several of one facet combining', async () => {
+    const result = await searchCatalog({ category: 'design,business', difficulty: 'beginner', sort: 'title' });
+    expect(result.total).toBe(2);
+    expect(ids(result)).toEqual(['c3', 'c5']);
+  });
+
+  it("counts each facet's values with the other facets' filters only", async () => {
+    const { facets } = await searchCatalog({ category: 'programming', difficulty: 'beginner' });
+
+    // Selecting beginner leaves design and business possible for the category
+    expect(countOf(facets.category, 'programming')).toEqual({ value: 'programming', count: 1, selected: true });
+    expect(countOf(facets.category, 'design').count).toBe(1);
+    expect(countOf(facets.category, 'business').count).toBe(1);
+    // Within programming, each difficulty is a possible choice
+    expect(countOf(facets.difficulty, 'advanced').count).toBe(1);
+    // Ranges are all listed, in order, even when empty
+    expect(facets.price.map((range) => range.value)).toEqual([
+      'free', 'under-25', '25-50', '50-100', 'over-100',
+    ]);
+    expect(countOf(facets.price, 'free').count).toBe(1);
+    expect(countOf(facets.price, 'over-100').count).toBe(0);
+  });
+
+  it('applies the rating and tag filters to the facet counts too', async () => {
+    const result = await searchCatalog({ minRating: 4, tag: 'figma' });
+    expect(ids(result)).toEqual(['c3']);
+    expect(countOf(result.facets.category, 'programming')).toBeUndefined();
+
+    await expect(searchCatalog({ minRating: 'high' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('sorts by relevance when searching and by the chosen order otherwise', async () => {
+    expect(ids(await searchCatalog({ q: 'course' }))).toEqual(['c5', 'c4', 'c3', 'c2', 'c1']);
+    expect(ids(await searchCatalog({ sort: 'price' }))).toEqual(['c1', 'c4', 'c2', 'c5', 'c3']);
+    await expect(searchCatalog({ sort: 'cheapest' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('pages through the results with cursors', async () => {
+    const first = await searchCatalog({ sort: 'rating', limit: 2 });
+    expect(ids(first)).toEqual(['c3', 'c1']);
+
+    const second = await searchCatalog({ sort: 'rating', limit: 2, cursor: first.nextCursor });
+    expect(ids(second)).toEqual(['c4', 'c2']);
+
+    const last = await searchCatalog({ sort: 'rating', limit: 2, cursor: second.nextCursor });
+    expect(ids(last)).toEqual(['c5']);
+    expect(last.nextCursor).toBeNull();
+    expect(last.total).toBe(5);
+  });
+
+  it('refuses a cursor from another sort order or one that does not decode', async () => {
+    const { nextCursor } = await searchCatalog({ sort: 'rating', limit: 2 });
+
+    await expect(searchCatalog({ sort: 'price', cursor: nextCursor })).rejects.toMatchObject({
+      statusCode: 400,
+    });
+    await expect(searchCatalog({ sort: 'rating', cursor: 'not-a-cursor' })).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  it('keeps the page size between 1 and 100', async () => {
+    expect(ids(await searchCatalog({ sort: 'title', limit: -5 }))).toEqual(['c1']);
+    expect(ids(await searchCatalog({ sort: 'title', limit: 1000 }))).toHaveLength(5);
+  });
+});
@@ -0,0 +1,73 @@
+const Role = require('../../../models/Role');
+const RoleAssignment = require('../../../models/RoleAssignment');
+const {
+  getUserPermissions,
+  hasPermission,
+  hasCoursePermission,
+} = require('../../../services/permissionService');
+
+// Permission checks only read a user's id, role and organization
+const user = (id, role, organizationId = null) => ({ id, role, organizationId });
+
+const COURSE = {
+  id: 'course-1', instructorId: 'owner', coInstructors: ['co'],
+};
+const OTHER_COURSE = {
+  id: 'course-2', instructorId: 'someone-else', coInstructors: [],
+};
+
+describe('permissionService', () => {
+  beforeEach(async () => {
+    await Promise.all([
+      Role.create({ name: 'grader', scope: 'global', permissions: ['grade.view', 'role.manage'] }),
+      Role.create({ name: 'moderator', scope: 'course', permissions: ['review.moderate'] }),
+    ]);
+  });
+
+  it('gives a custom global role its permissions', async () => {
+    const grader = user('g1', 'grader');
+
+    expect([...(await getUserPermissions(grader))].sort()).toEqual(['grade.view', 'role.manage']);
+    expect(await hasPermission(grader, 'grade.view')).toBe(true);
+    expect(await hasPermission(grader, 'course.create')).toBe(false);
+  });
+
+  it('keeps platform permissions from members of an organization', async () => {
+    const member = user('g2', 'grader', 'org-1');
+
+    expect(await hasPermission(member, 'grade.view')).toBe(true);
+    expect(await hasPermission(member, 'role.manage')).toBe(false);
+    expect(await hasPermission(user('a1', 'admin', 'org-1'), 'settings.manage')).toBe(false);
+    expect(await hasPermission(user('a2', 'admin'), 'settings.manage')).toBe(true);
+  });
+
+  it('grants a custom course role in the course it is assigned in only', async () => {
+    const learner = user('s1', 'student');
+    await RoleAssignment.create({ userId: learner.id, courseId: COURSE.id, role: 'moderator' });
+
+    expect(await hasCoursePermission(learner, COURSE, 'review.moderate')).toBe(true);
+    expect(await hasCoursePermission(learner, OTHER_COURSE, 'review.moderate')).toBe(false);
+    expect(await hasPermission(learner, 'review.moderate', { courseId: COURSE.id })).toBe(true);
+    expect(await hasPermission(learner, 'review.moderate')).toBe(false);
+  });
+
+  it('ignores a global role given as a course assignment', async () => {
+    const learner = user('s2', 'student');
+    await RoleAssignment.create({ userId: learner.id, courseId: COURSE.id, role: 'grader' });
+
+    expect(await hasCoursePermission(learner, COURSE, 'grade.view')).toBe(false);
+  });
+
+  it("applies global permissions to the owner's course and to co-instructors", async () => {
+    expect(await hasCoursePermission(user('owner', 'instructor'), COURSE, 'course.delete')).toBe(true);
+    expect(await hasCoursePermission(user('owner', 'instructor'), OTHER_COURSE, 'course.edit')).toBe(
+      false,
+    );
+
+    const coInstructor = user('co', 'instructor');
+    expect(await hasCoursePermission(coInstructor, COURSE, 'course.edit')).toBe(true);
+    expect(await hasCoursePermission(coInstructor, COURSE, 'course.delete')).toBe(false);
+
+    expect(await hasCoursePermission(user('a3', 'admin'), OTHER_COURSE, 'course.delete')).toBe(true);
+  });
+});
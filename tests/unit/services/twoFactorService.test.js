@@ -0,0 +1,61 @@
+const twoFactorService = require('../../../services/twoFactorService');
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('twoFactorService', () => {
+  describe('generateTotp', () => {
+    it.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1234567890, '005924'],
+      [2000000000, '279037'],
+      [20000000000, '353130'],
+    ])('matches the RFC 6238 SHA-1 test vector at %i', (time, code) => {
+      expect(twoFactorService.generateTotp(RFC_SECRET, Math.floor(time / 30))).toBe(code);
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const secret = twoFactorService.generateSecret();
+    const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+    const codeAt = (step) => twoFactorService.generateTotp(secret, step);
+
+    it('returns the step of a current code', () => {
+      const step = currentStep();
+      expect(twoFactorService.verifyTotp(secret, codeAt(step))).toBe(step);
+    });
+
+    it('allows one step of clock drift but no more', () => {
+      const step = currentStep();
+      expect(twoFactorService.verifyTotp(secret, codeAt(step + 1))).not.toBeNull();
+      expect(twoFactorService.verifyTotp(secret, codeAt(step - 3))).toBeNull();
+    });
+
+    it('rejects malformed codes', () => {
+      expect(twoFactorService.verifyTotp(secret, '12345')).toBeNull();
+      expect(twoFactorService.verifyTotp(secret, 'abcdef')).toBeNull();
+      expect(twoFactorService.verifyTotp(secret, undefined)).toBeNull();
+    });
+  });
+
+  describe('secrets and recovery codes', () => {
+    it('round-trips an encrypted secret', () => {
+      const secret = twoFactorService.generateSecret();
+      const stored = twoFactorService.encryptSecret(secret);
+
+      expect(stored).not.toContain(secret);
+      expect(twoFactorService.decryptSecret(stored)).toBe(secret);
+    });
+
+    it('hashes recovery codes regardless of case and dashes', () => {
+      const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      expect(twoFactorService.hashRecoveryCode(codes[0].toUpperCase().replace('-', ''))).toBe(
+        hashes[0],
+      );
+    });
+  });
+});
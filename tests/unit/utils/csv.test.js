@@ -0,0 +1,37 @@
+const { parseCsv } = require('../../../utils/csv');
+
+describe('parseCsv', () => {
+  it('splits lines and fields, with either line ending', () => {
+    expect(parseCsv('email,name\r\nada@example.com,Ada\nalan@example.com,Alan\n')).toEqual([
+      ['email', 'name'],
+      ['ada@example.com', 'Ada'],
+      ['alan@example.com', 'Alan'],
+    ]);
+  });
+
+  it('keeps commas, quotes and line breaks inside quoted fields', () => {
+    expect(parseCsv('name,note\n"Lovelace, Ada","Said ""hello""\nthen left"\n')).toEqual([
+      ['name', 'note'],
+      ['Lovelace, Ada', 'Said "hello"\nthen left'],
+    ]);
+  });
+
+  it('ignores a byte order mark and blank lines', () => {
+    expect(parseCsv('\uFEFFemail\n\n  \nada@example.com')).toEqual([['email'], ['ada@example.com']]);
+  });
+
+  it('keeps empty fields', () => {
+    expect(parseCsv('a,,c\n,\n')).toEqual([
+      ['a', '', 'c'],
+      ['', ''],
+    ]);
+  });
+
+  it('treats a quote inside an unquoted field as text', () => {
+    expect(parseCsv('5" floppy,x')).toEqual([['5" floppy', 'x']]);
+  });
+
+  it('refuses a quoted field that never ends', () => {
+    expect(() => parseCsv('name\n"Ada')).toThrow('Unterminated quoted field');
+  });
+});
@@ -0,0 +1,49 @@
+const { isValidTimezone, dateShifter } = require('../../../utils/dates');
+
+describe('dates', () => {
+  describe('isValidTimezone', () => {
+    it('knows IANA zone names only', () => {
+      expect(isValidTimezone('Europe/Berlin')).toBe(true);
+      expect(isValidTimezone('UTC')).toBe(true);
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+    });
+  });
+
+  describe('dateShifter', () => {
+    it('moves dates by the distance between two dates', () => {
+      const shift = dateShifter('2026-01-05T09:00:00.000Z', '2026-01-12T09:00:00.000Z');
+
+      expect(shift('2026-01-20T17:30:00.000Z')).toBe('2026-01-27T17:30:00.000Z');
+      expect(shift(null)).toBeNull();
+      expect(shift(undefined)).toBeNull();
+    });
+
+    it('keeps the local time of day across the start of daylight saving time', () => {
+      // 09:00 CET to 09:00 CEST: 35 days on the wall clock, an hour less in UTC
+      const shift = dateShifter('2026-03-02T08:00:00.000Z', '2026-04-06T07:00:00.000Z', 'Europe/Berlin');
+
+      // A 17:00 CET deadline becomes 17:00 CEST
+      expect(shift('2026-03-20T16:00:00.000Z')).toBe('2026-04-24T15:00:00.000Z');
+      // A date already in summer time stays at its local time too
+      expect(shift('2026-03-30T07:00:00.000Z')).toBe('2026-05-04T07:00:00.000Z');
+    });
+
+    it('keeps the local time of day across the end of daylight saving time', () => {
+      // 09:00 EDT to 09:00 EST
+      const shift = dateShifter(
+        '2026-09-07T13:00:00.000Z',
+        '2026-11-09T14:00:00.000Z',
+        'America/New_York',
+      );
+
+      // 23:59 EDT on 13 September becomes 23:59 EST on 15 November
+      expect(shift('2026-09-14T03:59:00.000Z')).toBe('2026-11-16T04:59:00.000Z');
+    });
+
+    it('moves a deadline backwards across a change as well', () => {
+      const shift = dateShifter('2026-04-06T07:00:00.000Z', '2026-03-02T08:00:00.000Z', 'Europe/Berlin');
+
+      expect(shift('2026-04-24T15:00:00.000Z')).toBe('2026-03-20T16:00:00.000Z');
+    });
+  });
+});
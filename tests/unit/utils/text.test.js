@@ -0,0 +1,51 @@
+const {
+  stem, tokenize, analyze, editDistance,
+} = require('../../../utils/text');
+
+describe('text', () => {
+  describe('stem', () => {
+    it.each([
+      ['programming', 'program'],
+      ['databases', 'databas'],
+      ['relational', 'relat'],
+      ['running', 'run'],
+      ['hopping', 'hop'],
+      ['ponies', 'poni'],
+      ['caresses', 'caress'],
+      ['apis', 'api'],
+    ])('reduces %s to %s', (word, expected) => {
+      expect(stem(word)).toBe(expected);
+    });
+
+    it('leaves short words and words with digits alone', () => {
+      expect(stem('css')).toBe('css');
+      expect(stem('es2015s')).toBe('es2015s');
+    });
+  });
+
+  describe('analyze', () => {
+    it('gives the same terms for different forms of the same words', () => {
+      expect(analyze('Building APIs')).toEqual(['build', 'api']);
+      expect(analyze('build an API')).toEqual(['build', 'api']);
+    });
+
+    it('drops accents, punctuation and stop words', () => {
+      expect(tokenize('Café résumé: Node.js')).toEqual(['cafe', 'resume', 'node', 'js']);
+      expect(analyze('The art of the résumé')).toEqual(['art', 'resum']);
+      expect(analyze(null)).toEqual([]);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('counts insertions, deletions and substitutions', () => {
+      expect(editDistance('kitten', 'sitting')).toBe(3);
+      expect(editDistance('javascript', 'javscript')).toBe(1);
+      expect(editDistance('node', 'node')).toBe(0);
+    });
+
+    it('gives up once the distance is over the maximum', () => {
+      expect(editDistance('kitten', 'sitting', 1)).toBe(2);
+      expect(editDistance('go', 'golang', 2)).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Application-wide constants
+ */
+
+// Scopes that can be granted to personal access tokens
+const API_TOKEN_SCOPES = [
+  'courses:read',
+  'courses:write',
+  'enrollments:read',
+  'enrollments:write',
+  'grades:read',
+  'grades:write',
+  'progress:read',
+  'progress:write',
+  'users:read',
+  'users:write',
+];
+
+// Prefix that tells personal access tokens apart from JWTs
+const API_TOKEN_PREFIX = 'lms_pat_';
+
+// Permission catalogue; roles are sets of these
+const PERMISSIONS = {
+  'course.create': 'Create courses',
+  'course.edit': 'Edit courses you teach',
+  'course.edit_any': 'Edit any course',
+  'course.publish': 'Publish, unpublish and archive courses you teach',
+  'course.delete': 'Delete courses you teach',
+  'course.view_unpublished': 'See unpublished course content',
+  'lesson.manage': 'Create, edit and delete lessons',
+  'course.enroll': 'Enroll in courses',
+  'enrollment.manage': 'Enroll and unenroll other users',
+  'grade.view': 'View grades of learners',
+  'grade.submit': 'Grade assignment submissions',
+  'grade.override': 'Override final grades',
+  'review.post': 'Post course reviews',
+  'review.moderate': 'Moderate reviews and other user content',
+  'user.view': 'View user accounts',
+  'user.manage': 'Create, edit, lock and unlock user accounts',
+  'user.impersonate': 'Sign in as another user to see what they see',
+  'audit.view': 'Read the audit log',
+  'trash.manage': 'List, restore and permanently delete deleted users and courses',
+  'role.manage': 'Create and edit roles and role assignments',
+  'settings.manage': 'Change security and login policies',
+  'organization.manage': 'Create, edit and deactivate organizations',
+  'organization.settings': "Change your organization's branding and sign-up settings",
+  'analytics.view': 'View system analytics',
+};
+
+// Deployment-wide permissions that members of an organization never hold, whatever their role
+const PLATFORM_PERMISSIONS = ['settings.manage', 'role.manage', 'organization.manage'];
+
+// Built-in roles. Global roles apply everywhere; course roles are assigned per course.
+const SYSTEM_ROLES = [
+  {
+    name: 'student',
+    description: 'Learner',
+    scope: 'global',
+    permissions: ['course.enroll', 'review.post'],
+  },
+  {
+    name: 'instructor',
+    description: 'Creates and teaches courses',
+    scope: 'global',
+    permissions: [
+      'course.create',
+      'course.edit',
+      'course.publish',
+      'course.delete',
+      'course.view_unpublished',
+      'lesson.manage',
+      'grade.view',
+      'grade.submit',
+      'analytics.view',
+    ],
+  },
+  {
+    name: 'admin',
+    description: 'Full system access',
+    scope: 'global',
+    permissions: Object.keys(PERMISSIONS),
+  },
+  {
+    name: 'org_admin',
+    description: 'Runs one organization: its people, courses and settings',
+    scope: 'global',
+    permissions: [
+      'course.edit',
+      'course.edit_any',
+      'course.publish',
+      'course.delete',
+      'course.view_unpublished',
+      'lesson.manage',
+      'enrollment.manage',
+      'grade.view',
+      'review.moderate',
+      'user.view',
+      'user.manage',
+      'audit.view',
+      'trash.manage',
+      'analytics.view',
+      'organization.settings',
+    ],
+  },
+  // Held by everyone in a course's coInstructors (see services/permissionService.js)
+  {
+    name: 'co_instructor',
+    description: 'Teaches a course with its owner: content, publishing and grading',
+    scope: 'course',
+    permissions: [
+      'course.edit',
+      'course.publish',
+      'course.view_unpublished',
+      'lesson.manage',
+      'grade.view',
+      'grade.submit',
+      'analytics.view',
+    ],
+  },
+  {
+    name: 'teaching_assistant',
+    description: 'Helps run a single course: grading and lesson upkeep',
+    scope: 'course',
+    permissions: ['course.view_unpublished', 'lesson.manage', 'grade.view', 'grade.submit'],
+  },
+];
+
+module.exports = {
+  PERMISSIONS,
+  PLATFORM_PERMISSIONS,
+  SYSTEM_ROLES,
+  API_TOKEN_SCOPES,
+  API_TOKEN_PREFIX,
+};
@@ -0,0 +1,72 @@
+/**
+ * Date arithmetic in a time zone
+ * Dates are ISO strings in UTC; moving them "by the same amount" is done on
+ * the wall clock of the zone they are meant in, so a deadline at 17:00 local
+ * time stays at 17:00 when it moves across a daylight saving change.
+ */
+
+/**
+ * Whether a time zone name is known (e.g. 'Europe/Berlin', 'UTC')
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    // Throws a RangeError for unknown zones
+    return Boolean(new Intl.DateTimeFormat('en-US', { timeZone: timezone }));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Milliseconds the zone's wall clock is ahead of UTC at an instant
+const zoneOffset = (time, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(new Date(time));
+  const field = (type) => Number(parts.find((part) => part.type === type).value);
+
+  const wallClock = Date.UTC(
+    field('year'),
+    field('month') - 1,
+    field('day'),
+    field('hour'),
+    field('minute'),
+    field('second'),
+  );
+  return wallClock - (time - (time % 1000));
+};
+
+// Wall-clock time (as if it were UTC) and back
+const toWallClock = (time, timezone) => time + zoneOffset(time, timezone);
+const fromWallClock = (wallClock, timezone) => {
+  const guess = wallClock - zoneOffset(wallClock, timezone);
+  return wallClock - zoneOffset(guess, timezone);
+};
+
+/**
+ * Build a function that moves dates by the distance between two dates
+ * @param {string} from - Date the moved dates are relative to (e.g. the old start date)
+ * @param {string} to - Date it moves to
+ * @param {string} timezone - Zone whose wall clock the distance is measured on
+ * @returns {Function} date => moved ISO date; null and undefined stay null
+ */
+const dateShifter = (from, to, timezone = 'UTC') => {
+  const distance = toWallClock(Date.parse(to), timezone) - toWallClock(Date.parse(from), timezone);
+
+  return (date) => {
+    if (date === null || date === undefined) return null;
+    const wallClock = toWallClock(Date.parse(date), timezone) + distance;
+    return new Date(fromWallClock(wallClock, timezone)).toISOString();
+  };
+};
+
+module.exports = {
+  isValidTimezone,
+  dateShifter,
+};
@@ -0,0 +1,194 @@
+/**
+ * Text analysis for search
+ * Text is lower-cased, stripped of accents and split into words; common
+ * English words are dropped and the rest reduced to their stem, so "Building
+ * APIs" and "build an api" both give ['build', 'api'].
+ */
+
+// Words too common to be worth indexing
+const STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'are',
+  'as',
+  'at',
+  'be',
+  'by',
+  'for',
+  'from',
+  'how',
+  'in',
+  'into',
+  'is',
+  'it',
+  'its',
+  'of',
+  'on',
+  'or',
+  'that',
+  'the',
+  'this',
+  'to',
+  'was',
+  'with',
+  'you',
+  'your',
+]);
+
+// Suffixes replaced once the rest of the word has a consonant-vowel sequence (Porter steps 2 and 3)
+const SUFFIXES = [
+  ['ational', 'ate'],
+  ['tional', 'tion'],
+  ['enci', 'ence'],
+  ['anci', 'ance'],
+  ['izer', 'ize'],
+  ['abli', 'able'],
+  ['alli', 'al'],
+  ['entli', 'ent'],
+  ['eli', 'e'],
+  ['ousli', 'ous'],
+  ['ization', 'ize'],
+  ['ation', 'ate'],
+  ['ator', 'ate'],
+  ['alism', 'al'],
+  ['iveness', 'ive'],
+  ['fulness', 'ful'],
+  ['ousness', 'ous'],
+  ['aliti', 'al'],
+  ['iviti', 'ive'],
+  ['biliti', 'ble'],
+  ['icate', 'ic'],
+  ['ative', ''],
+  ['alize', 'al'],
+  ['iciti', 'ic'],
+  ['ical', 'ic'],
+  ['ful', ''],
+  ['ness', ''],
+];
+
+const isVowelAt = (word, i) => /[aeiou]/.test(word[i]) || (word[i] === 'y' && i > 0 && !isVowelAt(word, i - 1));
+
+// Porter's measure: how many vowel-consonant sequences the word has
+const measure = (word) => {
+  let count = 0;
+  for (let i = 1; i < word.length; i += 1) {
+    if (!isVowelAt(word, i) && isVowelAt(word, i - 1)) count += 1;
+  }
+  return count;
+};
+
+const hasVowel = (word) => [...word].some((char, i) => isVowelAt(word, i));
+
+// Ends consonant-vowel-consonant, the last not w, x or y ('hop', not 'hoop')
+const endsShort = (word) => word.length >= 3
+  && !isVowelAt(word, word.length - 1)
+  && isVowelAt(word, word.length - 2)
+  && !isVowelAt(word, word.length - 3)
+  && !/[wxy]$/.test(word);
+
+/**
+ * Reduce an English word to its stem (Porter's algorithm, steps 1-3 and 5)
+ * e.g. 'programming' -> 'program', 'databases' -> 'databas', 'relational' -> 'relat'
+ */
+const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  let w = word;
+
+  // Step 1: plurals, -ed and -ing
+  if (w.endsWith('sses') || w.endsWith('ies')) {
+    w = w.slice(0, -2);
+  } else if (w.endsWith('s') && !w.endsWith('ss')) {
+    w = w.slice(0, -1);
+  }
+
+  if (w.endsWith('eed')) {
+    if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+  } else {
+    const suffix = ['ing', 'ed'].find(
+      (ending) => w.endsWith(ending) && hasVowel(w.slice(0, -ending.length)),
+    );
+    if (suffix) {
+      w = w.slice(0, -suffix.length);
+      if (/(at|bl|iz)$/.test(w)) {
+        w += 'e';
+      } else if (/([^aeiouylsz])\1$/.test(w)) {
+        w = w.slice(0, -1);
+      } else if (measure(w) === 1 && endsShort(w)) {
+        w += 'e';
+      }
+    }
+  }
+
+  if (w.endsWith('y') && hasVowel(w.slice(0, -1))) {
+    w = `${w.slice(0, -1)}i`;
+  }
+
+  // Steps 2 and 3: derivational suffixes
+  const match = SUFFIXES.find(([suffix]) => w.endsWith(suffix));
+  if (match && measure(w.slice(0, -match[0].length)) > 0) {
+    w = w.slice(0, -match[0].length) + match[1];
+  }
+
+  // Step 5: a final e, and a double l
+  if (w.endsWith('e')) {
+    const rest = w.slice(0, -1);
+    if (measure(rest) > 1 || (measure(rest) === 1 && !endsShort(rest))) w = rest;
+  }
+  if (w.endsWith('ll') && measure(w) > 1) {
+    w = w.slice(0, -1);
+  }
+
+  return w;
+};
+
+/**
+ * Split text into lower-case words, without accents
+ * @returns {string[]}
+ */
+const tokenize = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+/**
+ * Words of a text as search terms: stems, without stop words
+ * @returns {string[]}
+ */
+const analyze = (text) => tokenize(text)
+  .filter((word) => !STOP_WORDS.has(word))
+  .map(stem);
+
+/**
+ * Levenshtein distance, giving up once it exceeds max
+ * @returns {number} The distance, or max + 1 when it is larger than max
+ */
+const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (value, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+module.exports = {
+  stem,
+  tokenize,
+  analyze,
+  editDistance,
+};